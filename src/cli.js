@@ -46,6 +46,20 @@ program
         choices: ['gemini-2.0-flash', 'gemini-1.5-pro', 'gemini-1.5-flash'],
         default: 'gemini-2.0-flash',
         when: (answers) => answers.googleApiKey.length > 0
+      },
+      {
+        type: 'input',
+        name: 'anthropicApiKey',
+        message: 'Enter your Anthropic API Key (optional):',
+        default: ''
+      },
+      {
+        type: 'list',
+        name: 'claudeModel',
+        message: 'Select Claude model:',
+        choices: ['claude-sonnet-4-5', 'claude-opus-4-1', 'claude-3-5-haiku-latest'],
+        default: 'claude-sonnet-4-5',
+        when: (answers) => answers.anthropicApiKey.length > 0
       }
     ];
 
@@ -59,6 +73,10 @@ OPENAI_MODEL=${answers.openaiModel}
 # Google AI Configuration (Get from https://ai.google.dev/)
 GOOGLE_API_KEY=${answers.googleApiKey || 'your_google_api_key_here'}
 GEMINI_MODEL=${answers.geminiModel || 'gemini-2.0-flash'}
+
+# Anthropic Configuration (Get from https://console.anthropic.com/)
+ANTHROPIC_API_KEY=${answers.anthropicApiKey || 'your_anthropic_api_key_here'}
+CLAUDE_MODEL=${answers.claudeModel || 'claude-sonnet-4-5'}
 `;
 
       const envPath = path.join(process.cwd(), '.env');
@@ -91,6 +109,117 @@ program
     });
   });
 
+program
+  .command('bounce')
+  .description('Run a wall bounce that pauses after each round so you can answer questions or steer it')
+  .argument('[topic]', 'Topic or question to discuss')
+  .option('--model1 <model>', 'First model')
+  .option('--model2 <model>', 'Second model')
+  .option('--rounds <number>', 'Planned number of rounds', '3')
+  .option('--language <code>', 'Output language (ja, en, de or auto)')
+  .option('--resume <sessionId>', 'Resume a saved session instead of starting a new one')
+  .action(async (topic, options) => {
+    const dotenv = await import('dotenv');
+    dotenv.config();
+
+    const { createProviderRegistry } = await import('./providers/provider-registry.js');
+    const { createWallBounceService } = await import('./services/wall-bounce.js');
+
+    const registry = createProviderRegistry(process.env);
+    const service = createWallBounceService(registry, process.env);
+
+    // Ctrl+C cancels the running round; the partial transcript is still printed and saved
+    const cancellable = async (run) => {
+      const controller = new AbortController();
+      const onInterrupt = () => controller.abort();
+      process.once('SIGINT', onInterrupt);
+      try {
+        return await run(controller.signal);
+      } finally {
+        process.removeListener('SIGINT', onInterrupt);
+      }
+    };
+
+    try {
+      let result;
+
+      if (options.resume) {
+        result = await cancellable(signal => service.resumeSession({ sessionId: options.resume, signal }));
+      } else {
+        if (!topic) {
+          ({ topic } = await inquirer.prompt([{
+            type: 'input',
+            name: 'topic',
+            message: 'Topic or question to discuss:',
+            validate: (input) => input.trim().length > 0 || 'Topic is required'
+          }]));
+        }
+
+        result = await cancellable(signal => service.startSession({
+          topic,
+          ...registry.resolveDefaultPair(options),
+          rounds: Number(options.rounds),
+          language: options.language,
+          pauseAfterEachRound: true,
+          signal
+        }));
+      }
+      console.log(result.log);
+
+      while (result.session.paused) {
+        const { input } = await inquirer.prompt([{
+          type: 'input',
+          name: 'input',
+          message: 'Answer, clarification or new direction for the next round (empty to continue, /finish to wrap up):'
+        }]);
+        const finish = input.trim() === '/finish';
+
+        result = await cancellable(signal => service.resumeSession({
+          sessionId: result.session.id,
+          instruction: finish ? undefined : input.trim() || undefined,
+          finish,
+          signal
+        }));
+        console.log(result.log);
+      }
+    } catch (error) {
+      console.error('❌ Wall bounce failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('chat')
+  .description('Ask a single model and print its answer as it streams in')
+  .argument('<prompt>', 'Question or prompt')
+  .option('--model <model>', 'Model to ask (default: the first configured provider\'s default model)')
+  .option('--temperature <number>', 'Sampling temperature (0-2)')
+  .action(async (prompt, options) => {
+    const dotenv = await import('dotenv');
+    dotenv.config();
+
+    const { createProviderRegistry } = await import('./providers/provider-registry.js');
+
+    const registry = createProviderRegistry(process.env);
+    const { model1: model } = registry.resolveDefaultPair({ model1: options.model });
+
+    try {
+      registry.resolveAvailable(model, 'chat');
+
+      for await (const delta of registry.streamChat({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: options.temperature === undefined ? undefined : Number(options.temperature)
+      })) {
+        process.stdout.write(delta);
+      }
+      process.stdout.write('\n');
+    } catch (error) {
+      console.error('❌ Chat failed:', error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('health')
   .description('Check server health')
@@ -0,0 +1,269 @@
+/**
+ * HTTP chat API - single-model chat over HTTP, optionally streamed as server-sent events
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+import { validateMessages } from '../utils/validation.js';
+import { sumUsage } from '../utils/usage.js';
+import { getErrorStatus, isInvalidRequestError } from '../utils/retry.js';
+
+/**
+ * Largest request body accepted, in bytes
+ */
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * HTTP statuses for errors that do not come from the provider, keyed by error name
+ */
+const ERROR_STATUS = {
+  TimeoutError: 504,
+  BudgetExceededError: 429,
+  CircuitOpenError: 503,
+};
+
+/**
+ * Error carrying the HTTP status to answer with
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export class ChatApi {
+  /**
+   * @param {ProviderRegistry} providerRegistry - Registry used to resolve each model's provider
+   * @param {Object} [options] - API options
+   * @param {Array<string>} [options.apiKeys] - Accepted bearer tokens; the API is disabled without any
+   * @param {BudgetTracker} [options.budgetTracker] - Server-wide budgets, kept per API key
+   */
+  constructor(providerRegistry, { apiKeys = [], budgetTracker } = {}) {
+    this.providerRegistry = providerRegistry;
+    this.budgetTracker = budgetTracker;
+    // Keys are compared as digests so the comparison takes the same time for every candidate
+    this.keyDigests = apiKeys.map(key => digest(key));
+  }
+
+  /**
+   * Check whether the API is enabled
+   * @returns {boolean} True if at least one API key is configured
+   */
+  isEnabled() {
+    return this.keyDigests.length > 0;
+  }
+
+  /**
+   * Handle POST /api/chat.
+   * Body: { model, messages | prompt, temperature?, max_tokens?, stream? }.
+   * Answers with { model, content }, or with `data: {"delta": ...}` events
+   * followed by a `done` event when stream is true. When a fallback model answered,
+   * model names it and requested_model the model asked for. When the provider reports
+   * token usage, usage gives { prompt_tokens, completion_tokens, total_tokens, cost }
+   * with the estimated cost in USD (null for unpriced models). Requests are refused
+   * with 429 once the API key's budget is used up.
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async handle(req, res) {
+    let streaming = false;
+
+    try {
+      if (req.method !== 'POST') {
+        throw new HttpError(405, 'Method not allowed');
+      }
+      const clientId = this.authorize(req);
+      if (!clientId) {
+        throw new HttpError(401, 'Invalid or missing API key');
+      }
+
+      const params = this.parseParams(await this.readBody(req));
+      this.budgetTracker?.check(clientId);
+      // Stop generating once the client has gone away
+      const controller = new AbortController();
+      res.on('close', () => controller.abort());
+      params.signal = controller.signal;
+
+      // A fallback model may answer in place of the requested one
+      let answeredBy = params.model;
+      params.onFailover = ({ fallback }) => { answeredBy = fallback; };
+      const usage = [];
+      params.onUsage = (record) => {
+        usage.push(record);
+        this.budgetTracker?.record(clientId, record);
+      };
+      const answer = (content) => ({
+        model: answeredBy,
+        ...(answeredBy !== params.model && { requested_model: params.model }),
+        content,
+        ...(usage.length > 0 && { usage: toUsageField(usage) }),
+      });
+
+      if (!params.stream) {
+        sendJson(res, 200, answer(await this.providerRegistry.chat(params)));
+        return;
+      }
+
+      streaming = true;
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+
+      let content = '';
+      for await (const delta of this.providerRegistry.streamChat(params)) {
+        content += delta;
+        res.write(`data: ${JSON.stringify({ delta })}\n\n`);
+      }
+      res.end(`event: done\ndata: ${JSON.stringify(answer(content))}\n\n`);
+    } catch (error) {
+      if (res.destroyed) {
+        return;
+      }
+      console.error('Chat API error:', error);
+
+      if (streaming) {
+        res.end(`event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`);
+      } else {
+        // Anything that is not a rejected request failed upstream at the provider
+        const status = error instanceof HttpError ? error.status : ERROR_STATUS[error.name] || upstreamStatus(error);
+        sendJson(res, status, { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Check the request's bearer token against the configured API keys
+   * @param {http.IncomingMessage} req - Request
+   * @returns {string|null} Client id naming the key by its digest (api-key:<first 12 hex digits>), or null if the token is not valid
+   */
+  authorize(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) {
+      return null;
+    }
+
+    const candidate = digest(match[1].trim());
+    const valid = this.keyDigests.some(key => timingSafeEqual(key, candidate));
+    return valid ? `api-key:${candidate.toString('hex').slice(0, 12)}` : null;
+  }
+
+  /**
+   * Read and parse the JSON request body
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<Object>} Parsed body
+   * @throws {HttpError} If the body is too large or not a JSON object
+   */
+  async readBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        throw new HttpError(413, 'Request body too large');
+      }
+      chunks.push(chunk);
+    }
+
+    try {
+      const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      if (body && typeof body === 'object' && !Array.isArray(body)) {
+        return body;
+      }
+    } catch {
+      // Reported below
+    }
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+
+  /**
+   * Convert the request body into provider chat parameters
+   * @param {Object} body - Parsed request body
+   * @returns {{model: string, messages: Array, temperature: number|undefined, maxTokens: number|undefined, stream: boolean}} Chat parameters
+   * @throws {HttpError} If the model is not usable or the conversation is missing or invalid
+   */
+  parseParams(body) {
+    if (typeof body.model !== 'string' || body.model.trim().length === 0) {
+      throw new HttpError(400, 'model is required');
+    }
+
+    const messages = body.messages ?? (typeof body.prompt === 'string'
+      ? [{ role: 'user', content: body.prompt }]
+      : undefined);
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new HttpError(400, 'Either messages or prompt is required');
+    }
+
+    const model = body.model.trim();
+    try {
+      this.providerRegistry.resolveAvailable(model, 'chat');
+      validateMessages(messages);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+
+    return {
+      model,
+      messages,
+      temperature: body.temperature,
+      maxTokens: body.max_tokens,
+      stream: body.stream === true,
+    };
+  }
+}
+
+/**
+ * SHA-256 digest of an API key
+ * @param {string} key - API key
+ * @returns {Buffer} Digest
+ */
+function digest(key) {
+  return createHash('sha256').update(key).digest();
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Token usage of a request's provider calls, in the response's field format
+ * @param {Array<Object>} usage - Usage reported for each call (see ProviderRegistry.callParams)
+ * @returns {{prompt_tokens: number, completion_tokens: number, total_tokens: number, cost: number|null}} Usage field
+ */
+function toUsageField(usage) {
+  const totals = sumUsage(usage);
+  return {
+    prompt_tokens: totals.promptTokens,
+    completion_tokens: totals.completionTokens,
+    total_tokens: totals.totalTokens,
+    cost: totals.unpriced === totals.calls ? null : totals.cost,
+  };
+}
+
+/**
+ * HTTP status for a provider error. Only invalid requests (e.g. a prompt that is too long)
+ * keep the provider's status, since the client can fix them; the server's own credentials,
+ * quota and the provider's failures are no fault of the client.
+ * @param {Error} error - Provider error
+ * @returns {number} 400, 413 or 422 for invalid requests, 503 for rate limits, otherwise 502
+ */
+function upstreamStatus(error) {
+  if (isInvalidRequestError(error)) {
+    return getErrorStatus(error);
+  }
+  return getErrorStatus(error) === 429 ? 503 : 502;
+}
@@ -0,0 +1,163 @@
+/**
+ * Anthropic provider module - handles all Anthropic Messages API interactions
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { validateMessages } from '../utils/validation.js';
+import { ModelCapabilities } from '../utils/model-capabilities.js';
+
+export class AnthropicProvider {
+  /**
+   * @param {string} apiKey - Anthropic API key
+   * @param {Object} [options] - Registry options ({ id, displayName, models, modelPatterns, modelCapabilities })
+   */
+  constructor(apiKey, options = {}) {
+    this.id = options.id || 'anthropic';
+    this.displayName = options.displayName || 'Anthropic';
+    this.configHint = options.apiKeyEnv || 'ANTHROPIC_API_KEY';
+    this.capabilities = ['chat', 'stream', 'list-models'];
+    this.models = options.models || [];
+    this.modelPatterns = options.modelPatterns || [/^claude-/];
+    this.modelCapabilities = options.modelCapabilities || new ModelCapabilities();
+    // Retries are left to the registry's shared retry policy
+    this.client = apiKey ? new Anthropic({ apiKey, maxRetries: 0 }) : null;
+  }
+
+  /**
+   * Convert OpenAI-style messages to the Messages API format.
+   * System messages move to the separate system field, and consecutive
+   * messages of the same role are merged to keep strict user/assistant alternation.
+   * @param {Array} messages - Array of message objects
+   * @returns {{system: string|undefined, messages: Array}} Converted request parts
+   */
+  convertMessages(messages) {
+    const systemParts = [];
+    const converted = [];
+
+    for (const msg of messages) {
+      if (msg.role === 'system') {
+        systemParts.push(msg.content);
+        continue;
+      }
+
+      const role = msg.role === 'assistant' || msg.role === 'model' ? 'assistant' : 'user';
+      const previous = converted[converted.length - 1];
+
+      if (previous && previous.role === role) {
+        previous.content = `${previous.content}\n\n${msg.content}`;
+      } else {
+        converted.push({ role, content: msg.content });
+      }
+    }
+
+    // The Messages API requires the conversation to start with a user turn
+    if (converted.length > 0 && converted[0].role === 'assistant') {
+      converted.unshift({ role: 'user', content: '(conversation start)' });
+    }
+
+    return {
+      system: systemParts.length > 0 ? systemParts.join('\n\n') : undefined,
+      messages: converted,
+    };
+  }
+
+  /**
+   * Chat with Anthropic Claude models
+   * @param {Object} params - Chat parameters; params.onUsage receives the tokens used
+   * @returns {Promise<string>} Generated response
+   */
+  async chatCompletion(params) {
+    const request = this.buildRequest(params);
+    const response = await this.client.messages.create(request, { signal: params.signal });
+
+    if (response.usage) {
+      params.onUsage?.({ promptTokens: response.usage.input_tokens, completionTokens: response.usage.output_tokens });
+    }
+
+    return response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+
+  /**
+   * Chat with Anthropic Claude models, yielding the response as it is generated
+   * @param {Object} params - Chat parameters; params.onUsage receives the tokens used once the stream ends
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  async *streamChatCompletion(params) {
+    const request = this.buildRequest(params);
+    const stream = await this.client.messages.create({ ...request, stream: true }, { signal: params.signal });
+    // Input tokens come with message_start, the final output count with message_delta
+    let usage = null;
+
+    for await (const event of stream) {
+      if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        yield event.delta.text;
+      } else if (event.type === 'message_start' && event.message.usage) {
+        usage = { promptTokens: event.message.usage.input_tokens, completionTokens: event.message.usage.output_tokens };
+      } else if (event.type === 'message_delta' && event.usage && usage) {
+        usage.completionTokens = event.usage.output_tokens;
+      }
+    }
+
+    if (usage) {
+      params.onUsage?.(usage);
+    }
+  }
+
+  /**
+   * Build the Messages API request for a chat call
+   * @param {Object} params - Chat parameters
+   * @returns {Object} Request parameters
+   * @throws {Error} If no API key is configured or there is nothing to send
+   */
+  buildRequest(params) {
+    if (!this.isAvailable()) {
+      throw new Error('Anthropic integration not available. Please configure ANTHROPIC_API_KEY.');
+    }
+
+    const { model, messages, temperature, maxTokens } = params;
+
+    console.error(`Calling Anthropic ${model}...`);
+
+    const { system, messages: convertedMessages } = this.convertMessages(validateMessages(messages));
+
+    if (convertedMessages.length === 0) {
+      throw new Error('At least one user or assistant message is required');
+    }
+
+    // Anthropic accepts temperatures between 0 and 1; output limits differ per model
+    const validatedTemperature = this.modelCapabilities.adaptTemperature(model, temperature, { min: 0, max: 1 }, 1.0);
+    const validatedMaxTokens = this.modelCapabilities.adaptMaxTokens(model, maxTokens, 8192, 2500);
+
+    return {
+      model,
+      messages: convertedMessages,
+      ...(system && { system }),
+      temperature: validatedTemperature,
+      max_tokens: validatedMaxTokens,
+    };
+  }
+
+  /**
+   * List available Claude models
+   * @returns {Promise<Array<string>>} Array of model names
+   */
+  async listModels() {
+    const models = [];
+    // The SDK pages through results when iterated
+    for await (const model of this.client.models.list()) {
+      models.push(model.id);
+    }
+    return models;
+  }
+
+  /**
+   * Check if provider is available
+   * @returns {boolean} True if API key is configured
+   */
+  isAvailable() {
+    return !!this.client;
+  }
+}
@@ -3,107 +3,246 @@
  */
 
 import { GoogleGenAI } from '@google/genai';
-import { validateMessages, validateAndClampNumber } from '../utils/validation.js';
+import { validateMessages } from '../utils/validation.js';
+import { ModelCapabilities } from '../utils/model-capabilities.js';
+import { raceCancellation, throwIfCancelled } from '../utils/cancellation.js';
+
+/**
+ * Gemini API endpoint for listing models; the SDK in use has no list method
+ */
+const MODELS_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+/**
+ * How long the model list may take before the catalogue is used instead
+ */
+const MODEL_LIST_TIMEOUT_MS = 10000;
 
 export class GeminiProvider {
-  constructor(apiKey) {
+  /**
+   * @param {string} apiKey - Google AI API key
+   * @param {Object} [options] - Registry options ({ id, displayName, models, modelPatterns, modelCapabilities })
+   * @param {number} [options.modelListTtlMs] - How long a fetched model list is reused (default: 1 hour)
+   */
+  constructor(apiKey, options = {}) {
+    this.id = options.id || 'gemini';
+    this.displayName = options.displayName || 'Gemini';
+    this.configHint = options.apiKeyEnv || 'GOOGLE_API_KEY';
+    this.capabilities = ['chat', 'stream', 'list-models'];
+    this.models = options.models || [];
+    this.modelPatterns = options.modelPatterns || [/^gemini-/];
+    this.modelCapabilities = options.modelCapabilities || new ModelCapabilities();
+    this.modelListTtlMs = options.modelListTtlMs ?? 3600000;
+    this.apiKey = apiKey;
     this.client = apiKey ? new GoogleGenAI({ apiKey }) : null;
-    this.availableModels = [
-      'gemini-2.5-pro',
-      'gemini-2.0-flash-thinking-exp-1219',
-      'gemini-2.0-flash-exp',
-      'gemini-2.0-flash-001',
-      'gemini-1.5-pro-002',
-      'gemini-1.5-flash-002',
-      'gemini-1.5-flash-8b-001'
-    ];
+    // Last fetched model list ({ models, fetchedAt }) and the limits the API reported per model
+    this.modelList = null;
+    this.discoveredModels = new Map();
+    // Why the last model list came from the catalogue instead of the API, null if it did not
+    this.modelListError = null;
   }
 
   /**
-   * Convert OpenAI-style messages to Gemini format
+   * Convert OpenAI-style messages to Gemini format.
+   * Assistant turns become model turns, and system messages move to the
+   * separate system instruction.
    * @param {Array} messages - Array of message objects
-   * @returns {Array} Converted messages
+   * @returns {{systemInstruction: string|undefined, contents: Array}} Converted request parts
    */
   convertMessages(messages) {
-    return messages.map(msg => {
+    const systemParts = [];
+    const contents = [];
+
+    for (const msg of messages) {
       if (msg.role === 'system') {
-        return { role: 'system', content: msg.content };
-      } else if (msg.role === 'user') {
-        return { role: 'user', content: msg.content };
-      } else if (msg.role === 'assistant') {
-        return { role: 'model', content: msg.content };
+        systemParts.push(msg.content);
+        continue;
       }
-      return { ...msg };
-    });
+
+      const role = msg.role === 'assistant' || msg.role === 'model' ? 'model' : 'user';
+      contents.push({ role, parts: [{ text: msg.content }] });
+    }
+
+    return {
+      systemInstruction: systemParts.length > 0 ? systemParts.join('\n\n') : undefined,
+      contents,
+    };
   }
 
   /**
    * Chat with Google Gemini models
-   * @param {Object} params - Chat parameters
+   * @param {Object} params - Chat parameters; params.onUsage receives the tokens used
    * @returns {Promise<string>} Generated response
    */
   async chatCompletion(params) {
+    const request = this.buildRequest(params);
+    // The SDK cannot abort requests, so a cancelled call is abandoned rather than stopped
+    const result = await raceCancellation(this.client.models.generateContent(request), params.signal);
+    this.reportUsage(params, result.usageMetadata);
+    return result.text;
+  }
+
+  /**
+   * Chat with Google Gemini models, yielding the response as it is generated
+   * @param {Object} params - Chat parameters; params.onUsage receives the tokens used once the stream ends
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  async *streamChatCompletion(params) {
+    const request = this.buildRequest(params);
+    const stream = await raceCancellation(this.client.models.generateContentStream(request), params.signal);
+    // Every chunk carries the running totals; the last one counts
+    let usageMetadata;
+
+    for await (const chunk of stream) {
+      throwIfCancelled(params.signal);
+      usageMetadata = chunk.usageMetadata ?? usageMetadata;
+      const delta = chunk.text;
+      if (delta) {
+        yield delta;
+      }
+    }
+
+    this.reportUsage(params, usageMetadata);
+  }
+
+  /**
+   * Pass the tokens used by a call to params.onUsage.
+   * Thinking tokens are billed as output, so they count as completion tokens.
+   * @param {Object} params - Chat parameters
+   * @param {Object} [usageMetadata] - Usage reported by the API ({ promptTokenCount, candidatesTokenCount, thoughtsTokenCount })
+   */
+  reportUsage(params, usageMetadata) {
+    if (usageMetadata) {
+      params.onUsage?.({
+        promptTokens: usageMetadata.promptTokenCount ?? 0,
+        completionTokens: (usageMetadata.candidatesTokenCount ?? 0) + (usageMetadata.thoughtsTokenCount ?? 0),
+      });
+    }
+  }
+
+  /**
+   * Build the generateContent request for a chat call
+   * @param {Object} params - Chat parameters
+   * @returns {Object} Request parameters
+   * @throws {Error} If no API key is configured
+   */
+  buildRequest(params) {
     if (!this.isAvailable()) {
       throw new Error('Gemini integration not available. Please configure GOOGLE_API_KEY.');
     }
 
-    const { model, messages, temperature, maxOutputTokens } = params;
+    // maxTokens is accepted as an alias so callers can treat all providers alike
+    const { model, messages, temperature, maxOutputTokens = params.maxTokens } = params;
     
     console.error(`Calling Google Gemini ${model}...`);
     
     // Validate messages and convert to Gemini format
     const validatedMessages = validateMessages(messages);
-    const convertedMessages = this.convertMessages(validatedMessages);
+    const { systemInstruction, contents } = this.convertMessages(validatedMessages);
     
-    // Validate parameters
-    const validatedTemperature = validateAndClampNumber(temperature, 0, 2, 1.0);
-    const validatedMaxTokens = validateAndClampNumber(maxOutputTokens, 1, 8192, 2500);
+    // Validate parameters against the model's limits
+    const validatedTemperature = this.modelCapabilities.adaptTemperature(model, temperature, { min: 0, max: 2 }, 1.0);
+    const validatedMaxTokens = this.modelCapabilities.adaptMaxTokens(model, maxOutputTokens, 8192, 2500);
     
-    const result = await this.client.models.generateContent({
+    return {
       model,
-      contents: convertedMessages,
+      contents,
       config: {
+        ...(systemInstruction && { systemInstruction }),
         temperature: validatedTemperature,
         maxOutputTokens: validatedMaxTokens,
       }
-    });
-    
-    return result.text;
+    };
   }
 
   /**
-   * Generate content for single prompt (used in wall bounce)
-   * @param {Object} params - Generation parameters
-   * @returns {Promise<string>} Generated response
+   * List the Gemini models that support content generation, fetched from the API and
+   * cached for modelListTtlMs. When the API cannot be reached, the catalogue's models that
+   * are still served are listed instead and modelListError says why.
+   * @returns {Promise<Array<string>>} Array of model names
    */
-  async generateContent(params) {
+  async listModels() {
     if (!this.isAvailable()) {
-      throw new Error('Gemini integration not available. Please configure GOOGLE_API_KEY.');
+      return this.modelCapabilities.list('gemini');
     }
 
-    const { model, prompt, temperature, maxOutputTokens } = params;
-    
-    const validatedTemperature = validateAndClampNumber(temperature, 0, 2, 0.8);
-    const validatedMaxTokens = validateAndClampNumber(maxOutputTokens, 1, 8192, 1500);
-    
-    const result = await this.client.models.generateContent({
-      model,
-      contents: [{ role: 'user', content: prompt }],
-      config: {
-        temperature: validatedTemperature,
-        maxOutputTokens: validatedMaxTokens,
+    if (this.modelList && Date.now() - this.modelList.fetchedAt < this.modelListTtlMs) {
+      return [...this.modelList.models];
+    }
+
+    try {
+      const models = await this.fetchModels();
+      this.modelList = { models, fetchedAt: Date.now() };
+      this.modelListError = null;
+      return [...models];
+    } catch (error) {
+      console.error('Failed to fetch Gemini models, listing the model catalogue instead:', error.message);
+      this.modelListError = error;
+      return this.modelCapabilities.list('gemini');
+    }
+  }
+
+  /**
+   * Fetch every page of the API's model list, keeping the models this provider serves
+   * that support generateContent, and remember the limits reported for them
+   * @returns {Promise<Array<string>>} Model names without the "models/" prefix
+   * @throws {Error} If the request fails or times out
+   */
+  async fetchModels() {
+    const models = [];
+    let pageToken;
+
+    do {
+      const url = new URL(MODELS_URL);
+      url.searchParams.set('pageSize', '1000');
+      if (pageToken) {
+        url.searchParams.set('pageToken', pageToken);
       }
-    });
-    
-    return result.text;
+
+      const response = await fetch(url, {
+        headers: { 'x-goog-api-key': this.apiKey },
+        signal: AbortSignal.timeout(MODEL_LIST_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw Object.assign(new Error(`${response.status} status code`), { status: response.status });
+      }
+
+      const page = await response.json();
+      for (const model of page.models || []) {
+        const name = model.name.replace(/^models\//, '');
+        // Embedding, image and other models cannot answer chats
+        if (!model.supportedGenerationMethods?.includes('generateContent') || !this.serves(name)) {
+          continue;
+        }
+
+        models.push(name);
+        this.discoveredModels.set(name, {
+          contextWindow: model.inputTokenLimit,
+          maxOutputTokens: model.outputTokenLimit,
+          reasoning: model.thinking === true,
+        });
+      }
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+
+    return models;
+  }
+
+  /**
+   * Limits the API reported for a model when the models were last fetched
+   * @param {string} model - Model name
+   * @returns {{contextWindow: number, maxOutputTokens: number, reasoning: boolean}|null} Limits, or null if not fetched
+   */
+  getDiscoveredModel(model) {
+    return this.discoveredModels.get(model) || null;
   }
 
   /**
-   * List available Gemini models
-   * @returns {Array<string>} Array of model names
+   * Check whether the registry routes a model to this provider
+   * @param {string} model - Model name
+   * @returns {boolean} True if the model is listed or matches a model pattern
    */
-  listModels() {
-    return [...this.availableModels];
+  serves(model) {
+    return this.models.includes(model) || this.modelPatterns.some(pattern => pattern.test(model));
   }
 
   /**
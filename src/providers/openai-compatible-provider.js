@@ -0,0 +1,76 @@
+/**
+ * OpenAI-compatible provider module - talks to self-hosted endpoints
+ * (Ollama, llama.cpp server, vLLM, ...) that implement the OpenAI chat API
+ */
+
+import { OpenAIProvider } from './openai-provider.js';
+import { validateMessages, validateAndClampNumber } from '../utils/validation.js';
+
+export class OpenAICompatibleProvider extends OpenAIProvider {
+  /**
+   * @param {Object} options - Endpoint options ({ baseURL, apiKey, models, id, displayName, modelPatterns, streamUsage })
+   */
+  constructor(options = {}) {
+    super(options.apiKey || 'not-needed', {
+      id: options.id || 'local',
+      displayName: options.displayName || 'Local',
+      apiKeyEnv: options.apiKeyEnv || 'LOCAL_LLM_BASE_URL',
+      baseURL: options.baseURL,
+      models: options.models || [],
+      modelPatterns: options.modelPatterns || [],
+      streamUsage: options.streamUsage,
+    });
+    this.baseURL = options.baseURL || null;
+  }
+
+  /**
+   * Build the Chat Completions request for a model on the compatible endpoint.
+   * The model catalogue's OpenAI rules (e.g. GPT-5's fixed temperature) do not apply here,
+   * since local models may share their names.
+   * @param {Object} params - Chat parameters
+   * @returns {Object} Request parameters
+   * @throws {Error} If no endpoint is configured
+   */
+  buildRequest(params) {
+    if (!this.isAvailable()) {
+      throw new Error(`${this.displayName} integration not available. Please configure ${this.configHint}.`);
+    }
+
+    const { model, messages, temperature, maxTokens } = params;
+
+    console.error(`Calling ${this.displayName} ${model}...`);
+
+    const validatedMessages = validateMessages(messages);
+    const validatedTemperature = validateAndClampNumber(temperature, 0, 2, 1.0);
+    const validatedMaxTokens = validateAndClampNumber(maxTokens, 1, 4000, 2500);
+
+    return {
+      model,
+      messages: validatedMessages,
+      temperature: validatedTemperature,
+      max_tokens: validatedMaxTokens,
+    };
+  }
+
+  /**
+   * List models served by the endpoint.
+   * The configured model list is authoritative; without one the endpoint is queried.
+   * @returns {Promise<Array<string>>} Array of model names
+   */
+  async listModels() {
+    if (this.models.length > 0) {
+      return [...this.models];
+    }
+
+    const models = await this.client.models.list();
+    return models.data.map(m => m.id);
+  }
+
+  /**
+   * Check if provider is available
+   * @returns {boolean} True if a base URL is configured
+   */
+  isAvailable() {
+    return !!this.baseURL;
+  }
+}
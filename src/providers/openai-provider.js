@@ -3,52 +3,104 @@
  */
 
 import OpenAI from 'openai';
-import { validateMessages, validateAndClampNumber } from '../utils/validation.js';
+import { validateMessages } from '../utils/validation.js';
+import { ModelCapabilities } from '../utils/model-capabilities.js';
 
 export class OpenAIProvider {
-  constructor(apiKey) {
+  /**
+   * @param {string} apiKey - OpenAI API key
+   * @param {Object} [options] - Registry options ({ id, displayName, baseURL, models, modelPatterns, modelCapabilities })
+   * @param {boolean} [options.streamUsage] - Ask for token usage at the end of a stream (default: true);
+   *   some OpenAI-compatible servers reject the stream_options field
+   */
+  constructor(apiKey, options = {}) {
+    this.id = options.id || 'openai';
+    this.displayName = options.displayName || 'OpenAI';
+    this.configHint = options.apiKeyEnv || 'OPENAI_API_KEY';
+    this.capabilities = ['chat', 'stream', 'list-models'];
+    this.models = options.models || [];
+    this.modelPatterns = options.modelPatterns || [/^gpt-/, /^chatgpt-/, /^o\d/];
+    this.modelCapabilities = options.modelCapabilities || new ModelCapabilities();
+    this.streamUsage = options.streamUsage ?? true;
+    // Retries are left to the registry's shared retry policy
     this.client = new OpenAI({
       apiKey: apiKey || '',
+      maxRetries: 0,
+      ...(options.baseURL && { baseURL: options.baseURL }),
     });
   }
 
   /**
    * Chat with OpenAI GPT models
-   * @param {Object} params - Chat parameters
+   * @param {Object} params - Chat parameters; params.onUsage receives the tokens used
    * @returns {Promise<string>} Generated response
    */
   async chatCompletion(params) {
+    const request = this.buildRequest(params);
+    const completion = await this.client.chat.completions.create(request, { signal: params.signal });
+    this.reportUsage(params, completion.usage);
+    return completion.choices[0].message.content;
+  }
+
+  /**
+   * Chat with OpenAI GPT models, yielding the response as it is generated
+   * @param {Object} params - Chat parameters; params.onUsage receives the tokens used once the stream ends,
+   *   unless streamUsage is off
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  async *streamChatCompletion(params) {
+    const request = this.buildRequest(params);
+    const stream = await this.client.chat.completions.create(
+      { ...request, stream: true, ...(this.streamUsage && { stream_options: { include_usage: true } }) },
+      { signal: params.signal }
+    );
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        yield delta;
+      }
+      // Usage arrives in a final chunk without choices
+      this.reportUsage(params, chunk.usage);
+    }
+  }
+
+  /**
+   * Pass the tokens used by a call to params.onUsage
+   * @param {Object} params - Chat parameters
+   * @param {Object} [usage] - Usage reported by the API ({ prompt_tokens, completion_tokens })
+   */
+  reportUsage(params, usage) {
+    if (usage) {
+      params.onUsage?.({ promptTokens: usage.prompt_tokens ?? 0, completionTokens: usage.completion_tokens ?? 0 });
+    }
+  }
+
+  /**
+   * Build the Chat Completions request for a call
+   * @param {Object} params - Chat parameters
+   * @returns {Object} Request parameters
+   */
+  buildRequest(params) {
     const { model, messages, temperature, maxTokens } = params;
     
-    console.error(`Calling OpenAI ${model}...`);
+    console.error(`Calling ${this.displayName} ${model}...`);
     
     // Validate messages
     const validatedMessages = validateMessages(messages);
     
-    // Validate temperature and tokens
-    let validatedTemperature = validateAndClampNumber(temperature, 0, 2, 1.0);
-    const validatedMaxTokens = validateAndClampNumber(maxTokens, 1, 4000, 2500);
+    // Temperature and tokens follow the model catalogue, e.g. reasoning models only accept
+    // temperature 1 and take max_completion_tokens
+    const validatedTemperature = this.modelCapabilities.adaptTemperature(model, temperature, { min: 0, max: 2 }, 1.0);
+    const validatedMaxTokens = this.modelCapabilities.adaptMaxTokens(model, maxTokens, 4000, 2500);
+    const maxTokensParam = this.modelCapabilities.get(model)?.maxTokensParam ?? 'max_tokens';
     
-    // GPT-5 series specific handling
-    const requestParams = {
+    return {
       model,
       messages: validatedMessages,
       temperature: validatedTemperature,
+      [maxTokensParam]: validatedMaxTokens,
     };
-    
-    if (model.includes('gpt-5')) {
-      if (validatedTemperature !== 1) {
-        console.error(`Note: ${model} only supports temperature=1, adjusting...`);
-        validatedTemperature = 1;
-        requestParams.temperature = 1;
-      }
-      requestParams.max_completion_tokens = validatedMaxTokens;
-    } else {
-      requestParams.max_tokens = validatedMaxTokens;
-    }
-    
-    const completion = await this.client.chat.completions.create(requestParams);
-    return completion.choices[0].message.content;
   }
 
   /**
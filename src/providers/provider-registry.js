@@ -0,0 +1,589 @@
+/**
+ * Provider registry module - maps model names to the AI provider that serves them
+ */
+
+import { OpenAIProvider } from './openai-provider.js';
+import { GeminiProvider } from './gemini-provider.js';
+import { OpenAICompatibleProvider } from './openai-compatible-provider.js';
+import { AnthropicProvider } from './anthropic-provider.js';
+import { loadJsonConfig, parseList, parseNumber, validateTimeouts } from '../utils/config.js';
+import { RetryPolicy, createRetryPolicy, describeError, isInvalidRequestError } from '../utils/retry.js';
+import { CircuitBreaker, readCircuitBreakerOptions } from '../utils/circuit-breaker.js';
+import { Deadline } from '../utils/cancellation.js';
+import { PriceTable, createPriceTable } from '../utils/usage.js';
+import { ModelCapabilities, createModelCapabilities } from '../utils/model-capabilities.js';
+
+/**
+ * Circuit states from best to worst, for summing up a provider's models
+ */
+const CIRCUIT_STATES = ['closed', 'half-open', 'open'];
+
+/**
+ * Factories for provider types that can be declared in PROVIDERS_CONFIG
+ */
+export const providerFactories = {
+  openai: (options) => new OpenAIProvider(options.apiKey, options),
+  gemini: (options) => new GeminiProvider(options.apiKey, options),
+  'openai-compatible': (options) => new OpenAICompatibleProvider(options),
+  anthropic: (options) => new AnthropicProvider(options.apiKey, options),
+};
+
+export class ProviderRegistry {
+  /**
+   * @param {Object} [options] - Registry options
+   * @param {RetryPolicy} [options.retryPolicy] - Retry policy shared by all provider calls
+   * @param {Object} [options.circuitBreaker] - Options for the circuit breaker of each provider model (see CircuitBreaker)
+   * @param {number} [options.timeoutMs] - Time a model may take to answer, including retries (0 for no limit)
+   * @param {PriceTable} [options.priceTable] - Prices for estimating the cost of provider calls
+   * @param {ModelCapabilities} [options.modelCapabilities] - Model catalogue (context windows, limits, deprecations)
+   */
+  constructor({
+    retryPolicy = new RetryPolicy(),
+    circuitBreaker = {},
+    timeoutMs = 0,
+    priceTable = new PriceTable(),
+    modelCapabilities = new ModelCapabilities()
+  } = {}) {
+    this.providers = new Map();
+    this.retryPolicy = retryPolicy;
+    this.priceTable = priceTable;
+    this.modelCapabilities = modelCapabilities;
+    this.timeoutMs = timeoutMs;
+    this.modelTimeouts = {};
+    this.circuitBreakerOptions = circuitBreaker;
+    // Circuit breakers keyed by provider id, then by model
+    this.circuitBreakers = new Map();
+    this.fallbacks = {};
+    // Deprecated models already warned about
+    this.deprecationWarnings = new Set();
+  }
+
+  /**
+   * Register a provider under its declared id
+   * @param {Object} provider - Provider instance exposing id, capabilities and modelPatterns
+   * @returns {ProviderRegistry} The registry, for chaining
+   */
+  register(provider) {
+    if (!provider || typeof provider.id !== 'string' || provider.id.length === 0) {
+      throw new Error('Provider must declare a non-empty string id');
+    }
+
+    if (this.providers.has(provider.id)) {
+      throw new Error(`Provider already registered: ${provider.id}`);
+    }
+
+    this.providers.set(provider.id, provider);
+    return this;
+  }
+
+  /**
+   * Set the fallback chains: models to try, in order, when a model fails
+   * @param {Object<string, Array<string>>} fallbacks - Fallback models keyed by model name
+   * @returns {ProviderRegistry} The registry, for chaining
+   * @throws {Error} If a chain is malformed or names a model no provider serves
+   */
+  setFallbacks(fallbacks) {
+    if (!fallbacks || typeof fallbacks !== 'object' || Array.isArray(fallbacks)) {
+      throw new Error('Fallback chains must be an object mapping model names to lists of fallback models');
+    }
+
+    for (const [model, chain] of Object.entries(fallbacks)) {
+      if (!Array.isArray(chain) || chain.some(fallback => typeof fallback !== 'string' || fallback.trim().length === 0)) {
+        throw new Error(`Invalid fallback chain for ${model}: expected a list of model names`);
+      }
+      chain.forEach(fallback => this.resolve(fallback, 'chat'));
+    }
+
+    this.fallbacks = fallbacks;
+    return this;
+  }
+
+  /**
+   * Set per-model timeouts, e.g. a longer one for reasoning models
+   * @param {Object<string, number>} timeouts - Timeouts in milliseconds keyed by model name
+   * @returns {ProviderRegistry} The registry, for chaining
+   * @throws {Error} If a timeout is not a positive number or names a model no provider serves
+   */
+  setModelTimeouts(timeouts) {
+    validateTimeouts(timeouts, 'model');
+    Object.keys(timeouts).forEach(model => this.resolve(model, 'chat'));
+
+    this.modelTimeouts = timeouts;
+    return this;
+  }
+
+  /**
+   * Time a model may take to answer a call: its own timeout, else the caller's
+   * (e.g. the tool's), else the registry default
+   * @param {string} model - Model name
+   * @param {number} [timeoutMs] - Timeout requested by the caller
+   * @returns {number} Timeout in milliseconds (0 for no limit)
+   */
+  getTimeout(model, timeoutMs) {
+    return this.modelTimeouts[model] ?? timeoutMs ?? this.timeoutMs;
+  }
+
+  /**
+   * Number of tokens a model accepts in one call, prompt and response together
+   * @param {string} model - Model name
+   * @returns {number} Context window in tokens
+   */
+  getContextWindow(model) {
+    return this.modelCapabilities.getContextWindow(model);
+  }
+
+  /**
+   * Models to try for a request: the model itself, then its configured fallbacks
+   * that are usable right now
+   * @param {string} model - Requested model
+   * @returns {Array<string>} Models in the order they are tried
+   */
+  getFallbackChain(model) {
+    const fallbacks = (this.fallbacks[model] || []).filter(fallback =>
+      fallback !== model && this.isModelAvailable(fallback)
+    );
+    return [model, ...fallbacks];
+  }
+
+  /**
+   * Get a provider by id
+   * @param {string} id - Provider id
+   * @returns {Object|undefined} Provider instance
+   */
+  get(id) {
+    return this.providers.get(id);
+  }
+
+  /**
+   * List all registered providers in registration order
+   * @returns {Array<Object>} Provider instances
+   */
+  list() {
+    return [...this.providers.values()];
+  }
+
+  /**
+   * Resolve the provider that serves a model.
+   * Explicit model lists win over patterns; otherwise the first registered match wins.
+   * @param {string} model - Model name
+   * @param {string} [capability] - Capability the provider must declare
+   * @returns {Object} Provider instance
+   * @throws {Error} If no registered provider serves the model
+   */
+  resolve(model, capability) {
+    if (!model || typeof model !== 'string') {
+      throw new Error('Model must be a non-empty string');
+    }
+
+    const candidates = this.list().filter(provider =>
+      !capability || provider.capabilities.includes(capability)
+    );
+
+    const provider =
+      candidates.find(p => (p.models || []).includes(model)) ||
+      candidates.find(p => p.modelPatterns.some(pattern => pattern.test(model)));
+
+    if (!provider) {
+      throw new Error(`No provider registered for model: ${model}`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Resolve a model's provider and ensure it is configured
+   * @param {string} model - Model name
+   * @param {string} [capability] - Capability the provider must declare
+   * @returns {Object} Provider instance
+   * @throws {Error} If the provider is missing or not configured
+   */
+  resolveAvailable(model, capability) {
+    const provider = this.resolve(model, capability);
+
+    if (!provider.isAvailable()) {
+      throw new Error(`${provider.displayName} provider is not available. Please configure ${provider.configHint}.`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Get a chat completion, retrying transient errors and falling back along
+   * the model's fallback chain when it keeps failing.
+   * Every switch to a fallback is logged and reported to params.onFailover as { model, fallback, reason }.
+   * Each model in the chain gets its own timeout (see getTimeout).
+   * The tokens used by every call are reported to params.onUsage (see callParams).
+   * @param {Object} params - Chat parameters ({ model, messages, temperature, maxTokens, signal, timeoutMs, onRetry, onFailover, onUsage })
+   * @returns {Promise<string>} Generated response
+   * @throws {Error} If no registered provider serves the model, or the last model's error
+   */
+  async chat(params) {
+    const chain = this.getFallbackChain(params.model);
+
+    for (let index = 0; ; index++) {
+      try {
+        return await this.chatModel(withModel(params, chain[index]));
+      } catch (error) {
+        this.failOver(error, chain, index, params);
+      }
+    }
+  }
+
+  /**
+   * Stream a chat completion, falling back along the model's fallback chain
+   * when a model fails before its first delta (see chat)
+   * @param {Object} params - Chat parameters ({ model, messages, temperature, maxTokens, signal, timeoutMs, onRetry, onFailover, onUsage })
+   * @returns {AsyncGenerator<string>} Text deltas
+   * @throws {Error} If no registered provider serves the model, or the last model's error
+   */
+  async *streamChat(params) {
+    const chain = this.getFallbackChain(params.model);
+
+    for (let index = 0; ; index++) {
+      let started = false;
+      try {
+        for await (const delta of this.streamModel(withModel(params, chain[index]))) {
+          started = true;
+          yield delta;
+        }
+        return;
+      } catch (error) {
+        if (started) {
+          throw error;
+        }
+        this.failOver(error, chain, index, params);
+      }
+    }
+  }
+
+  /**
+   * Get a chat completion from the provider serving the model, retrying transient errors.
+   * Every attempt goes through the model's circuit breaker; the model's timeout covers all attempts.
+   * @param {Object} params - Chat parameters
+   * @returns {Promise<string>} Generated response
+   * @throws {CircuitOpenError} If the model's circuit is open
+   * @throws {TimeoutError} If the model does not answer within its timeout
+   * @throws {Error} If no registered provider serves the model, or the last provider error
+   */
+  async chatModel(params) {
+    const provider = this.resolve(params.model, 'chat');
+    this.warnIfDeprecated(params.model);
+    const breaker = this.getCircuitBreaker(provider, params.model);
+    const deadline = this.createDeadline(provider, params);
+    const call = this.callParams(provider, params, deadline.signal);
+
+    try {
+      return await this.retryPolicy.run(
+        () => breaker.run(() => deadline.guard(provider.chatCompletion(call))),
+        this.retryOptions(provider, call)
+      );
+    } catch (error) {
+      throw deadline.wrap(error);
+    } finally {
+      deadline.clear();
+    }
+  }
+
+  /**
+   * Stream a chat completion from the provider serving the model.
+   * Providers without streaming support yield their whole response as a single chunk.
+   * A stream that fails before its first delta is retried; once text has been
+   * passed on, a failure ends the stream. The model's timeout covers the whole stream.
+   * @param {Object} params - Chat parameters
+   * @returns {AsyncGenerator<string>} Text deltas
+   * @throws {CircuitOpenError} If the model's circuit is open
+   * @throws {TimeoutError} If the stream does not end within the model's timeout
+   * @throws {Error} If no registered provider serves the model, or the last provider error
+   */
+  async *streamModel(params) {
+    const provider = this.resolve(params.model, 'chat');
+
+    if (!provider.capabilities.includes('stream')) {
+      yield await this.chatModel(params);
+      return;
+    }
+    this.warnIfDeprecated(params.model);
+
+    const breaker = this.getCircuitBreaker(provider, params.model);
+    const deadline = this.createDeadline(provider, params);
+    const call = this.callParams(provider, params, deadline.signal);
+    const options = this.retryOptions(provider, call);
+
+    try {
+      for (let attempt = 1; ; attempt++) {
+        let started = false;
+        let settled = false;
+        breaker.acquire();
+        try {
+          for await (const delta of deadline.guardStream(provider.streamChatCompletion(call))) {
+            started = true;
+            yield delta;
+          }
+          settled = true;
+          breaker.recordSuccess();
+          return;
+        } catch (error) {
+          settled = true;
+          breaker.recordFailure(error);
+          if (started) {
+            throw error;
+          }
+          await this.retryPolicy.backoff(error, attempt, options);
+        } finally {
+          // The consumer stopped reading before the stream ended
+          if (!settled) {
+            breaker.release();
+          }
+        }
+      }
+    } catch (error) {
+      throw deadline.wrap(error);
+    } finally {
+      deadline.clear();
+    }
+  }
+
+  /**
+   * Log a warning the first time a deprecated model is called
+   * @param {string} model - Model name
+   */
+  warnIfDeprecated(model) {
+    const deprecation = this.modelCapabilities.describeDeprecation(model);
+    if (deprecation && !this.deprecationWarnings.has(model)) {
+      this.deprecationWarnings.add(model);
+      console.error(`Warning: ${model} is ${deprecation}`);
+    }
+  }
+
+  /**
+   * Deadline for a model call, following the caller's signal
+   * @param {Object} provider - Provider serving the model
+   * @param {Object} params - Chat parameters ({ model, signal, timeoutMs })
+   * @returns {Deadline} Deadline whose signal is passed to the provider
+   */
+  createDeadline(provider, { model, signal, timeoutMs }) {
+    return new Deadline(`${provider.displayName} ${model}`, this.getTimeout(model, timeoutMs), signal);
+  }
+
+  /**
+   * Parameters passed to the provider: the deadline's signal, and an onUsage that
+   * adds the model, provider and estimated cost ({ model, provider, promptTokens,
+   * completionTokens, cost }) before reporting to the caller's params.onUsage
+   * @param {Object} provider - Provider serving the model
+   * @param {Object} params - Chat parameters
+   * @param {AbortSignal} [signal] - Signal to pass to the provider
+   * @returns {Object} The same parameters if nothing changes, otherwise a copy
+   */
+  callParams(provider, params, signal) {
+    const { model, onUsage } = params;
+    const call = signal === params.signal ? params : { ...params, signal };
+    if (!onUsage) {
+      return call;
+    }
+
+    return {
+      ...call,
+      onUsage: (usage) => onUsage({
+        model,
+        provider: provider.id,
+        ...usage,
+        cost: this.priceTable.estimateCost(model, usage),
+      }),
+    };
+  }
+
+  /**
+   * Circuit breaker guarding a provider's model, created on first use
+   * @param {Object} provider - Provider serving the model
+   * @param {string} model - Model name
+   * @returns {CircuitBreaker} Circuit breaker
+   */
+  getCircuitBreaker(provider, model) {
+    if (!this.circuitBreakers.has(provider.id)) {
+      this.circuitBreakers.set(provider.id, new Map());
+    }
+
+    const breakers = this.circuitBreakers.get(provider.id);
+    if (!breakers.has(model)) {
+      breakers.set(model, new CircuitBreaker(`${provider.displayName} ${model}`, this.circuitBreakerOptions));
+    }
+    return breakers.get(model);
+  }
+
+  /**
+   * Move on to the next model of a fallback chain, or rethrow the error when
+   * there is none left or no other model could do better
+   * @param {Error} error - Error of the failed model
+   * @param {Array<string>} chain - Fallback chain being tried
+   * @param {number} index - Position of the failed model in the chain
+   * @param {Object} params - Chat parameters ({ signal, onFailover })
+   * @throws {Error} The given error if the request does not fail over
+   */
+  failOver(error, chain, index, { signal, onFailover }) {
+    const fallback = chain[index + 1];
+    if (!fallback || signal?.aborted || error.name === 'CancelledError' || isInvalidRequestError(error)) {
+      throw error;
+    }
+
+    const reason = describeError(error);
+    console.error(`${chain[index]} failed (${reason}), falling back to ${fallback}...`);
+    onFailover?.({ model: chain[index], fallback, reason });
+  }
+
+  /**
+   * Retry options for a provider call: every retry is logged and reported to params.onRetry
+   * as { model, provider, attempt, delayMs, reason }
+   * @param {Object} provider - Provider serving the call
+   * @param {Object} params - Chat parameters
+   * @returns {{signal: AbortSignal|undefined, onRetry: Function}} Options for the retry policy
+   */
+  retryOptions(provider, { model, signal, onRetry }) {
+    return {
+      signal,
+      onRetry: ({ attempt, delayMs, error }) => {
+        const reason = describeError(error);
+        console.error(`${provider.displayName} ${model} failed (${reason}), retrying in ${delayMs}ms (attempt ${attempt + 1} of ${this.retryPolicy.maxAttempts})...`);
+        onRetry?.({ model, provider: provider.id, attempt, delayMs, reason });
+      },
+    };
+  }
+
+  /**
+   * Check whether a model resolves to a configured provider
+   * @param {string} model - Model name
+   * @returns {boolean} True if the model can be used right now
+   */
+  isModelAvailable(model) {
+    try {
+      return this.resolve(model).isAvailable();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Resolve model1/model2, falling back to the default models of configured providers
+   * @param {{model1?: string, model2?: string}} [models] - Requested models
+   * @param {Object} [env] - Environment variables naming the defaults (OPENAI_MODEL, GEMINI_MODEL, CLAUDE_MODEL)
+   * @returns {{model1: string, model2: string}} Model pair
+   */
+  resolveDefaultPair({ model1, model2 } = {}, env = process.env) {
+    const openaiDefault = env.OPENAI_MODEL || 'gpt-4';
+    const geminiDefault = env.GEMINI_MODEL || 'gemini-2.0-flash-001';
+    const claudeDefault = env.CLAUDE_MODEL || 'claude-sonnet-4-5';
+    const pick = (candidates, fallback = candidates[0]) => candidates.find(model => this.isModelAvailable(model)) || fallback;
+
+    const first = model1 || pick([openaiDefault, geminiDefault, claudeDefault]);
+    // With a single configured provider the model bounces against itself
+    const second = model2 || pick([geminiDefault, claudeDefault, openaiDefault], first);
+
+    return { model1: first, model2: second };
+  }
+
+  /**
+   * Availability of every registered provider, keyed by id
+   * @returns {Object<string, boolean>} Provider availability map
+   */
+  getStatus() {
+    return Object.fromEntries(
+      this.list().map(provider => [provider.id, provider.isAvailable()])
+    );
+  }
+
+  /**
+   * Health of every registered provider, keyed by id: whether it is configured, the
+   * circuit state of each model called so far, and the worst of those states
+   * ('unknown' until a model has been called)
+   * @returns {Object<string, {configured: boolean, state: string, models: Object}>} Provider health map
+   */
+  getHealth() {
+    return Object.fromEntries(this.list().map(provider => {
+      const models = Object.fromEntries(
+        [...(this.circuitBreakers.get(provider.id) || new Map())]
+          .map(([model, breaker]) => [model, breaker.getStatus()])
+      );
+      const states = Object.values(models).map(status => CIRCUIT_STATES.indexOf(status.state));
+
+      return [provider.id, {
+        configured: provider.isAvailable(),
+        state: states.length > 0 ? CIRCUIT_STATES[Math.max(...states)] : 'unknown',
+        models,
+      }];
+    }));
+  }
+}
+
+/**
+ * Create a provider from a PROVIDERS_CONFIG entry
+ * @param {Object} entry - Provider config ({ type, id, apiKey, apiKeyEnv, models, modelPatterns, ... })
+ * @param {Object} env - Environment variables
+ * @param {ModelCapabilities} [modelCapabilities] - Model catalogue the provider adapts its requests to
+ * @returns {Object} Provider instance
+ */
+export function createProviderFromConfig(entry, env = process.env, modelCapabilities) {
+  const factory = providerFactories[entry.type];
+
+  if (!factory) {
+    throw new Error(`Unknown provider type: ${entry.type}`);
+  }
+
+  return factory({
+    ...entry,
+    apiKey: entry.apiKey || (entry.apiKeyEnv ? env[entry.apiKeyEnv] : undefined),
+    modelPatterns: entry.modelPatterns?.map(pattern => new RegExp(pattern)),
+    modelCapabilities,
+  });
+}
+
+/**
+ * Build the registry from environment variables.
+ * OpenAI, Gemini, Anthropic and the local endpoint (LOCAL_LLM_*) are always registered;
+ * PROVIDERS_CONFIG (JSON or path to a JSON file) may declare additional providers
+ * as { "providers": [ ... ] }. RETRY_* variables configure the shared retry policy, and
+ * MODEL_FALLBACKS (JSON or path to a JSON file) the fallback chains as { "model": ["fallback", ...] }.
+ * MODEL_PRICES extends the price table, and MODEL_CAPABILITIES the model catalogue.
+ * GEMINI_MODEL_LIST_TTL_MS sets how long the fetched Gemini model list is reused.
+ * @param {Object} env - Environment variables
+ * @returns {ProviderRegistry} Populated registry
+ */
+export function createProviderRegistry(env = process.env) {
+  const modelCapabilities = createModelCapabilities(env);
+  const registry = new ProviderRegistry({
+    retryPolicy: createRetryPolicy(env),
+    circuitBreaker: readCircuitBreakerOptions(env),
+    timeoutMs: parseNumber(env.REQUEST_TIMEOUT_MS, 0, 3600000, 300000),
+    priceTable: createPriceTable(env),
+    modelCapabilities,
+  })
+    .register(new OpenAIProvider(env.OPENAI_API_KEY, { modelCapabilities }))
+    .register(new GeminiProvider(env.GOOGLE_API_KEY, {
+      modelCapabilities,
+      modelListTtlMs: parseNumber(env.GEMINI_MODEL_LIST_TTL_MS, 0, 86400000, 3600000),
+    }))
+    .register(new AnthropicProvider(env.ANTHROPIC_API_KEY, { modelCapabilities }))
+    .register(new OpenAICompatibleProvider({
+      baseURL: env.LOCAL_LLM_BASE_URL,
+      apiKey: env.LOCAL_LLM_API_KEY,
+      models: parseList(env.LOCAL_LLM_MODELS),
+      streamUsage: env.LOCAL_LLM_STREAM_USAGE !== 'false',
+    }));
+
+  const config = loadJsonConfig(env.PROVIDERS_CONFIG, { providers: [] });
+  for (const entry of config.providers || []) {
+    registry.register(createProviderFromConfig(entry, env, modelCapabilities));
+  }
+
+  return registry
+    .setFallbacks(loadJsonConfig(env.MODEL_FALLBACKS, {}))
+    .setModelTimeouts(loadJsonConfig(env.MODEL_TIMEOUTS, {}));
+}
+
+/**
+ * Chat parameters for another model of a fallback chain
+ * @param {Object} params - Chat parameters of the request
+ * @param {string} model - Model to call
+ * @returns {Object} Chat parameters (the request's own object for the requested model)
+ */
+function withModel(params, model) {
+  return model === params.model ? params : { ...params, model };
+}
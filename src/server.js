@@ -13,11 +13,13 @@ import {
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 
-import { OpenAIProvider } from './providers/openai-provider.js';
-import { GeminiProvider } from './providers/gemini-provider.js';
-import { WallBounceService } from './services/wall-bounce.js';
+import { createProviderRegistry } from './providers/provider-registry.js';
+import { createWallBounceService } from './services/wall-bounce.js';
+import { createBudgetTracker } from './services/budget-tracker.js';
 import { ToolHandlers } from './tools/tool-handlers.js';
 import { toolDefinitions } from './tools/tool-definitions.js';
+import { ChatApi } from './http/chat-api.js';
+import { loadJsonConfig, parseList, validateTimeouts } from './utils/config.js';
 
 // Load environment variables
 dotenv.config();
@@ -37,16 +39,13 @@ class WallBounceApp {
    * Initialize AI providers
    */
   initializeProviders() {
-    this.openaiProvider = new OpenAIProvider(process.env.OPENAI_API_KEY);
-    this.geminiProvider = new GeminiProvider(process.env.GOOGLE_API_KEY);
+    this.providerRegistry = createProviderRegistry(process.env);
 
     // Log provider status
-    if (!this.geminiProvider.isAvailable()) {
-      console.error('Warning: GOOGLE_API_KEY not found. Gemini features will be disabled.');
-    }
-    
-    if (!this.openaiProvider.isAvailable()) {
-      console.error('Warning: OPENAI_API_KEY not found. OpenAI features will be disabled.');
+    for (const provider of this.providerRegistry.list()) {
+      if (!provider.isAvailable()) {
+        console.error(`Warning: ${provider.configHint} not found. ${provider.displayName} features will be disabled.`);
+      }
     }
   }
 
@@ -54,16 +53,28 @@ class WallBounceApp {
    * Initialize services
    */
   initializeServices() {
-    this.wallBounceService = new WallBounceService(
-      this.openaiProvider,
-      this.geminiProvider
-    );
+    this.wallBounceService = createWallBounceService(this.providerRegistry, process.env);
     
+    const toolTimeouts = validateTimeouts(loadJsonConfig(process.env.TOOL_TIMEOUTS, {}), 'tool');
+    for (const tool of Object.keys(toolTimeouts)) {
+      if (!toolDefinitions.some(definition => definition.name === tool)) {
+        throw new Error(`Unknown tool in TOOL_TIMEOUTS: ${tool}`);
+      }
+    }
+
+    const budgetTracker = createBudgetTracker(process.env);
+    this.budgetTracker = budgetTracker.isEnabled() ? budgetTracker : undefined;
+
     this.toolHandlers = new ToolHandlers(
-      this.openaiProvider,
-      this.geminiProvider,
-      this.wallBounceService
+      this.providerRegistry,
+      this.wallBounceService,
+      { toolTimeouts, budgetTracker: this.budgetTracker }
     );
+
+    this.chatApi = new ChatApi(this.providerRegistry, {
+      apiKeys: parseList(process.env.HTTP_API_KEYS),
+      budgetTracker: this.budgetTracker
+    });
   }
 
   /**
@@ -95,11 +106,17 @@ class WallBounceApp {
     });
 
     // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
 
       try {
-        return await this.toolHandlers.handleToolCall(name, args);
+        return await this.toolHandlers.handleToolCall(name, args, {
+          onProgress: this.createProgressNotifier(request, extra),
+          // Aborted by the SDK when the client sends notifications/cancelled
+          signal: extra.signal,
+          // Budgets are kept per MCP client, named by the client itself when it connects
+          clientId: `mcp:${this.server.getClientVersion()?.name || 'unknown'}`
+        });
       } catch (error) {
         console.error('Error:', error);
         return {
@@ -114,6 +131,24 @@ class WallBounceApp {
     });
   }
 
+  /**
+   * Create a listener that forwards tool progress as MCP progress notifications
+   * @param {Object} request - Tool call request
+   * @param {Object} extra - Request handler extras of the MCP SDK
+   * @returns {Function|undefined} Progress listener, or undefined if the client did not ask for progress
+   */
+  createProgressNotifier(request, extra) {
+    const progressToken = request.params._meta?.progressToken;
+    if (progressToken === undefined) {
+      return undefined;
+    }
+
+    return ({ progress, total, message }) => extra.sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken, progress, total, message },
+    });
+  }
+
   /**
    * Setup HTTP health check server
    */
@@ -123,15 +158,25 @@ class WallBounceApp {
     
     this.healthServer = createServer((req, res) => {
       if (req.url === '/health' || req.url === '/data/health') {
+        const providers = this.providerRegistry.getStatus();
+        const providerHealth = this.providerRegistry.getHealth();
+        // The server stays up while a provider is failing, but callers should know
+        const degraded = Object.values(providerHealth).some(health => health.state === 'open');
+
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({
-          status: 'ok',
+          status: degraded ? 'degraded' : 'ok',
           timestamp: new Date().toISOString(),
           version: '1.0.0',
           uptime: process.uptime(),
-          openai: this.openaiProvider.isAvailable(),
-          gemini: this.geminiProvider.isAvailable()
+          providers,
+          providerHealth,
+          // Kept for monitors reading the fields from before the provider registry
+          openai: providers.openai,
+          gemini: providers.gemini
         }));
+      } else if (req.url === '/api/chat' && this.chatApi.isEnabled()) {
+        this.chatApi.handle(req, res);
       } else if (req.url === '/') {
         // Enhanced browser-friendly HTML response with interactive features
         const uptimeHours = Math.floor(process.uptime() / 3600);
@@ -497,12 +542,9 @@ class WallBounceApp {
                 <div class="card-icon">🤖</div>
                 <h3 class="card-title">AI Providers</h3>
                 <div>
-                    <span class="provider-status ${this.openaiProvider.isAvailable() ? 'status-online' : 'status-offline'}">
-                        🔵 OpenAI ${this.openaiProvider.isAvailable() ? '✓' : '✗'}
-                    </span>
-                    <span class="provider-status ${this.geminiProvider.isAvailable() ? 'status-online' : 'status-offline'}">
-                        🔴 Gemini ${this.geminiProvider.isAvailable() ? '✓' : '✗'}
-                    </span>
+                    ${this.providerRegistry.list().map(provider => `<span class="provider-status ${provider.isAvailable() ? 'status-online' : 'status-offline'}">
+                        ${provider.displayName} ${provider.isAvailable() ? '✓' : '✗'}
+                    </span>`).join('\n                    ')}
                 </div>
             </div>
             
@@ -527,7 +569,7 @@ class WallBounceApp {
             <div class="endpoint-item">
                 <h4>Health Check</h4>
                 <p><span class="endpoint-url">/health</span></p>
-                <p>Returns real-time server status, uptime, and provider availability</p>
+                <p>Returns real-time server status, uptime, provider availability and circuit breaker state</p>
                 <button onclick="testHealthCheck()" style="margin-top:10px; padding:5px 10px; background:#4299e1; color:white; border:none; border-radius:4px; cursor:pointer;">Test Now</button>
                 <div id="health-result" style="margin-top:10px; font-family:monospace; font-size:12px;"></div>
             </div>
@@ -554,12 +596,30 @@ class WallBounceApp {
                     <p>Interact with Google's latest Gemini models including 2.5-pro and experimental versions</p>
                 </div>
                 
+                <div class="tool-card" onclick="showToolDetails('claude')">
+                    <div class="tool-icon">🪶</div>
+                    <h4 class="tool-title">chat_with_claude</h4>
+                    <p>Chat with Anthropic Claude models for a third independent opinion</p>
+                </div>
+                
                 <div class="tool-card" onclick="showToolDetails('bounce')">
                     <div class="tool-icon">🎯</div>
                     <h4 class="tool-title">wall_bounce_chat</h4>
                     <p>Unique AI-to-AI conversation system for enhanced brainstorming and problem-solving</p>
                 </div>
                 
+                <div class="tool-card" onclick="showToolDetails('continue')">
+                    <div class="tool-icon">🔁</div>
+                    <h4 class="tool-title">continue_wall_bounce</h4>
+                    <p>Resume a saved wall bounce session for more rounds with an optional new instruction</p>
+                </div>
+                
+                <div class="tool-card" onclick="showToolDetails('fork')">
+                    <div class="tool-icon">🌿</div>
+                    <h4 class="tool-title">fork_wall_bounce</h4>
+                    <p>Branch a saved wall bounce session from any round with a different model, persona or instruction</p>
+                </div>
+                
                 <div class="tool-card" onclick="showToolDetails('models')">
                     <div class="tool-icon">📋</div>
                     <h4 class="tool-title">list_models</h4>
@@ -581,7 +641,8 @@ class WallBounceApp {
       "cwd": "/ai/prj/wall-bounce-tech-support-helper",
       "env": {
         "OPENAI_API_KEY": "your_openai_key_here",
-        "GOOGLE_API_KEY": "your_google_key_here"
+        "GOOGLE_API_KEY": "your_google_key_here",
+        "ANTHROPIC_API_KEY": "your_anthropic_key_here"
       }
     }
   }
@@ -625,7 +686,10 @@ class WallBounceApp {
             const details = {
                 gpt: 'OpenAI GPT models including GPT-4o (multimodal), GPT-5 (reasoning), and specialized variants.',
                 gemini: 'Google Gemini models including 2.5-pro (latest), 2.0-flash-exp (experimental), and thinking variants.',
+                claude: 'Anthropic Claude models via the Messages API, including Sonnet, Opus and Haiku variants.',
                 bounce: 'AI-to-AI conversation system where different models discuss and build upon each other\\'s ideas.',
+                continue: 'Resumes a persisted wall bounce session by its session id, optionally with a new instruction for the participants.',
+                fork: 'Copies a persisted wall bounce session up to a given round into a new session and continues it with changed models, personas, temperature or an interjection.',
                 models: 'Dynamic listing of all available models with real-time availability status.'
             };
             alert(details[tool] || 'Tool information not available.');
@@ -661,7 +725,10 @@ class WallBounceApp {
     this.healthServer.listen(port, () => {
       if (logLevel === 'info' || logLevel === 'debug') {
         console.error(`[INFO] Health check server listening on http://localhost:${port}`);
-        console.error(`[INFO] MCP Server providers: OpenAI=${this.openaiProvider.isAvailable()}, Gemini=${this.geminiProvider.isAvailable()}`);
+        const providerStatus = Object.entries(this.providerRegistry.getStatus())
+          .map(([id, available]) => `${id}=${available}`)
+          .join(', ');
+        console.error(`[INFO] MCP Server providers: ${providerStatus}`);
       }
     });
   }
@@ -0,0 +1,219 @@
+/**
+ * Budget tracker - daily and monthly token and cost budgets per client, persisted as JSON
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseNumber } from '../utils/config.js';
+import { formatCost } from '../utils/usage.js';
+import { writeJsonFile } from '../utils/json-file.js';
+
+/**
+ * Budget periods in the order they are checked
+ */
+const PERIODS = ['daily', 'monthly'];
+
+/**
+ * Error thrown when a client has used up one of its budgets
+ */
+export class BudgetExceededError extends Error {
+  /**
+   * @param {string} clientId - Client whose budget is used up
+   * @param {string} period - 'daily' or 'monthly'
+   * @param {string} limit - Description of the exhausted limit, e.g. "1,000,000 tokens"
+   * @param {Date} resetAt - When the period's budget starts over
+   */
+  constructor(clientId, period, limit, resetAt) {
+    super(`The ${period} budget of ${limit} for ${clientId} is used up; it resets at ${resetAt.toISOString()}`);
+    this.name = 'BudgetExceededError';
+    this.clientId = clientId;
+    this.period = period;
+    this.resetAt = resetAt;
+  }
+}
+
+export class BudgetTracker {
+  /**
+   * @param {Object} [options] - Tracker options
+   * @param {Object} [options.limits] - Limits per period ({ daily: { tokens, cost }, monthly: { tokens, cost } });
+   *   a missing or zero limit is not enforced
+   * @param {string} [options.file] - JSON file keeping the usage across restarts (in memory only without one)
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({ limits = {}, file, now = Date.now } = {}) {
+    this.limits = limits;
+    this.file = file && path.resolve(file);
+    this.now = now;
+    // Usage keyed by client id, then by period: { period: '2026-10-19', tokens, cost }
+    this.clients = new Map();
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Check whether any limit is configured
+   * @returns {boolean} True if at least one budget is enforced
+   */
+  isEnabled() {
+    return PERIODS.some(period => this.limits[period]?.tokens > 0 || this.limits[period]?.cost > 0);
+  }
+
+  /**
+   * Usage of a client in the current periods
+   * @param {string} clientId - Client id
+   * @returns {{daily: {period: string, tokens: number, cost: number}, monthly: {period: string, tokens: number, cost: number}}} Usage per period
+   */
+  getUsage(clientId) {
+    const stored = this.clients.get(clientId) || {};
+    const now = new Date(this.now());
+
+    return Object.fromEntries(PERIODS.map(period => {
+      const key = periodKey(period, now);
+      // Usage of an earlier day or month no longer counts
+      return [period, stored[period]?.period === key ? stored[period] : { period: key, tokens: 0, cost: 0 }];
+    }));
+  }
+
+  /**
+   * Add a provider call to the client's usage and persist it
+   * @param {string} clientId - Client id
+   * @param {{promptTokens: number, completionTokens: number, cost: number|null}} usage - Usage of the call
+   */
+  record(clientId, { promptTokens, completionTokens, cost }) {
+    const usage = this.getUsage(clientId);
+    for (const period of PERIODS) {
+      usage[period] = {
+        period: usage[period].period,
+        tokens: usage[period].tokens + promptTokens + completionTokens,
+        // Unpriced calls only count their tokens
+        cost: usage[period].cost + (cost ?? 0),
+      };
+    }
+    this.clients.set(clientId, usage);
+    this.save();
+  }
+
+  /**
+   * Tokens and cost the client may still use, the tighter of the daily and monthly budgets
+   * @param {string} clientId - Client id
+   * @returns {{tokens: number, cost: number}} Remaining budget (Infinity where no limit applies)
+   */
+  remaining(clientId) {
+    const usage = this.getUsage(clientId);
+    const remaining = { tokens: Infinity, cost: Infinity };
+
+    for (const period of PERIODS) {
+      const { tokens, cost } = this.limits[period] || {};
+      if (tokens > 0) {
+        remaining.tokens = Math.min(remaining.tokens, tokens - usage[period].tokens);
+      }
+      if (cost > 0) {
+        remaining.cost = Math.min(remaining.cost, cost - usage[period].cost);
+      }
+    }
+
+    return remaining;
+  }
+
+  /**
+   * Refuse further calls once any of the client's budgets is used up
+   * @param {string} clientId - Client id
+   * @throws {BudgetExceededError} If a daily or monthly budget is used up
+   */
+  check(clientId) {
+    const usage = this.getUsage(clientId);
+    const now = new Date(this.now());
+
+    for (const period of PERIODS) {
+      const { tokens, cost } = this.limits[period] || {};
+      if (tokens > 0 && usage[period].tokens >= tokens) {
+        throw new BudgetExceededError(clientId, period, `${tokens.toLocaleString('en-US')} tokens`, periodEnd(period, now));
+      }
+      if (cost > 0 && usage[period].cost >= cost) {
+        throw new BudgetExceededError(clientId, period, formatCost(cost), periodEnd(period, now));
+      }
+    }
+  }
+
+  /**
+   * Load the usage persisted by an earlier run, if any
+   * @returns {BudgetTracker} The tracker, for chaining
+   * @throws {Error} If the file exists but cannot be parsed
+   */
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) {
+      return this;
+    }
+
+    const record = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this.clients = new Map(Object.entries(record.clients || {}));
+    return this;
+  }
+
+  /**
+   * Persist the usage; writes are queued so they never overlap
+   * @returns {Promise<void>} Settles once this write is done; failures are logged, not thrown
+   */
+  save() {
+    if (!this.file) {
+      return this.saving;
+    }
+
+    this.saving = this.saving.then(async () => {
+      try {
+        // Queued writes store the usage as it is when they run, so none of them writes stale totals
+        await writeJsonFile(this.file, { clients: Object.fromEntries(this.clients) });
+      } catch (error) {
+        console.error('Failed to save budget usage:', error);
+      }
+    });
+    return this.saving;
+  }
+}
+
+/**
+ * Build the budget tracker from environment variables: BUDGET_DAILY_TOKENS, BUDGET_DAILY_COST,
+ * BUDGET_MONTHLY_TOKENS and BUDGET_MONTHLY_COST (USD) set the limits that apply to each client,
+ * and BUDGET_USAGE_FILE where the usage is kept (default data/budget/usage.json)
+ * @param {Object} env - Environment variables
+ * @returns {BudgetTracker} Budget tracker with the persisted usage loaded when budgets are enabled
+ */
+export function createBudgetTracker(env = process.env) {
+  const tracker = new BudgetTracker({
+    limits: {
+      daily: {
+        tokens: parseNumber(env.BUDGET_DAILY_TOKENS, 0, Infinity, 0),
+        cost: parseNumber(env.BUDGET_DAILY_COST, 0, Infinity, 0),
+      },
+      monthly: {
+        tokens: parseNumber(env.BUDGET_MONTHLY_TOKENS, 0, Infinity, 0),
+        cost: parseNumber(env.BUDGET_MONTHLY_COST, 0, Infinity, 0),
+      },
+    },
+    file: env.BUDGET_USAGE_FILE || 'data/budget/usage.json',
+  });
+
+  return tracker.isEnabled() ? tracker.load() : tracker;
+}
+
+/**
+ * Key of the period containing a date, in UTC: "2026-10-19" for days, "2026-10" for months
+ * @param {string} period - 'daily' or 'monthly'
+ * @param {Date} date - Date
+ * @returns {string} Period key
+ */
+function periodKey(period, date) {
+  const day = date.toISOString().slice(0, 10);
+  return period === 'daily' ? day : day.slice(0, 7);
+}
+
+/**
+ * Start of the period after the one containing a date, in UTC
+ * @param {string} period - 'daily' or 'monthly'
+ * @param {Date} date - Date
+ * @returns {Date} When the period's budget starts over
+ */
+function periodEnd(period, date) {
+  return period === 'daily'
+    ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1))
+    : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+}
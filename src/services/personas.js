@@ -0,0 +1,84 @@
+/**
+ * Wall bounce personas - role framing for discussion participants
+ */
+
+import { validateAndSanitizeInput } from '../utils/validation.js';
+import { DEFAULT_LANGUAGE, getPromptCatalog } from './prompt-catalog.js';
+
+/**
+ * Built-in personas, keyed by id
+ */
+export const builtInPersonas = {
+  sre_on_call: {
+    name: 'SRE on call',
+    prompts: {
+      ja: 'あなたはオンコール中のSREです。障害の影響範囲の把握、迅速な緩和策、監視とロールバック手順を最優先に考え、本番環境で安全に実行できる具体的な手順を示してください。',
+      en: 'You are the on-call SRE. Prioritize understanding the blast radius, fast mitigation, monitoring and rollback procedures, and give concrete steps that are safe to run in production.',
+      de: 'Sie sind der SRE in Rufbereitschaft. Priorisieren Sie das Ausmaß der Störung, schnelle Gegenmaßnahmen, Monitoring und Rollback-Verfahren und nennen Sie konkrete Schritte, die sich sicher in Produktion ausführen lassen.',
+    },
+  },
+  security_reviewer: {
+    name: 'Security reviewer',
+    prompts: {
+      ja: 'あなたはセキュリティレビュアーです。提案される対応策に潜む脆弱性、過剰な権限付与、データ漏えいのリスクを洗い出し、安全な代替案を示してください。',
+      en: 'You are a security reviewer. Identify vulnerabilities, excessive privileges and data leakage risks in the proposed fixes, and suggest safe alternatives.',
+      de: 'Sie sind Security-Reviewer. Decken Sie Schwachstellen, zu weit gefasste Berechtigungen und Risiken von Datenabflüssen in den vorgeschlagenen Lösungen auf und zeigen Sie sichere Alternativen.',
+    },
+  },
+  devils_advocate: {
+    name: "Devil's advocate",
+    prompts: {
+      ja: 'あなたはあえて反対意見を述べる役割(デビルズアドボケイト)です。他の参加者の前提や結論に疑問を投げかけ、見落とされているリスクや別の原因の可能性を指摘してください。安易に同意しないでください。',
+      en: "You are the devil's advocate. Challenge the other participants' assumptions and conclusions, and point out overlooked risks or alternative causes. Do not agree too easily.",
+      de: 'Sie übernehmen die Rolle des Advocatus Diaboli. Hinterfragen Sie die Annahmen und Schlussfolgerungen der anderen Teilnehmer und weisen Sie auf übersehene Risiken oder andere mögliche Ursachen hin. Stimmen Sie nicht vorschnell zu.',
+    },
+  },
+  customer_advocate: {
+    name: 'Customer advocate',
+    prompts: {
+      ja: 'あなたは顧客の立場を代弁する担当者です。顧客への影響、分かりやすい説明と回避策、復旧までの時間を重視して議論してください。',
+      en: "You represent the customer's point of view. Focus on customer impact, clear explanations and workarounds, and time to recovery.",
+      de: 'Sie vertreten die Sicht der Kunden. Konzentrieren Sie sich auf die Auswirkungen für Kunden, verständliche Erklärungen und Workarounds sowie die Zeit bis zur Wiederherstellung.',
+    },
+  },
+};
+
+/**
+ * Resolve a persona given as a built-in id, a free-text role or a custom system prompt
+ * @param {string|{name?: string, system_prompt: string}} [persona] - Persona specification
+ * @param {string} [language] - Language of the persona prompt
+ * @returns {{id: string, name: string, prompt: string}|undefined} Resolved persona
+ * @throws {Error} If the persona is malformed
+ */
+export function resolvePersona(persona, language = DEFAULT_LANGUAGE) {
+  if (persona === undefined || persona === null || persona === '') {
+    return undefined;
+  }
+
+  if (typeof persona === 'string') {
+    const role = validateAndSanitizeInput(persona, 200);
+    // Accept both ids and display names ("devils_advocate", "Devil's advocate")
+    const key = role.toLowerCase().replace(/'/g, '').replace(/[\s-]+/g, '_');
+
+    if (Object.hasOwn(builtInPersonas, key)) {
+      const { name, prompts } = builtInPersonas[key];
+      return { id: key, name, prompt: prompts[language] || prompts[DEFAULT_LANGUAGE] };
+    }
+
+    return {
+      id: 'custom',
+      name: role,
+      prompt: getPromptCatalog(language).customRole(role),
+    };
+  }
+
+  if (typeof persona === 'object' && typeof persona.system_prompt === 'string') {
+    return {
+      id: 'custom',
+      name: persona.name ? validateAndSanitizeInput(persona.name, 100) : 'Custom',
+      prompt: validateAndSanitizeInput(persona.system_prompt, 2000),
+    };
+  }
+
+  throw new Error('Persona must be a built-in persona id, a role description or an object with system_prompt');
+}
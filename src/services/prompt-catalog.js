@@ -0,0 +1,329 @@
+/**
+ * Prompt catalogue - localized wall bounce prompts, headers and messages
+ */
+
+import { formatCost, formatUsage } from '../utils/usage.js';
+
+/**
+ * Language used when prompts are built without an explicit language
+ */
+export const DEFAULT_LANGUAGE = 'ja';
+
+/**
+ * Localized text, keyed by language code
+ */
+export const promptCatalog = {
+  ja: {
+    name: '日本語',
+    expertRole: 'あなたは技術的な議論や問題解決に参加している専門家です。',
+    followUpRole: 'あなたは技術的な議論に参加している別の専門家です。',
+    customRole: (role) => `あなたは「${role}」の立場で技術的な議論に参加している専門家です。`,
+    initialPrompt: ({ role, topic, instruction }) => `${role}以下のトピックについて、建設的で洞察に富んだ議論を行ってください。別のAIモデルとの対話を通じて、アイデアを発展させ、新しい視点を提供してください。
+
+トピック: ${topic}
+
+このトピックについてあなたの最初の見解や質問を述べてください。${instruction ? `\n\nユーザーからの追加の指示: ${instruction}` : ''}`,
+    followUpPrompt: ({ role, topic, previousResponse, instruction }) => `${role}前のAIモデルの発言に対して応答し、議論を発展させてください。異なる視点や代替案を提供し、建設的な対話を続けてください。${topic ? `\n\nトピック: ${topic}` : ''}
+
+前のモデルの発言:
+"${previousResponse}"
+
+この発言に対するあなたの応答、質問、または追加の洞察を提供してください。${instruction ? `\n\nユーザーからの追加の指示: ${instruction}` : ''}`,
+    nextRoundPrompt: ({ statements, instruction }) => `別の専門家からの応答: "${statements}"\n\nこの応答を踏まえて、さらに議論を発展させてください。${instruction ? `\n\nユーザーからの追加の指示: ${instruction}` : ''}`,
+    instructionLabel: 'ユーザーからの指示',
+    instructionLog: (instruction) => `> ユーザーからの指示: ${instruction}`,
+    paused: (round, maxRounds) => `> ラウンド ${round} / ${maxRounds} の後で一時停止しています。参加者の質問への回答、補足情報、議論の方向修正などの指示を添えて次のラウンドに進むか、そのまま続けてください。`,
+    sessionFooter: (id) => `セッションID: \`${id}\` (continue_wall_bounce で議論を続けるか、fork_wall_bounce で任意のラウンドから分岐できます)`,
+    forked: (sessionId, round) => `> セッション \`${sessionId}\` のラウンド ${round} から分岐しました。`,
+    title: (topic) => `# 壁打ちディスカッション: ${topic}`,
+    round: (round) => `## ラウンド ${round}`,
+    summary: ({ labels, rounds, topic }) => `## まとめ\n\nこの壁打ちセッションでは、${labels.join('、')}が${rounds}ラウンドにわたって「${topic}」について議論しました。各モデルが異なる視点と専門知識を提供し、包括的な対話が行われました。`,
+    moderatorRole: 'あなたは技術的な議論の中立的なモデレーターです。議論の記録を読み、サポート担当者がチケットにそのまま貼り付けられる簡潔な総括を作成してください。',
+    synthesisPrompt: ({ topic, transcript }) => `以下は「${topic}」についての議論の全記録です。
+
+${transcript}
+
+この議論を総括し、次の見出しでMarkdown形式にまとめてください:
+### 主な結論
+### 意見が分かれた点
+### 推奨される次のアクション
+### 未解決の質問`,
+    synthesisTitle: (model) => `## 総括 (${model})`,
+    judgePrompt: ({ topic, transcript }) => `以下は「${topic}」についての議論の記録です。
+
+${transcript}
+
+参加者が合意に達したか、または新しい論点が出ずに同じ内容を繰り返しているかを判定してください。1行目に、議論を終えてよい場合は「CONVERGED: <理由>」、続けるべき場合は「CONTINUE」とだけ回答してください。`,
+    agreementReason: (score) => `参加者の発言がほぼ一致しています (類似度 ${score})`,
+    stagnationReason: (score) => `参加者が前のラウンドと同じ内容を繰り返しています (類似度 ${score})`,
+    judgeReason: (model, reason) => `${model} の判定: ${reason}`,
+    stopped: (round, reason) => `> ラウンド ${round} で議論を早期終了しました: ${reason}`,
+    tokenBudgetReason: (used, limit) => `トークン予算 ${limit.toLocaleString('ja-JP')} を超える見込みです（使用済み ${used.toLocaleString('ja-JP')}）`,
+    costBudgetReason: (used, limit) => `費用予算 ${formatCost(limit)} を超える見込みです（使用済み ${formatCost(used)}）`,
+    clientBudgetReason: 'このクライアントのサーバー全体の予算を超える見込みです',
+    synthesisSkipped: (reason) => `> 予算内に収めるため総括を省略しました: ${reason}`,
+    compactedLabel: (fromRound, throughRound, summarized) => {
+      const rounds = fromRound === throughRound ? `ラウンド ${fromRound}` : `ラウンド ${fromRound}〜${throughRound}`;
+      return summarized ? `${rounds}の要約` : `${rounds}（省略）`;
+    },
+    roundsOmitted: 'コンテキストウィンドウに収めるため省略しました。',
+    compactionPrompt: ({ topic, summary, transcript }) => `以下は「${topic}」についての議論の一部です。${summary ? `\n\nこれ以前の議論の要約:\n${summary}` : ''}
+
+${transcript}
+
+全記録がなくても参加者が議論を続けられるよう、ここまでの議論を600字以内で要約してください。各参加者の立場、合意点と相違点、具体的な発見（コマンド、バージョン、エラーメッセージなど）、ユーザーからの指示を残してください。`,
+    compactedRounds: (fromRound, throughRound, summarized) => `${fromRound === throughRound ? `ラウンド ${fromRound}` : `ラウンド ${fromRound}〜${throughRound}`}を${summarized ? '要約' : '省略'}`,
+    compactions: (summary) => `コンテキストウィンドウに収めるため短縮したラウンド: ${summary}`,
+    cancelled: '> キャンセルされました。上記の議論は途中までです。',
+    retries: (summary) => `一時的なエラーで再試行したプロバイダー呼び出し: ${summary}`,
+    usageTitle: 'このセッションのトークン使用量',
+    usageRound: (round) => `ラウンド ${round}`,
+    usageAmount: (totals) => {
+      const count = (value) => value.toLocaleString('ja-JP');
+      const tokens = `${count(totals.totalTokens)} トークン（プロンプト ${count(totals.promptTokens)} + 応答 ${count(totals.completionTokens)}）`;
+      if (totals.unpriced === totals.calls) {
+        return `${tokens}、費用不明`;
+      }
+      return `${tokens}、推定 ${formatCost(totals.cost)}${totals.unpriced > 0 ? '（価格未設定のモデルを除く）' : ''}`;
+    },
+    fallbackLabel: (label, model) => `${label} → ${model}（フォールバック）`,
+    error: (message, log) => `壁打ちセッション中にエラーが発生しました: ${message}\n\n現在までの議論:\n${log}`,
+    participantCountError: (max) => `壁打ちには 2〜${max} 人の参加者が必要です`,
+    participantModelError: '各参加者にモデルを指定してください',
+    participantChangesError: '参加者の変更は配列で指定してください',
+    participantNumberError: (count) => `参加者は 1〜${count} の番号で指定してください`,
+    turnOrderError: '発言順にはすべての参加者番号を1回ずつ指定してください',
+    synthesisModelError: '総括モデルは空でない文字列で指定してください',
+    convergenceError: (methods) => `収束判定には次のいずれかを指定してください: ${methods.join(', ')}`,
+    pauseStoreError: 'ラウンドごとの一時停止にはセッションの保存が必要です',
+    forkRoundError: (rounds) => `分岐するラウンドは 1〜${rounds} の番号で指定してください`,
+    forkNoRoundsError: 'このセッションには分岐できる完了済みのラウンドがありません',
+    tokenBudgetError: 'トークン予算は正の数で指定してください',
+    costBudgetError: '費用予算は正の数で指定してください',
+  },
+  en: {
+    name: 'English',
+    expertRole: 'You are an expert taking part in a technical discussion and problem-solving session.',
+    followUpRole: 'You are another expert taking part in a technical discussion.',
+    customRole: (role) => `You are an expert taking part in a technical discussion from the perspective of "${role}".`,
+    initialPrompt: ({ role, topic, instruction }) => `${role} Hold a constructive and insightful discussion about the topic below. Develop ideas and offer new perspectives through dialogue with other AI models. Respond in English.
+
+Topic: ${topic}
+
+Share your initial view or questions on this topic.${instruction ? `\n\nAdditional instruction from the user: ${instruction}` : ''}`,
+    followUpPrompt: ({ role, topic, previousResponse, instruction }) => `${role} Respond to what the previous AI model said and move the discussion forward. Offer different perspectives or alternatives and keep the dialogue constructive. Respond in English.${topic ? `\n\nTopic: ${topic}` : ''}
+
+Previous statement:
+"${previousResponse}"
+
+Provide your response, questions, or additional insights on this statement.${instruction ? `\n\nAdditional instruction from the user: ${instruction}` : ''}`,
+    nextRoundPrompt: ({ statements, instruction }) => `Response from the other experts: "${statements}"\n\nBuild on this response and develop the discussion further.${instruction ? `\n\nAdditional instruction from the user: ${instruction}` : ''}`,
+    instructionLabel: 'User instruction',
+    instructionLog: (instruction) => `> User instruction: ${instruction}`,
+    paused: (round, maxRounds) => `> Paused after round ${round} of ${maxRounds}. Continue with an instruction that answers the participants' questions, adds context or redirects the discussion, or continue as is.`,
+    sessionFooter: (id) => `Session ID: \`${id}\` (use continue_wall_bounce to resume this discussion or fork_wall_bounce to branch off from any round)`,
+    forked: (sessionId, round) => `> Forked from session \`${sessionId}\` after round ${round}.`,
+    title: (topic) => `# Wall Bounce Discussion: ${topic}`,
+    round: (round) => `## Round ${round}`,
+    summary: ({ labels, rounds, topic }) => `## Summary\n\nIn this wall bounce session, ${labels.join(', ')} discussed "${topic}" over ${rounds} round(s). Each model contributed its own perspective and expertise to a comprehensive dialogue.`,
+    moderatorRole: 'You are a neutral moderator of a technical discussion. Read the transcript and write a concise synthesis that support engineers can paste directly into a ticket.',
+    synthesisPrompt: ({ topic, transcript }) => `Below is the full transcript of a discussion about "${topic}".
+
+${transcript}
+
+Synthesize the discussion in Markdown under the following headings:
+### Key conclusions
+### Points of disagreement
+### Recommended next actions
+### Open questions`,
+    synthesisTitle: (model) => `## Synthesis (${model})`,
+    judgePrompt: ({ topic, transcript }) => `Below is the transcript of a discussion about "${topic}".
+
+${transcript}
+
+Decide whether the participants have reached agreement or are repeating themselves without raising new points. On the first line, answer only "CONVERGED: <reason>" if the discussion can end, or "CONTINUE" if it should go on.`,
+    agreementReason: (score) => `Participants are saying nearly the same thing (similarity ${score})`,
+    stagnationReason: (score) => `Participants are repeating their previous round (similarity ${score})`,
+    judgeReason: (model, reason) => `${model} judged: ${reason}`,
+    stopped: (round, reason) => `> Discussion stopped early after round ${round}: ${reason}`,
+    tokenBudgetReason: (used, limit) => `The token budget of ${limit.toLocaleString('en-US')} would be exceeded (${used.toLocaleString('en-US')} used)`,
+    costBudgetReason: (used, limit) => `The cost budget of ${formatCost(limit)} would be exceeded (${formatCost(used)} used)`,
+    clientBudgetReason: 'The server-wide budget for this client would be exceeded',
+    synthesisSkipped: (reason) => `> Synthesis skipped to stay within the budget: ${reason}`,
+    compactedLabel: (fromRound, throughRound, summarized) => {
+      const rounds = fromRound === throughRound ? `round ${fromRound}` : `rounds ${fromRound}–${throughRound}`;
+      return summarized ? `Summary of ${rounds}` : `Earlier ${rounds}`;
+    },
+    roundsOmitted: 'Left out to fit the context window.',
+    compactionPrompt: ({ topic, summary, transcript }) => `Below is part of a discussion about "${topic}".${summary ? `\n\nSummary of the discussion before this part:\n${summary}` : ''}
+
+${transcript}
+
+Summarize the discussion so far in at most 300 words so that the participants can continue it without the full transcript. Keep each participant's position, the points of agreement and disagreement, concrete findings (commands, versions, error messages) and instructions from the user.`,
+    compactedRounds: (fromRound, throughRound, summarized) => `${fromRound === throughRound ? `round ${fromRound}` : `rounds ${fromRound}–${throughRound}`} ${summarized ? 'summarized' : 'left out'}`,
+    compactions: (summary) => `Earlier rounds condensed to fit context windows: ${summary}`,
+    cancelled: '> Cancelled. The discussion above is incomplete.',
+    retries: (summary) => `Provider calls retried after transient errors: ${summary}`,
+    usageTitle: 'Token usage for this session',
+    usageRound: (round) => `Round ${round}`,
+    usageAmount: formatUsage,
+    fallbackLabel: (label, model) => `${label} → ${model} (fallback)`,
+    error: (message, log) => `An error occurred during the wall bounce session: ${message}\n\nDiscussion so far:\n${log}`,
+    participantCountError: (max) => `Wall bounce requires between 2 and ${max} participants`,
+    participantModelError: 'Each participant must specify a model',
+    participantChangesError: 'Participant changes must be an array',
+    participantNumberError: (count) => `Participant must be a number between 1 and ${count}`,
+    turnOrderError: 'Turn order must list every participant number exactly once',
+    synthesisModelError: 'Synthesis model must be a non-empty string',
+    convergenceError: (methods) => `Convergence must be one of: ${methods.join(', ')}`,
+    pauseStoreError: 'Pausing between rounds requires session persistence',
+    forkRoundError: (rounds) => `Round must be a number between 1 and ${rounds}`,
+    forkNoRoundsError: 'Session has no completed rounds to fork from',
+    tokenBudgetError: 'Token budget must be a positive number',
+    costBudgetError: 'Cost budget must be a positive number',
+  },
+  de: {
+    name: 'Deutsch',
+    expertRole: 'Sie sind ein Experte in einer technischen Diskussion zur Problemlösung.',
+    followUpRole: 'Sie sind ein weiterer Experte in einer technischen Diskussion.',
+    customRole: (role) => `Sie sind ein Experte, der aus der Sicht von „${role}“ an einer technischen Diskussion teilnimmt.`,
+    initialPrompt: ({ role, topic, instruction }) => `${role} Führen Sie eine konstruktive und aufschlussreiche Diskussion zum folgenden Thema. Entwickeln Sie im Dialog mit anderen KI-Modellen Ideen weiter und bringen Sie neue Perspektiven ein. Antworten Sie auf Deutsch.
+
+Thema: ${topic}
+
+Nennen Sie Ihre erste Einschätzung oder Ihre Fragen zu diesem Thema.${instruction ? `\n\nZusätzliche Anweisung des Nutzers: ${instruction}` : ''}`,
+    followUpPrompt: ({ role, topic, previousResponse, instruction }) => `${role} Gehen Sie auf die Aussage des vorherigen KI-Modells ein und bringen Sie die Diskussion voran. Bieten Sie andere Sichtweisen oder Alternativen an und führen Sie den Dialog konstruktiv fort. Antworten Sie auf Deutsch.${topic ? `\n\nThema: ${topic}` : ''}
+
+Vorherige Aussage:
+"${previousResponse}"
+
+Geben Sie Ihre Antwort, Rückfragen oder zusätzliche Erkenntnisse zu dieser Aussage.${instruction ? `\n\nZusätzliche Anweisung des Nutzers: ${instruction}` : ''}`,
+    nextRoundPrompt: ({ statements, instruction }) => `Antwort der anderen Experten: "${statements}"\n\nBauen Sie auf dieser Antwort auf und entwickeln Sie die Diskussion weiter.${instruction ? `\n\nZusätzliche Anweisung des Nutzers: ${instruction}` : ''}`,
+    instructionLabel: 'Anweisung des Nutzers',
+    instructionLog: (instruction) => `> Anweisung des Nutzers: ${instruction}`,
+    paused: (round, maxRounds) => `> Pausiert nach Runde ${round} von ${maxRounds}. Setzen Sie mit einer Anweisung fort, die Fragen der Teilnehmer beantwortet, Kontext ergänzt oder die Diskussion umlenkt, oder setzen Sie unverändert fort.`,
+    sessionFooter: (id) => `Sitzungs-ID: \`${id}\` (mit continue_wall_bounce lässt sich die Diskussion fortsetzen, mit fork_wall_bounce ab einer beliebigen Runde abzweigen)`,
+    forked: (sessionId, round) => `> Abgezweigt von Sitzung \`${sessionId}\` nach Runde ${round}.`,
+    title: (topic) => `# Wall-Bounce-Diskussion: ${topic}`,
+    round: (round) => `## Runde ${round}`,
+    summary: ({ labels, rounds, topic }) => `## Zusammenfassung\n\nIn dieser Wall-Bounce-Sitzung haben ${labels.join(', ')} in ${rounds} Runde(n) über „${topic}“ diskutiert. Jedes Modell hat seine eigene Sichtweise und Fachkenntnis in einen umfassenden Dialog eingebracht.`,
+    moderatorRole: 'Sie sind ein neutraler Moderator einer technischen Diskussion. Lesen Sie das Protokoll und verfassen Sie eine knappe Synthese, die Support-Mitarbeiter direkt in ein Ticket übernehmen können.',
+    synthesisPrompt: ({ topic, transcript }) => `Im Folgenden finden Sie das vollständige Protokoll einer Diskussion über „${topic}“.
+
+${transcript}
+
+Fassen Sie die Diskussion in Markdown unter den folgenden Überschriften zusammen:
+### Wichtigste Schlussfolgerungen
+### Meinungsverschiedenheiten
+### Empfohlene nächste Schritte
+### Offene Fragen`,
+    synthesisTitle: (model) => `## Synthese (${model})`,
+    judgePrompt: ({ topic, transcript }) => `Im Folgenden finden Sie das Protokoll einer Diskussion über „${topic}“.
+
+${transcript}
+
+Beurteilen Sie, ob die Teilnehmer sich einig sind oder sich ohne neue Argumente wiederholen. Antworten Sie in der ersten Zeile nur mit „CONVERGED: <Begründung>“, wenn die Diskussion enden kann, oder mit „CONTINUE“, wenn sie weitergehen soll.`,
+    agreementReason: (score) => `Die Teilnehmer sagen nahezu dasselbe (Ähnlichkeit ${score})`,
+    stagnationReason: (score) => `Die Teilnehmer wiederholen ihre vorherige Runde (Ähnlichkeit ${score})`,
+    judgeReason: (model, reason) => `Urteil von ${model}: ${reason}`,
+    stopped: (round, reason) => `> Diskussion nach Runde ${round} vorzeitig beendet: ${reason}`,
+    tokenBudgetReason: (used, limit) => `Das Token-Budget von ${limit.toLocaleString('de-DE')} würde überschritten (${used.toLocaleString('de-DE')} verbraucht)`,
+    costBudgetReason: (used, limit) => `Das Kostenbudget von ${formatCost(limit)} würde überschritten (${formatCost(used)} verbraucht)`,
+    clientBudgetReason: 'Das serverweite Budget dieses Clients würde überschritten',
+    synthesisSkipped: (reason) => `> Synthese übersprungen, um im Budget zu bleiben: ${reason}`,
+    compactedLabel: (fromRound, throughRound, summarized) => {
+      const rounds = fromRound === throughRound ? `Runde ${fromRound}` : `Runden ${fromRound}–${throughRound}`;
+      return summarized ? `Zusammenfassung: ${rounds}` : `${rounds} (ausgelassen)`;
+    },
+    roundsOmitted: 'Ausgelassen, um ins Kontextfenster zu passen.',
+    compactionPrompt: ({ topic, summary, transcript }) => `Im Folgenden finden Sie einen Teil einer Diskussion über „${topic}“.${summary ? `\n\nZusammenfassung der Diskussion davor:\n${summary}` : ''}
+
+${transcript}
+
+Fassen Sie die bisherige Diskussion in höchstens 300 Wörtern so zusammen, dass die Teilnehmer sie ohne das vollständige Protokoll fortsetzen können. Behalten Sie die Position jedes Teilnehmers, Einigkeit und Streitpunkte, konkrete Erkenntnisse (Befehle, Versionen, Fehlermeldungen) und Anweisungen des Benutzers bei.`,
+    compactedRounds: (fromRound, throughRound, summarized) => `${fromRound === throughRound ? `Runde ${fromRound}` : `Runden ${fromRound}–${throughRound}`} ${summarized ? 'zusammengefasst' : 'ausgelassen'}`,
+    compactions: (summary) => `Frühere Runden gekürzt, um in die Kontextfenster zu passen: ${summary}`,
+    cancelled: '> Abgebrochen. Die obige Diskussion ist unvollständig.',
+    retries: (summary) => `Nach vorübergehenden Fehlern wiederholte Anbieteraufrufe: ${summary}`,
+    usageTitle: 'Token-Verbrauch dieser Sitzung',
+    usageRound: (round) => `Runde ${round}`,
+    usageAmount: (totals) => {
+      const count = (value) => value.toLocaleString('de-DE');
+      const tokens = `${count(totals.totalTokens)} Tokens (${count(totals.promptTokens)} Prompt + ${count(totals.completionTokens)} Antwort)`;
+      if (totals.unpriced === totals.calls) {
+        return `${tokens}, Kosten unbekannt`;
+      }
+      return `${tokens}, geschätzt ${formatCost(totals.cost)}${totals.unpriced > 0 ? ' (ohne Modelle ohne Preis)' : ''}`;
+    },
+    fallbackLabel: (label, model) => `${label} → ${model} (Ausweichmodell)`,
+    error: (message, log) => `Während der Wall-Bounce-Sitzung ist ein Fehler aufgetreten: ${message}\n\nBisherige Diskussion:\n${log}`,
+    participantCountError: (max) => `Ein Wall Bounce braucht zwischen 2 und ${max} Teilnehmer`,
+    participantModelError: 'Jeder Teilnehmer muss ein Modell angeben',
+    participantChangesError: 'Teilnehmeränderungen müssen ein Array sein',
+    participantNumberError: (count) => `Teilnehmer muss eine Zahl zwischen 1 und ${count} sein`,
+    turnOrderError: 'Die Reihenfolge muss jede Teilnehmernummer genau einmal enthalten',
+    synthesisModelError: 'Das Synthesemodell muss eine nicht leere Zeichenkette sein',
+    convergenceError: (methods) => `Die Konvergenzerkennung muss eine der folgenden sein: ${methods.join(', ')}`,
+    pauseStoreError: 'Pausen zwischen den Runden setzen gespeicherte Sitzungen voraus',
+    forkRoundError: (rounds) => `Die Runde muss eine Zahl zwischen 1 und ${rounds} sein`,
+    forkNoRoundsError: 'Die Sitzung hat keine abgeschlossenen Runden, von denen abgezweigt werden kann',
+    tokenBudgetError: 'Das Token-Budget muss eine positive Zahl sein',
+    costBudgetError: 'Das Kostenbudget muss eine positive Zahl sein',
+  },
+};
+
+/**
+ * Supported language codes
+ */
+export const supportedLanguages = Object.keys(promptCatalog);
+
+/**
+ * Guess the language of a text from its script and common German words
+ * @param {string} text - Text to inspect (usually the topic)
+ * @returns {string} Language code
+ */
+export function detectLanguage(text) {
+  if (!text || typeof text !== 'string') {
+    return DEFAULT_LANGUAGE;
+  }
+
+  if (/[\u3040-\u30ff\u3400-\u9fff]/.test(text)) {
+    return 'ja';
+  }
+
+  const germanWords = text.match(/\b(der|die|das|und|nicht|ist|mit|für|wie|ein|eine|wir|ich|bei|nach|wird|werden)\b/gi) || [];
+  if (/[äöüß]/i.test(text) || germanWords.length >= 2) {
+    return 'de';
+  }
+
+  return 'en';
+}
+
+/**
+ * Resolve the requested language, detecting it from the text when omitted or "auto"
+ * @param {string} [language] - Language code (e.g. "en", "de-DE") or "auto"
+ * @param {string} [text] - Text used for detection
+ * @returns {string} Supported language code
+ * @throws {Error} If the language is not supported
+ */
+export function resolveLanguage(language, text) {
+  if (language === undefined || language === null || language === '' || language === 'auto') {
+    return detectLanguage(text);
+  }
+
+  const code = typeof language === 'string' ? language.trim().toLowerCase().split(/[-_]/)[0] : '';
+  if (!supportedLanguages.includes(code)) {
+    throw new Error(`Unsupported language: ${language}. Supported languages: ${supportedLanguages.join(', ')}`);
+  }
+
+  return code;
+}
+
+/**
+ * Get the catalogue entry for a language
+ * @param {string} [language] - Supported language code
+ * @returns {Object} Localized prompts and messages
+ */
+export function getPromptCatalog(language = DEFAULT_LANGUAGE) {
+  return supportedLanguages.includes(language) ? promptCatalog[language] : promptCatalog[DEFAULT_LANGUAGE];
+}
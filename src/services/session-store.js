@@ -0,0 +1,72 @@
+/**
+ * Session store - persists wall bounce sessions as JSON files so they can be resumed
+ */
+
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { writeJsonFile } from '../utils/json-file.js';
+
+/**
+ * Session ids are UUIDs; anything else is rejected before touching the file system
+ */
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export class SessionStore {
+  /**
+   * @param {string} directory - Directory holding one <session id>.json file per session
+   */
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Create a new session id
+   * @returns {string} Session id
+   */
+  createId() {
+    return randomUUID();
+  }
+
+  /**
+   * Persist a session, replacing any earlier version
+   * @param {Object} session - Serializable session record with an id
+   * @returns {Promise<void>}
+   */
+  async save(session) {
+    await writeJsonFile(this.getPath(session.id), session);
+  }
+
+  /**
+   * Load a session by id
+   * @param {string} id - Session id
+   * @returns {Promise<Object>} Session record
+   * @throws {Error} If the id is invalid or the session does not exist
+   */
+  async load(id) {
+    const file = this.getPath(id);
+
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Wall bounce session not found: ${id}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the file of a session
+   * @param {string} id - Session id
+   * @returns {string} Absolute file path
+   * @throws {Error} If the id is not a valid session id
+   */
+  getPath(id) {
+    if (typeof id !== 'string' || !SESSION_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid session id: ${id}`);
+    }
+
+    return path.join(this.directory, `${id.toLowerCase()}.json`);
+  }
+}
@@ -3,152 +3,1247 @@
  */
 
 import { validateAndSanitizeInput, validateAndClampNumber } from '../utils/validation.js';
+import { textSimilarity } from '../utils/text-similarity.js';
+import { resolvePersona } from './personas.js';
+import { SessionStore } from './session-store.js';
+import { DEFAULT_LANGUAGE, getPromptCatalog, resolveLanguage } from './prompt-catalog.js';
+import { throwIfCancelled } from '../utils/cancellation.js';
+import { sumUsage, summarizeUsage } from '../utils/usage.js';
+import { estimateTokens } from '../utils/model-capabilities.js';
+
+/**
+ * Maximum number of participants in one wall bounce session
+ */
+const MAX_PARTICIPANTS = 6;
+
+/**
+ * Ways of detecting that a discussion has converged
+ */
+const CONVERGENCE_METHODS = ['off', 'similarity', 'judge'];
+
+/**
+ * Minimum time between progress updates while a turn is streaming
+ */
+const STREAM_PROGRESS_INTERVAL_MS = 500;
+
+/**
+ * Characters after which a streaming turn counts as half done in progress updates
+ */
+const STREAM_PROGRESS_SCALE = 1000;
+
+/**
+ * Response length of a participant's turn, the synthesis and the convergence judge
+ */
+const TURN_MAX_TOKENS = 1500;
+const SYNTHESIS_MAX_TOKENS = 2000;
+const JUDGE_MAX_TOKENS = 200;
+
+/**
+ * Ways of shortening a transcript that outgrows a model's context window
+ */
+const COMPACTION_STRATEGIES = ['summarize', 'drop', 'off'];
+
+/**
+ * Model summarizing earlier rounds unless configured otherwise
+ */
+const DEFAULT_COMPACTION_MODEL = 'gpt-4o-mini';
+
+/**
+ * Opening rounds that frame the debate and are never condensed
+ */
+const KEPT_OPENING_ROUNDS = 1;
+
+/**
+ * Tokens of a context window kept free for the prompt text around the transcript
+ */
+const PROMPT_OVERHEAD_TOKENS = 500;
+
+/**
+ * Tokens per turn for its speaker label and separators
+ */
+const TURN_OVERHEAD_TOKENS = 10;
+
+/**
+ * Maximum length of a summary of earlier rounds
+ */
+const SUMMARY_MAX_TOKENS = 800;
 
 export class WallBounceService {
-  constructor(openaiProvider, geminiProvider) {
-    this.openaiProvider = openaiProvider;
-    this.geminiProvider = geminiProvider;
+  /**
+   * @param {ProviderRegistry} providerRegistry - Registry used to resolve each model's provider
+   * @param {SessionStore} [sessionStore] - Store for resumable sessions; sessions are not persisted without one
+   * @param {Object} [options] - Service options
+   * @param {string} [options.compaction] - How a transcript that outgrows a model's context window is shortened:
+   *   'summarize' (default) the middle rounds, 'drop' them, or 'off'
+   * @param {string} [options.compactionModel] - Model summarizing earlier rounds; they are dropped while it is unavailable
+   * @throws {Error} If the compaction strategy is unknown
+   */
+  constructor(providerRegistry, sessionStore, { compaction = 'summarize', compactionModel = DEFAULT_COMPACTION_MODEL } = {}) {
+    if (!COMPACTION_STRATEGIES.includes(compaction)) {
+      throw new Error(`Compaction must be one of: ${COMPACTION_STRATEGIES.join(', ')}`);
+    }
+
+    this.providerRegistry = providerRegistry;
+    this.sessionStore = sessionStore;
+    this.compaction = compaction;
+    this.compactionModel = compactionModel;
   }
 
   /**
    * Conduct wall bounce conversation between AI models
    * @param {Object} params - Wall bounce parameters
-   * @returns {Promise<string>} Discussion log in markdown format
+   * @param {string} params.topic - Topic or question to discuss
+   * @param {Array<{model: string, persona?: string|Object}>} [params.participants] - Participants (overrides model1/model2)
+   * @param {string} [params.model1] - First model when no participants are given
+   * @param {string} [params.model2] - Second model when no participants are given
+   * @param {string|Object} [params.persona1] - Persona for model1
+   * @param {string|Object} [params.persona2] - Persona for model2
+   * @param {Array<number>} [params.turnOrder] - 1-based participant numbers in speaking order
+   * @param {number} [params.rounds] - Number of rounds
+   * @param {number} [params.temperature] - Sampling temperature
+   * @param {string} [params.language] - Output language (ja, en, de); detected from the topic when omitted
+   * @param {boolean} [params.synthesize] - Finish with a model-generated synthesis instead of the canned summary
+   * @param {string} [params.synthesisModel] - Model writing the synthesis (implies synthesize; defaults to the first participant's model)
+   * @param {string} [params.convergence] - Early stopping: 'off' (default), 'similarity' or 'judge'
+   * @param {number} [params.convergenceThreshold] - Similarity (0-1) at which the discussion counts as converged
+   * @param {string} [params.judgeModel] - Model judging convergence (defaults to the first participant's model)
+   * @param {boolean} [params.pauseAfterEachRound] - Pause after every round so the caller can interject before the next one
+   * @param {number} [params.maxTotalTokens] - Token budget of the session
+   * @param {number} [params.maxCost] - Estimated cost budget of the session in USD
+   * @param {Function} [params.onProgress] - Called after every model turn with {progress, total, message}
+   * @param {AbortSignal} [params.signal] - Cancels the session; the partial transcript is returned and saved
+   * @param {number} [params.timeoutMs] - Time each provider call (turn, synthesis or judge) may take, unless its model has its own timeout
+   * @param {Function} [params.onUsage] - Called with the tokens and estimated cost of every provider call
+   * @param {Function} [params.remainingBudget] - Returns the { tokens, cost } the caller may still spend, e.g. of a server-wide budget
+   * @returns {Promise<string>} Discussion log in markdown format, ending with the session id when persisted
    */
   async conductWallBounce(params) {
-    const { topic, model1, model2, rounds, temperature } = params;
+    return (await this.startSession(params)).log;
+  }
 
-    // Validate required providers
-    if (!this.openaiProvider.isAvailable()) {
-      throw new Error('OpenAI provider is not available. Please configure OPENAI_API_KEY.');
-    }
-    
-    if (!this.geminiProvider.isAvailable()) {
-      throw new Error('Gemini provider is not available. Please configure GOOGLE_API_KEY.');
+  /**
+   * Resume a persisted wall bounce session
+   * @param {Object} params - Continuation parameters (see resumeSession)
+   * @returns {Promise<string>} Discussion log of the new rounds in markdown format
+   */
+  async continueWallBounce(params) {
+    return (await this.resumeSession(params)).log;
+  }
+
+  /**
+   * Fork a persisted wall bounce session
+   * @param {Object} params - Fork parameters (see forkSession)
+   * @returns {Promise<string>} Discussion log of the forked rounds in markdown format
+   */
+  async forkWallBounce(params) {
+    return (await this.forkSession(params)).log;
+  }
+
+  /**
+   * Start a wall bounce session
+   * @param {Object} params - Wall bounce parameters (see conductWallBounce)
+   * @returns {Promise<{log: string, session: Object, cancelled: boolean, retries: Array<Object>, usage: Object}>} Discussion log and the session state
+   * @throws {Error} If the parameters are invalid or a provider is not configured
+   */
+  async startSession(params) {
+    const { topic, rounds, temperature } = params;
+    const language = resolveLanguage(params.language, topic);
+    const participants = this.normalizeParticipants(params, language);
+    const turnOrder = this.normalizeTurnOrder(params.turnOrder, participants.length, language);
+    const synthesisModel = this.resolveSynthesisModel(params, participants, language);
+    const convergence = this.normalizeConvergence(params, participants, language);
+
+    if (params.pauseAfterEachRound && !this.sessionStore) {
+      throw new Error(getPromptCatalog(language).pauseStoreError);
     }
 
+    // Validate required providers
+    this.validateProviders({ participants, synthesisModel, convergence });
+
     // Validate and sanitize inputs
     const sanitizedTopic = validateAndSanitizeInput(topic, 1000);
     const validatedRounds = validateAndClampNumber(rounds, 1, 10, 3);
     const validatedTemperature = validateAndClampNumber(temperature, 0, 2, 0.8);
 
-    console.error(`Starting wall bounce chat between ${model1} and ${model2} for ${validatedRounds} rounds...`);
-    
-    let conversation = [];
-    let discussionLog = `# Wall Bounce Discussion: ${sanitizedTopic}\n\n`;
-    
-    // Initial prompt for the first model
-    const initialPrompt = this.createInitialPrompt(sanitizedTopic);
-    conversation.push({ role: 'user', content: initialPrompt });
-    
+    const labels = participants.map(participant => participant.label);
+    console.error(`Starting wall bounce chat between ${labels.join(', ')} for ${validatedRounds} rounds...`);
+
+    const session = {
+      id: this.sessionStore?.createId(),
+      topic: sanitizedTopic,
+      language,
+      participants,
+      turnOrder,
+      temperature: validatedTemperature,
+      synthesisModel,
+      convergence,
+      pauseAfterEachRound: Boolean(params.pauseAfterEachRound),
+      budget: this.normalizeBudget(params, undefined, language),
+      paused: false,
+      rounds: 0,
+      maxRounds: validatedRounds,
+      turns: [],
+      usage: [],
+      summaries: [],
+      createdAt: new Date().toISOString()
+    };
+
+    return await this.runSession(session, `${getPromptCatalog(language).title(sanitizedTopic)}\n\n`, params);
+  }
+
+  /**
+   * Resume a persisted wall bounce session.
+   * A paused session or one cut short by an error resumes its planned rounds;
+   * a finished session runs the requested number of additional rounds.
+   * @param {Object} params - Continuation parameters
+   * @param {string} params.sessionId - Id returned by an earlier wall bounce
+   * @param {number} [params.rounds] - Number of additional rounds (default: the remaining planned rounds, or 1)
+   * @param {string} [params.instruction] - New instruction shown to every participant before the next round
+   * @param {boolean} [params.finish] - End the session now with the summary or synthesis
+   * @param {number} [params.maxTotalTokens] - New token budget of the session
+   * @param {number} [params.maxCost] - New estimated cost budget of the session in USD
+   * @param {Function} [params.onProgress] - Called after every model turn with {progress, total, message}
+   * @param {AbortSignal} [params.signal] - Cancels the session; the partial transcript is returned and saved
+   * @param {number} [params.timeoutMs] - Time each provider call (turn, synthesis or judge) may take, unless its model has its own timeout
+   * @returns {Promise<{log: string, session: Object, cancelled: boolean, retries: Array<Object>, usage: Object}>} Discussion log of the new rounds and the session state
+   * @throws {Error} If sessions are not persisted or the session cannot be loaded
+   */
+  async resumeSession(params) {
+    if (!this.sessionStore) {
+      throw new Error('Wall bounce sessions are not persisted on this server');
+    }
+
+    const session = this.fromRecord(await this.sessionStore.load(params.sessionId));
+    this.validateProviders(session);
+    session.budget = this.normalizeBudget(params, session.budget, session.language);
+
+    if (params.finish) {
+      session.maxRounds = session.rounds;
+    } else if (params.rounds !== undefined || session.rounds >= session.maxRounds) {
+      session.maxRounds = session.rounds + validateAndClampNumber(params.rounds, 1, 10, 1);
+    }
+
+    const catalog = getPromptCatalog(session.language);
+    let discussionLog = `${catalog.title(session.topic)}\n\n`;
+
+    if (params.instruction) {
+      const instruction = validateAndSanitizeInput(params.instruction, 2000);
+      session.turns.push({ round: session.rounds, instruction: true, content: instruction });
+      discussionLog += `${catalog.instructionLog(instruction)}\n\n`;
+    }
+
+    console.error(`Continuing wall bounce session ${session.id} up to round ${session.maxRounds}...`);
+    return await this.runSession(session, discussionLog, params);
+  }
+
+  /**
+   * Fork a persisted session after one of its rounds into a new session.
+   * The transcript up to that round is copied, so earlier rounds are not paid for twice;
+   * the original session is left untouched.
+   * @param {Object} params - Fork parameters
+   * @param {string} params.sessionId - Id of the session to fork
+   * @param {number} params.round - Last round copied into the fork
+   * @param {Array<{participant: number, model?: string, persona?: string|Object|null}>} [params.participantChanges] - Model or persona changes by 1-based participant number
+   * @param {number} [params.temperature] - New sampling temperature
+   * @param {string} [params.instruction] - Interjection shown to every participant before the forked rounds
+   * @param {number} [params.rounds] - Number of rounds to run after the fork point (default: the rounds the original still had planned, or 1)
+   * @param {boolean} [params.pauseAfterEachRound] - Pause after every round (default: as in the original session)
+   * @param {Function} [params.onProgress] - Called after every model turn with {progress, total, message}
+   * @param {AbortSignal} [params.signal] - Cancels the session; the partial transcript is returned and saved
+   * @param {number} [params.timeoutMs] - Time each provider call (turn, synthesis or judge) may take, unless its model has its own timeout
+   * @returns {Promise<{log: string, session: Object, cancelled: boolean, retries: Array<Object>, usage: Object}>} Discussion log of the forked rounds and the new session state
+   * @throws {Error} If sessions are not persisted, the session cannot be loaded or the parameters are invalid
+   */
+  async forkSession(params) {
+    if (!this.sessionStore) {
+      throw new Error('Wall bounce sessions are not persisted on this server');
+    }
+
+    const source = this.fromRecord(await this.sessionStore.load(params.sessionId));
+    const round = params.round;
+    const catalog = getPromptCatalog(source.language);
+
+    if (!Number.isInteger(round) || round < 1 || round > source.rounds) {
+      throw new Error(source.rounds > 0 ? catalog.forkRoundError(source.rounds) : catalog.forkNoRoundsError);
+    }
+
+    const participants = this.applyParticipantChanges(source.participants, params.participantChanges, source.language);
+    const session = {
+      ...source,
+      id: this.sessionStore.createId(),
+      forkedFrom: { sessionId: source.id, round },
+      participants,
+      temperature: validateAndClampNumber(params.temperature, 0, 2, source.temperature),
+      pauseAfterEachRound: params.pauseAfterEachRound ?? source.pauseAfterEachRound,
+      paused: false,
+      rounds: round,
+      maxRounds: round + validateAndClampNumber(params.rounds, 1, 10, Math.max(source.maxRounds - round, 1)),
+      // Instructions given after the fork round steered the original, not the fork
+      turns: source.turns
+        .filter(turn => turn.instruction ? turn.round < round : turn.round <= round)
+        .map(turn => turn.instruction
+          ? turn
+          : { ...turn, participant: participants[source.participants.indexOf(turn.participant)] }),
+      // The fork accounts only for its own calls
+      usage: [],
+      // Summaries may include an instruction given after the fork round
+      summaries: source.summaries.filter(summary => summary.throughRound < round),
+      createdAt: new Date().toISOString()
+    };
+    this.validateProviders(session);
+
+    let discussionLog = `${catalog.title(session.topic)}\n\n${catalog.forked(source.id, round)}\n\n`;
+
+    if (params.instruction) {
+      const instruction = validateAndSanitizeInput(params.instruction, 2000);
+      session.turns.push({ round, instruction: true, content: instruction });
+      discussionLog += `${catalog.instructionLog(instruction)}\n\n`;
+    }
+
+    console.error(`Forking wall bounce session ${source.id} after round ${round} into ${session.id}...`);
+    return await this.runSession(session, discussionLog, params);
+  }
+
+  /**
+   * Run the session's remaining rounds (or a single one when pausing after each round),
+   * finish with the summary or synthesis and persist the session
+   * @param {Object} session - Session to advance (mutated)
+   * @param {string} discussionLog - Log to append to
+   * @param {Object} [options] - Run options
+   * @param {Function} [options.onProgress] - Called after every model turn with {progress, total, message}
+   * @param {AbortSignal} [options.signal] - Cancels the run, keeping the completed rounds
+   * @param {number} [options.timeoutMs] - Time each provider call may take (see ProviderRegistry.getTimeout)
+   * @param {Function} [options.onUsage] - Called with the tokens and estimated cost of every provider call
+   * @param {Function} [options.remainingBudget] - Returns the { tokens, cost } the caller may still spend
+   * @returns {Promise<{log: string, session: Object, cancelled: boolean, retries: Array<Object>, usage: Object}>} Discussion log in markdown format,
+   *   the session state, the provider calls retried during the run and the session's token usage (see summarizeUsage)
+   */
+  async runSession(session, discussionLog, { onProgress, signal, timeoutMs, onUsage, remainingBudget } = {}) {
+    const { topic, language, participants, turnOrder, turns, convergence } = session;
+    const catalog = getPromptCatalog(language);
+    session.paused = false;
+    let cancelled = false;
+
+    // Options for every provider call of this run; usage is recorded against the round being played
+    const retries = [];
+    let usageRound = session.rounds + 1;
+    const call = {
+      signal,
+      timeoutMs,
+      onRetry: (retry) => retries.push(retry),
+      onUsage: (usage) => {
+        session.usage.push({ round: usageRound, ...usage });
+        onUsage?.(usage);
+      }
+    };
+    // Why the session stopped short of its planned rounds to stay within a budget
+    let budgetReason = null;
+    // Models whose transcript had to be condensed during this run, with the last condensed rounds
+    const compactions = new Map();
+    const fitContext = async (model, maxTokens) => {
+      const fitted = await this.fitContext(session, model, maxTokens, call);
+      if (fitted.compaction) {
+        compactions.set(model, fitted.compaction);
+      }
+      return fitted.turns;
+    };
+
+    // A pausing session runs a single round per call
+    const remainingRounds = session.maxRounds - session.rounds;
+    const plannedTurns = (session.pauseAfterEachRound ? Math.min(remainingRounds, 1) : remainingRounds) * turnOrder.length;
+    let completedTurns = 0;
+
     try {
-      for (let round = 1; round <= validatedRounds; round++) {
-        discussionLog += `## Round ${round}\n\n`;
-        
-        // OpenAI model response
-        console.error(`Round ${round}: Calling ${model1}...`);
-        const openaiResponse = await this.getOpenAIResponse(
-          model1, 
-          conversation, 
-          validatedTemperature
-        );
-        
-        discussionLog += `### ${model1}:\n${openaiResponse}\n\n`;
-        conversation.push({ role: 'assistant', content: openaiResponse });
-        
-        // Gemini model response
-        console.error(`Round ${round}: Calling ${model2}...`);
-        const geminiPrompt = this.createGeminiPrompt(openaiResponse);
-        const geminiResponse = await this.getGeminiResponse(
-          model2,
-          geminiPrompt,
-          validatedTemperature
-        );
-        
-        discussionLog += `### ${model2}:\n${geminiResponse}\n\n`;
+      for (let round = session.rounds + 1; round <= session.maxRounds; round++) {
+        usageRound = round;
+        let roundTurns = 0;
         
-        // Update conversation for next round
-        const nextPrompt = `別の専門家からの応答: "${geminiResponse}"\n\nこの応答を踏まえて、さらに議論を発展させてください。`;
-        conversation.push({ role: 'user', content: nextPrompt });
+        for (const index of turnOrder) {
+          budgetReason = this.checkBudget(session, remainingBudget, catalog);
+          if (budgetReason) {
+            break;
+          }
+          if (roundTurns === 0) {
+            discussionLog += `${catalog.round(round)}\n\n`;
+          }
+          roundTurns++;
+
+          const participant = participants[index];
+          throwIfCancelled(signal);
+          const messages = this.buildTranscript(participant, await fitContext(participant.model, TURN_MAX_TOKENS), topic, language);
+
+          console.error(`Round ${round}: Calling ${participant.label}...`);
+          // A turn answered by a fallback model says so in its header
+          let answeredBy;
+          const speaker = () => (answeredBy ? catalog.fallbackLabel(participant.label, answeredBy) : participant.label);
+          const header = () => `${catalog.round(round)}\n\n### ${speaker()}:\n`;
+          const onDelta = this.createStreamProgress(onProgress, completedTurns, plannedTurns, header);
+          const response = await this.getModelResponse(participant.model, messages, session.temperature, TURN_MAX_TOKENS, {
+            ...call,
+            onDelta,
+            onFailover: ({ fallback }) => { answeredBy = fallback; }
+          });
+
+          turns.push({ round, participant, label: participant.label, ...(answeredBy && { answeredBy }), content: response });
+          discussionLog += `### ${speaker()}:\n${response}\n\n`;
+
+          await this.reportProgress(onProgress, {
+            progress: ++completedTurns,
+            total: plannedTurns,
+            message: `${header()}${response}`
+          });
+        }
+
+        if (budgetReason) {
+          // A round cut short by the budget still counts, so a resumed session starts a fresh one
+          session.rounds = roundTurns > 0 ? round : round - 1;
+          console.error(`Stopping wall bounce after round ${session.rounds}: ${budgetReason}`);
+          discussionLog += `${catalog.stopped(session.rounds, budgetReason)}\n\n`;
+          session.maxRounds = session.rounds;
+          break;
+        }
+        session.rounds = round;
+
+        if (round === session.maxRounds) {
+          break;
+        }
+
+        if (convergence) {
+          // The judge reads the transcript, condensed like the participants' if it must be
+          const judgedTurns = convergence.judgeModel ? await fitContext(convergence.judgeModel, JUDGE_MAX_TOKENS) : turns;
+          const reason = await this.checkConvergence(convergence, judgedTurns, round, topic, language, call);
+          if (reason) {
+            console.error(`Stopping wall bounce after round ${round}: ${reason}`);
+            discussionLog += `${catalog.stopped(round, reason)}\n\n`;
+            session.maxRounds = round;
+            break;
+          }
+        }
+
+        if (session.pauseAfterEachRound) {
+          console.error(`Pausing wall bounce session ${session.id} after round ${round}`);
+          discussionLog += `${catalog.paused(round, session.maxRounds)}\n\n`;
+          session.paused = true;
+          break;
+        }
       }
       
-      discussionLog += this.createSummary(model1, model2, validatedRounds, sanitizedTopic);
-      return discussionLog;
+      const synthesisBudgetReason = session.synthesisModel && !session.paused && !budgetReason
+        && this.checkBudget(session, remainingBudget, catalog);
+      if (synthesisBudgetReason) {
+        console.error(`Skipping synthesis: ${synthesisBudgetReason}`);
+        discussionLog += `${catalog.synthesisSkipped(synthesisBudgetReason)}\n\n`;
+      }
+
+      if (!session.paused) {
+        if (session.synthesisModel && !budgetReason && !synthesisBudgetReason) {
+          console.error(`Synthesizing discussion with ${session.synthesisModel}...`);
+          // The synthesis counts towards the last round
+          usageRound = session.rounds;
+          const synthesisTurns = await fitContext(session.synthesisModel, SYNTHESIS_MAX_TOKENS);
+          discussionLog += await this.createSynthesis(session.synthesisModel, synthesisTurns, topic, language, call);
+        } else {
+          const labels = participants.map(participant => participant.label);
+          discussionLog += this.createSummary(labels, session.rounds, topic, language);
+        }
+      }
       
     } catch (error) {
-      console.error('Wall bounce error:', error);
-      return `壁打ちセッション中にエラーが発生しました: ${error.message}\n\n現在までの議論:\n${discussionLog}`;
+      // Whatever the SDK threw on abort, a cancelled run ends with its partial transcript
+      if (signal?.aborted) {
+        console.error('Wall bounce cancelled');
+        discussionLog += catalog.cancelled;
+        session.paused = false;
+        cancelled = true;
+      } else {
+        console.error('Wall bounce error:', error);
+        discussionLog = catalog.error(error.message, discussionLog);
+      }
     }
+
+    const usage = summarizeUsage(session.usage);
+    const metadata = [
+      retries.length > 0 && catalog.retries(this.summarizeRetries(retries)),
+      compactions.size > 0 && catalog.compactions([...compactions]
+        .map(([model, { fromRound, throughRound, summarized }]) => `${model} (${catalog.compactedRounds(fromRound, throughRound, summarized)})`)
+        .join(', ')),
+      usage.total.calls > 0 && this.formatUsage(usage, catalog),
+      await this.saveSession(session)
+    ].filter(Boolean);
+    if (metadata.length > 0) {
+      discussionLog += `\n\n---\n${metadata.join('\n\n')}`;
+    }
+
+    return { log: discussionLog, session, cancelled, retries, usage };
   }
 
   /**
-   * Create initial prompt for the first model
-   * @param {string} topic - Discussion topic
-   * @returns {string} Initial prompt
+   * Check whether the next provider call would exceed the session's budget or the caller's
+   * remaining budget. The next call is expected to use about as much as the last one.
+   * @param {Object} session - Session with its budget and usage so far
+   * @param {Function} [remainingBudget] - Returns the { tokens, cost } the caller may still spend
+   * @param {Object} catalog - Prompt catalogue of the session's language
+   * @returns {string|null} Reason for stopping, or null to go on
    */
-  createInitialPrompt(topic) {
-    return `あなたは技術的な議論や問題解決に参加している専門家です。以下のトピックについて、建設的で洞察に富んだ議論を行ってください。別のAIモデルとの対話を通じて、アイデアを発展させ、新しい視点を提供してください。
+  checkBudget(session, remainingBudget, catalog) {
+    const { maxTotalTokens, maxCost } = session.budget || {};
+    const used = sumUsage(session.usage);
+    const last = session.usage.at(-1);
+    const next = { tokens: last ? last.promptTokens + last.completionTokens : 0, cost: last?.cost ?? 0 };
+    const wouldExceed = (spent, expected, limit) => spent >= limit || spent + expected > limit;
 
-トピック: ${topic}
+    if (maxTotalTokens && wouldExceed(used.totalTokens, next.tokens, maxTotalTokens)) {
+      return catalog.tokenBudgetReason(used.totalTokens, maxTotalTokens);
+    }
+    if (maxCost && wouldExceed(used.cost, next.cost, maxCost)) {
+      return catalog.costBudgetReason(used.cost, maxCost);
+    }
 
-このトピックについてあなたの最初の見解や質問を述べてください。`;
+    const remaining = remainingBudget?.();
+    if (remaining && (wouldExceed(0, next.tokens, remaining.tokens) || wouldExceed(0, next.cost, remaining.cost))) {
+      return catalog.clientBudgetReason;
+    }
+    return null;
   }
 
   /**
-   * Create prompt for Gemini model response
-   * @param {string} previousResponse - Previous model's response
-   * @returns {string} Gemini prompt
+   * Describe a session's token usage and estimated cost, in total, per round and per model
+   * @param {{total: Object, byRound: Object, byModel: Object}} usage - Usage summary (see summarizeUsage)
+   * @param {Object} catalog - Prompt catalogue of the session's language
+   * @returns {string} Usage block for the log footer
    */
-  createGeminiPrompt(previousResponse) {
-    return `あなたは技術的な議論に参加している別の専門家です。前のAIモデルの発言に対して応答し、議論を発展させてください。異なる視点や代替案を提供し、建設的な対話を続けてください。
+  formatUsage({ total, byRound, byModel }, catalog) {
+    return [
+      `${catalog.usageTitle}: ${catalog.usageAmount(total)}`,
+      ...Object.entries(byRound).map(([round, totals]) => `- ${catalog.usageRound(round)}: ${catalog.usageAmount(totals)}`),
+      ...Object.entries(byModel).map(([model, totals]) => `- ${model}: ${catalog.usageAmount(totals)}`)
+    ].join('\n');
+  }
 
-前のモデルの発言:
-"${previousResponse}"
+  /**
+   * Summarize retried provider calls per model, e.g. "gpt-4o ×2 (HTTP 429)"
+   * @param {Array<{model: string, reason: string}>} retries - Retried calls
+   * @returns {string} Comma-separated summary
+   */
+  summarizeRetries(retries) {
+    const byModel = new Map();
+    for (const { model, reason } of retries) {
+      const entry = byModel.get(model) || { count: 0, reasons: new Set() };
+      entry.count++;
+      entry.reasons.add(reason);
+      byModel.set(model, entry);
+    }
 
-この発言に対するあなたの応答、質問、または追加の洞察を提供してください。`;
+    return [...byModel].map(([model, { count, reasons }]) => `${model} ×${count} (${[...reasons].join(', ')})`).join(', ');
   }
 
   /**
-   * Get response from OpenAI model
-   * @param {string} model - Model name
-   * @param {Array} conversation - Conversation history
-   * @param {number} temperature - Temperature setting
-   * @returns {Promise<string>} Model response
+   * Create a delta listener that reports a streaming turn's partial text as progress.
+   * Updates are throttled and advance within the current turn without reaching the next one.
+   * @param {Function} [onProgress] - Progress listener
+   * @param {number} completedTurns - Turns completed before this one
+   * @param {number} total - Planned turns
+   * @param {Function} header - Returns the round and speaker header of the turn
+   * @returns {Function|undefined} Delta listener, or undefined without a progress listener
+   */
+  createStreamProgress(onProgress, completedTurns, total, header) {
+    if (!onProgress) {
+      return undefined;
+    }
+
+    let lastUpdate = 0;
+    return async (delta, text) => {
+      if (Date.now() - lastUpdate < STREAM_PROGRESS_INTERVAL_MS) {
+        return;
+      }
+      lastUpdate = Date.now();
+
+      await this.reportProgress(onProgress, {
+        progress: completedTurns + text.length / (text.length + STREAM_PROGRESS_SCALE),
+        total,
+        message: `${header()}${text}`
+      });
+    };
+  }
+
+  /**
+   * Report progress to the caller; a failing listener never interrupts the discussion
+   * @param {Function} [onProgress] - Progress listener
+   * @param {{progress: number, total: number, message: string}} progress - Progress update
+   * @returns {Promise<void>}
+   */
+  async reportProgress(onProgress, progress) {
+    if (!onProgress) {
+      return;
+    }
+
+    try {
+      await onProgress(progress);
+    } catch (error) {
+      console.error('Failed to report wall bounce progress:', error);
+    }
+  }
+
+  /**
+   * Persist a session if a store is configured
+   * @param {Object} session - Session to save
+   * @returns {Promise<string>} Footer line pointing to the session id, or '' when not persisted
+   */
+  async saveSession(session) {
+    if (!this.sessionStore) {
+      return '';
+    }
+
+    // A round cut short by an error is dropped so a resumed session starts from a complete round
+    session.turns = session.turns.filter(turn => turn.round <= session.rounds);
+
+    try {
+      await this.sessionStore.save(this.toRecord(session));
+      return getPromptCatalog(session.language).sessionFooter(session.id);
+    } catch (error) {
+      console.error('Failed to save wall bounce session:', error);
+      return '';
+    }
+  }
+
+  /**
+   * Convert a session into a JSON-serializable record (turns refer to participants by index)
+   * @param {Object} session - Session
+   * @returns {Object} Session record
+   */
+  toRecord(session) {
+    return {
+      ...session,
+      turns: session.turns.map(turn => turn.instruction
+        ? turn
+        : { ...turn, participant: session.participants.indexOf(turn.participant) }),
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Restore a session from its persisted record
+   * @param {Object} record - Session record
+   * @returns {Object} Session
+   */
+  fromRecord(record) {
+    return {
+      ...record,
+      turns: record.turns.map(turn => turn.instruction
+        ? turn
+        : { ...turn, participant: record.participants[turn.participant] }),
+      // Sessions saved before usage was recorded or rounds were summarized
+      usage: record.usage || [],
+      summaries: record.summaries || []
+    };
+  }
+
+  /**
+   * Ensure every model a session needs is served by a configured provider
+   * @param {Object} session - Participants, synthesis model and convergence settings
+   * @throws {Error} If a provider is missing or not configured
+   */
+  validateProviders({ participants, synthesisModel, convergence }) {
+    for (const participant of participants) {
+      this.providerRegistry.resolveAvailable(participant.model, 'chat');
+    }
+    if (synthesisModel) {
+      this.providerRegistry.resolveAvailable(synthesisModel, 'chat');
+    }
+    if (convergence?.judgeModel) {
+      this.providerRegistry.resolveAvailable(convergence.judgeModel, 'chat');
+    }
+  }
+
+  /**
+   * Build the participant list from either participants or model1/model2
+   * @param {Object} params - Wall bounce parameters
+   * @param {string} [language] - Language of the persona prompts and error messages
+   * @returns {Array<{model: string, persona: Object|undefined, label: string}>} Participants
+   * @throws {Error} If the participant list is invalid
    */
-  async getOpenAIResponse(model, conversation, temperature) {
-    return await this.openaiProvider.chatCompletion({
-      model,
-      messages: conversation,
-      temperature,
-      maxTokens: 1500
+  normalizeParticipants(params, language = DEFAULT_LANGUAGE) {
+    const catalog = getPromptCatalog(language);
+    const entries = params.participants ?? [
+      { model: params.model1, persona: params.persona1 },
+      { model: params.model2, persona: params.persona2 }
+    ];
+
+    if (!Array.isArray(entries) || entries.length < 2 || entries.length > MAX_PARTICIPANTS) {
+      throw new Error(catalog.participantCountError(MAX_PARTICIPANTS));
+    }
+
+    const participants = entries.map(entry => {
+      if (!entry || typeof entry.model !== 'string' || entry.model.trim().length === 0) {
+        throw new Error(catalog.participantModelError);
+      }
+
+      return { model: entry.model.trim(), persona: resolvePersona(entry.persona, language) };
     });
+
+    return this.labelParticipants(participants);
+  }
+
+  /**
+   * Apply fork changes to a session's participants
+   * @param {Array} participants - Current participants
+   * @param {Array<{participant: number, model?: string, persona?: string|Object|null}>} [changes] - Changes by 1-based participant number
+   * @param {string} [language] - Language of the persona prompts and error messages
+   * @returns {Array<{model: string, persona: Object|undefined, label: string}>} New participants
+   * @throws {Error} If a change is invalid
+   */
+  applyParticipantChanges(participants, changes = [], language = DEFAULT_LANGUAGE) {
+    const catalog = getPromptCatalog(language);
+    if (!Array.isArray(changes)) {
+      throw new Error(catalog.participantChangesError);
+    }
+
+    const updated = participants.map(({ model, persona }) => ({ model, persona }));
+
+    for (const change of changes) {
+      const index = change?.participant - 1;
+      if (!Number.isInteger(index) || index < 0 || index >= updated.length) {
+        throw new Error(catalog.participantNumberError(updated.length));
+      }
+
+      if (change.model !== undefined) {
+        if (typeof change.model !== 'string' || change.model.trim().length === 0) {
+          throw new Error(catalog.participantModelError);
+        }
+        updated[index].model = change.model.trim();
+      }
+      if (change.persona !== undefined) {
+        updated[index].persona = resolvePersona(change.persona, language);
+      }
+    }
+
+    return this.labelParticipants(updated);
+  }
+
+  /**
+   * Label participants by model and persona
+   * @param {Array<{model: string, persona: Object|undefined}>} participants - Participants
+   * @returns {Array<{model: string, persona: Object|undefined, label: string}>} Labelled participants
+   */
+  labelParticipants(participants) {
+    const labels = participants.map(({ model, persona }) => persona ? `${model} (${persona.name})` : model);
+
+    // Identical participants (e.g. GPT vs GPT) are told apart by their position
+    return participants.map((participant, index) => {
+      const isDuplicate = labels.filter(label => label === labels[index]).length > 1;
+      return { ...participant, label: isDuplicate ? `${labels[index]} (#${index + 1})` : labels[index] };
+    });
+  }
+
+  /**
+   * Determine which model, if any, writes the final synthesis
+   * @param {Object} params - Wall bounce parameters
+   * @param {Array} participants - Normalized participants
+   * @param {string} [language] - Language of the error message
+   * @returns {string|undefined} Synthesis model
+   * @throws {Error} If the synthesis model is not a non-empty string
+   */
+  resolveSynthesisModel(params, participants, language = DEFAULT_LANGUAGE) {
+    if (params.synthesisModel !== undefined && params.synthesisModel !== null) {
+      if (typeof params.synthesisModel !== 'string' || params.synthesisModel.trim().length === 0) {
+        throw new Error(getPromptCatalog(language).synthesisModelError);
+      }
+      return params.synthesisModel.trim();
+    }
+
+    return params.synthesize ? participants[0].model : undefined;
+  }
+
+  /**
+   * Validate the session budget, keeping the current limits that are not given
+   * @param {Object} params - Wall bounce parameters ({ maxTotalTokens, maxCost })
+   * @param {{maxTotalTokens: number|null, maxCost: number|null}} [current] - Budget of a resumed session
+   * @param {string} [language] - Language of the error message
+   * @returns {{maxTotalTokens: number|null, maxCost: number|null}} Budget (null for no limit)
+   * @throws {Error} If a limit is not a positive number
+   */
+  normalizeBudget(params, current = { maxTotalTokens: null, maxCost: null }, language = DEFAULT_LANGUAGE) {
+    const catalog = getPromptCatalog(language);
+    const limit = (value, error, fallback) => {
+      if (value === undefined || value === null) {
+        return fallback ?? null;
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+        throw new Error(error);
+      }
+      return value;
+    };
+
+    return {
+      maxTotalTokens: limit(params.maxTotalTokens, catalog.tokenBudgetError, current.maxTotalTokens),
+      maxCost: limit(params.maxCost, catalog.costBudgetError, current.maxCost),
+    };
+  }
+
+  /**
+   * Validate the early stopping settings
+   * @param {Object} params - Wall bounce parameters
+   * @param {Array} participants - Normalized participants
+   * @param {string} [language] - Language of the error message
+   * @returns {{method: string, threshold: number, judgeModel: string|undefined}|undefined} Settings, or undefined when off
+   * @throws {Error} If the method is unknown
+   */
+  normalizeConvergence(params, participants, language = DEFAULT_LANGUAGE) {
+    const method = params.convergence ?? 'off';
+
+    if (!CONVERGENCE_METHODS.includes(method)) {
+      throw new Error(getPromptCatalog(language).convergenceError(CONVERGENCE_METHODS));
+    }
+
+    if (method === 'off') {
+      return undefined;
+    }
+
+    const judgeModel = typeof params.judgeModel === 'string' && params.judgeModel.trim().length > 0
+      ? params.judgeModel.trim()
+      : participants[0].model;
+
+    return {
+      method,
+      threshold: validateAndClampNumber(params.convergenceThreshold, 0, 1, 0.7),
+      judgeModel: method === 'judge' ? judgeModel : undefined
+    };
   }
 
   /**
-   * Get response from Gemini model
+   * Validate the speaking order within each round
+   * @param {Array<number>} [turnOrder] - 1-based participant numbers
+   * @param {number} count - Number of participants
+   * @param {string} [language] - Language of the error message
+   * @returns {Array<number>} 0-based participant indices (round-robin when omitted)
+   * @throws {Error} If the order does not list every participant exactly once
+   */
+  normalizeTurnOrder(turnOrder, count, language = DEFAULT_LANGUAGE) {
+    if (turnOrder === undefined || turnOrder === null) {
+      return Array.from({ length: count }, (_, index) => index);
+    }
+
+    const indices = Array.isArray(turnOrder) ? turnOrder.map(number => number - 1) : [];
+    const isPermutation = indices.length === count &&
+      new Set(indices).size === count &&
+      indices.every(index => Number.isInteger(index) && index >= 0 && index < count);
+
+    if (!isPermutation) {
+      throw new Error(getPromptCatalog(language).turnOrderError);
+    }
+
+    return indices;
+  }
+
+  /**
+   * Build the transcript as seen by one participant: its own turns become
+   * assistant messages and everything the others said becomes user input
+   * @param {Object} participant - Participant about to speak
+   * @param {Array} turns - Turns so far
+   * @param {string} topic - Discussion topic
+   * @param {string} [language] - Prompt language
+   * @returns {Array} Role-mapped messages
+   */
+  buildTranscript(participant, turns, topic, language = DEFAULT_LANGUAGE) {
+    const messages = [];
+    let pending = [];
+
+    const flushPending = () => {
+      // User instructions are passed on as such, not as another participant's statement
+      const statements = pending.filter(turn => !turn.instruction);
+      const instruction = pending.filter(turn => turn.instruction).map(turn => turn.content).join('\n');
+
+      if (messages.length === 0) {
+        const { persona } = participant;
+        messages.push({
+          role: 'user',
+          content: statements.length === 0
+            ? this.createInitialPrompt(topic, { persona, language, instruction })
+            : this.createGeminiPrompt(this.formatStatements(statements, language), { topic, persona, language, instruction })
+        });
+      } else if (pending.length > 0) {
+        messages.push({
+          role: 'user',
+          content: this.createNextRoundPrompt(this.formatStatements(statements), language, instruction)
+        });
+      }
+      pending = [];
+    };
+
+    for (const turn of turns) {
+      if (turn.participant === participant) {
+        flushPending();
+        messages.push({ role: 'assistant', content: turn.content });
+      } else {
+        pending.push(turn);
+      }
+    }
+    flushPending();
+
+    return messages;
+  }
+
+  /**
+   * Turns to show a model, condensed when the whole transcript would not fit its context window.
+   * The opening round, which frames the debate, is kept; as few rounds after it as needed are
+   * folded into one stand-in turn: a summary by the compaction model, or a note that they were
+   * left out. Instructions and the latest round with statements are always kept.
+   * @param {Object} session - Session with its turns and summaries (a new summary is added to it)
+   * @param {string} model - Model about to be called
+   * @param {number} maxTokens - Tokens reserved for the model's response
+   * @param {Object} [call] - Provider call options for writing a summary ({ signal, timeoutMs, onRetry, onUsage })
+   * @returns {Promise<{turns: Array, compaction: {fromRound: number, throughRound: number, summarized: boolean}|null}>} Turns to show,
+   *   and which rounds were condensed (null if the transcript fits as it is)
+   * @throws {CancelledError} If cancelled while a summary is written
+   */
+  async fitContext(session, model, maxTokens, call = {}) {
+    const { turns } = session;
+    const available = this.providerRegistry.getContextWindow(model) - maxTokens - PROMPT_OVERHEAD_TOKENS;
+    if (this.compaction === 'off' || estimateTurnTokens(turns) <= available) {
+      return { turns, compaction: null };
+    }
+
+    const fromRound = KEPT_OPENING_ROUNDS + 1;
+    const lastRound = Math.max(0, ...turns.filter(turn => !turn.instruction).map(turn => turn.round));
+    if (lastRound <= fromRound) {
+      console.error(`Transcript may not fit the context window of ${model}, but has no middle rounds to condense`);
+      return { turns, compaction: null };
+    }
+
+    // Turns are in spoken order, so the opening rounds and the instructions given after them come first
+    const opening = turns.filter(turn => turn.round < fromRound);
+    const after = (throughRound) => turns.filter(turn => turn.round >= fromRound && (turn.instruction || turn.round > throughRound));
+    // Fold as few rounds as needed to leave room for the stand-in turn
+    const foldRounds = (standInTokens) => {
+      let throughRound = fromRound;
+      while (throughRound < lastRound - 1 &&
+        estimateTurnTokens(opening) + estimateTurnTokens(after(throughRound)) + standInTokens(throughRound) > available) {
+        throughRound++;
+      }
+      return throughRound;
+    };
+
+    let throughRound;
+    let summary = null;
+    if (this.compaction === 'summarize') {
+      throughRound = foldRounds((round) => {
+        const existing = session.summaries.find(summary => summary.throughRound === round);
+        return existing ? estimateTokens(existing.content) : SUMMARY_MAX_TOKENS;
+      });
+      summary = await this.summarizeRounds(session, throughRound, call);
+    }
+    const summarized = summary !== null;
+    if (!summarized) {
+      // Rounds left out need no room for a summary, so fewer of them may have to go
+      throughRound = foldRounds(() => 0);
+    }
+    const catalog = getPromptCatalog(session.language);
+    console.error(`Condensing rounds ${fromRound}-${throughRound} for ${model} (${summarized ? 'summarized' : 'left out'})`);
+
+    return {
+      turns: [
+        ...opening,
+        {
+          round: throughRound,
+          compacted: true,
+          label: catalog.compactedLabel(fromRound, throughRound, summarized),
+          content: summary ?? catalog.roundsOmitted
+        },
+        ...after(throughRound)
+      ],
+      compaction: { fromRound, throughRound, summarized }
+    };
+  }
+
+  /**
+   * Summary of the rounds after the opening ones up to a round, written by the compaction model.
+   * Summaries are kept in the session for later calls and resumed sessions, and a new one extends
+   * the latest earlier summary instead of rereading every round.
+   * @param {Object} session - Session with its turns and summaries (the new summary is added to it)
+   * @param {number} throughRound - Last round to summarize
+   * @param {Object} [call] - Provider call options ({ signal, timeoutMs, onRetry, onUsage })
+   * @returns {Promise<string|null>} Summary, or null if the compaction model is unavailable or failed
+   * @throws {CancelledError} If cancelled while the summary is written
+   */
+  async summarizeRounds(session, throughRound, call = {}) {
+    const existing = session.summaries.find(summary => summary.throughRound === throughRound);
+    if (existing) {
+      return existing.content;
+    }
+    if (!this.providerRegistry.isModelAvailable(this.compactionModel)) {
+      return null;
+    }
+
+    const previous = session.summaries
+      .filter(summary => summary.throughRound < throughRound)
+      .sort((a, b) => b.throughRound - a.throughRound)[0];
+    const turns = session.turns.filter(turn => turn.round > (previous?.throughRound ?? KEPT_OPENING_ROUNDS) && turn.round <= throughRound);
+    const catalog = getPromptCatalog(session.language);
+
+    try {
+      const content = await this.getModelResponse(this.compactionModel, [
+        {
+          role: 'user',
+          content: catalog.compactionPrompt({
+            topic: session.topic,
+            summary: previous?.content,
+            transcript: this.formatTranscript(turns, session.language)
+          })
+        }
+      ], 0.2, SUMMARY_MAX_TOKENS, call);
+      session.summaries.push({ throughRound, model: this.compactionModel, content });
+      return content;
+    } catch (error) {
+      throwIfCancelled(call.signal);
+      console.error(`Compaction model ${this.compactionModel} failed, leaving out earlier rounds instead:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Format turns with speaker attribution
+   * @param {Array} statements - Turns to format
+   * @param {string} [language] - Language of the label for user instructions
+   * @returns {string} Attributed statements
+   */
+  formatStatements(statements, language) {
+    return statements
+      .map(turn => {
+        // Turns keep the label they were spoken under, even if a fork later changed the participant
+        const speaker = turn.instruction ? getPromptCatalog(language).instructionLabel : turn.label ?? turn.participant.label;
+        return `${speaker}:\n${turn.content}`;
+      })
+      .join('\n\n');
+  }
+
+  /**
+   * Format the whole discussion round by round
+   * @param {Array} turns - Turns to format
+   * @param {string} [language] - Language of the round headers
+   * @returns {string} Transcript text
+   */
+  formatTranscript(turns, language) {
+    const catalog = getPromptCatalog(language);
+    // Turns are grouped by round in spoken order; condensed rounds stand on their own, without a round header
+    const sections = [];
+    for (const turn of turns) {
+      const section = sections.at(-1);
+      if (!turn.compacted && section && !section.compacted && section.round === turn.round) {
+        section.turns.push(turn);
+      } else {
+        sections.push({ round: turn.round, compacted: turn.compacted, turns: [turn] });
+      }
+    }
+
+    return sections
+      .map(({ round, compacted, turns }) => compacted
+        ? this.formatStatements(turns, language)
+        : `${catalog.round(round)}\n\n${this.formatStatements(turns, language)}`)
+      .join('\n\n');
+  }
+
+  /**
+   * Create initial prompt for the first model
+   * @param {string} topic - Discussion topic
+   * @param {Object} [options] - Prompt options
+   * @param {Object} [options.persona] - Resolved persona replacing the generic expert framing
+   * @param {string} [options.language] - Prompt language
+   * @param {string} [options.instruction] - User instruction given before the participant's first turn
+   * @returns {string} Initial prompt
+   */
+  createInitialPrompt(topic, { persona, language, instruction } = {}) {
+    const catalog = getPromptCatalog(language);
+    return catalog.initialPrompt({ role: persona ? persona.prompt : catalog.expertRole, topic, instruction });
+  }
+
+  /**
+   * Create the first prompt for participants joining after the opening speaker
+   * @param {string} previousResponse - Previous participants' statements
+   * @param {Object} [options] - Prompt options
+   * @param {string} [options.topic] - Discussion topic
+   * @param {Object} [options.persona] - Resolved persona replacing the generic expert framing
+   * @param {string} [options.language] - Prompt language
+   * @param {string} [options.instruction] - User instruction given before the participant's first turn
+   * @returns {string} Follow-up prompt
+   */
+  createGeminiPrompt(previousResponse, { topic, persona, language, instruction } = {}) {
+    const catalog = getPromptCatalog(language);
+    return catalog.followUpPrompt({ role: persona ? persona.prompt : catalog.followUpRole, topic, previousResponse, instruction });
+  }
+
+  /**
+   * Create prompt that feeds the other participants' replies back to a participant
+   * @param {string} statements - Attributed statements since the participant's last turn
+   * @param {string} [language] - Prompt language
+   * @param {string} [instruction] - User instruction given since the participant's last turn
+   * @returns {string} Next round prompt
+   */
+  createNextRoundPrompt(statements, language, instruction) {
+    return getPromptCatalog(language).nextRoundPrompt({ statements, instruction });
+  }
+
+  /**
+   * Get response from any model, resolved through the provider registry
    * @param {string} model - Model name
-   * @param {string} prompt - Input prompt
+   * @param {Array} messages - Conversation history as seen by this model
    * @param {number} temperature - Temperature setting
+   * @param {number} [maxTokens] - Maximum tokens in the response
+   * @param {Object} [options] - Call options
+   * @param {Function} [options.onDelta] - Called with each delta and the text so far when the provider can stream
+   * @param {AbortSignal} [options.signal] - Cancels the provider call
+   * @param {number} [options.timeoutMs] - Time the call may take, unless the model has its own timeout
+   * @param {Function} [options.onRetry] - Called for every retry of a transient provider error
+   * @param {Function} [options.onFailover] - Called with { model, fallback, reason } when a fallback model takes over
+   * @param {Function} [options.onUsage] - Called with the tokens and estimated cost of every provider call
    * @returns {Promise<string>} Model response
    */
-  async getGeminiResponse(model, prompt, temperature) {
-    return await this.geminiProvider.generateContent({
-      model,
-      prompt,
-      temperature,
-      maxOutputTokens: 1500
-    });
+  async getModelResponse(model, messages, temperature, maxTokens = TURN_MAX_TOKENS, { onDelta, signal, timeoutMs, onRetry, onFailover, onUsage } = {}) {
+    const provider = this.providerRegistry.resolve(model, 'chat');
+    const params = { model, messages, temperature, maxTokens, signal, timeoutMs, onRetry, onFailover, onUsage };
+
+    if (onDelta && provider.capabilities.includes('stream')) {
+      let text = '';
+      for await (const delta of this.providerRegistry.streamChat(params)) {
+        text += delta;
+        await onDelta(delta, text);
+      }
+      return text;
+    }
+
+    return await this.providerRegistry.chat(params);
+  }
+
+  /**
+   * Have a model read the full transcript and write conclusions, disagreements,
+   * next actions and open questions
+   * @param {string} model - Synthesis (moderator) model
+   * @param {Array} turns - All turns of the discussion
+   * @param {string} topic - Discussion topic
+   * @param {string} [language] - Synthesis language
+   * @param {Object} [call] - Provider call options ({ signal, timeoutMs, onRetry, onUsage })
+   * @returns {Promise<string>} Synthesis section in markdown format
+   */
+  async createSynthesis(model, turns, topic, language, call = {}) {
+    const catalog = getPromptCatalog(language);
+    const transcript = this.formatTranscript(turns, language);
+
+    let answeredBy = model;
+    const synthesis = await this.getModelResponse(model, [
+      { role: 'system', content: catalog.moderatorRole },
+      { role: 'user', content: catalog.synthesisPrompt({ topic, transcript }) }
+    ], 0.3, SYNTHESIS_MAX_TOKENS, { ...call, onFailover: ({ fallback }) => { answeredBy = fallback; } });
+
+    return `${catalog.synthesisTitle(answeredBy)}\n\n${synthesis}`;
+  }
+
+  /**
+   * Decide whether the discussion has converged after a round
+   * @param {Object} convergence - Normalized early stopping settings
+   * @param {Array} turns - Turns so far
+   * @param {number} round - Round that just finished
+   * @param {string} topic - Discussion topic
+   * @param {string} [language] - Language of the reported reason
+   * @param {Object} [call] - Provider call options for the judge ({ signal, timeoutMs, onRetry, onUsage })
+   * @returns {Promise<string|null>} Reason for stopping, or null to continue
+   */
+  async checkConvergence(convergence, turns, round, topic, language, call = {}) {
+    if (convergence.method === 'judge') {
+      return await this.askJudge(convergence.judgeModel, turns, topic, language, call);
+    }
+
+    const catalog = getPromptCatalog(language);
+    const current = turns.filter(turn => turn.round === round);
+    const previous = turns.filter(turn => turn.round === round - 1);
+
+    // Agreement: every speaker in this round says nearly the same as the one before
+    const agreement = Math.min(...current.slice(1).map((turn, index) =>
+      textSimilarity(current[index].content, turn.content)
+    ));
+    if (agreement >= convergence.threshold) {
+      return catalog.agreementReason(agreement.toFixed(2));
+    }
+
+    // Stagnation: every participant repeats what it said in the previous round
+    if (previous.length > 0) {
+      const stagnation = Math.min(...current.map(turn => {
+        const before = previous.find(earlier => earlier.participant === turn.participant);
+        return before ? textSimilarity(before.content, turn.content) : 0;
+      }));
+      if (stagnation >= convergence.threshold) {
+        return catalog.stagnationReason(stagnation.toFixed(2));
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Ask a judge model whether the discussion can end.
+   * A failing judge never ends the session; the discussion simply continues.
+   * @param {string} model - Judge model
+   * @param {Array} turns - Turns so far
+   * @param {string} topic - Discussion topic
+   * @param {string} [language] - Prompt language
+   * @param {Object} [call] - Provider call options ({ signal, timeoutMs, onRetry, onUsage })
+   * @returns {Promise<string|null>} Reason for stopping, or null to continue
+   * @throws {CancelledError} If cancelled while the judge is deliberating
+   */
+  async askJudge(model, turns, topic, language, call = {}) {
+    const catalog = getPromptCatalog(language);
+    const transcript = this.formatTranscript(turns, language);
+
+    let answeredBy = model;
+    try {
+      const verdict = await this.getModelResponse(model, [
+        { role: 'user', content: catalog.judgePrompt({ topic, transcript }) }
+      ], 0, JUDGE_MAX_TOKENS, { ...call, onFailover: ({ fallback }) => { answeredBy = fallback; } });
+      const match = verdict.trim().match(/^CONVERGED\b[:：\s-]*(.*)/i);
+      return match ? catalog.judgeReason(answeredBy, match[1].trim() || 'CONVERGED') : null;
+    } catch (error) {
+      throwIfCancelled(call.signal);
+      console.error(`Convergence judge ${model} failed, continuing:`, error.message);
+      return null;
+    }
   }
 
   /**
    * Create discussion summary
-   * @param {string} model1 - First model name
-   * @param {string} model2 - Second model name
+   * @param {Array<string>} labels - Participant labels
    * @param {number} rounds - Number of rounds
    * @param {string} topic - Discussion topic
+   * @param {string} [language] - Summary language
    * @returns {string} Summary text
    */
-  createSummary(model1, model2, rounds, topic) {
-    return `## Summary\n\nこの壁打ちセッションでは、${model1}と${model2}が${rounds}ラウンドにわたって「${topic}」について議論しました。両モデルが異なる視点と専門知識を提供し、包括的な対話が行われました。`;
+  createSummary(labels, rounds, topic, language) {
+    return getPromptCatalog(language).summary({ labels, rounds, topic });
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Build the wall bounce service from environment variables: WALL_BOUNCE_SESSION_DIR where
+ * sessions are kept (default data/sessions), and CONTEXT_COMPACTION and COMPACTION_MODEL
+ * how transcripts that outgrow a context window are shortened
+ * @param {ProviderRegistry} providerRegistry - Registry used to resolve each model's provider
+ * @param {Object} env - Environment variables
+ * @returns {WallBounceService} Wall bounce service persisting its sessions
+ * @throws {Error} If the compaction strategy is unknown
+ */
+export function createWallBounceService(providerRegistry, env = process.env) {
+  return new WallBounceService(
+    providerRegistry,
+    new SessionStore(env.WALL_BOUNCE_SESSION_DIR || 'data/sessions'),
+    {
+      compaction: env.CONTEXT_COMPACTION || 'summarize',
+      compactionModel: env.COMPACTION_MODEL || DEFAULT_COMPACTION_MODEL
+    }
+  );
+}
+
+/**
+ * Estimate the tokens of turns as they appear in a transcript
+ * @param {Array} turns - Turns
+ * @returns {number} Estimated tokens
+ */
+function estimateTurnTokens(turns) {
+  return turns.reduce((total, turn) => total + estimateTokens(turn.content) + TURN_OVERHEAD_TOKENS, 0);
+}
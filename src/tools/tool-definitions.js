@@ -2,16 +2,34 @@
  * MCP tool definitions - defines all available tools for the server
  */
 
+/**
+ * Schema shared by every wall bounce persona parameter
+ */
+const personaSchema = {
+  oneOf: [
+    { type: 'string' },
+    {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Display name used in the discussion log' },
+        system_prompt: { type: 'string', description: 'Role instructions for this participant' },
+      },
+      required: ['system_prompt'],
+    },
+  ],
+  description: 'Optional persona: a built-in id (sre_on_call, security_reviewer, devils_advocate, customer_advocate), a free-text role (e.g. "database expert") or { name, system_prompt } for a custom role',
+};
+
 export const toolDefinitions = [
   {
     name: 'chat_with_gpt',
-    description: 'Chat with OpenAI GPT models (e.g., gpt-5-2025-08-07, GPT-5, GPT-5-mini, GPT-4o, GPT-4, etc.)',
+    description: 'Chat with OpenAI GPT models (e.g., gpt-5-2025-08-07, GPT-5, GPT-5-mini, GPT-4o, GPT-4, etc.) or models served by a local OpenAI-compatible endpoint',
     inputSchema: {
       type: 'object',
       properties: {
         model: {
           type: 'string',
-          description: 'Model to use (e.g., gpt-5, gpt-5-mini, gpt-4o, gpt-4, etc.)',
+          description: 'Model to use (e.g., gpt-5, gpt-5-mini, gpt-4o, gpt-4, or a model listed in LOCAL_LLM_MODELS)',
           default: process.env.OPENAI_MODEL || 'gpt-4o',
         },
         messages: {
@@ -33,7 +51,7 @@ export const toolDefinitions = [
         },
         temperature: {
           type: 'number',
-          description: 'Sampling temperature (0-2)',
+          description: 'Sampling temperature (0-2; reasoning models such as gpt-5 only accept 1)',
           default: 1.0,
         },
         max_tokens: {
@@ -87,9 +105,51 @@ export const toolDefinitions = [
       required: ['messages'],
     },
   },
+  {
+    name: 'chat_with_claude',
+    description: 'Chat with Anthropic Claude models (e.g., claude-sonnet-4-5, claude-opus-4-1, claude-3-5-haiku-latest, etc.)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        model: {
+          type: 'string',
+          description: 'Claude model to use (e.g., claude-sonnet-4-5, claude-opus-4-1, claude-3-5-haiku-latest)',
+          default: process.env.CLAUDE_MODEL || 'claude-sonnet-4-5',
+        },
+        messages: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              role: {
+                type: 'string',
+                enum: ['system', 'user', 'assistant'],
+              },
+              content: {
+                type: 'string',
+              },
+            },
+            required: ['role', 'content'],
+          },
+          description: 'Array of messages for the conversation (system messages are sent as the system prompt)',
+        },
+        temperature: {
+          type: 'number',
+          description: 'Sampling temperature (0-1)',
+          default: 1.0,
+        },
+        max_tokens: {
+          type: 'number',
+          description: 'Maximum tokens in response',
+          default: 2500,
+        },
+      },
+      required: ['messages'],
+    },
+  },
   {
     name: 'wall_bounce_chat',
-    description: 'Wall bounce conversation - automatic back-and-forth discussion with AI models for brainstorming and problem-solving',
+    description: 'Wall bounce conversation - automatic back-and-forth discussion between two or more AI models for brainstorming and problem-solving. Returns a session id that continue_wall_bounce can resume',
     inputSchema: {
       type: 'object',
       properties: {
@@ -99,14 +159,38 @@ export const toolDefinitions = [
         },
         model1: {
           type: 'string',
-          description: 'First AI model to use (OpenAI model name)',
+          description: 'First AI model to use (any supported model, e.g. gpt-4o, gemini-2.5-pro, claude-sonnet-4-5)',
           default: process.env.OPENAI_MODEL || 'gpt-4o',
         },
         model2: {
           type: 'string',
-          description: 'Second AI model to use (Gemini model name)',
+          description: 'Second AI model to use (any supported model; may be the same provider or even the same model as model1)',
           default: process.env.GEMINI_MODEL || 'gemini-2.5-pro',
         },
+        persona1: personaSchema,
+        persona2: personaSchema,
+        participants: {
+          type: 'array',
+          description: 'Participants for a multi-party discussion (2-6); overrides model1/model2',
+          items: {
+            type: 'object',
+            properties: {
+              model: {
+                type: 'string',
+                description: 'Model for this participant (any supported model)',
+              },
+              persona: personaSchema,
+            },
+            required: ['model'],
+          },
+        },
+        turn_order: {
+          type: 'array',
+          description: 'Speaking order within each round as 1-based participant numbers (e.g. [3, 1, 2]); defaults to round-robin in listed order',
+          items: {
+            type: 'number',
+          },
+        },
         rounds: {
           type: 'number',
           description: 'Number of discussion rounds',
@@ -117,13 +201,144 @@ export const toolDefinitions = [
           description: 'Sampling temperature (0-2)',
           default: 0.8,
         },
+        language: {
+          type: 'string',
+          enum: ['auto', 'ja', 'en', 'de'],
+          description: 'Language of the prompts, headers and summary; "auto" detects it from the topic',
+          default: 'auto',
+        },
+        synthesize: {
+          type: 'boolean',
+          description: 'Finish with a model-written synthesis (key conclusions, points of disagreement, recommended next actions, open questions) instead of the short summary',
+          default: false,
+        },
+        synthesis_model: {
+          type: 'string',
+          description: 'Model that reads the full transcript and writes the synthesis, e.g. a separate moderator model (implies synthesize; defaults to the first participant\'s model)',
+        },
+        convergence: {
+          type: 'string',
+          enum: ['off', 'similarity', 'judge'],
+          description: 'Stop before the last round once participants agree or start repeating themselves, detected by text similarity between turns or by a judge model',
+          default: 'off',
+        },
+        convergence_threshold: {
+          type: 'number',
+          description: 'Similarity (0-1) at which turns count as converged when convergence is "similarity"',
+          default: 0.7,
+        },
+        judge_model: {
+          type: 'string',
+          description: 'Model deciding convergence when convergence is "judge" (defaults to the first participant\'s model)',
+        },
+        pause_after_each_round: {
+          type: 'boolean',
+          description: 'Pause after each round so the caller can answer the models\' questions or steer the discussion with continue_wall_bounce before the next round runs',
+          default: false,
+        },
+        max_total_tokens: {
+          type: 'number',
+          description: 'Token budget for the whole session; the discussion stops before a turn that would exceed it',
+        },
+        max_cost: {
+          type: 'number',
+          description: 'Estimated cost budget in USD for the whole session; the discussion stops before a turn that would exceed it',
+        },
       },
       required: ['topic'],
     },
   },
+  {
+    name: 'continue_wall_bounce',
+    description: 'Resume a wall bounce session, optionally steering it with a new instruction (e.g. answering a question the models asked). Paused sessions run their next round; finished sessions run additional rounds. Every wall_bounce_chat result ends with the session id to use',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: {
+          type: 'string',
+          description: 'Session id returned by wall_bounce_chat or an earlier continue_wall_bounce',
+        },
+        rounds: {
+          type: 'number',
+          description: 'Number of additional rounds (default: the next planned round of a paused session, otherwise 1)',
+        },
+        instruction: {
+          type: 'string',
+          description: 'Optional instruction shown to every participant before the next round (e.g. "We are on Ubuntu 22.04" or "Focus on the database side")',
+        },
+        finish: {
+          type: 'boolean',
+          description: 'End the session now and write the summary or synthesis without further rounds',
+          default: false,
+        },
+        max_total_tokens: {
+          type: 'number',
+          description: 'New token budget for the whole session, e.g. to continue a session stopped by its budget',
+        },
+        max_cost: {
+          type: 'number',
+          description: 'New estimated cost budget in USD for the whole session',
+        },
+      },
+      required: ['session_id'],
+    },
+  },
+  {
+    name: 'fork_wall_bounce',
+    description: 'Fork a wall bounce session after any completed round into a new session and continue it with a different model, persona, temperature or interjection. The transcript up to that round is reused, so the earlier rounds are not run again and the original session stays unchanged',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: {
+          type: 'string',
+          description: 'Session id of the session to fork',
+        },
+        round: {
+          type: 'number',
+          description: 'Last round copied into the fork; the fork continues with the following round',
+        },
+        participant_changes: {
+          type: 'array',
+          description: 'Changes to participants from the fork point on',
+          items: {
+            type: 'object',
+            properties: {
+              participant: {
+                type: 'number',
+                description: '1-based participant number',
+              },
+              model: {
+                type: 'string',
+                description: 'New model for this participant',
+              },
+              persona: personaSchema,
+            },
+            required: ['participant'],
+          },
+        },
+        temperature: {
+          type: 'number',
+          description: 'New sampling temperature (0-2, default: as in the original session)',
+        },
+        instruction: {
+          type: 'string',
+          description: 'Optional interjection shown to every participant before the forked rounds (e.g. "Focus on the networking angle instead")',
+        },
+        rounds: {
+          type: 'number',
+          description: 'Number of rounds to run after the fork point (default: the rounds the original session still had planned, or 1)',
+        },
+        pause_after_each_round: {
+          type: 'boolean',
+          description: 'Pause after each round (default: as in the original session)',
+        },
+      },
+      required: ['session_id', 'round'],
+    },
+  },
   {
     name: 'list_models',
-    description: 'List available OpenAI and Gemini models',
+    description: 'List available models of all configured providers with their context window, output limit, reasoning and vision support, and deprecation status',
     inputSchema: {
       type: 'object',
       properties: {},
@@ -2,36 +2,67 @@
  * MCP tool handlers - implements the logic for each tool
  */
 
+import { formatUsage, sumUsage } from '../utils/usage.js';
+import { describeError } from '../utils/retry.js';
+
+/**
+ * Client id used when the caller does not identify the client
+ */
+const DEFAULT_CLIENT_ID = 'default';
+
 export class ToolHandlers {
-  constructor(openaiProvider, geminiProvider, wallBounceService) {
-    this.openaiProvider = openaiProvider;
-    this.geminiProvider = geminiProvider;
+  /**
+   * @param {ProviderRegistry} providerRegistry - Registry used to resolve each model's provider
+   * @param {WallBounceService} wallBounceService - Wall bounce service
+   * @param {Object} [options] - Handler options
+   * @param {Object<string, number>} [options.toolTimeouts] - Time each provider call of a tool may take, keyed by tool name
+   *   (per turn for wall bounce tools); a model's own timeout takes precedence
+   * @param {BudgetTracker} [options.budgetTracker] - Server-wide budgets per client; no budgets are enforced without one
+   */
+  constructor(providerRegistry, wallBounceService, { toolTimeouts = {}, budgetTracker } = {}) {
+    this.providerRegistry = providerRegistry;
     this.wallBounceService = wallBounceService;
+    this.toolTimeouts = toolTimeouts;
+    this.budgetTracker = budgetTracker;
   }
 
   /**
    * Handle chat_with_gpt tool
    * @param {Object} args - Tool arguments
+   * @param {Object} [context] - Request context
+   * @param {AbortSignal} [context.signal] - Cancels the provider call
+   * @param {string} [context.clientId] - Client whose budget the call counts against
    * @returns {Promise<Object>} Tool response
+   * @throws {BudgetExceededError} If the client's budget is used up
    */
-  async handleChatWithGPT(args) {
+  async handleChatWithGPT(args, { signal, clientId = DEFAULT_CLIENT_ID } = {}) {
     const model = args.model || process.env.OPENAI_MODEL || 'gpt-4';
     const messages = args.messages;
     const temperature = args.temperature || 1.0;
     const maxTokens = args.max_tokens || 2500;
 
-    const response = await this.openaiProvider.chatCompletion({
+    const budget = this.clientBudget(clientId);
+    let answeredBy = model;
+    const usage = [];
+    const response = await this.providerRegistry.chat({
       model,
       messages,
       temperature,
-      maxTokens
+      maxTokens,
+      signal,
+      timeoutMs: this.toolTimeouts.chat_with_gpt,
+      onFailover: ({ fallback }) => { answeredBy = fallback; },
+      onUsage: (record) => {
+        usage.push(record);
+        budget.onUsage?.(record);
+      }
     });
 
     return {
       content: [
         {
           type: 'text',
-          text: `**Model:** ${model}\n**Response:** ${response}`,
+          text: `**Model:** ${this.formatModel(model, answeredBy)}\n**Response:** ${response}${this.formatUsage(usage)}`,
         },
       ],
     };
@@ -40,49 +71,232 @@ export class ToolHandlers {
   /**
    * Handle chat_with_gemini tool
    * @param {Object} args - Tool arguments
+   * @param {Object} [context] - Request context
+   * @param {AbortSignal} [context.signal] - Cancels the provider call
+   * @param {string} [context.clientId] - Client whose budget the call counts against
    * @returns {Promise<Object>} Tool response
+   * @throws {BudgetExceededError} If the client's budget is used up
    */
-  async handleChatWithGemini(args) {
+  async handleChatWithGemini(args, { signal, clientId = DEFAULT_CLIENT_ID } = {}) {
     const model = args.model || process.env.GEMINI_MODEL || 'gemini-2.0-flash-001';
     const messages = args.messages;
     const temperature = args.temperature || 1.0;
     const maxOutputTokens = args.max_output_tokens || 2500;
 
-    const response = await this.geminiProvider.chatCompletion({
+    const budget = this.clientBudget(clientId);
+    let answeredBy = model;
+    const usage = [];
+    const response = await this.providerRegistry.chat({
+      model,
+      messages,
+      temperature,
+      maxOutputTokens,
+      // Other providers read maxTokens, in case a fallback takes over
+      maxTokens: maxOutputTokens,
+      signal,
+      timeoutMs: this.toolTimeouts.chat_with_gemini,
+      onFailover: ({ fallback }) => { answeredBy = fallback; },
+      onUsage: (record) => {
+        usage.push(record);
+        budget.onUsage?.(record);
+      }
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `**Model:** ${this.formatModel(model, answeredBy)}\n**Response:** ${response}${this.formatUsage(usage)}`,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Handle chat_with_claude tool
+   * @param {Object} args - Tool arguments
+   * @param {Object} [context] - Request context
+   * @param {AbortSignal} [context.signal] - Cancels the provider call
+   * @param {string} [context.clientId] - Client whose budget the call counts against
+   * @returns {Promise<Object>} Tool response
+   * @throws {BudgetExceededError} If the client's budget is used up
+   */
+  async handleChatWithClaude(args, { signal, clientId = DEFAULT_CLIENT_ID } = {}) {
+    const model = args.model || process.env.CLAUDE_MODEL || 'claude-sonnet-4-5';
+    const messages = args.messages;
+    const temperature = args.temperature || 1.0;
+    const maxTokens = args.max_tokens || 2500;
+
+    const budget = this.clientBudget(clientId);
+    let answeredBy = model;
+    const usage = [];
+    const response = await this.providerRegistry.chat({
       model,
       messages,
       temperature,
-      maxOutputTokens
+      maxTokens,
+      signal,
+      timeoutMs: this.toolTimeouts.chat_with_claude,
+      onFailover: ({ fallback }) => { answeredBy = fallback; },
+      onUsage: (record) => {
+        usage.push(record);
+        budget.onUsage?.(record);
+      }
     });
 
     return {
       content: [
         {
           type: 'text',
-          text: `**Model:** ${model}\n**Response:** ${response}`,
+          text: `**Model:** ${this.formatModel(model, answeredBy)}\n**Response:** ${response}${this.formatUsage(usage)}`,
         },
       ],
     };
   }
 
+  /**
+   * Name the model that answered, pointing out a fallback
+   * @param {string} model - Requested model
+   * @param {string} answeredBy - Model that actually answered
+   * @returns {string} Model description
+   */
+  formatModel(model, answeredBy) {
+    return answeredBy === model ? model : `${answeredBy} (fallback for ${model})`;
+  }
+
+  /**
+   * Budget options for a tool call on behalf of a client: refuses the call once the client's
+   * server-wide budget is used up, and otherwise counts every provider call against it
+   * @param {string} clientId - Client id
+   * @returns {{onUsage?: Function, remainingBudget?: Function}} Options for the provider calls (none without budgets)
+   * @throws {BudgetExceededError} If the client's budget is used up
+   */
+  clientBudget(clientId) {
+    if (!this.budgetTracker) {
+      return {};
+    }
+
+    this.budgetTracker.check(clientId);
+    return {
+      onUsage: (record) => this.budgetTracker.record(clientId, record),
+      remainingBudget: () => this.budgetTracker.remaining(clientId),
+    };
+  }
+
+  /**
+   * Describe the tokens and estimated cost of a chat tool's provider calls
+   * @param {Array<Object>} usage - Usage reported for each call (see ProviderRegistry.callParams)
+   * @returns {string} Usage line to append to the response, or an empty string if the provider reported none
+   */
+  formatUsage(usage) {
+    return usage.length > 0 ? `\n\n**Usage:** ${formatUsage(sumUsage(usage))}` : '';
+  }
+
   /**
    * Handle wall_bounce_chat tool
    * @param {Object} args - Tool arguments
+   * @param {Object} [context] - Request context
+   * @param {Function} [context.onProgress] - Progress listener called after every model turn
+   * @param {AbortSignal} [context.signal] - Cancels the session, keeping the partial transcript
+   * @param {string} [context.clientId] - Client whose budget the session counts against
    * @returns {Promise<Object>} Tool response
+   * @throws {BudgetExceededError} If the client's budget is used up
    */
-  async handleWallBounceChat(args) {
+  async handleWallBounceChat(args, { onProgress, signal, clientId = DEFAULT_CLIENT_ID } = {}) {
     const topic = args.topic;
-    const model1 = args.model1 || process.env.OPENAI_MODEL || 'gpt-4';
-    const model2 = args.model2 || process.env.GEMINI_MODEL || 'gemini-2.0-flash-001';
     const rounds = args.rounds || 3;
     const temperature = args.temperature || 0.8;
 
     const discussionLog = await this.wallBounceService.conductWallBounce({
       topic,
-      model1,
-      model2,
+      ...(args.participants
+        ? { participants: args.participants }
+        : { ...this.providerRegistry.resolveDefaultPair(args), persona1: args.persona1, persona2: args.persona2 }),
+      turnOrder: args.turn_order,
       rounds,
-      temperature
+      temperature,
+      language: args.language,
+      synthesize: args.synthesize,
+      synthesisModel: args.synthesis_model,
+      convergence: args.convergence,
+      convergenceThreshold: args.convergence_threshold,
+      judgeModel: args.judge_model,
+      pauseAfterEachRound: args.pause_after_each_round,
+      maxTotalTokens: args.max_total_tokens,
+      maxCost: args.max_cost,
+      onProgress,
+      signal,
+      timeoutMs: this.toolTimeouts.wall_bounce_chat,
+      ...this.clientBudget(clientId)
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: discussionLog,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Handle continue_wall_bounce tool
+   * @param {Object} args - Tool arguments
+   * @param {Object} [context] - Request context
+   * @param {Function} [context.onProgress] - Progress listener called after every model turn
+   * @param {AbortSignal} [context.signal] - Cancels the session, keeping the partial transcript
+   * @param {string} [context.clientId] - Client whose budget the session counts against
+   * @returns {Promise<Object>} Tool response
+   * @throws {BudgetExceededError} If the client's budget is used up
+   */
+  async handleContinueWallBounce(args, { onProgress, signal, clientId = DEFAULT_CLIENT_ID } = {}) {
+    const discussionLog = await this.wallBounceService.continueWallBounce({
+      sessionId: args.session_id,
+      rounds: args.rounds,
+      instruction: args.instruction,
+      finish: args.finish,
+      maxTotalTokens: args.max_total_tokens,
+      maxCost: args.max_cost,
+      onProgress,
+      signal,
+      timeoutMs: this.toolTimeouts.continue_wall_bounce,
+      ...this.clientBudget(clientId)
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: discussionLog,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Handle fork_wall_bounce tool
+   * @param {Object} args - Tool arguments
+   * @param {Object} [context] - Request context
+   * @param {Function} [context.onProgress] - Progress listener called after every model turn
+   * @param {AbortSignal} [context.signal] - Cancels the session, keeping the partial transcript
+   * @param {string} [context.clientId] - Client whose budget the session counts against
+   * @returns {Promise<Object>} Tool response
+   * @throws {BudgetExceededError} If the client's budget is used up
+   */
+  async handleForkWallBounce(args, { onProgress, signal, clientId = DEFAULT_CLIENT_ID } = {}) {
+    const discussionLog = await this.wallBounceService.forkWallBounce({
+      sessionId: args.session_id,
+      round: args.round,
+      participantChanges: args.participant_changes,
+      temperature: args.temperature,
+      instruction: args.instruction,
+      rounds: args.rounds,
+      pauseAfterEachRound: args.pause_after_each_round,
+      onProgress,
+      signal,
+      timeoutMs: this.toolTimeouts.fork_wall_bounce,
+      ...this.clientBudget(clientId)
     });
 
     return {
@@ -100,40 +314,100 @@ export class ToolHandlers {
    * @returns {Promise<Object>} Tool response
    */
   async handleListModels() {
-    const openaiModels = this.openaiProvider.isAvailable() 
-      ? await this.openaiProvider.listModels()
-      : [];
-    const geminiModels = this.geminiProvider.isAvailable() 
-      ? this.geminiProvider.listModels()
-      : [];
+    const providers = this.providerRegistry.list().filter(provider => provider.capabilities.includes('list-models'));
+    // Providers are asked in parallel so one slow API does not hold up the others
+    const listings = await Promise.all(providers.map(provider => this.listProviderModels(provider)));
 
-    const openaiModelList = openaiModels.map(m => `- ${m}`).join('\n');
-    const geminiModelList = geminiModels.map(m => `- ${m}`).join('\n');
+    const sections = providers.map((provider, index) => {
+      const { models, status } = listings[index];
+      const modelList = models.map(model => `- ${this.describeModel(model, provider)}`).join('\n');
+      return `**Available ${provider.displayName} models** (${status}):\n${modelList}`;
+    });
 
     return {
       content: [
         {
           type: 'text',
-          text: `**Available OpenAI GPT models:**\n${openaiModelList}\n\n**Available Google Gemini models:**\n${geminiModelList}`,
+          text: sections.join('\n\n'),
         },
       ],
     };
   }
 
+  /**
+   * List a provider's models and whether its API could be reached
+   * @param {Object} provider - Provider with list-models capability
+   * @returns {Promise<{models: Array<string>, status: string}>} Models and a status such as "reachable"
+   */
+  async listProviderModels(provider) {
+    if (!provider.isAvailable()) {
+      return { models: [], status: `not configured, set ${provider.configHint}` };
+    }
+
+    try {
+      const models = await provider.listModels();
+      // Providers that fall back to the catalogue report why their API could not be reached
+      const fallbackReason = provider.modelListError && describeError(provider.modelListError);
+      return {
+        models,
+        status: fallbackReason ? `unreachable (${fallbackReason}), showing catalogued models` : 'reachable',
+      };
+    } catch (error) {
+      return { models: [], status: `unreachable (${describeError(error)})` };
+    }
+  }
+
+  /**
+   * Describe a model for list_models with what the model catalogue knows about it, or else
+   * what the provider's API reported, e.g. "gpt-5 (context 400,000, output 128,000, reasoning, vision)"
+   * @param {string} model - Model name
+   * @param {Object} [provider] - Provider listing the model
+   * @returns {string} Model name, with its capabilities and deprecation if known
+   */
+  describeModel(model, provider) {
+    const { modelCapabilities } = this.providerRegistry;
+    const info = modelCapabilities.get(model) ?? provider?.getDiscoveredModel?.(model);
+    if (!info) {
+      return model;
+    }
+
+    const count = (tokens) => tokens.toLocaleString('en-US');
+    const features = [
+      info.contextWindow && `context ${count(info.contextWindow)}`,
+      info.maxOutputTokens && `output ${count(info.maxOutputTokens)}`,
+      info.temperature?.fixed !== undefined && `temperature fixed at ${info.temperature.fixed}`,
+      info.reasoning && 'reasoning',
+      info.vision && 'vision'
+    ].filter(Boolean).join(', ');
+    const details = [features, modelCapabilities.describeDeprecation(model)].filter(Boolean).join('; ');
+
+    return details ? `${model} (${details})` : model;
+  }
+
   /**
    * Route tool call to appropriate handler
    * @param {string} toolName - Name of the tool
    * @param {Object} args - Tool arguments
+   * @param {Object} [context] - Request context
+   * @param {Function} [context.onProgress] - Progress listener for long-running tools
+   * @param {AbortSignal} [context.signal] - Aborted when the client cancels the request
+   * @param {string} [context.clientId] - Client whose budget the tool's provider calls count against
    * @returns {Promise<Object>} Tool response
    */
-  async handleToolCall(toolName, args) {
+  async handleToolCall(toolName, args, context = {}) {
     switch (toolName) {
       case 'chat_with_gpt':
-        return await this.handleChatWithGPT(args);
+        return await this.handleChatWithGPT(args, context);
       case 'chat_with_gemini':
-        return await this.handleChatWithGemini(args);
+        return await this.handleChatWithGemini(args, context);
+      case 'chat_with_claude':
+        return await this.handleChatWithClaude(args, context);
       case 'wall_bounce_chat':
-        return await this.handleWallBounceChat(args);
+        return await this.handleWallBounceChat(args, context);
+      case 'continue_wall_bounce':
+        return await this.handleContinueWallBounce(args, context);
+      case 'fork_wall_bounce':
+        return await this.handleForkWallBounce(args, context);
       case 'list_models':
         return await this.handleListModels();
       default:
@@ -0,0 +1,178 @@
+/**
+ * Cancellation and timeout utilities built on AbortSignal
+ */
+
+/**
+ * Error thrown when an operation is cancelled by its caller
+ */
+export class CancelledError extends Error {
+  /**
+   * @param {string} [message] - Error message
+   */
+  constructor(message = 'Operation cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+/**
+ * Error thrown when an operation does not finish within its timeout
+ */
+export class TimeoutError extends Error {
+  /**
+   * @param {string} name - What timed out (e.g. provider and model)
+   * @param {number} timeoutMs - Timeout in milliseconds
+   */
+  constructor(name, timeoutMs) {
+    super(`${name} did not respond within ${timeoutMs / 1000}s`);
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Time limit for an operation. Its signal aborts when the timeout elapses or
+ * the caller's signal aborts, whichever comes first; without a limit it is the
+ * caller's signal itself. clear() must be called once the operation has ended.
+ */
+export class Deadline {
+  /**
+   * @param {string} name - What is limited, used in the TimeoutError
+   * @param {number} timeoutMs - Time allowed in milliseconds (0 for no limit)
+   * @param {AbortSignal} [signal] - Caller's cancellation signal
+   */
+  constructor(name, timeoutMs, signal) {
+    this.name = name;
+    this.timeoutMs = timeoutMs;
+    this.expired = false;
+    this.parentSignal = signal;
+    this.signal = signal;
+    // Settles only by rejecting, once the deadline has passed
+    this.expiry = new Promise(() => {});
+
+    if (timeoutMs > 0) {
+      const controller = new AbortController();
+      this.signal = controller.signal;
+      // A cancelled operation is no longer timed
+      this.onAbort = () => {
+        clearTimeout(this.timer);
+        controller.abort(signal.reason);
+      };
+      signal?.addEventListener('abort', this.onAbort, { once: true });
+
+      this.expiry = new Promise((resolve, reject) => {
+        this.timer = setTimeout(() => {
+          this.expired = true;
+          const error = new TimeoutError(name, timeoutMs);
+          controller.abort(error);
+          reject(error);
+        }, timeoutMs);
+      });
+      // Handled by whoever is guarding when the deadline passes, if anyone
+      this.expiry.catch(() => {});
+
+      if (signal?.aborted) {
+        this.onAbort();
+      }
+    }
+  }
+
+  /**
+   * Settle with the promise, or reject as soon as the deadline passes.
+   * Calls that ignore the signal are abandoned, not stopped.
+   * @param {Promise} promise - Operation to wait for
+   * @returns {Promise} The operation's result
+   * @throws {TimeoutError} If the deadline passes first
+   */
+  async guard(promise) {
+    try {
+      return await Promise.race([promise, this.expiry]);
+    } catch (error) {
+      throw this.wrap(error);
+    }
+  }
+
+  /**
+   * Pass a stream through, guarding the wait for every item (see guard)
+   * @param {AsyncIterable} stream - Stream to read
+   * @returns {AsyncGenerator} The stream's items
+   * @throws {TimeoutError} If the deadline passes while waiting for an item
+   */
+  async *guardStream(stream) {
+    const iterator = stream[Symbol.asyncIterator]();
+
+    try {
+      while (true) {
+        const result = await this.guard(iterator.next());
+        if (result.done) {
+          return;
+        }
+        yield result.value;
+      }
+    } finally {
+      // Not awaited: an abandoned read may never settle
+      iterator.return?.()?.catch?.(() => {});
+    }
+  }
+
+  /**
+   * Error to report for a failure: whatever the operation threw once the deadline
+   * has passed becomes a TimeoutError
+   * @param {Error} error - Error of the operation
+   * @returns {Error} TimeoutError or the given error
+   */
+  wrap(error) {
+    if (!this.expired || this.parentSignal?.aborted || error?.name === 'TimeoutError') {
+      return error;
+    }
+    return Object.assign(new TimeoutError(this.name, this.timeoutMs), { cause: error });
+  }
+
+  /**
+   * Stop the timer and stop following the caller's signal
+   */
+  clear() {
+    clearTimeout(this.timer);
+    if (this.onAbort) {
+      this.parentSignal?.removeEventListener('abort', this.onAbort);
+    }
+  }
+}
+
+/**
+ * Throw if the signal has been aborted
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @throws {CancelledError} If the signal has been aborted
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new CancelledError();
+  }
+}
+
+/**
+ * Settle with the promise, or reject as soon as the signal is aborted.
+ * For SDK calls that cannot be aborted themselves: the call is abandoned, not stopped.
+ * @param {Promise} promise - Operation to wait for
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise} The operation's result
+ * @throws {CancelledError} If the signal is aborted first
+ */
+export async function raceCancellation(promise, signal) {
+  if (!signal) {
+    return await promise;
+  }
+  throwIfCancelled(signal);
+
+  let onAbort;
+  const cancelled = new Promise((resolve, reject) => {
+    onAbort = () => reject(new CancelledError());
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  try {
+    return await Promise.race([promise, cancelled]);
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * Circuit breaker for provider calls: opens after a run of failures, fails fast
+ * while open, and lets a single probe through once the reset timeout has passed
+ */
+
+import { parseNumber } from './config.js';
+import { describeError, getErrorStatus, isInvalidRequestError, isRetryableError } from './retry.js';
+
+/**
+ * Error thrown instead of calling a provider whose circuit is open
+ */
+export class CircuitOpenError extends Error {
+  /**
+   * @param {string} name - Name of the circuit (provider and model)
+   * @param {number} retryAt - Time (ms since epoch) at which a probe is allowed again
+   */
+  constructor(name, retryAt) {
+    super(`${name} is failing repeatedly; skipping calls until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+export class CircuitBreaker {
+  /**
+   * @param {string} name - Name of the circuit (provider and model), used in errors
+   * @param {Object} [options] - Breaker options
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit (0 never opens it)
+   * @param {number} [options.resetTimeoutMs] - Time the circuit stays open before a probe is let through
+   * @param {Function} [options.now] - Clock returning ms since epoch
+   */
+  constructor(name, { failureThreshold = 5, resetTimeoutMs = 30000, now = Date.now } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.now = now;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probing = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+  }
+
+  /**
+   * Run an operation through the breaker
+   * @param {Function} operation - Provider call
+   * @returns {Promise<*>} The operation's result
+   * @throws {CircuitOpenError} If the circuit is open
+   */
+  async run(operation) {
+    this.acquire();
+
+    try {
+      const result = await operation();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      this.recordFailure(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Let a call through, or fail fast while the circuit is open.
+   * Once the reset timeout has passed, the circuit half-opens and a single probe call is let through.
+   * Every call let through must end with recordSuccess, recordFailure or release.
+   * @throws {CircuitOpenError} If the circuit is open or a probe is already under way
+   */
+  acquire() {
+    if (this.getState() === 'half-open') {
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'open' || (this.state === 'half-open' && this.probing)) {
+      throw new CircuitOpenError(this.name, this.openedAt + this.resetTimeoutMs);
+    }
+    this.probing = this.state === 'half-open';
+  }
+
+  /**
+   * Record a successful call, closing the circuit
+   */
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probing = false;
+    this.lastSuccessAt = this.now();
+  }
+
+  /**
+   * Record a failed call. Only failures that say something about the provider count;
+   * invalid requests and cancelled calls leave the circuit as it is.
+   * A failed probe opens the circuit again right away.
+   * @param {Error} error - Error of the call
+   */
+  recordFailure(error) {
+    this.probing = false;
+    if (!isProviderFailure(error)) {
+      return;
+    }
+
+    this.consecutiveFailures++;
+    this.lastError = describeError(error);
+    this.lastFailureAt = this.now();
+
+    if (this.state === 'half-open' || (this.failureThreshold > 0 && this.consecutiveFailures >= this.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = this.now();
+    }
+  }
+
+  /**
+   * End a call that finished without a verdict (e.g. its stream was abandoned)
+   */
+  release() {
+    this.probing = false;
+  }
+
+  /**
+   * Current state; an open circuit reads as half-open once its reset timeout has passed
+   * @returns {string} 'closed', 'open' or 'half-open'
+   */
+  getState() {
+    if (this.state === 'open' && this.now() - this.openedAt >= this.resetTimeoutMs) {
+      return 'half-open';
+    }
+    return this.state;
+  }
+
+  /**
+   * Breaker state for health reporting
+   * @returns {Object} State, consecutive failures, last error and timestamps (ISO strings)
+   */
+  getStatus() {
+    const state = this.getState();
+    const isoTime = (time) => (time === null ? null : new Date(time).toISOString());
+
+    return {
+      state,
+      consecutiveFailures: this.consecutiveFailures,
+      lastError: this.lastError,
+      lastFailureAt: isoTime(this.lastFailureAt),
+      lastSuccessAt: isoTime(this.lastSuccessAt),
+      retryAt: state === 'open' ? isoTime(this.openedAt + this.resetTimeoutMs) : null,
+    };
+  }
+}
+
+/**
+ * Read circuit breaker options from environment variables
+ * (CIRCUIT_FAILURE_THRESHOLD, CIRCUIT_RESET_TIMEOUT_MS)
+ * @param {Object} env - Environment variables
+ * @returns {{failureThreshold: number, resetTimeoutMs: number}} Breaker options
+ */
+export function readCircuitBreakerOptions(env = process.env) {
+  return {
+    failureThreshold: Math.round(parseNumber(env.CIRCUIT_FAILURE_THRESHOLD, 0, 100, 5)),
+    resetTimeoutMs: parseNumber(env.CIRCUIT_RESET_TIMEOUT_MS, 1000, 3600000, 30000),
+  };
+}
+
+/**
+ * Check whether an error says the provider is not working: any HTTP error except
+ * an invalid request, a timeout, or a transient error such as a dropped connection
+ * @param {Error} error - Error of the call
+ * @returns {boolean} True if the failure counts towards opening the circuit
+ */
+function isProviderFailure(error) {
+  if (error?.name === 'TimeoutError') {
+    return true;
+  }
+  if (getErrorStatus(error) !== null) {
+    return !isInvalidRequestError(error);
+  }
+  return isRetryableError(error);
+}
@@ -0,0 +1,79 @@
+/**
+ * Configuration loading utilities
+ */
+
+import fs from 'fs';
+
+/**
+ * Load a JSON configuration value given either inline or as a file path
+ * @param {string} value - Inline JSON or path to a JSON file (usually from an env variable)
+ * @param {*} defaultValue - Value returned when nothing is configured
+ * @returns {*} Parsed configuration
+ * @throws {Error} If the value cannot be read or parsed
+ */
+export function loadJsonConfig(value, defaultValue) {
+  if (!value || typeof value !== 'string' || value.trim().length === 0) {
+    return defaultValue;
+  }
+
+  const trimmed = value.trim();
+  const isInline = trimmed.startsWith('{') || trimmed.startsWith('[');
+
+  try {
+    return JSON.parse(isInline ? trimmed : fs.readFileSync(trimmed, 'utf8'));
+  } catch (error) {
+    const source = isInline ? 'inline JSON' : trimmed;
+    throw new Error(`Invalid configuration in ${source}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a comma-separated list (e.g. from an env variable)
+ * @param {string} value - Comma-separated values
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+export function parseList(value) {
+  if (!value || typeof value !== 'string') {
+    return [];
+  }
+
+  return value.split(',').map(item => item.trim()).filter(item => item.length > 0);
+}
+
+/**
+ * Parse a number setting (e.g. from an env variable), clamped to a range
+ * @param {string} value - Setting value
+ * @param {number} min - Smallest accepted value
+ * @param {number} max - Largest accepted value
+ * @param {number} defaultValue - Value used when the setting is missing or not a number
+ * @returns {number} Parsed value
+ */
+export function parseNumber(value, min, max, defaultValue) {
+  const number = Number(value);
+  if (value === undefined || value === null || String(value).trim() === '' || Number.isNaN(number)) {
+    return defaultValue;
+  }
+
+  return Math.min(Math.max(number, min), max);
+}
+
+/**
+ * Check a timeout table mapping names (models or tools) to milliseconds
+ * @param {Object<string, number>} timeouts - Timeouts keyed by name
+ * @param {string} kind - What the names refer to, for error messages (e.g. 'model')
+ * @returns {Object<string, number>} The timeouts
+ * @throws {Error} If the table is not an object or a timeout is not a positive number
+ */
+export function validateTimeouts(timeouts, kind) {
+  if (!timeouts || typeof timeouts !== 'object' || Array.isArray(timeouts)) {
+    throw new Error(`Timeouts must be an object mapping ${kind} names to milliseconds`);
+  }
+
+  for (const [name, timeoutMs] of Object.entries(timeouts)) {
+    if (typeof timeoutMs !== 'number' || !Number.isFinite(timeoutMs) || timeoutMs <= 0) {
+      throw new Error(`Invalid timeout for ${name}: expected a positive number of milliseconds`);
+    }
+  }
+
+  return timeouts;
+}
@@ -0,0 +1,23 @@
+/**
+ * JSON file utilities
+ */
+
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Write a value as JSON, replacing the file atomically. The value goes to a temporary file
+ * first, so a crash never leaves a truncated file behind, and every write uses a temporary
+ * file of its own, so concurrent writes of one file never share one.
+ * @param {string} file - File to write
+ * @param {*} value - JSON-serializable value
+ * @returns {Promise<void>}
+ */
+export async function writeJsonFile(file, value) {
+  const tempFile = `${file}.${process.pid}.${randomUUID()}.tmp`;
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(tempFile, JSON.stringify(value, null, 2), 'utf8');
+  await fs.rename(tempFile, file);
+}
@@ -0,0 +1,264 @@
+/**
+ * Model capabilities - a catalogue of what each model accepts and supports: its context window
+ * and output limit, sampling parameters, reasoning and vision support, and deprecation status
+ */
+
+import { loadJsonConfig, parseNumber } from './config.js';
+import { validateAndClampNumber } from './validation.js';
+
+/**
+ * Context window assumed for models that are not listed, e.g. local models
+ */
+export const DEFAULT_CONTEXT_WINDOW = 8192;
+
+/**
+ * Settings shared by a model family
+ */
+const GPT = { provider: 'openai', temperature: { min: 0, max: 2 }, maxTokensParam: 'max_tokens', reasoning: false, vision: false };
+// Reasoning models only accept the default temperature and count reasoning towards max_completion_tokens
+const OPENAI_REASONING = { provider: 'openai', temperature: { fixed: 1 }, maxTokensParam: 'max_completion_tokens', reasoning: true, vision: true };
+const GEMINI = { provider: 'gemini', temperature: { min: 0, max: 2 }, reasoning: false, vision: true };
+const CLAUDE = { provider: 'anthropic', contextWindow: 200000, temperature: { min: 0, max: 1 }, reasoning: false, vision: true };
+
+/**
+ * Default catalogue. Model names are matched exactly or by their longest listed
+ * prefix, like prices (see PriceTable), so dated snapshots and point releases (gpt-5.1)
+ * share their family's entry.
+ * deprecated.shutdown is the date the provider stops serving the model.
+ */
+export const DEFAULT_CAPABILITIES = {
+  'gpt-5': { ...OPENAI_REASONING, contextWindow: 400000, maxOutputTokens: 128000 },
+  'gpt-5-mini': { ...OPENAI_REASONING, contextWindow: 400000, maxOutputTokens: 128000 },
+  'gpt-5-nano': { ...OPENAI_REASONING, contextWindow: 400000, maxOutputTokens: 128000 },
+  'gpt-4.1': { ...GPT, contextWindow: 1047576, maxOutputTokens: 32768, vision: true },
+  'gpt-4.1-mini': { ...GPT, contextWindow: 1047576, maxOutputTokens: 32768, vision: true },
+  'gpt-4.5': { ...GPT, contextWindow: 128000, maxOutputTokens: 16384, vision: true, deprecated: { shutdown: '2025-07-14', replacement: 'gpt-4.1' } },
+  'gpt-4o': { ...GPT, contextWindow: 128000, maxOutputTokens: 16384, vision: true },
+  'gpt-4o-mini': { ...GPT, contextWindow: 128000, maxOutputTokens: 16384, vision: true },
+  'gpt-4-turbo': { ...GPT, contextWindow: 128000, maxOutputTokens: 4096, vision: true },
+  'gpt-4': { ...GPT, contextWindow: 8192, maxOutputTokens: 8192 },
+  'gpt-3.5-turbo': { ...GPT, contextWindow: 16385, maxOutputTokens: 4096 },
+  'o1': { ...OPENAI_REASONING, contextWindow: 200000, maxOutputTokens: 100000 },
+  'o3': { ...OPENAI_REASONING, contextWindow: 200000, maxOutputTokens: 100000 },
+  'o3-mini': { ...OPENAI_REASONING, contextWindow: 200000, maxOutputTokens: 100000, vision: false },
+  'o4-mini': { ...OPENAI_REASONING, contextWindow: 200000, maxOutputTokens: 100000 },
+  'gemini-2.5-pro': { ...GEMINI, contextWindow: 1048576, maxOutputTokens: 65536, reasoning: true },
+  'gemini-2.5-flash': { ...GEMINI, contextWindow: 1048576, maxOutputTokens: 65536, reasoning: true },
+  'gemini-2.5-flash-lite': { ...GEMINI, contextWindow: 1048576, maxOutputTokens: 65536, reasoning: true },
+  'gemini-2.0-flash': { ...GEMINI, contextWindow: 1048576, maxOutputTokens: 8192, deprecated: { replacement: 'gemini-2.5-flash' } },
+  'gemini-1.5-pro': { ...GEMINI, contextWindow: 2097152, maxOutputTokens: 8192, deprecated: { shutdown: '2025-09-24', replacement: 'gemini-2.5-pro' } },
+  'gemini-1.5-flash': { ...GEMINI, contextWindow: 1048576, maxOutputTokens: 8192, deprecated: { shutdown: '2025-09-24', replacement: 'gemini-2.5-flash' } },
+  'gemini-1.5-flash-8b': { ...GEMINI, contextWindow: 1048576, maxOutputTokens: 8192, deprecated: { shutdown: '2025-09-24', replacement: 'gemini-2.5-flash-lite' } },
+  'claude-opus-4': { ...CLAUDE, maxOutputTokens: 32000, reasoning: true },
+  'claude-sonnet-4': { ...CLAUDE, maxOutputTokens: 64000, reasoning: true },
+  'claude-haiku-4': { ...CLAUDE, maxOutputTokens: 64000, reasoning: true },
+  'claude-3-7-sonnet': { ...CLAUDE, maxOutputTokens: 64000, reasoning: true, deprecated: { replacement: 'claude-sonnet-4' } },
+  'claude-3-5-sonnet': { ...CLAUDE, maxOutputTokens: 8192, deprecated: { shutdown: '2025-10-22', replacement: 'claude-sonnet-4' } },
+  'claude-3-5-haiku': { ...CLAUDE, maxOutputTokens: 8192 },
+};
+
+export class ModelCapabilities {
+  /**
+   * @param {Object<string, Object>} [capabilities] - Entries keyed by model name or prefix:
+   *   { provider, contextWindow, maxOutputTokens, temperature: { min, max } or { fixed },
+   *   maxTokensParam, reasoning, vision, deprecated: { shutdown, replacement } }
+   * @param {Object} [options] - Options
+   * @param {number} [options.defaultContextWindow] - Context window of models that are not listed
+   * @param {Function} [options.now] - Clock for deciding whether a deprecated model has shut down, for tests
+   */
+  constructor(capabilities = DEFAULT_CAPABILITIES, { defaultContextWindow = DEFAULT_CONTEXT_WINDOW, now = Date.now } = {}) {
+    this.capabilities = capabilities;
+    this.defaultContextWindow = defaultContextWindow;
+    this.now = now;
+  }
+
+  /**
+   * Capabilities of a model
+   * @param {string} model - Model name
+   * @returns {Object|null} Catalogue entry, or null if the model is not listed
+   */
+  get(model) {
+    return findModelEntry(this.capabilities, model);
+  }
+
+  /**
+   * Number of tokens a model accepts in one call, prompt and response together
+   * @param {string} model - Model name
+   * @returns {number} Context window in tokens
+   */
+  getContextWindow(model) {
+    return this.get(model)?.contextWindow ?? this.defaultContextWindow;
+  }
+
+  /**
+   * Models of a provider listed in the catalogue, leaving out those that have shut down
+   * @param {string} provider - Provider id, e.g. 'gemini'
+   * @returns {Array<string>} Model names in catalogue order
+   */
+  list(provider) {
+    return Object.entries(this.capabilities)
+      .filter(([model, entry]) => entry.provider === provider && !this.isRetired(model))
+      .map(([model]) => model);
+  }
+
+  /**
+   * Check whether a deprecated model's shutdown date has passed
+   * @param {string} model - Model name
+   * @returns {boolean} True if the provider no longer serves the model
+   */
+  isRetired(model) {
+    const shutdown = this.get(model)?.deprecated?.shutdown;
+    return Boolean(shutdown) && Date.parse(shutdown) <= this.now();
+  }
+
+  /**
+   * Describe a model's deprecation, e.g. "retired on 2025-09-24; use gemini-2.5-pro instead"
+   * @param {string} model - Model name
+   * @returns {string|null} Description, or null if the model is not deprecated
+   */
+  describeDeprecation(model) {
+    const deprecated = this.get(model)?.deprecated;
+    if (!deprecated) {
+      return null;
+    }
+
+    const status = !deprecated.shutdown
+      ? 'deprecated'
+      : `${this.isRetired(model) ? 'retired' : 'deprecated, shutting down'} on ${deprecated.shutdown}`;
+    return deprecated.replacement ? `${status}; use ${deprecated.replacement} instead` : status;
+  }
+
+  /**
+   * Temperature to send to a model: its fixed temperature if it accepts no other,
+   * otherwise the requested one clamped to the model's range
+   * @param {string} model - Model name
+   * @param {number} [temperature] - Requested temperature
+   * @param {{min: number, max: number}} range - Range for models that are not listed
+   * @param {number} defaultValue - Temperature used when none is requested
+   * @returns {number} Temperature
+   */
+  adaptTemperature(model, temperature, range, defaultValue) {
+    const rule = this.get(model)?.temperature ?? range;
+
+    if (rule.fixed !== undefined) {
+      if (typeof temperature === 'number' && temperature !== rule.fixed) {
+        console.error(`Note: ${model} only supports temperature=${rule.fixed}, adjusting...`);
+      }
+      return rule.fixed;
+    }
+    return validateAndClampNumber(temperature, rule.min, rule.max, defaultValue);
+  }
+
+  /**
+   * Response length to request from a model, clamped to its output limit
+   * @param {string} model - Model name
+   * @param {number} [maxTokens] - Requested maximum
+   * @param {number} fallbackLimit - Output limit for models that are not listed
+   * @param {number} defaultValue - Maximum used when none is requested
+   * @returns {number} Maximum response tokens
+   */
+  adaptMaxTokens(model, maxTokens, fallbackLimit, defaultValue) {
+    const limit = this.get(model)?.maxOutputTokens ?? fallbackLimit;
+    return validateAndClampNumber(maxTokens, 1, limit, defaultValue);
+  }
+}
+
+/**
+ * Look up a model in a table keyed by model name, falling back to its longest
+ * listed prefix followed by a dash or a dot (gpt-4o-2024-08-06 matches gpt-4o, not gpt-4,
+ * and gpt-5.1-mini matches gpt-5)
+ * @param {Object<string, *>} table - Entries keyed by model name or prefix
+ * @param {string} model - Model name
+ * @returns {*|null} Entry, or null if neither the model nor a prefix is listed
+ */
+export function findModelEntry(table, model) {
+  if (Object.hasOwn(table, model)) {
+    return table[model];
+  }
+
+  const prefix = Object.keys(table)
+    .filter(name => model.startsWith(`${name}-`) || model.startsWith(`${name}.`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+}
+
+/**
+ * Roughly estimate the tokens of a text without a tokenizer: about four characters
+ * per token for Latin text, one per character for Japanese and other scripts
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+
+  const characters = [...text];
+  const latin = characters.filter(character => character <= '\x7f').length;
+  return Math.ceil(latin / 4) + characters.length - latin;
+}
+
+/**
+ * Check a catalogue entry given in the configuration
+ * @param {string} model - Model name or prefix
+ * @param {Object} entry - Catalogue entry (any subset of the fields)
+ * @throws {Error} If a field has the wrong type
+ */
+function validateEntry(model, entry) {
+  const invalid = (field, expected) => new Error(`Invalid ${field} for ${model}: expected ${expected}`);
+  const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw invalid('capabilities', 'an object');
+  }
+  for (const field of ['contextWindow', 'maxOutputTokens']) {
+    if (entry[field] !== undefined && !isPositiveInteger(entry[field])) {
+      throw invalid(field, 'a positive number of tokens');
+    }
+  }
+  for (const field of ['reasoning', 'vision']) {
+    if (entry[field] !== undefined && typeof entry[field] !== 'boolean') {
+      throw invalid(field, 'true or false');
+    }
+  }
+
+  const { temperature, maxTokensParam, deprecated } = entry;
+  const isRange = typeof temperature?.min === 'number' && typeof temperature?.max === 'number' && temperature.min <= temperature.max;
+  if (temperature !== undefined && !isRange && typeof temperature?.fixed !== 'number') {
+    throw invalid('temperature', '{ min, max } or { fixed }');
+  }
+  if (maxTokensParam !== undefined && !['max_tokens', 'max_completion_tokens'].includes(maxTokensParam)) {
+    throw invalid('maxTokensParam', 'max_tokens or max_completion_tokens');
+  }
+  // null clears a default deprecation
+  const isDeprecation = deprecated === null || (typeof deprecated === 'object' &&
+    (deprecated.shutdown === undefined || !Number.isNaN(Date.parse(deprecated.shutdown))));
+  if (deprecated !== undefined && !isDeprecation) {
+    throw invalid('deprecated', '{ shutdown: "YYYY-MM-DD", replacement } or null');
+  }
+}
+
+/**
+ * Build the catalogue from environment variables: MODEL_CAPABILITIES (inline JSON or a path
+ * to a JSON file) maps model names or prefixes to catalogue entries, which are merged into the
+ * defaults; DEFAULT_CONTEXT_WINDOW applies to unlisted models
+ * @param {Object} env - Environment variables
+ * @returns {ModelCapabilities} Model catalogue
+ * @throws {Error} If an entry is invalid
+ */
+export function createModelCapabilities(env = process.env) {
+  const entries = loadJsonConfig(env.MODEL_CAPABILITIES, {});
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new Error('Model capabilities must be an object mapping model names to their capabilities');
+  }
+
+  const capabilities = { ...DEFAULT_CAPABILITIES };
+  for (const [model, entry] of Object.entries(entries)) {
+    validateEntry(model, entry);
+    capabilities[model] = { ...capabilities[model], ...entry };
+  }
+
+  return new ModelCapabilities(capabilities, {
+    defaultContextWindow: parseNumber(env.DEFAULT_CONTEXT_WINDOW, 1024, 10000000, DEFAULT_CONTEXT_WINDOW),
+  });
+}
@@ -0,0 +1,202 @@
+/**
+ * Retry policy for transient provider errors (rate limits, overloaded or failing servers, dropped connections)
+ */
+
+import { setTimeout as sleep } from 'timers/promises';
+import { parseNumber } from './config.js';
+import { throwIfCancelled } from './cancellation.js';
+
+/**
+ * Network error codes worth another attempt
+ */
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET']);
+
+/**
+ * HTTP statuses of requests that no other attempt or model would accept either
+ */
+const INVALID_REQUEST_STATUSES = new Set([400, 413, 422]);
+
+export class RetryPolicy {
+  /**
+   * @param {Object} [options] - Policy options
+   * @param {number} [options.maxAttempts] - Attempts per call, including the first (1 disables retries)
+   * @param {number} [options.baseDelayMs] - Delay before the first retry; doubles with every further retry
+   * @param {number} [options.maxDelayMs] - Longest wait between attempts, also for server-requested waits
+   * @param {Function} [options.random] - Source of jitter in [0, 1)
+   */
+  constructor({ maxAttempts = 3, baseDelayMs = 1000, maxDelayMs = 30000, random = Math.random } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.random = random;
+  }
+
+  /**
+   * Run an operation, retrying transient errors
+   * @param {Function} operation - Called with the attempt number (1-based)
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Stops retrying and cancels the wait between attempts
+   * @param {Function} [options.onRetry] - Called with { attempt, delayMs, error } before each wait
+   * @returns {Promise<*>} The operation's result
+   * @throws {Error} The last error once it is not retryable or the attempts are used up
+   */
+  async run(operation, options = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation(attempt);
+      } catch (error) {
+        await this.backoff(error, attempt, options);
+      }
+    }
+  }
+
+  /**
+   * Wait before the next attempt, or rethrow the error if it should not be retried
+   * @param {Error} error - Error of the failed attempt
+   * @param {number} attempt - Number of the failed attempt (1-based)
+   * @param {Object} [options] - Call options ({ signal, onRetry }, see run)
+   * @returns {Promise<void>}
+   * @throws {Error} The given error if it should not be retried
+   * @throws {CancelledError} If cancelled while waiting
+   */
+  async backoff(error, attempt, { signal, onRetry } = {}) {
+    const delayMs = signal?.aborted ? null : this.getRetryDelay(error, attempt);
+    if (delayMs === null) {
+      throw error;
+    }
+
+    onRetry?.({ attempt, delayMs, error });
+
+    try {
+      await sleep(delayMs, undefined, { signal });
+    } catch (sleepError) {
+      throwIfCancelled(signal);
+      throw sleepError;
+    }
+  }
+
+  /**
+   * Delay before retrying a failed attempt.
+   * Waits requested by the server (Retry-After) are honored as given; otherwise
+   * the delay grows exponentially with full jitter.
+   * @param {Error} error - Error of the failed attempt
+   * @param {number} attempt - Number of the failed attempt (1-based)
+   * @returns {number|null} Delay in milliseconds, or null to give up
+   */
+  getRetryDelay(error, attempt) {
+    if (attempt >= this.maxAttempts || !isRetryableError(error)) {
+      return null;
+    }
+
+    const retryAfterMs = getRetryAfterMs(error);
+    if (retryAfterMs !== null) {
+      // Asked to come back later than we are willing to wait
+      return retryAfterMs <= this.maxDelayMs ? retryAfterMs : null;
+    }
+
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(this.random() * ceiling);
+  }
+}
+
+/**
+ * Build the retry policy from environment variables
+ * (RETRY_MAX_ATTEMPTS, RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS)
+ * @param {Object} env - Environment variables
+ * @returns {RetryPolicy} Retry policy
+ */
+export function createRetryPolicy(env = process.env) {
+  return new RetryPolicy({
+    maxAttempts: Math.round(parseNumber(env.RETRY_MAX_ATTEMPTS, 1, 10, 3)),
+    baseDelayMs: parseNumber(env.RETRY_BASE_DELAY_MS, 0, 60000, 1000),
+    maxDelayMs: parseNumber(env.RETRY_MAX_DELAY_MS, 0, 300000, 30000),
+  });
+}
+
+/**
+ * HTTP status of a provider error.
+ * The Gemini SDK only reports it in the message ("got status: 429 Too Many Requests. ...").
+ * @param {Error} error - Provider error
+ * @returns {number|null} HTTP status, or null if the error carries none
+ */
+export function getErrorStatus(error) {
+  if (typeof error?.status === 'number') {
+    return error.status;
+  }
+
+  const match = /got status: (\d{3})/.exec(error?.message || '');
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Check whether a provider error is transient
+ * @param {Error} error - Provider error
+ * @returns {boolean} True for rate limits, server errors, timeouts and dropped connections
+ */
+export function isRetryableError(error) {
+  if (!error || error.name === 'CancelledError') {
+    return false;
+  }
+  // A 429 for an exhausted quota will not go away by waiting
+  if (error.code === 'insufficient_quota') {
+    return false;
+  }
+
+  const status = getErrorStatus(error);
+  if (status !== null) {
+    return status === 408 || status === 409 || status === 429 || status >= 500;
+  }
+
+  return /^APIConnection(Timeout)?Error$/.test(error.constructor?.name) ||
+    RETRYABLE_CODES.has(error.code) ||
+    RETRYABLE_CODES.has(error.cause?.code);
+}
+
+/**
+ * Check whether the provider rejected the request itself (malformed, too large or unprocessable)
+ * @param {Error} error - Provider error
+ * @returns {boolean} True if the request would fail the same way anywhere
+ */
+export function isInvalidRequestError(error) {
+  return INVALID_REQUEST_STATUSES.has(getErrorStatus(error));
+}
+
+/**
+ * Wait requested by the server before the next attempt:
+ * the retry-after-ms or Retry-After header (seconds or HTTP date), or the
+ * retryDelay of a Gemini RetryInfo error detail
+ * @param {Error} error - Provider error
+ * @returns {number|null} Wait in milliseconds, or null if none was requested
+ */
+export function getRetryAfterMs(error) {
+  const header = (name) => (typeof error?.headers?.get === 'function'
+    ? error.headers.get(name)
+    : error?.headers?.[name]) ?? null;
+
+  const retryAfterMs = parseFloat(header('retry-after-ms'));
+  if (retryAfterMs >= 0) {
+    return Math.round(retryAfterMs);
+  }
+
+  const retryAfter = header('retry-after');
+  if (retryAfter !== null) {
+    const seconds = parseFloat(retryAfter);
+    const waitMs = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (waitMs >= 0) {
+      return Math.round(waitMs);
+    }
+  }
+
+  const match = /"retryDelay":\s*"(\d+(?:\.\d+)?)s"/.exec(error?.message || '');
+  return match ? Math.round(Number(match[1]) * 1000) : null;
+}
+
+/**
+ * Short description of a provider error for logs and transcripts
+ * @param {Error} error - Provider error
+ * @returns {string} "HTTP <status>" or the error message
+ */
+export function describeError(error) {
+  const status = getErrorStatus(error);
+  return status !== null ? `HTTP ${status}` : error?.message || String(error);
+}
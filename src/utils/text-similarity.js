@@ -0,0 +1,57 @@
+/**
+ * Lightweight text similarity utilities (no external dependencies)
+ */
+
+/**
+ * Split text into comparable tokens: lowercase words for space-separated
+ * languages and character bigrams for Japanese/Chinese runs
+ * @param {string} text - Text to tokenize
+ * @returns {Set<string>} Distinct tokens
+ */
+export function tokenize(text) {
+  const tokens = new Set();
+
+  if (!text || typeof text !== 'string') {
+    return tokens;
+  }
+
+  for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    if (!/[\u3040-\u30ff\u3400-\u9fff]/.test(word)) {
+      tokens.add(word);
+      continue;
+    }
+
+    if (word.length === 1) {
+      tokens.add(word);
+    }
+    for (let i = 0; i < word.length - 1; i++) {
+      tokens.add(word.slice(i, i + 2));
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Jaccard similarity of two texts' token sets
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity between 0 (nothing shared) and 1 (same tokens)
+ */
+export function textSimilarity(a, b) {
+  const tokensA = tokenize(a);
+  const tokensB = tokenize(b);
+
+  if (tokensA.size === 0 && tokensB.size === 0) {
+    return 1;
+  }
+
+  let shared = 0;
+  for (const token of tokensA) {
+    if (tokensB.has(token)) {
+      shared++;
+    }
+  }
+
+  return shared / (tokensA.size + tokensB.size - shared);
+}
@@ -0,0 +1,161 @@
+/**
+ * Token usage and cost accounting for provider calls
+ */
+
+import { loadJsonConfig } from './config.js';
+import { findModelEntry } from './model-capabilities.js';
+
+/**
+ * Default prices in USD per million tokens. Model names are matched exactly or by
+ * their longest listed prefix, so dated snapshots (e.g. gpt-4o-2024-08-06) share
+ * the price of their family.
+ */
+export const DEFAULT_PRICES = {
+  'gpt-5': { input: 1.25, output: 10 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5-nano': { input: 0.05, output: 0.4 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.5': { input: 75, output: 150 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'o1': { input: 15, output: 60 },
+  'o3': { input: 2, output: 8 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-flash-8b': { input: 0.0375, output: 0.15 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+};
+
+export class PriceTable {
+  /**
+   * @param {Object<string, {input: number, output: number}>} [prices] - USD per million prompt (input) and completion (output) tokens, keyed by model name or prefix
+   */
+  constructor(prices = DEFAULT_PRICES) {
+    this.prices = prices;
+  }
+
+  /**
+   * Price of a model
+   * @param {string} model - Model name
+   * @returns {{input: number, output: number}|null} Price per million tokens, or null if the model is not priced
+   */
+  getPrice(model) {
+    return findModelEntry(this.prices, model);
+  }
+
+  /**
+   * Estimated cost of a call
+   * @param {string} model - Model that answered
+   * @param {{promptTokens: number, completionTokens: number}} usage - Tokens used
+   * @returns {number|null} Cost in USD, or null if the model is not priced
+   */
+  estimateCost(model, { promptTokens, completionTokens }) {
+    const price = this.getPrice(model);
+    if (!price) {
+      return null;
+    }
+    return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+  }
+}
+
+/**
+ * Build the price table from environment variables: MODEL_PRICES (inline JSON or a path
+ * to a JSON file) adds models to the defaults or overrides their prices
+ * @param {Object} env - Environment variables
+ * @returns {PriceTable} Price table
+ * @throws {Error} If a price is not a pair of non-negative numbers
+ */
+export function createPriceTable(env = process.env) {
+  const prices = loadJsonConfig(env.MODEL_PRICES, {});
+  if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+    throw new Error('Model prices must be an object mapping model names to { input, output } prices per million tokens');
+  }
+
+  for (const [model, price] of Object.entries(prices)) {
+    const valid = price && [price.input, price.output].every(value => typeof value === 'number' && value >= 0);
+    if (!valid) {
+      throw new Error(`Invalid price for ${model}: expected { input, output } in USD per million tokens`);
+    }
+  }
+
+  return new PriceTable({ ...DEFAULT_PRICES, ...prices });
+}
+
+/**
+ * Add up usage records
+ * @param {Array<{promptTokens: number, completionTokens: number, cost: number|null}>} records - Usage of individual calls
+ * @returns {{calls: number, promptTokens: number, completionTokens: number, totalTokens: number, cost: number, unpriced: number}} Totals;
+ *   cost covers the priced calls, unpriced counts the others
+ */
+export function sumUsage(records) {
+  const totals = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpriced: 0 };
+
+  for (const record of records) {
+    totals.calls++;
+    totals.promptTokens += record.promptTokens;
+    totals.completionTokens += record.completionTokens;
+    totals.totalTokens += record.promptTokens + record.completionTokens;
+    if (record.cost === null) {
+      totals.unpriced++;
+    } else {
+      totals.cost += record.cost;
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Add up usage records in total, per round and per model
+ * @param {Array<{round: number, model: string}>} records - Usage of individual calls (see sumUsage)
+ * @returns {{total: Object, byRound: Object<number, Object>, byModel: Object<string, Object>}} Totals (see sumUsage)
+ */
+export function summarizeUsage(records) {
+  const groupBy = (key) => {
+    const groups = new Map();
+    for (const record of records) {
+      groups.set(record[key], [...(groups.get(record[key]) || []), record]);
+    }
+    return Object.fromEntries([...groups].map(([name, group]) => [name, sumUsage(group)]));
+  };
+
+  return { total: sumUsage(records), byRound: groupBy('round'), byModel: groupBy('model') };
+}
+
+/**
+ * Describe usage totals, e.g. "1,234 tokens (1,000 prompt + 234 completion), est. $0.0049"
+ * @param {Object} totals - Usage totals (see sumUsage)
+ * @returns {string} Description
+ */
+export function formatUsage(totals) {
+  const count = (value) => value.toLocaleString('en-US');
+  const tokens = `${count(totals.totalTokens)} tokens (${count(totals.promptTokens)} prompt + ${count(totals.completionTokens)} completion)`;
+
+  if (totals.unpriced === totals.calls) {
+    return `${tokens}, cost unknown`;
+  }
+  return `${tokens}, est. ${formatCost(totals.cost)}${totals.unpriced > 0 ? ' (excluding unpriced models)' : ''}`;
+}
+
+/**
+ * Format a cost in USD with enough precision for single calls
+ * @param {number} cost - Cost in USD
+ * @returns {string} Formatted cost, e.g. "$0.0049"
+ */
+export function formatCost(cost) {
+  return `$${cost.toFixed(4)}`;
+}
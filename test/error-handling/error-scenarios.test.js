@@ -9,6 +9,7 @@ import { OpenAIProvider } from '../../src/providers/openai-provider.js';
 import { GeminiProvider } from '../../src/providers/gemini-provider.js';
 import { WallBounceService } from '../../src/services/wall-bounce.js';
 import { ToolHandlers } from '../../src/tools/tool-handlers.js';
+import { ProviderRegistry } from '../../src/providers/provider-registry.js';
 
 describe('Error Handling Scenarios', () => {
   describe('Network and API Failures', () => {
@@ -267,15 +268,27 @@ describe('Error Handling Scenarios', () => {
 
     beforeEach(() => {
       mockOpenAI = {
+        id: 'openai',
+        displayName: 'OpenAI',
+        configHint: 'OPENAI_API_KEY',
+        capabilities: ['chat', 'list-models'],
+        modelPatterns: [/^gpt-/],
         isAvailable: mock.fn(() => true),
         chatCompletion: mock.fn()
       };
       mockGemini = {
+        id: 'gemini',
+        displayName: 'Gemini',
+        configHint: 'GOOGLE_API_KEY',
+        capabilities: ['chat', 'list-models'],
+        modelPatterns: [/^gemini-/],
         isAvailable: mock.fn(() => true),
-        generateContent: mock.fn()
+        chatCompletion: mock.fn()
       };
       
-      service = new WallBounceService(mockOpenAI, mockGemini);
+      service = new WallBounceService(
+        new ProviderRegistry().register(mockOpenAI).register(mockGemini)
+      );
     });
 
     it('should handle OpenAI failure mid-conversation', async () => {
@@ -285,7 +298,7 @@ describe('Error Handling Scenarios', () => {
           throw new Error('OpenAI failed on second call');
         });
       
-      mockGemini.generateContent.mock.mockImplementation(async () => 'Gemini response');
+      mockGemini.chatCompletion.mock.mockImplementation(async () => 'Gemini response');
 
       const params = {
         topic: 'Test topic',
@@ -297,14 +310,14 @@ describe('Error Handling Scenarios', () => {
 
       const result = await service.conductWallBounce(params);
       
-      assert.ok(result.includes('エラーが発生しました'));
+      assert.ok(result.includes('An error occurred'));
       assert.ok(result.includes('OpenAI failed on second call'));
       assert.ok(result.includes('First response')); // Partial result preserved
     });
 
     it('should handle Gemini failure mid-conversation', async () => {
       mockOpenAI.chatCompletion.mock.mockImplementation(async () => 'OpenAI response');
-      mockGemini.generateContent
+      mockGemini.chatCompletion
         .mock.mockImplementationOnce(async () => 'First Gemini response')
         .mock.mockImplementationOnce(async () => {
           throw new Error('Gemini failed on second call');
@@ -320,7 +333,7 @@ describe('Error Handling Scenarios', () => {
 
       const result = await service.conductWallBounce(params);
       
-      assert.ok(result.includes('エラーが発生しました'));
+      assert.ok(result.includes('An error occurred'));
       assert.ok(result.includes('Gemini failed on second call'));
       assert.ok(result.includes('First Gemini response'));
     });
@@ -350,11 +363,21 @@ describe('Error Handling Scenarios', () => {
 
     beforeEach(() => {
       mockOpenAI = {
+        id: 'openai',
+        displayName: 'OpenAI',
+        configHint: 'OPENAI_API_KEY',
+        capabilities: ['chat', 'list-models'],
+        modelPatterns: [/^gpt-/],
         isAvailable: mock.fn(() => true),
         chatCompletion: mock.fn(),
         listModels: mock.fn()
       };
       mockGemini = {
+        id: 'gemini',
+        displayName: 'Gemini',
+        configHint: 'GOOGLE_API_KEY',
+        capabilities: ['chat', 'list-models'],
+        modelPatterns: [/^gemini-/],
         isAvailable: mock.fn(() => true),
         chatCompletion: mock.fn(),
         listModels: mock.fn()
@@ -363,7 +386,10 @@ describe('Error Handling Scenarios', () => {
         conductWallBounce: mock.fn()
       };
       
-      handlers = new ToolHandlers(mockOpenAI, mockGemini, mockWallBounce);
+      handlers = new ToolHandlers(
+        new ProviderRegistry().register(mockOpenAI).register(mockGemini),
+        mockWallBounce
+      );
     });
 
     it('should properly propagate validation errors', async () => {
@@ -384,9 +410,10 @@ describe('Error Handling Scenarios', () => {
         throw new Error('Gemini list failed');
       });
 
-      await assert.rejects(async () => {
-        await handlers.handleListModels();
-      }, /OpenAI list failed/);
+      const text = (await handlers.handleListModels()).content[0].text;
+
+      assert.ok(text.includes('(unreachable (OpenAI list failed))'));
+      assert.ok(text.includes('(unreachable (Gemini list failed))'));
     });
 
     it('should handle partial failures in list_models', async () => {
@@ -396,7 +423,7 @@ describe('Error Handling Scenarios', () => {
       const result = await handlers.handleListModels();
       
       assert.ok(result.content[0].text.includes('gpt-4'));
-      assert.ok(result.content[0].text.includes('Available Google Gemini models'));
+      assert.ok(result.content[0].text.includes('Available Gemini models'));
     });
   });
 
@@ -438,8 +465,9 @@ describe('Error Handling Scenarios', () => {
 
     it('should handle extremely long topic strings in wall bounce', async () => {
       const service = new WallBounceService(
-        { isAvailable: () => true, chatCompletion: async () => 'Response' },
-        { isAvailable: () => true, generateContent: async () => 'Response' }
+        new ProviderRegistry()
+          .register(new OpenAIProvider('test-key'))
+          .register(new GeminiProvider('test-key'))
       );
 
       const longTopic = 'A'.repeat(2000); // Very long topic
@@ -0,0 +1,264 @@
+/**
+ * Tests for the HTTP chat API
+ */
+
+import { describe, it, mock, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { ChatApi } from '../../src/http/chat-api.js';
+import { ProviderRegistry } from '../../src/providers/provider-registry.js';
+import { BudgetTracker } from '../../src/services/budget-tracker.js';
+import { RetryPolicy } from '../../src/utils/retry.js';
+
+describe('ChatApi', () => {
+  let server;
+  let baseURL;
+  let chatApi;
+  let mockOpenAIProvider;
+
+  before(async () => {
+    server = createServer((req, res) => chatApi.handle(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/api/chat`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    mockOpenAIProvider = {
+      id: 'openai',
+      displayName: 'OpenAI',
+      configHint: 'OPENAI_API_KEY',
+      capabilities: ['chat', 'stream', 'list-models'],
+      modelPatterns: [/^gpt-/],
+      isAvailable: mock.fn(() => true),
+      chatCompletion: mock.fn(async () => 'Full answer'),
+      streamChatCompletion: mock.fn(async function* () {
+        yield 'Streamed ';
+        yield 'answer';
+      })
+    };
+
+    chatApi = new ChatApi(new ProviderRegistry().register(mockOpenAIProvider), { apiKeys: ['secret-1', 'secret-2'] });
+  });
+
+  const post = (body, apiKey = 'secret-2') => fetch(baseURL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(apiKey && { Authorization: `Bearer ${apiKey}` }) },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  describe('isEnabled', () => {
+    it('should be disabled without API keys', () => {
+      assert.strictEqual(new ChatApi(new ProviderRegistry()).isEnabled(), false);
+      assert.strictEqual(chatApi.isEnabled(), true);
+    });
+  });
+
+  describe('handle', () => {
+    it('should answer with the whole response by default', async () => {
+      const response = await post({ model: 'gpt-4o', prompt: 'Hello', temperature: 0.2, max_tokens: 300 });
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(await response.json(), { model: 'gpt-4o', content: 'Full answer' });
+      const params = mockOpenAIProvider.chatCompletion.mock.calls[0].arguments[0];
+      assert.deepStrictEqual(params.messages, [{ role: 'user', content: 'Hello' }]);
+      assert.strictEqual(params.temperature, 0.2);
+      assert.strictEqual(params.maxTokens, 300);
+    });
+
+    it('should stream deltas as server-sent events', async () => {
+      const response = await post({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Hello' }], stream: true });
+
+      assert.strictEqual(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+      assert.strictEqual(await response.text(), [
+        'data: {"delta":"Streamed "}',
+        'data: {"delta":"answer"}',
+        'event: done\ndata: {"model":"gpt-4o","content":"Streamed answer"}',
+        ''
+      ].join('\n\n'));
+    });
+
+    it('should report token usage and its estimated cost', async () => {
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async (params) => {
+        params.onUsage({ promptTokens: 1000, completionTokens: 500 });
+        return 'Full answer';
+      });
+
+      const response = await post({ model: 'gpt-4o', prompt: 'Hello' });
+
+      assert.deepStrictEqual(await response.json(), {
+        model: 'gpt-4o',
+        content: 'Full answer',
+        usage: { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500, cost: 0.0075 }
+      });
+    });
+
+    it('should report streamed token usage in the done event', async () => {
+      mockOpenAIProvider.streamChatCompletion.mock.mockImplementation(async function* (params) {
+        yield 'Answer';
+        params.onUsage({ promptTokens: 10, completionTokens: 2 });
+      });
+
+      const response = await post({ model: 'gpt-4o', prompt: 'Hello', stream: true });
+
+      assert.ok((await response.text()).endsWith(
+        'event: done\ndata: {"model":"gpt-4o","content":"Answer","usage":{"prompt_tokens":10,"completion_tokens":2,"total_tokens":12,"cost":0.000045}}\n\n'
+      ));
+    });
+
+    it('should report provider errors during a stream as an error event', async () => {
+      mockOpenAIProvider.streamChatCompletion.mock.mockImplementation(async function* () {
+        yield 'Partial';
+        throw new Error('Upstream failure');
+      });
+
+      const response = await post({ model: 'gpt-4o', prompt: 'Hello', stream: true });
+      const text = await response.text();
+
+      assert.ok(text.includes('data: {"delta":"Partial"}'));
+      assert.ok(text.endsWith('event: error\ndata: {"error":"Upstream failure"}\n\n'));
+    });
+
+    it('should cancel the provider call when the client disconnects', async () => {
+      let providerSignal;
+      const cancelled = new Promise(resolve => {
+        mockOpenAIProvider.streamChatCompletion.mock.mockImplementation(async function* (params) {
+          providerSignal = params.signal;
+          yield 'Partial';
+          // Like the SDKs, the stream fails once its request is aborted
+          await new Promise((_, reject) => providerSignal.addEventListener('abort', () => {
+            resolve();
+            reject(new Error('Request was aborted.'));
+          }));
+        });
+      });
+      const controller = new AbortController();
+
+      const response = await fetch(baseURL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer secret-1' },
+        body: JSON.stringify({ model: 'gpt-4o', prompt: 'Hello', stream: true }),
+        signal: controller.signal
+      });
+      await response.body.getReader().read();
+      controller.abort();
+
+      await cancelled;
+      assert.strictEqual(providerSignal.aborted, true);
+    });
+
+    it('should name the fallback model that answered', async () => {
+      const registry = new ProviderRegistry().register(mockOpenAIProvider).setFallbacks({ 'gpt-5': ['gpt-4o'] });
+      chatApi = new ChatApi(registry, { apiKeys: ['secret-1'] });
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async (params) => {
+        if (params.model === 'gpt-5') {
+          throw Object.assign(new Error('Model not found'), { status: 404 });
+        }
+        return 'Fallback answer';
+      });
+
+      const response = await post({ model: 'gpt-5', prompt: 'Hello' }, 'secret-1');
+
+      assert.deepStrictEqual(await response.json(), { model: 'gpt-4o', requested_model: 'gpt-5', content: 'Fallback answer' });
+    });
+
+    it('should answer provider errors with 502', async () => {
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => {
+        throw new Error('Upstream failure');
+      });
+
+      const response = await post({ model: 'gpt-4o', prompt: 'Hello' });
+
+      assert.strictEqual(response.status, 502);
+      assert.deepStrictEqual(await response.json(), { error: 'Upstream failure' });
+    });
+
+    it('should not pass the provider\'s own authentication and rate limit errors on to the client', async () => {
+      const statuses = [];
+
+      for (const status of [401, 403, 404, 429, 500, 503]) {
+        // A fresh registry each time, so the failures do not open the model's circuit
+        const registry = new ProviderRegistry({ retryPolicy: new RetryPolicy({ maxAttempts: 1 }) }).register(mockOpenAIProvider);
+        chatApi = new ChatApi(registry, { apiKeys: ['secret-2'] });
+        mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => {
+          throw Object.assign(new Error(`${status} status code`), { status });
+        });
+        statuses.push((await post({ model: 'gpt-4o', prompt: 'Hello' })).status);
+      }
+
+      assert.deepStrictEqual(statuses, [502, 502, 502, 503, 502, 502]);
+    });
+
+    it('should keep the status of requests the provider rejected as invalid', async () => {
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => {
+        throw Object.assign(new Error('400 maximum context length exceeded'), { status: 400 });
+      });
+
+      const response = await post({ model: 'gpt-4o', prompt: 'Hello' });
+
+      assert.strictEqual(response.status, 400);
+      assert.deepStrictEqual(await response.json(), { error: '400 maximum context length exceeded' });
+    });
+
+    it('should answer timeouts with 504', async () => {
+      chatApi.providerRegistry.timeoutMs = 20;
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(() => new Promise(() => {}));
+
+      const response = await post({ model: 'gpt-4o', prompt: 'Hello' });
+
+      assert.strictEqual(response.status, 504);
+      assert.deepStrictEqual(await response.json(), { error: 'OpenAI gpt-4o did not respond within 0.02s' });
+    });
+
+    it('should answer with 429 once the API key\'s budget is used up', async () => {
+      const budgetTracker = new BudgetTracker({ limits: { daily: { tokens: 1000 } } });
+      chatApi = new ChatApi(chatApi.providerRegistry, { apiKeys: ['secret-1', 'secret-2'], budgetTracker });
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async (params) => {
+        params.onUsage({ promptTokens: 1000, completionTokens: 0 });
+        return 'Full answer';
+      });
+
+      assert.strictEqual((await post({ model: 'gpt-4o', prompt: 'Hello' })).status, 200);
+      const refused = await post({ model: 'gpt-4o', prompt: 'Hello' });
+
+      assert.strictEqual(refused.status, 429);
+      assert.match((await refused.json()).error, /^The daily budget of 1,000 tokens for api-key:[0-9a-f]{12} is used up/);
+      // Every API key has its own budget
+      assert.strictEqual((await post({ model: 'gpt-4o', prompt: 'Hello' }, 'secret-1')).status, 200);
+    });
+
+    it('should reject missing or unknown API keys', async () => {
+      for (const apiKey of [null, 'wrong']) {
+        const response = await post({ model: 'gpt-4o', prompt: 'Hello' }, apiKey);
+        assert.strictEqual(response.status, 401);
+      }
+      assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.callCount(), 0);
+    });
+
+    it('should reject invalid requests', async () => {
+      const cases = [
+        ['not json', /Request body must be a JSON object/],
+        [{ prompt: 'Hello' }, /model is required/],
+        [{ model: 'gpt-4o' }, /Either messages or prompt is required/],
+        [{ model: 'claude-3', prompt: 'Hello' }, /No provider registered for model: claude-3/],
+        [{ model: 'gpt-4o', messages: [{ role: 'user', content: 42 }] }, /Message content must be a non-empty string/]
+      ];
+
+      for (const [body, error] of cases) {
+        const response = await post(body);
+        assert.strictEqual(response.status, 400);
+        assert.match((await response.json()).error, error);
+      }
+    });
+
+    it('should only accept POST', async () => {
+      const response = await fetch(baseURL, { headers: { Authorization: 'Bearer secret-1' } });
+
+      assert.strictEqual(response.status, 405);
+    });
+  });
+});
@@ -9,6 +9,7 @@ import * as dotenv from 'dotenv';
 import { OpenAIProvider } from '../../src/providers/openai-provider.js';
 import { GeminiProvider } from '../../src/providers/gemini-provider.js';
 import { WallBounceService } from '../../src/services/wall-bounce.js';
+import { ProviderRegistry } from '../../src/providers/provider-registry.js';
 
 // Load environment variables
 dotenv.config();
@@ -21,7 +22,9 @@ describe('API Integration Tests', () => {
   beforeEach(() => {
     openaiProvider = new OpenAIProvider(process.env.OPENAI_API_KEY);
     geminiProvider = new GeminiProvider(process.env.GOOGLE_API_KEY);
-    wallBounceService = new WallBounceService(openaiProvider, geminiProvider);
+    wallBounceService = new WallBounceService(
+      new ProviderRegistry().register(openaiProvider).register(geminiProvider)
+    );
   });
 
   describe('Environment Configuration', () => {
@@ -122,32 +125,12 @@ describe('API Integration Tests', () => {
       console.error(`Gemini Response: ${response.substring(0, 100)}...`);
     });
 
-    it('should generate content with single prompt', async () => {
-      if (!geminiProvider.isAvailable()) {
-        console.error('Skipping Gemini content generation test - no API key configured');
-        return;
-      }
-
-      const params = {
-        model: process.env.GEMINI_MODEL || 'gemini-2.0-flash-001',
-        prompt: 'Write exactly three words: "Integration test successful"',
-        temperature: 0.1,
-        maxOutputTokens: 20
-      };
-
-      const response = await geminiProvider.generateContent(params);
-      
-      assert.ok(typeof response === 'string');
-      assert.ok(response.length > 0);
-      console.error(`Gemini Content Generation: ${response}`);
-    });
-
-    it('should list Gemini models', () => {
-      const models = geminiProvider.listModels();
+    it('should list Gemini models', async () => {
+      const models = await geminiProvider.listModels();
       
       assert.ok(Array.isArray(models));
       assert.ok(models.length > 0);
-      assert.ok(models.includes('gemini-2.0-flash-001'));
+      assert.ok(models.includes('gemini-2.5-flash'));
       console.error(`Gemini Models: ${models.join(', ')}`);
     });
 
@@ -207,7 +190,9 @@ describe('API Integration Tests', () => {
 
       // Create service with unavailable Gemini
       const unavailableGemini = new GeminiProvider(); // No API key
-      const partialService = new WallBounceService(openaiProvider, unavailableGemini);
+      const partialService = new WallBounceService(
+        new ProviderRegistry().register(openaiProvider).register(unavailableGemini)
+      );
 
       const params = {
         topic: 'Testing with partial API availability',
@@ -0,0 +1,301 @@
+/**
+ * Tests for Anthropic provider
+ */
+
+import { describe, it, mock, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { AnthropicProvider } from '../../src/providers/anthropic-provider.js';
+import { ProviderRegistry } from '../../src/providers/provider-registry.js';
+import { WallBounceService } from '../../src/services/wall-bounce.js';
+
+describe('AnthropicProvider', () => {
+  let provider;
+  let mockAnthropic;
+
+  beforeEach(() => {
+    // Mock Anthropic client
+    mockAnthropic = {
+      messages: {
+        create: mock.fn(async () => ({
+          content: [
+            { type: 'text', text: 'Test ' },
+            { type: 'text', text: 'Claude response' }
+          ]
+        }))
+      },
+      models: {
+        list: mock.fn(async function* () {
+          yield { id: 'claude-sonnet-4-5' };
+          yield { id: 'claude-3-5-haiku-latest' };
+        })
+      }
+    };
+
+    provider = new AnthropicProvider('test-api-key');
+    // Manually set the mocked client
+    provider.client = mockAnthropic;
+  });
+
+  describe('constructor', () => {
+    it('should initialize with API key', () => {
+      const testProvider = new AnthropicProvider('my-api-key');
+      assert.ok(testProvider.client);
+      assert.strictEqual(testProvider.id, 'anthropic');
+      assert.ok(testProvider.modelPatterns[0].test('claude-sonnet-4-5'));
+    });
+
+    it('should initialize as null if no API key provided', () => {
+      const testProvider = new AnthropicProvider();
+      assert.strictEqual(testProvider.client, null);
+    });
+  });
+
+  describe('isAvailable', () => {
+    it('should return true when API key is configured', () => {
+      assert.strictEqual(provider.isAvailable(), true);
+    });
+
+    it('should return false when API key is not configured', () => {
+      assert.strictEqual(new AnthropicProvider().isAvailable(), false);
+    });
+  });
+
+  describe('convertMessages', () => {
+    it('should move system messages to the system field', () => {
+      const converted = provider.convertMessages([
+        { role: 'system', content: 'You are helpful' },
+        { role: 'system', content: 'Be brief' },
+        { role: 'user', content: 'Hello' }
+      ]);
+
+      assert.strictEqual(converted.system, 'You are helpful\n\nBe brief');
+      assert.deepStrictEqual(converted.messages, [{ role: 'user', content: 'Hello' }]);
+    });
+
+    it('should merge consecutive messages of the same role', () => {
+      const converted = provider.convertMessages([
+        { role: 'user', content: 'First' },
+        { role: 'user', content: 'Second' },
+        { role: 'assistant', content: 'Reply' },
+        { role: 'model', content: 'More reply' }
+      ]);
+
+      assert.strictEqual(converted.system, undefined);
+      assert.deepStrictEqual(converted.messages, [
+        { role: 'user', content: 'First\n\nSecond' },
+        { role: 'assistant', content: 'Reply\n\nMore reply' }
+      ]);
+    });
+
+    it('should start the conversation with a user turn', () => {
+      const converted = provider.convertMessages([
+        { role: 'assistant', content: 'Earlier answer' },
+        { role: 'user', content: 'Follow-up' }
+      ]);
+
+      assert.strictEqual(converted.messages[0].role, 'user');
+      assert.strictEqual(converted.messages[1].content, 'Earlier answer');
+      assert.strictEqual(converted.messages.length, 3);
+    });
+  });
+
+  describe('chatCompletion', () => {
+    it('should handle basic chat completion', async () => {
+      const result = await provider.chatCompletion({
+        model: 'claude-sonnet-4-5',
+        messages: [
+          { role: 'system', content: 'You are helpful' },
+          { role: 'user', content: 'Hello' }
+        ],
+        temperature: 0.7,
+        maxTokens: 1000
+      });
+
+      assert.strictEqual(result, 'Test Claude response');
+      assert.strictEqual(mockAnthropic.messages.create.mock.callCount(), 1);
+
+      const callArgs = mockAnthropic.messages.create.mock.calls[0].arguments[0];
+      assert.strictEqual(callArgs.model, 'claude-sonnet-4-5');
+      assert.strictEqual(callArgs.system, 'You are helpful');
+      assert.deepStrictEqual(callArgs.messages, [{ role: 'user', content: 'Hello' }]);
+      assert.strictEqual(callArgs.temperature, 0.7);
+      assert.strictEqual(callArgs.max_tokens, 1000);
+    });
+
+    it('should report token usage', async () => {
+      mockAnthropic.messages.create.mock.mockImplementation(async () => ({
+        content: [{ type: 'text', text: 'Hi' }],
+        usage: { input_tokens: 12, output_tokens: 3 }
+      }));
+      const onUsage = mock.fn();
+
+      await provider.chatCompletion({ model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: 'Hello' }], onUsage });
+
+      assert.deepStrictEqual(onUsage.mock.calls[0].arguments[0], { promptTokens: 12, completionTokens: 3 });
+    });
+
+    it('should pass the cancellation signal to the SDK', async () => {
+      const controller = new AbortController();
+
+      await provider.chatCompletion({
+        model: 'claude-sonnet-4-5',
+        messages: [{ role: 'user', content: 'Hello' }],
+        signal: controller.signal
+      });
+
+      const [request, options] = mockAnthropic.messages.create.mock.calls[0].arguments;
+      assert.strictEqual(request.signal, undefined);
+      assert.strictEqual(options.signal, controller.signal);
+    });
+
+    it('should omit the system field without system messages', async () => {
+      await provider.chatCompletion({
+        model: 'claude-sonnet-4-5',
+        messages: [{ role: 'user', content: 'Hello' }]
+      });
+
+      const callArgs = mockAnthropic.messages.create.mock.calls[0].arguments[0];
+      assert.strictEqual('system' in callArgs, false);
+    });
+
+    it('should clamp temperature to the Anthropic range', async () => {
+      await provider.chatCompletion({
+        model: 'claude-sonnet-4-5',
+        messages: [{ role: 'user', content: 'Hello' }],
+        temperature: 1.5,
+        maxTokens: 100000
+      });
+
+      const callArgs = mockAnthropic.messages.create.mock.calls[0].arguments[0];
+      assert.strictEqual(callArgs.temperature, 1);
+      // Clamped to the output limit of Claude Sonnet 4 models
+      assert.strictEqual(callArgs.max_tokens, 64000);
+    });
+
+    it('should fall back to the default output limit for uncatalogued models', async () => {
+      await provider.chatCompletion({
+        model: 'claude-next',
+        messages: [{ role: 'user', content: 'Hello' }],
+        maxTokens: 100000
+      });
+
+      assert.strictEqual(mockAnthropic.messages.create.mock.calls[0].arguments[0].max_tokens, 8192);
+    });
+
+    it('should ignore non-text content blocks', async () => {
+      mockAnthropic.messages.create.mock.mockImplementation(async () => ({
+        content: [
+          { type: 'thinking', thinking: 'hidden' },
+          { type: 'text', text: 'Visible' }
+        ]
+      }));
+
+      const result = await provider.chatCompletion({
+        model: 'claude-sonnet-4-5',
+        messages: [{ role: 'user', content: 'Hello' }]
+      });
+
+      assert.strictEqual(result, 'Visible');
+    });
+
+    it('should reject conversations with only system messages', async () => {
+      await assert.rejects(async () => {
+        await provider.chatCompletion({
+          model: 'claude-sonnet-4-5',
+          messages: [{ role: 'system', content: 'You are helpful' }]
+        });
+      }, /At least one user or assistant message is required/);
+    });
+
+    it('should throw error when not available', async () => {
+      await assert.rejects(async () => {
+        await new AnthropicProvider().chatCompletion({
+          model: 'claude-sonnet-4-5',
+          messages: [{ role: 'user', content: 'Hello' }]
+        });
+      }, /Anthropic integration not available/);
+    });
+
+    it('should handle API errors', async () => {
+      mockAnthropic.messages.create.mock.mockImplementation(async () => {
+        throw new Error('Anthropic API Error');
+      });
+
+      await assert.rejects(async () => {
+        await provider.chatCompletion({
+          model: 'claude-sonnet-4-5',
+          messages: [{ role: 'user', content: 'Hello' }]
+        });
+      }, /Anthropic API Error/);
+    });
+  });
+
+  describe('streamChatCompletion', () => {
+    it('should yield text deltas and skip other events', async () => {
+      mockAnthropic.messages.create.mock.mockImplementation(async function* () {
+        yield { type: 'message_start', message: {} };
+        yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Test ' } };
+        yield { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{' } };
+        yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Claude response' } };
+        yield { type: 'message_stop' };
+      });
+
+      const deltas = [];
+      for await (const delta of provider.streamChatCompletion({
+        model: 'claude-sonnet-4-5',
+        messages: [{ role: 'user', content: 'Hello' }],
+        temperature: 1.5
+      })) {
+        deltas.push(delta);
+      }
+
+      assert.deepStrictEqual(deltas, ['Test ', 'Claude response']);
+      const callArgs = mockAnthropic.messages.create.mock.calls[0].arguments[0];
+      assert.strictEqual(callArgs.stream, true);
+      assert.strictEqual(callArgs.temperature, 1);
+    });
+
+    it('should report token usage once the stream ends', async () => {
+      mockAnthropic.messages.create.mock.mockImplementation(async function* () {
+        yield { type: 'message_start', message: { usage: { input_tokens: 12, output_tokens: 1 } } };
+        yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi' } };
+        yield { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 7 } };
+        yield { type: 'message_stop' };
+      });
+      const onUsage = mock.fn();
+
+      for await (const delta of provider.streamChatCompletion({ model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: 'Hello' }], onUsage })) {
+        assert.strictEqual(delta, 'Hi');
+      }
+
+      assert.strictEqual(onUsage.mock.callCount(), 1);
+      assert.deepStrictEqual(onUsage.mock.calls[0].arguments[0], { promptTokens: 12, completionTokens: 7 });
+    });
+  });
+
+  describe('listModels', () => {
+    it('should collect models from all pages', async () => {
+      const models = await provider.listModels();
+
+      assert.deepStrictEqual(models, ['claude-sonnet-4-5', 'claude-3-5-haiku-latest']);
+    });
+  });
+
+  describe('wall bounce participation', () => {
+    it('should take part as either wall bounce participant', async () => {
+      const service = new WallBounceService(new ProviderRegistry().register(provider));
+
+      const result = await service.conductWallBounce({
+        topic: 'Third opinion on a support issue',
+        model1: 'claude-sonnet-4-5',
+        model2: 'claude-3-5-haiku-latest',
+        rounds: 1,
+        temperature: 0.8
+      });
+
+      assert.ok(result.includes('### claude-sonnet-4-5:'));
+      assert.ok(result.includes('### claude-3-5-haiku-latest:'));
+      assert.strictEqual(mockAnthropic.messages.create.mock.callCount(), 2);
+    });
+  });
+});
@@ -5,6 +5,7 @@
 import { describe, it, mock, beforeEach } from 'node:test';
 import assert from 'node:assert';
 import { GeminiProvider } from '../../src/providers/gemini-provider.js';
+import { ModelCapabilities } from '../../src/utils/model-capabilities.js';
 
 describe('GeminiProvider', () => {
   let provider;
@@ -22,9 +23,6 @@ describe('GeminiProvider', () => {
       models: mockModels
     };
 
-    // Mock GoogleGenAI constructor
-    mock.method(global, 'GoogleGenAI', () => mockGoogleGenAI);
-    
     provider = new GeminiProvider('test-api-key');
     // Manually set the mocked client
     provider.client = mockGoogleGenAI;
@@ -41,12 +39,6 @@ describe('GeminiProvider', () => {
       const testProvider = new GeminiProvider();
       assert.strictEqual(testProvider.client, null);
     });
-
-    it('should have predefined available models', () => {
-      assert.ok(Array.isArray(provider.availableModels));
-      assert.ok(provider.availableModels.length > 0);
-      assert.ok(provider.availableModels.includes('gemini-2.0-flash-001'));
-    });
   });
 
   describe('isAvailable', () => {
@@ -70,33 +62,45 @@ describe('GeminiProvider', () => {
 
       const converted = provider.convertMessages(messages);
       
-      assert.deepStrictEqual(converted, [
-        { role: 'system', content: 'You are helpful' },
+      assert.deepStrictEqual(converted, {
+        systemInstruction: 'You are helpful',
+        contents: [
+          { role: 'user', parts: [{ text: 'Hello' }] },
+          { role: 'model', parts: [{ text: 'Hi there' }] }
+        ]
+      });
+    });
+
+    it('should keep Gemini-native model roles', () => {
+      const converted = provider.convertMessages([
         { role: 'user', content: 'Hello' },
         { role: 'model', content: 'Hi there' }
       ]);
+
+      assert.strictEqual(converted.contents[1].role, 'model');
+      assert.strictEqual(converted.systemInstruction, undefined);
     });
 
-    it('should preserve unknown roles', () => {
+    it('should treat unknown roles as user input', () => {
       const messages = [
         { role: 'custom', content: 'Custom message' }
       ];
 
       const converted = provider.convertMessages(messages);
       
-      assert.deepStrictEqual(converted, [
-        { role: 'custom', content: 'Custom message' }
+      assert.deepStrictEqual(converted.contents, [
+        { role: 'user', parts: [{ text: 'Custom message' }] }
       ]);
     });
 
-    it('should preserve other message properties', () => {
-      const messages = [
-        { role: 'user', content: 'Hello', timestamp: '2024-01-01' }
-      ];
+    it('should join multiple system messages', () => {
+      const converted = provider.convertMessages([
+        { role: 'system', content: 'You are helpful' },
+        { role: 'system', content: 'Be brief' },
+        { role: 'user', content: 'Hello' }
+      ]);
 
-      const converted = provider.convertMessages(messages);
-      
-      assert.strictEqual(converted[0].timestamp, '2024-01-01');
+      assert.strictEqual(converted.systemInstruction, 'You are helpful\n\nBe brief');
     });
   });
 
@@ -126,6 +130,18 @@ describe('GeminiProvider', () => {
       assert.strictEqual(callArgs.config.maxOutputTokens, 1000);
     });
 
+    it('should report token usage, counting thinking tokens as completion', async () => {
+      mockModels.generateContent.mock.mockImplementation(async () => ({
+        text: 'Hi',
+        usageMetadata: { promptTokenCount: 20, candidatesTokenCount: 5, thoughtsTokenCount: 40 }
+      }));
+      const onUsage = mock.fn();
+
+      await provider.chatCompletion({ model: 'gemini-2.5-flash', messages: [{ role: 'user', content: 'Hello' }], onUsage });
+
+      assert.deepStrictEqual(onUsage.mock.calls[0].arguments[0], { promptTokens: 20, completionTokens: 45 });
+    });
+
     it('should validate and clamp parameters', async () => {
       const params = {
         model: 'gemini-1.5-pro',
@@ -155,7 +171,32 @@ describe('GeminiProvider', () => {
       
       const callArgs = mockModels.generateContent.mock.calls[0].arguments[0];
       assert.strictEqual(callArgs.contents[0].role, 'model'); // Converted from assistant
-      assert.strictEqual(callArgs.contents[0].content, 'Helloworld'); // Sanitized
+      assert.strictEqual(callArgs.contents[0].parts[0].text, 'Helloworld'); // Sanitized
+    });
+
+    it('should pass system messages as system instruction', async () => {
+      await provider.chatCompletion({
+        model: 'gemini-1.5-pro',
+        messages: [
+          { role: 'system', content: 'You are a support engineer' },
+          { role: 'user', content: 'Hello' }
+        ]
+      });
+
+      const callArgs = mockModels.generateContent.mock.calls[0].arguments[0];
+      assert.strictEqual(callArgs.config.systemInstruction, 'You are a support engineer');
+      assert.strictEqual(callArgs.contents.length, 1);
+    });
+
+    it('should accept maxTokens as an alias for maxOutputTokens', async () => {
+      await provider.chatCompletion({
+        model: 'gemini-1.5-pro',
+        messages: [{ role: 'user', content: 'Hello' }],
+        maxTokens: 1500
+      });
+
+      const callArgs = mockModels.generateContent.mock.calls[0].arguments[0];
+      assert.strictEqual(callArgs.config.maxOutputTokens, 1500);
     });
 
     it('should throw error when not available', async () => {
@@ -185,78 +226,177 @@ describe('GeminiProvider', () => {
         await provider.chatCompletion(params);
       }, /Gemini API Error/);
     });
-  });
 
-  describe('generateContent', () => {
-    beforeEach(() => {
-      mockModels.generateContent.mock.mockImplementation(async () => ({
-        text: 'Generated content response'
-      }));
-    });
+    it('should reject without waiting for the API once cancelled', async () => {
+      const controller = new AbortController();
+      mockModels.generateContent.mock.mockImplementation(() => new Promise(() => {}));
 
-    it('should handle single prompt generation', async () => {
-      const params = {
+      const pending = provider.chatCompletion({
         model: 'gemini-1.5-pro',
-        prompt: 'Write a story',
-        temperature: 0.8,
-        maxOutputTokens: 1500
-      };
+        messages: [{ role: 'user', content: 'Hello' }],
+        signal: controller.signal
+      });
+      controller.abort();
 
-      const result = await provider.generateContent(params);
-      
-      assert.strictEqual(result, 'Generated content response');
-      assert.strictEqual(mockModels.generateContent.mock.callCount(), 1);
-      
-      const callArgs = mockModels.generateContent.mock.calls[0].arguments[0];
-      assert.strictEqual(callArgs.model, 'gemini-1.5-pro');
-      assert.deepStrictEqual(callArgs.contents, [{ role: 'user', content: 'Write a story' }]);
-      assert.strictEqual(callArgs.config.temperature, 0.8);
-      assert.strictEqual(callArgs.config.maxOutputTokens, 1500);
+      await assert.rejects(pending, { name: 'CancelledError' });
     });
+  });
 
-    it('should validate and clamp parameters', async () => {
-      const params = {
+  describe('streamChatCompletion', () => {
+    it('should yield the text of each chunk', async () => {
+      mockModels.generateContentStream = mock.fn(async () => (async function* () {
+        yield { text: 'Test ' };
+        yield { text: undefined };
+        yield { text: 'Gemini response' };
+      })());
+
+      const deltas = [];
+      for await (const delta of provider.streamChatCompletion({
         model: 'gemini-1.5-pro',
-        prompt: 'Test prompt',
-        temperature: 3, // Above maximum
-        maxOutputTokens: -100 // Below minimum
-      };
+        messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Hello' }],
+        maxTokens: 500
+      })) {
+        deltas.push(delta);
+      }
+
+      assert.deepStrictEqual(deltas, ['Test ', 'Gemini response']);
+      const callArgs = mockModels.generateContentStream.mock.calls[0].arguments[0];
+      assert.strictEqual(callArgs.config.systemInstruction, 'Be brief');
+      assert.strictEqual(callArgs.config.maxOutputTokens, 500);
+    });
 
-      await provider.generateContent(params);
-      
-      const callArgs = mockModels.generateContent.mock.calls[0].arguments[0];
-      assert.strictEqual(callArgs.config.temperature, 2); // Clamped to maximum
-      assert.strictEqual(callArgs.config.maxOutputTokens, 1); // Clamped to minimum
+    it('should report the token usage of the last chunk', async () => {
+      mockModels.generateContentStream = mock.fn(async () => (async function* () {
+        yield { text: 'Hi ', usageMetadata: { promptTokenCount: 20, candidatesTokenCount: 1 } };
+        yield { text: 'there', usageMetadata: { promptTokenCount: 20, candidatesTokenCount: 4 } };
+      })());
+      const onUsage = mock.fn();
+
+      for await (const delta of provider.streamChatCompletion({ model: 'gemini-2.5-flash', messages: [{ role: 'user', content: 'Hello' }], onUsage })) {
+        assert.ok(delta);
+      }
+
+      assert.strictEqual(onUsage.mock.callCount(), 1);
+      assert.deepStrictEqual(onUsage.mock.calls[0].arguments[0], { promptTokens: 20, completionTokens: 4 });
     });
 
     it('should throw error when not available', async () => {
-      const unavailableProvider = new GeminiProvider();
-      
+      const unavailable = new GeminiProvider();
+
       await assert.rejects(async () => {
-        await unavailableProvider.generateContent({
-          model: 'gemini-1.5-pro',
-          prompt: 'Test prompt'
-        });
+        for await (const delta of unavailable.streamChatCompletion({ model: 'gemini-1.5-pro', messages: [{ role: 'user', content: 'Hello' }] })) {
+          assert.fail(`Unexpected delta: ${delta}`);
+        }
       }, /Gemini integration not available/);
     });
+
+    it('should stop waiting for the stream once cancelled', async () => {
+      const controller = new AbortController();
+      mockModels.generateContentStream = mock.fn(async () => (async function* () {
+        yield { text: 'Partial' };
+        controller.abort();
+        yield { text: 'Never seen' };
+      })());
+
+      const deltas = [];
+      await assert.rejects(async () => {
+        for await (const delta of provider.streamChatCompletion({
+          model: 'gemini-1.5-pro',
+          messages: [{ role: 'user', content: 'Hello' }],
+          signal: controller.signal
+        })) {
+          deltas.push(delta);
+        }
+      }, { name: 'CancelledError' });
+      assert.deepStrictEqual(deltas, ['Partial']);
+    });
   });
 
   describe('listModels', () => {
-    it('should return copy of available models', () => {
-      const models = provider.listModels();
-      
-      assert.ok(Array.isArray(models));
-      assert.ok(models.length > 0);
-      assert.notStrictEqual(models, provider.availableModels); // Should be a copy
-      assert.deepStrictEqual(models, provider.availableModels);
+    const modelsPage = (models, nextPageToken) => ({
+      ok: true,
+      status: 200,
+      json: async () => ({ models, nextPageToken })
     });
+    const flash = {
+      name: 'models/gemini-2.5-flash',
+      supportedGenerationMethods: ['generateContent', 'countTokens'],
+      inputTokenLimit: 1048576,
+      outputTokenLimit: 65536,
+      thinking: true
+    };
 
-    it('should include expected models', () => {
-      const models = provider.listModels();
-      
-      assert.ok(models.includes('gemini-2.0-flash-001'));
-      assert.ok(models.includes('gemini-1.5-pro-latest'));
-      assert.ok(models.includes('gemini-1.5-flash-001'));
+    it('should list the catalogued models that are still served without an API key', async () => {
+      const models = await new GeminiProvider(undefined).listModels();
+
+      assert.ok(models.includes('gemini-2.5-pro'));
+      assert.ok(models.includes('gemini-2.5-flash'));
+      assert.ok(!models.includes('gemini-1.5-pro'));
+      assert.ok(!models.includes('gemini-1.5-flash'));
+    });
+
+    it('should fetch every page of content generation models from the API', async (t) => {
+      t.mock.method(globalThis, 'fetch', async (url) => url.searchParams.get('pageToken') === 'next'
+        ? modelsPage([{ name: 'models/gemini-2.5-pro', supportedGenerationMethods: ['generateContent'] }])
+        : modelsPage([
+          flash,
+          { name: 'models/text-embedding-004', supportedGenerationMethods: ['embedContent'] },
+          { name: 'models/gemma-3-27b-it', supportedGenerationMethods: ['generateContent'] }
+        ], 'next'));
+
+      const models = await provider.listModels();
+
+      assert.deepStrictEqual(models, ['gemini-2.5-flash', 'gemini-2.5-pro']);
+      assert.strictEqual(fetch.mock.callCount(), 2);
+      assert.strictEqual(fetch.mock.calls[0].arguments[1].headers['x-goog-api-key'], 'test-api-key');
+      assert.strictEqual(provider.modelListError, null);
+    });
+
+    it('should remember the limits the API reports', async (t) => {
+      t.mock.method(globalThis, 'fetch', async () => modelsPage([flash]));
+
+      await provider.listModels();
+
+      assert.deepStrictEqual(provider.getDiscoveredModel('gemini-2.5-flash'), {
+        contextWindow: 1048576,
+        maxOutputTokens: 65536,
+        reasoning: true
+      });
+      assert.strictEqual(provider.getDiscoveredModel('gemini-2.5-pro'), null);
+    });
+
+    it('should reuse the fetched list until it expires', async (t) => {
+      t.mock.method(globalThis, 'fetch', async () => modelsPage([flash]));
+
+      await provider.listModels();
+      await provider.listModels();
+      assert.strictEqual(fetch.mock.callCount(), 1);
+
+      provider.modelListTtlMs = 0;
+      await provider.listModels();
+      assert.strictEqual(fetch.mock.callCount(), 2);
+    });
+
+    it('should fall back to the catalogue when the API cannot be reached', async (t) => {
+      t.mock.method(console, 'error', () => {});
+      t.mock.method(globalThis, 'fetch', async () => ({ ok: false, status: 503 }));
+
+      const models = await provider.listModels();
+
+      assert.deepStrictEqual(models, new ModelCapabilities().list('gemini'));
+      assert.strictEqual(provider.modelListError.status, 503);
+
+      fetch.mock.mockImplementation(async () => modelsPage([flash]));
+      assert.deepStrictEqual(await provider.listModels(), ['gemini-2.5-flash']);
+      assert.strictEqual(provider.modelListError, null);
+    });
+
+    it('should list models added to the catalogue when falling back', async () => {
+      const catalogued = new GeminiProvider(undefined, {
+        modelCapabilities: new ModelCapabilities({ 'gemini-3-pro': { provider: 'gemini', contextWindow: 1048576 } })
+      });
+
+      assert.deepStrictEqual(await catalogued.listModels(), ['gemini-3-pro']);
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,242 @@
+/**
+ * Tests for OpenAI-compatible provider against a local stub server
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { OpenAICompatibleProvider } from '../../src/providers/openai-compatible-provider.js';
+import { ProviderRegistry } from '../../src/providers/provider-registry.js';
+import { WallBounceService } from '../../src/services/wall-bounce.js';
+
+describe('OpenAICompatibleProvider', () => {
+  let server;
+  let baseURL;
+  let requests;
+
+  before(async () => {
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const parsed = body ? JSON.parse(body) : null;
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: parsed });
+
+        if (req.url === '/v1/chat/completions' && parsed.stream) {
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          for (const content of [`${parsed.model} `, 'streamed']) {
+            res.write(`data: ${JSON.stringify({ id: 'chatcmpl-stub', object: 'chat.completion.chunk', model: parsed.model, choices: [{ index: 0, delta: { content } }] })}\n\n`);
+          }
+          if (parsed.stream_options?.include_usage) {
+            res.write(`data: ${JSON.stringify({ id: 'chatcmpl-stub', object: 'chat.completion.chunk', model: parsed.model, choices: [], usage: { prompt_tokens: 9, completion_tokens: 2, total_tokens: 11 } })}\n\n`);
+          }
+          res.end('data: [DONE]\n\n');
+          return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        if (req.url === '/v1/models') {
+          res.end(JSON.stringify({ object: 'list', data: [{ id: 'llama3.1:8b' }, { id: 'qwen2.5:14b' }] }));
+        } else if (req.url === '/v1/chat/completions') {
+          const lastMessage = parsed.messages[parsed.messages.length - 1];
+          res.end(JSON.stringify({
+            id: 'chatcmpl-stub',
+            object: 'chat.completion',
+            model: parsed.model,
+            choices: [{
+              index: 0,
+              finish_reason: 'stop',
+              message: { role: 'assistant', content: `${parsed.model} saw ${parsed.messages.length} messages: ${lastMessage.content.slice(0, 20)}` }
+            }],
+            usage: { prompt_tokens: 15, completion_tokens: 8, total_tokens: 23 }
+          }));
+        } else {
+          res.writeHead(404);
+          res.end();
+        }
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  describe('constructor', () => {
+    it('should default to the local provider id', () => {
+      const provider = new OpenAICompatibleProvider({ baseURL, models: ['llama3.1:8b'] });
+
+      assert.strictEqual(provider.id, 'local');
+      assert.strictEqual(provider.displayName, 'Local');
+      assert.deepStrictEqual(provider.models, ['llama3.1:8b']);
+      assert.deepStrictEqual(provider.modelPatterns, []);
+    });
+
+    it('should accept custom id and display name', () => {
+      const provider = new OpenAICompatibleProvider({ baseURL, id: 'vllm', displayName: 'vLLM' });
+
+      assert.strictEqual(provider.id, 'vllm');
+      assert.strictEqual(provider.displayName, 'vLLM');
+    });
+  });
+
+  describe('isAvailable', () => {
+    it('should return true when a base URL is configured', () => {
+      assert.strictEqual(new OpenAICompatibleProvider({ baseURL }).isAvailable(), true);
+    });
+
+    it('should return false without a base URL', () => {
+      assert.strictEqual(new OpenAICompatibleProvider().isAvailable(), false);
+    });
+  });
+
+  describe('chatCompletion', () => {
+    it('should send chat requests to the configured endpoint', async () => {
+      const provider = new OpenAICompatibleProvider({ baseURL, apiKey: 'local-key' });
+
+      const result = await provider.chatCompletion({
+        model: 'llama3.1:8b',
+        messages: [
+          { role: 'system', content: 'You are helpful' },
+          { role: 'user', content: 'Hello' }
+        ],
+        temperature: 0.3,
+        maxTokens: 500
+      });
+
+      assert.strictEqual(result, 'llama3.1:8b saw 2 messages: Hello');
+      assert.strictEqual(requests.length, 1);
+      assert.strictEqual(requests[0].headers.authorization, 'Bearer local-key');
+      assert.strictEqual(requests[0].body.temperature, 0.3);
+      assert.strictEqual(requests[0].body.max_tokens, 500);
+    });
+
+    it('should report token usage', async () => {
+      const provider = new OpenAICompatibleProvider({ baseURL });
+      const usage = [];
+
+      await provider.chatCompletion({
+        model: 'llama3.1:8b',
+        messages: [{ role: 'user', content: 'Hello' }],
+        onUsage: (record) => usage.push(record)
+      });
+
+      assert.deepStrictEqual(usage, [{ promptTokens: 15, completionTokens: 8 }]);
+    });
+
+    it('should not apply GPT-5 parameter rules', async () => {
+      const provider = new OpenAICompatibleProvider({ baseURL });
+
+      await provider.chatCompletion({
+        model: 'gpt-5-distill',
+        messages: [{ role: 'user', content: 'Hello' }],
+        temperature: 0.2,
+        maxTokens: 100
+      });
+
+      assert.strictEqual(requests[0].body.temperature, 0.2);
+      assert.strictEqual(requests[0].body.max_tokens, 100);
+      assert.strictEqual(requests[0].body.max_completion_tokens, undefined);
+    });
+
+    it('should throw when not configured', async () => {
+      const provider = new OpenAICompatibleProvider();
+
+      await assert.rejects(async () => {
+        await provider.chatCompletion({ model: 'llama3', messages: [{ role: 'user', content: 'Hello' }] });
+      }, /Local integration not available/);
+    });
+  });
+
+  describe('streamChatCompletion', () => {
+    it('should stream from the configured endpoint', async () => {
+      const provider = new OpenAICompatibleProvider({ baseURL });
+
+      const deltas = [];
+      for await (const delta of provider.streamChatCompletion({ model: 'llama3.1:8b', messages: [{ role: 'user', content: 'Hello' }] })) {
+        deltas.push(delta);
+      }
+
+      assert.deepStrictEqual(deltas, ['llama3.1:8b ', 'streamed']);
+      assert.strictEqual(requests[0].body.stream, true);
+    });
+
+    it('should ask for and report the token usage of the stream', async () => {
+      const provider = new OpenAICompatibleProvider({ baseURL });
+      const usage = [];
+
+      for await (const delta of provider.streamChatCompletion({
+        model: 'llama3.1:8b',
+        messages: [{ role: 'user', content: 'Hello' }],
+        onUsage: (record) => usage.push(record)
+      })) {
+        assert.ok(delta);
+      }
+
+      assert.deepStrictEqual(requests[0].body.stream_options, { include_usage: true });
+      assert.deepStrictEqual(usage, [{ promptTokens: 9, completionTokens: 2 }]);
+    });
+
+    it('should leave out stream_options when stream usage is turned off', async () => {
+      const provider = new OpenAICompatibleProvider({ baseURL, streamUsage: false });
+      const usage = [];
+
+      const deltas = [];
+      for await (const delta of provider.streamChatCompletion({
+        model: 'llama3.1:8b',
+        messages: [{ role: 'user', content: 'Hello' }],
+        onUsage: (record) => usage.push(record)
+      })) {
+        deltas.push(delta);
+      }
+
+      assert.deepStrictEqual(deltas, ['llama3.1:8b ', 'streamed']);
+      assert.strictEqual('stream_options' in requests[0].body, false);
+      assert.deepStrictEqual(usage, []);
+    });
+  });
+
+  describe('listModels', () => {
+    it('should return the configured model list', async () => {
+      const provider = new OpenAICompatibleProvider({ baseURL, models: ['llama3.1:8b'] });
+
+      assert.deepStrictEqual(await provider.listModels(), ['llama3.1:8b']);
+      assert.strictEqual(requests.length, 0);
+    });
+
+    it('should query the endpoint without a configured list', async () => {
+      const provider = new OpenAICompatibleProvider({ baseURL });
+
+      assert.deepStrictEqual(await provider.listModels(), ['llama3.1:8b', 'qwen2.5:14b']);
+      assert.strictEqual(requests[0].url, '/v1/models');
+    });
+  });
+
+  describe('wall bounce participation', () => {
+    it('should take part as either wall bounce participant', async () => {
+      const registry = new ProviderRegistry()
+        .register(new OpenAICompatibleProvider({ baseURL, models: ['llama3.1:8b', 'qwen2.5:14b'] }));
+      const service = new WallBounceService(registry);
+
+      const result = await service.conductWallBounce({
+        topic: 'Customer data stays on-prem',
+        model1: 'llama3.1:8b',
+        model2: 'qwen2.5:14b',
+        rounds: 1,
+        temperature: 0.5
+      });
+
+      assert.ok(result.includes('### llama3.1:8b:'));
+      assert.ok(result.includes('### qwen2.5:14b:'));
+      assert.ok(!result.includes('An error occurred'));
+      assert.deepStrictEqual(requests.map(r => r.body.model), ['llama3.1:8b', 'qwen2.5:14b']);
+    });
+  });
+});
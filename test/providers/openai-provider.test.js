@@ -118,7 +118,7 @@ describe('OpenAIProvider', () => {
       
       const callArgs = mockOpenAI.chat.completions.create.mock.calls[0].arguments[0];
       assert.strictEqual(callArgs.temperature, 0); // Clamped to minimum
-      assert.strictEqual(callArgs.max_tokens, 4000); // Clamped to maximum
+      assert.strictEqual(callArgs.max_tokens, 8192); // Clamped to the output limit of gpt-4
     });
 
     it('should handle invalid messages', async () => {
@@ -229,4 +229,47 @@ describe('OpenAIProvider', () => {
       });
     });
   });
-});
\ No newline at end of file
+});
+
+describe('OpenAIProvider.buildRequest', () => {
+  const provider = new OpenAIProvider('test-api-key');
+
+  it('should follow the model catalogue for reasoning models', () => {
+    const request = provider.buildRequest({
+      model: 'o3-2025-04-16',
+      messages: [{ role: 'user', content: 'Hello' }],
+      maxTokens: 20000
+    });
+
+    assert.strictEqual(request.temperature, 1);
+    assert.strictEqual(request.max_completion_tokens, 20000);
+    assert.strictEqual(request.max_tokens, undefined);
+  });
+
+  it('should treat point releases of reasoning models like their family', () => {
+    for (const model of ['gpt-5.1', 'gpt-5.1-mini']) {
+      const request = provider.buildRequest({
+        model,
+        messages: [{ role: 'user', content: 'Hello' }],
+        temperature: 0.2,
+        maxTokens: 1500
+      });
+
+      assert.strictEqual(request.temperature, 1, model);
+      assert.strictEqual(request.max_completion_tokens, 1500, model);
+      assert.strictEqual(request.max_tokens, undefined, model);
+    }
+  });
+
+  it('should clamp uncatalogued models to the default output limit', () => {
+    const request = provider.buildRequest({
+      model: 'ft:gpt-custom',
+      messages: [{ role: 'user', content: 'Hello' }],
+      temperature: 3,
+      maxTokens: 20000
+    });
+
+    assert.strictEqual(request.temperature, 2);
+    assert.strictEqual(request.max_tokens, 4000);
+  });
+});
@@ -0,0 +1,719 @@
+/**
+ * Tests for provider registry
+ */
+
+import { describe, it, mock, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import {
+  ProviderRegistry,
+  createProviderFromConfig,
+  createProviderRegistry
+} from '../../src/providers/provider-registry.js';
+import { OpenAIProvider } from '../../src/providers/openai-provider.js';
+import { RetryPolicy } from '../../src/utils/retry.js';
+import { CircuitOpenError } from '../../src/utils/circuit-breaker.js';
+import { TimeoutError } from '../../src/utils/cancellation.js';
+import { PriceTable } from '../../src/utils/usage.js';
+
+const transientError = (status) => Object.assign(new Error(`${status} status code`), { status });
+
+describe('ProviderRegistry', () => {
+  let registry;
+  let mockOpenAIProvider;
+  let mockLocalProvider;
+
+  beforeEach(() => {
+    mockOpenAIProvider = {
+      id: 'openai',
+      displayName: 'OpenAI',
+      configHint: 'OPENAI_API_KEY',
+      capabilities: ['chat', 'list-models'],
+      modelPatterns: [/^gpt-/],
+      isAvailable: mock.fn(() => true)
+    };
+
+    mockLocalProvider = {
+      id: 'local',
+      displayName: 'Local',
+      configHint: 'LOCAL_LLM_BASE_URL',
+      capabilities: ['chat'],
+      models: ['gpt-oss-20b'],
+      modelPatterns: [/^llama/],
+      isAvailable: mock.fn(() => false)
+    };
+
+    registry = new ProviderRegistry()
+      .register(mockOpenAIProvider)
+      .register(mockLocalProvider);
+  });
+
+  describe('register', () => {
+    it('should register providers by id', () => {
+      assert.strictEqual(registry.get('openai'), mockOpenAIProvider);
+      assert.deepStrictEqual(registry.list(), [mockOpenAIProvider, mockLocalProvider]);
+    });
+
+    it('should reject providers without an id', () => {
+      assert.throws(() => registry.register({}), /non-empty string id/);
+    });
+
+    it('should reject duplicate ids', () => {
+      assert.throws(() => registry.register({ ...mockOpenAIProvider }), /already registered: openai/);
+    });
+  });
+
+  describe('resolve', () => {
+    it('should resolve providers by model pattern', () => {
+      assert.strictEqual(registry.resolve('gpt-4o'), mockOpenAIProvider);
+      assert.strictEqual(registry.resolve('llama3.1:8b'), mockLocalProvider);
+    });
+
+    it('should prefer explicit model lists over patterns', () => {
+      assert.strictEqual(registry.resolve('gpt-oss-20b'), mockLocalProvider);
+    });
+
+    it('should filter by capability', () => {
+      assert.throws(() => registry.resolve('llama3', 'list-models'), /No provider registered for model: llama3/);
+    });
+
+    it('should throw for unknown models', () => {
+      assert.throws(() => registry.resolve('claude-3'), /No provider registered for model: claude-3/);
+    });
+
+    it('should throw for invalid model names', () => {
+      assert.throws(() => registry.resolve(''), /Model must be a non-empty string/);
+    });
+  });
+
+  describe('resolveAvailable', () => {
+    it('should return available providers', () => {
+      assert.strictEqual(registry.resolveAvailable('gpt-4o'), mockOpenAIProvider);
+    });
+
+    it('should throw when the provider is not configured', () => {
+      assert.throws(
+        () => registry.resolveAvailable('llama3'),
+        /Local provider is not available. Please configure LOCAL_LLM_BASE_URL./
+      );
+    });
+  });
+
+  describe('isModelAvailable', () => {
+    it('should report whether a model can be used', () => {
+      assert.strictEqual(registry.isModelAvailable('gpt-4o'), true);
+      assert.strictEqual(registry.isModelAvailable('llama3'), false);
+      assert.strictEqual(registry.isModelAvailable('claude-3'), false);
+    });
+  });
+
+  describe('resolveDefaultPair', () => {
+    it('should keep requested models', () => {
+      assert.deepStrictEqual(registry.resolveDefaultPair({ model1: 'llama3', model2: 'gpt-4o' }, {}), { model1: 'llama3', model2: 'gpt-4o' });
+    });
+
+    it('should bounce the only configured provider\'s default model against itself', () => {
+      assert.deepStrictEqual(registry.resolveDefaultPair({}, { OPENAI_MODEL: 'gpt-4o' }), { model1: 'gpt-4o', model2: 'gpt-4o' });
+      assert.deepStrictEqual(registry.resolveDefaultPair({ model2: 'llama3' }, {}), { model1: 'gpt-4', model2: 'llama3' });
+    });
+  });
+
+  describe('chat', () => {
+    beforeEach(() => {
+      registry.retryPolicy = new RetryPolicy({ maxAttempts: 3, baseDelayMs: 0 });
+    });
+
+    it('should retry transient errors and report each retry', async () => {
+      let attempts = 0;
+      mockOpenAIProvider.chatCompletion = mock.fn(async () => {
+        if (++attempts < 3) {
+          throw transientError(attempts === 1 ? 429 : 503);
+        }
+        return 'Recovered';
+      });
+      const retries = [];
+
+      const result = await registry.chat({ model: 'gpt-4o', messages: [], onRetry: retry => retries.push(retry) });
+
+      assert.strictEqual(result, 'Recovered');
+      assert.deepStrictEqual(retries, [
+        { model: 'gpt-4o', provider: 'openai', attempt: 1, delayMs: 0, reason: 'HTTP 429' },
+        { model: 'gpt-4o', provider: 'openai', attempt: 2, delayMs: 0, reason: 'HTTP 503' }
+      ]);
+    });
+
+    it('should give up after the last attempt', async () => {
+      mockOpenAIProvider.chatCompletion = mock.fn(async () => {
+        throw transientError(500);
+      });
+
+      await assert.rejects(registry.chat({ model: 'gpt-4o', messages: [] }), /500 status code/);
+      assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.callCount(), 3);
+    });
+
+    it('should not retry permanent errors', async () => {
+      mockOpenAIProvider.chatCompletion = mock.fn(async () => {
+        throw transientError(401);
+      });
+
+      await assert.rejects(registry.chat({ model: 'gpt-4o', messages: [] }), /401 status code/);
+      assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.callCount(), 1);
+    });
+  });
+
+  describe('fallbacks', () => {
+    let mockGeminiProvider;
+
+    beforeEach(() => {
+      registry.retryPolicy = new RetryPolicy({ maxAttempts: 2, baseDelayMs: 0 });
+      mockGeminiProvider = {
+        id: 'gemini',
+        displayName: 'Gemini',
+        configHint: 'GOOGLE_API_KEY',
+        capabilities: ['chat'],
+        modelPatterns: [/^gemini-/],
+        isAvailable: mock.fn(() => true),
+        chatCompletion: mock.fn(async (params) => `Answer from ${params.model}`)
+      };
+      registry.register(mockGeminiProvider).setFallbacks({ 'gpt-5': ['llama3', 'gemini-2.0-flash-001'] });
+    });
+
+    it('should fall back once a model keeps failing, skipping unavailable models', async () => {
+      mockOpenAIProvider.chatCompletion = mock.fn(async () => {
+        throw transientError(503);
+      });
+      const failovers = [];
+
+      const result = await registry.chat({ model: 'gpt-5', messages: [], onFailover: event => failovers.push(event) });
+
+      assert.strictEqual(result, 'Answer from gemini-2.0-flash-001');
+      assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.callCount(), 2);
+      assert.deepStrictEqual(failovers, [{ model: 'gpt-5', fallback: 'gemini-2.0-flash-001', reason: 'HTTP 503' }]);
+      assert.deepStrictEqual(registry.getFallbackChain('gpt-5'), ['gpt-5', 'gemini-2.0-flash-001']);
+    });
+
+    it('should fall back right away for deprecated models and exhausted quotas', async () => {
+      for (const error of [transientError(404), Object.assign(transientError(429), { code: 'insufficient_quota' })]) {
+        mockOpenAIProvider.chatCompletion = mock.fn(async () => {
+          throw error;
+        });
+
+        assert.strictEqual(await registry.chat({ model: 'gpt-5', messages: [] }), 'Answer from gemini-2.0-flash-001');
+        assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.callCount(), 1);
+      }
+    });
+
+    it('should not fall back for invalid requests or cancelled calls', async () => {
+      mockOpenAIProvider.chatCompletion = mock.fn(async () => {
+        throw transientError(400);
+      });
+      await assert.rejects(registry.chat({ model: 'gpt-5', messages: [] }), /400 status code/);
+
+      const controller = new AbortController();
+      mockOpenAIProvider.chatCompletion = mock.fn(async () => {
+        controller.abort();
+        throw new Error('Request was aborted.');
+      });
+      await assert.rejects(registry.chat({ model: 'gpt-5', messages: [], signal: controller.signal }), /Request was aborted/);
+
+      assert.strictEqual(mockGeminiProvider.chatCompletion.mock.callCount(), 0);
+    });
+
+    it('should throw the last error when every model fails', async () => {
+      mockOpenAIProvider.chatCompletion = mock.fn(async () => {
+        throw transientError(401);
+      });
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => {
+        throw transientError(403);
+      });
+
+      await assert.rejects(registry.chat({ model: 'gpt-5', messages: [] }), /403 status code/);
+    });
+
+    it('should fall back when a stream fails before its first delta', async () => {
+      mockOpenAIProvider.capabilities.push('stream');
+      mockOpenAIProvider.streamChatCompletion = mock.fn(async function* () {
+        throw transientError(404);
+      });
+      const deltas = [];
+
+      for await (const delta of registry.streamChat({ model: 'gpt-5', messages: [] })) {
+        deltas.push(delta);
+      }
+
+      assert.deepStrictEqual(deltas, ['Answer from gemini-2.0-flash-001']);
+    });
+
+    it('should reject malformed chains and unknown fallback models', () => {
+      assert.throws(() => registry.setFallbacks(['gpt-4o']), /must be an object/);
+      assert.throws(() => registry.setFallbacks({ 'gpt-5': 'gpt-4o' }), /Invalid fallback chain for gpt-5/);
+      assert.throws(() => registry.setFallbacks({ 'gpt-5': ['claude-3'] }), /No provider registered for model: claude-3/);
+    });
+  });
+
+  describe('streamChat', () => {
+    const collect = async (stream) => {
+      const deltas = [];
+      for await (const delta of stream) {
+        deltas.push(delta);
+      }
+      return deltas;
+    };
+
+    it('should stream from providers that support it', async () => {
+      mockOpenAIProvider.capabilities.push('stream');
+      mockOpenAIProvider.streamChatCompletion = mock.fn(async function* () {
+        yield 'Hello ';
+        yield 'world';
+      });
+
+      const params = { model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }] };
+      assert.deepStrictEqual(await collect(registry.streamChat(params)), ['Hello ', 'world']);
+      assert.strictEqual(mockOpenAIProvider.streamChatCompletion.mock.calls[0].arguments[0], params);
+    });
+
+    it('should yield the whole response of providers without streaming', async () => {
+      mockLocalProvider.chatCompletion = mock.fn(async () => 'Full response');
+
+      assert.deepStrictEqual(
+        await collect(registry.streamChat({ model: 'llama3', messages: [{ role: 'user', content: 'Hi' }] })),
+        ['Full response']
+      );
+    });
+
+    it('should retry a stream that fails before its first delta', async () => {
+      registry.retryPolicy = new RetryPolicy({ baseDelayMs: 0 });
+      mockOpenAIProvider.capabilities.push('stream');
+      let attempts = 0;
+      mockOpenAIProvider.streamChatCompletion = mock.fn(async function* () {
+        if (++attempts === 1) {
+          throw transientError(429);
+        }
+        yield 'Hello';
+      });
+
+      assert.deepStrictEqual(await collect(registry.streamChat({ model: 'gpt-4o', messages: [] })), ['Hello']);
+      assert.strictEqual(attempts, 2);
+    });
+
+    it('should not restart a stream that fails midway', async () => {
+      registry.retryPolicy = new RetryPolicy({ baseDelayMs: 0 });
+      mockOpenAIProvider.capabilities.push('stream');
+      mockOpenAIProvider.streamChatCompletion = mock.fn(async function* () {
+        yield 'Hel';
+        throw transientError(503);
+      });
+      const deltas = [];
+
+      await assert.rejects(async () => {
+        for await (const delta of registry.streamChat({ model: 'gpt-4o', messages: [] })) {
+          deltas.push(delta);
+        }
+      }, /503 status code/);
+      assert.deepStrictEqual(deltas, ['Hel']);
+      assert.strictEqual(mockOpenAIProvider.streamChatCompletion.mock.callCount(), 1);
+    });
+  });
+
+  describe('circuit breakers', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = 0;
+      registry.retryPolicy = new RetryPolicy({ maxAttempts: 1 });
+      registry.circuitBreakerOptions = { failureThreshold: 2, resetTimeoutMs: 1000, now: () => clock };
+      mockOpenAIProvider.chatCompletion = mock.fn(async () => {
+        throw transientError(503);
+      });
+    });
+
+    it('should fail fast once a model keeps failing', async () => {
+      await assert.rejects(registry.chat({ model: 'gpt-4o', messages: [] }), /503 status code/);
+      await assert.rejects(registry.chat({ model: 'gpt-4o', messages: [] }), /503 status code/);
+      await assert.rejects(registry.chat({ model: 'gpt-4o', messages: [] }), CircuitOpenError);
+
+      assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.callCount(), 2);
+    });
+
+    it('should keep a separate circuit per model', async () => {
+      await assert.rejects(registry.chat({ model: 'gpt-4o', messages: [] }));
+      await assert.rejects(registry.chat({ model: 'gpt-4o', messages: [] }));
+      mockOpenAIProvider.chatCompletion = mock.fn(async () => 'ok');
+
+      assert.strictEqual(await registry.chat({ model: 'gpt-5', messages: [] }), 'ok');
+    });
+
+    it('should fall back while a circuit is open', async () => {
+      registry.register({
+        id: 'gemini',
+        displayName: 'Gemini',
+        capabilities: ['chat'],
+        modelPatterns: [/^gemini-/],
+        isAvailable: () => true,
+        chatCompletion: async (params) => `Answer from ${params.model}`
+      }).setFallbacks({ 'gpt-4o': ['gemini-2.0-flash-001'] });
+
+      for (let i = 0; i < 3; i++) {
+        assert.strictEqual(await registry.chat({ model: 'gpt-4o', messages: [] }), 'Answer from gemini-2.0-flash-001');
+      }
+      assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.callCount(), 2);
+    });
+
+    it('should probe a model again once the reset timeout has passed', async () => {
+      await assert.rejects(registry.chat({ model: 'gpt-4o', messages: [] }));
+      await assert.rejects(registry.chat({ model: 'gpt-4o', messages: [] }));
+      clock = 1000;
+      mockOpenAIProvider.chatCompletion = mock.fn(async () => 'Recovered');
+
+      assert.strictEqual(await registry.chat({ model: 'gpt-4o', messages: [] }), 'Recovered');
+      assert.strictEqual(registry.getHealth().openai.state, 'closed');
+    });
+
+    it('should track streams and free the probe of an abandoned stream', async () => {
+      mockOpenAIProvider.capabilities.push('stream');
+      mockOpenAIProvider.streamChatCompletion = mock.fn(async function* () {
+        throw transientError(503);
+      });
+      for (let i = 0; i < 2; i++) {
+        await assert.rejects(registry.streamChat({ model: 'gpt-4o', messages: [] }).next(), /503 status code/);
+      }
+      await assert.rejects(registry.streamChat({ model: 'gpt-4o', messages: [] }).next(), CircuitOpenError);
+
+      clock = 1000;
+      mockOpenAIProvider.streamChatCompletion = mock.fn(async function* () {
+        yield 'Hel';
+        yield 'lo';
+      });
+      const stream = registry.streamChat({ model: 'gpt-4o', messages: [] });
+      assert.strictEqual((await stream.next()).value, 'Hel');
+      await stream.return();
+
+      assert.strictEqual(registry.getHealth().openai.state, 'half-open');
+      const deltas = [];
+      for await (const delta of registry.streamChat({ model: 'gpt-4o', messages: [] })) {
+        deltas.push(delta);
+      }
+      assert.deepStrictEqual(deltas, ['Hel', 'lo']);
+      assert.strictEqual(registry.getHealth().openai.state, 'closed');
+    });
+  });
+
+  describe('timeouts', () => {
+    // Never answers, but stops on abort like the SDKs do
+    const hang = (params) => new Promise((resolve, reject) => {
+      const abort = () => reject(new Error('Request was aborted.'));
+      if (params.signal.aborted) {
+        abort();
+      }
+      params.signal.addEventListener('abort', abort);
+    });
+
+    beforeEach(() => {
+      registry.retryPolicy = new RetryPolicy({ maxAttempts: 1 });
+    });
+
+    it('should abort a call that does not answer in time', async () => {
+      registry.timeoutMs = 20;
+      mockOpenAIProvider.chatCompletion = mock.fn(hang);
+
+      await assert.rejects(registry.chat({ model: 'gpt-4o', messages: [] }), {
+        name: 'TimeoutError',
+        message: 'OpenAI gpt-4o did not respond within 0.02s'
+      });
+      assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.calls[0].arguments[0].signal.aborted, true);
+    });
+
+    it('should give up on a call that ignores the abort', async () => {
+      mockOpenAIProvider.chatCompletion = mock.fn(() => new Promise(() => {}));
+
+      await assert.rejects(registry.chat({ model: 'gpt-4o', messages: [], timeoutMs: 20 }), TimeoutError);
+    });
+
+    it('should prefer the model\'s timeout over the caller\'s and the default', () => {
+      registry.timeoutMs = 1000;
+      registry.setModelTimeouts({ 'gpt-5': 600000 });
+
+      assert.strictEqual(registry.getTimeout('gpt-5', 5000), 600000);
+      assert.strictEqual(registry.getTimeout('gpt-4o', 5000), 5000);
+      assert.strictEqual(registry.getTimeout('gpt-4o'), 1000);
+    });
+
+    it('should give each model of a fallback chain its own timeout', async () => {
+      registry.register({
+        id: 'gemini',
+        displayName: 'Gemini',
+        capabilities: ['chat'],
+        modelPatterns: [/^gemini-/],
+        isAvailable: () => true,
+        chatCompletion: async (params) => `Answer from ${params.model}`
+      }).setFallbacks({ 'gpt-5': ['gemini-2.0-flash-001'] }).setModelTimeouts({ 'gpt-5': 20 });
+      mockOpenAIProvider.chatCompletion = mock.fn(hang);
+      const failovers = [];
+
+      const result = await registry.chat({ model: 'gpt-5', messages: [], onFailover: event => failovers.push(event) });
+
+      assert.strictEqual(result, 'Answer from gemini-2.0-flash-001');
+      assert.deepStrictEqual(failovers, [{
+        model: 'gpt-5',
+        fallback: 'gemini-2.0-flash-001',
+        reason: 'OpenAI gpt-5 did not respond within 0.02s'
+      }]);
+      assert.strictEqual(registry.getHealth().openai.models['gpt-5'].consecutiveFailures, 1);
+    });
+
+    it('should time out a stream that stalls', async () => {
+      mockOpenAIProvider.capabilities.push('stream');
+      mockOpenAIProvider.streamChatCompletion = mock.fn(async function* (params) {
+        yield 'Hel';
+        await hang(params);
+      });
+      const deltas = [];
+
+      await assert.rejects(async () => {
+        for await (const delta of registry.streamChat({ model: 'gpt-4o', messages: [], timeoutMs: 20 })) {
+          deltas.push(delta);
+        }
+      }, TimeoutError);
+      assert.deepStrictEqual(deltas, ['Hel']);
+    });
+
+    it('should not report a cancelled call as timed out', async () => {
+      const controller = new AbortController();
+      mockOpenAIProvider.chatCompletion = mock.fn((params) => {
+        controller.abort();
+        return hang(params);
+      });
+
+      await assert.rejects(
+        registry.chat({ model: 'gpt-4o', messages: [], signal: controller.signal, timeoutMs: 1000 }),
+        /Request was aborted/
+      );
+    });
+
+    it('should reject invalid timeouts and unknown models', () => {
+      assert.throws(() => registry.setModelTimeouts({ 'gpt-5': -1 }), /Invalid timeout for gpt-5/);
+      assert.throws(() => registry.setModelTimeouts({ 'claude-3': 1000 }), /No provider registered for model: claude-3/);
+    });
+  });
+
+  describe('usage', () => {
+    beforeEach(() => {
+      registry.priceTable = new PriceTable({ 'gpt-4o': { input: 2.5, output: 10 } });
+    });
+
+    it('should report usage with the model, provider and estimated cost', async () => {
+      mockOpenAIProvider.chatCompletion = mock.fn(async (params) => {
+        params.onUsage({ promptTokens: 1000, completionTokens: 500 });
+        return 'answer';
+      });
+      const usage = [];
+
+      await registry.chat({ model: 'gpt-4o', messages: [], onUsage: (record) => usage.push(record) });
+
+      assert.deepStrictEqual(usage, [{ model: 'gpt-4o', provider: 'openai', promptTokens: 1000, completionTokens: 500, cost: 0.0075 }]);
+    });
+
+    it('should report streamed usage of unpriced models without a cost', async () => {
+      mockLocalProvider.isAvailable = mock.fn(() => true);
+      mockLocalProvider.capabilities = ['chat', 'stream'];
+      mockLocalProvider.streamChatCompletion = mock.fn(async function* (params) {
+        yield 'answer';
+        params.onUsage({ promptTokens: 10, completionTokens: 2 });
+      });
+      const usage = [];
+
+      for await (const delta of registry.streamChat({ model: 'llama3', messages: [], onUsage: (record) => usage.push(record) })) {
+        assert.strictEqual(delta, 'answer');
+      }
+
+      assert.deepStrictEqual(usage, [{ model: 'llama3', provider: 'local', promptTokens: 10, completionTokens: 2, cost: null }]);
+    });
+
+    it('should name the fallback model whose call used the tokens', async () => {
+      registry.setFallbacks({ 'gpt-5': ['gpt-4o'] });
+      registry.retryPolicy = new RetryPolicy({ maxAttempts: 1 });
+      mockOpenAIProvider.chatCompletion = mock.fn(async (params) => {
+        if (params.model === 'gpt-5') {
+          throw transientError(503);
+        }
+        params.onUsage({ promptTokens: 1000, completionTokens: 0 });
+        return 'answer';
+      });
+      const usage = [];
+
+      await registry.chat({ model: 'gpt-5', messages: [], onUsage: (record) => usage.push(record) });
+
+      assert.deepStrictEqual(usage.map(record => [record.model, record.cost]), [['gpt-4o', 0.0025]]);
+    });
+  });
+
+  describe('deprecation warnings', () => {
+    it('should warn once per deprecated model', async (t) => {
+      t.mock.method(console, 'error', () => {});
+      mockOpenAIProvider.modelPatterns.push(/^gemini-/);
+      mockOpenAIProvider.chatCompletion = mock.fn(async () => 'Response');
+
+      await registry.chat({ model: 'gemini-2.0-flash-001', messages: [] });
+      await registry.chat({ model: 'gemini-2.0-flash-001', messages: [] });
+      await registry.chat({ model: 'gpt-4o', messages: [] });
+
+      assert.deepStrictEqual(console.error.mock.calls.map(call => call.arguments[0]), [
+        'Warning: gemini-2.0-flash-001 is deprecated; use gemini-2.5-flash instead'
+      ]);
+    });
+  });
+
+  describe('getStatus', () => {
+    it('should report availability per provider id', () => {
+      assert.deepStrictEqual(registry.getStatus(), { openai: true, local: false });
+    });
+  });
+
+  describe('getHealth', () => {
+    it('should report circuit state per provider and model', async () => {
+      registry.circuitBreakerOptions = { failureThreshold: 1, now: () => 0 };
+      mockOpenAIProvider.chatCompletion = mock.fn(async (params) => {
+        if (params.model === 'gpt-5') {
+          throw transientError(500);
+        }
+        return 'ok';
+      });
+      await registry.chat({ model: 'gpt-4o', messages: [] });
+      await assert.rejects(registry.chat({ model: 'gpt-5', messages: [] }));
+
+      const health = registry.getHealth();
+
+      assert.strictEqual(health.openai.configured, true);
+      assert.strictEqual(health.openai.state, 'open');
+      assert.strictEqual(health.openai.models['gpt-4o'].state, 'closed');
+      assert.strictEqual(health.openai.models['gpt-5'].lastError, 'HTTP 500');
+      assert.deepStrictEqual(health.local, { configured: false, state: 'unknown', models: {} });
+    });
+  });
+});
+
+describe('createProviderFromConfig', () => {
+  it('should create providers from config entries', () => {
+    const provider = createProviderFromConfig({
+      type: 'openai',
+      id: 'azure-gpt',
+      displayName: 'Azure OpenAI',
+      apiKeyEnv: 'AZURE_OPENAI_KEY',
+      modelPatterns: ['^azure-']
+    }, { AZURE_OPENAI_KEY: 'azure-key' });
+
+    assert.ok(provider instanceof OpenAIProvider);
+    assert.strictEqual(provider.id, 'azure-gpt');
+    assert.strictEqual(provider.displayName, 'Azure OpenAI');
+    assert.strictEqual(provider.configHint, 'AZURE_OPENAI_KEY');
+    assert.strictEqual(provider.isAvailable(), true);
+    assert.ok(provider.modelPatterns[0].test('azure-gpt-4o'));
+  });
+
+  it('should reject unknown provider types', () => {
+    assert.throws(() => createProviderFromConfig({ type: 'mystery' }), /Unknown provider type: mystery/);
+  });
+});
+
+describe('createProviderRegistry', () => {
+  it('should register the built-in providers by default', () => {
+    const defaultRegistry = createProviderRegistry({});
+
+    assert.deepStrictEqual(defaultRegistry.list().map(p => p.id), ['openai', 'gemini', 'anthropic', 'local']);
+    assert.deepStrictEqual(defaultRegistry.getStatus(), { openai: false, gemini: false, anthropic: false, local: false });
+    assert.strictEqual(defaultRegistry.resolve('claude-sonnet-4-5').id, 'anthropic');
+    assert.strictEqual(defaultRegistry.resolve('gpt-4o').id, 'openai');
+    assert.strictEqual(defaultRegistry.resolve('gemini-2.5-pro').id, 'gemini');
+    assert.strictEqual(defaultRegistry.retryPolicy.maxAttempts, 3);
+    assert.deepStrictEqual(defaultRegistry.circuitBreakerOptions, { failureThreshold: 5, resetTimeoutMs: 30000 });
+    assert.strictEqual(defaultRegistry.timeoutMs, 300000);
+  });
+
+  it('should read timeouts from REQUEST_TIMEOUT_MS and MODEL_TIMEOUTS', () => {
+    const configuredRegistry = createProviderRegistry({
+      REQUEST_TIMEOUT_MS: '60000',
+      MODEL_TIMEOUTS: JSON.stringify({ 'gpt-5': 600000 })
+    });
+
+    assert.strictEqual(configuredRegistry.getTimeout('gpt-5'), 600000);
+    assert.strictEqual(configuredRegistry.getTimeout('gpt-4o'), 60000);
+    assert.strictEqual(createProviderRegistry({ REQUEST_TIMEOUT_MS: '0' }).getTimeout('gpt-4o'), 0);
+  });
+
+  it('should add MODEL_PRICES to the default prices', () => {
+    const configuredRegistry = createProviderRegistry({ MODEL_PRICES: JSON.stringify({ llama3: { input: 0, output: 0 } }) });
+
+    assert.deepStrictEqual(configuredRegistry.priceTable.getPrice('llama3'), { input: 0, output: 0 });
+    assert.ok(configuredRegistry.priceTable.getPrice('gpt-4o'));
+  });
+
+  it('should read context windows from MODEL_CAPABILITIES', () => {
+    const configuredRegistry = createProviderRegistry({ MODEL_CAPABILITIES: JSON.stringify({ llama3: { contextWindow: 32768 } }) });
+
+    assert.strictEqual(configuredRegistry.getContextWindow('llama3'), 32768);
+    assert.strictEqual(configuredRegistry.getContextWindow('gpt-4o-2024-08-06'), 128000);
+  });
+
+  it('should share the model catalogue with the providers', () => {
+    const configuredRegistry = createProviderRegistry({ MODEL_CAPABILITIES: JSON.stringify({ 'gpt-4o': { maxOutputTokens: 4096 } }) });
+
+    for (const provider of configuredRegistry.list().filter(p => p.id !== 'local')) {
+      assert.strictEqual(provider.modelCapabilities, configuredRegistry.modelCapabilities, provider.id);
+    }
+    assert.strictEqual(configuredRegistry.resolve('gpt-4o').modelCapabilities.get('gpt-4o').maxOutputTokens, 4096);
+  });
+
+  it('should read how long the Gemini model list is reused from GEMINI_MODEL_LIST_TTL_MS', () => {
+    assert.strictEqual(createProviderRegistry({}).resolve('gemini-2.5-pro').modelListTtlMs, 3600000);
+    assert.strictEqual(createProviderRegistry({ GEMINI_MODEL_LIST_TTL_MS: '60000' }).resolve('gemini-2.5-pro').modelListTtlMs, 60000);
+  });
+
+  it('should turn off stream usage of the local endpoint with LOCAL_LLM_STREAM_USAGE', () => {
+    const local = (env) => createProviderRegistry(env).list().find(p => p.id === 'local');
+
+    assert.strictEqual(local({}).streamUsage, true);
+    assert.strictEqual(local({ LOCAL_LLM_STREAM_USAGE: 'false' }).streamUsage, false);
+  });
+
+  it('should read fallback chains from MODEL_FALLBACKS', () => {
+    const configuredRegistry = createProviderRegistry({
+      OPENAI_API_KEY: 'key',
+      MODEL_FALLBACKS: JSON.stringify({ 'gpt-5': ['gpt-4o', 'gemini-2.0-flash-001'] })
+    });
+
+    // Gemini is not configured, so only gpt-4o is left to fall back to
+    assert.deepStrictEqual(configuredRegistry.getFallbackChain('gpt-5'), ['gpt-5', 'gpt-4o']);
+    assert.deepStrictEqual(configuredRegistry.getFallbackChain('gpt-4o'), ['gpt-4o']);
+  });
+
+  it('should configure the retry policy from RETRY_* variables', () => {
+    const { retryPolicy } = createProviderRegistry({
+      RETRY_MAX_ATTEMPTS: '5',
+      RETRY_BASE_DELAY_MS: '250',
+      RETRY_MAX_DELAY_MS: 'soon'
+    });
+
+    assert.strictEqual(retryPolicy.maxAttempts, 5);
+    assert.strictEqual(retryPolicy.baseDelayMs, 250);
+    assert.strictEqual(retryPolicy.maxDelayMs, 30000);
+  });
+
+  it('should route LOCAL_LLM_MODELS to the local endpoint', () => {
+    const localRegistry = createProviderRegistry({
+      LOCAL_LLM_BASE_URL: 'http://localhost:11434/v1',
+      LOCAL_LLM_MODELS: 'llama3.1:8b, qwen2.5:14b'
+    });
+
+    assert.strictEqual(localRegistry.resolve('qwen2.5:14b').id, 'local');
+    assert.strictEqual(localRegistry.getStatus().local, true);
+  });
+
+  it('should register additional providers from PROVIDERS_CONFIG', () => {
+    const configuredRegistry = createProviderRegistry({
+      PROVIDERS_CONFIG: JSON.stringify({
+        providers: [{ type: 'openai', id: 'azure-gpt', apiKey: 'key', models: ['azure-gpt-4o'] }]
+      })
+    });
+
+    assert.strictEqual(configuredRegistry.resolve('azure-gpt-4o').id, 'azure-gpt');
+  });
+});
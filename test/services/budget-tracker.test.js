@@ -0,0 +1,119 @@
+/**
+ * Tests for the budget tracker
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BudgetTracker, BudgetExceededError, createBudgetTracker } from '../../src/services/budget-tracker.js';
+
+describe('BudgetTracker', () => {
+  let clock;
+  let tracker;
+
+  const call = (tokens, cost = 0) => ({ promptTokens: tokens, completionTokens: 0, cost });
+
+  beforeEach(() => {
+    clock = Date.parse('2026-10-19T12:00:00Z');
+    tracker = new BudgetTracker({
+      limits: { daily: { tokens: 1000 }, monthly: { tokens: 5000, cost: 1 } },
+      now: () => clock
+    });
+  });
+
+  describe('isEnabled', () => {
+    it('should be enabled by any positive limit', () => {
+      assert.strictEqual(tracker.isEnabled(), true);
+      assert.strictEqual(new BudgetTracker().isEnabled(), false);
+      assert.strictEqual(new BudgetTracker({ limits: { daily: { tokens: 0, cost: 0 } } }).isEnabled(), false);
+    });
+  });
+
+  describe('record', () => {
+    it('should add up usage per client and period', () => {
+      tracker.record('mcp:desktop', { promptTokens: 100, completionTokens: 50, cost: 0.01 });
+      tracker.record('mcp:desktop', { promptTokens: 10, completionTokens: 5, cost: null });
+      tracker.record('api-key:abc', call(7));
+
+      assert.deepStrictEqual(tracker.getUsage('mcp:desktop'), {
+        daily: { period: '2026-10-19', tokens: 165, cost: 0.01 },
+        monthly: { period: '2026-10', tokens: 165, cost: 0.01 }
+      });
+      assert.strictEqual(tracker.getUsage('api-key:abc').daily.tokens, 7);
+    });
+
+    it('should start over in a new day or month', () => {
+      tracker.record('mcp:desktop', call(100));
+
+      clock = Date.parse('2026-10-20T00:00:00Z');
+      assert.strictEqual(tracker.getUsage('mcp:desktop').daily.tokens, 0);
+      assert.strictEqual(tracker.getUsage('mcp:desktop').monthly.tokens, 100);
+
+      clock = Date.parse('2026-11-01T00:00:00Z');
+      assert.strictEqual(tracker.getUsage('mcp:desktop').monthly.tokens, 0);
+    });
+  });
+
+  describe('remaining', () => {
+    it('should return the tighter of the daily and monthly budgets', () => {
+      tracker.record('mcp:desktop', call(400, 0.25));
+
+      assert.deepStrictEqual(tracker.remaining('mcp:desktop'), { tokens: 600, cost: 0.75 });
+      assert.deepStrictEqual(new BudgetTracker().remaining('mcp:desktop'), { tokens: Infinity, cost: Infinity });
+    });
+  });
+
+  describe('check', () => {
+    it('should refuse a client whose budget is used up', () => {
+      tracker.record('mcp:desktop', call(1000));
+
+      assert.throws(() => tracker.check('mcp:desktop'), (error) => {
+        assert.ok(error instanceof BudgetExceededError);
+        assert.strictEqual(error.message, 'The daily budget of 1,000 tokens for mcp:desktop is used up; it resets at 2026-10-20T00:00:00.000Z');
+        return true;
+      });
+      // Other clients have their own budget
+      tracker.check('api-key:abc');
+    });
+
+    it('should refuse once the cost budget is used up', () => {
+      tracker.record('mcp:desktop', call(10, 1.2));
+
+      assert.throws(() => tracker.check('mcp:desktop'), /The monthly budget of \$1\.0000 for mcp:desktop is used up; it resets at 2026-11-01T00:00:00\.000Z/);
+    });
+  });
+
+  describe('persistence', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wall-bounce-budget-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should keep the usage across restarts', async () => {
+      const file = path.join(tempDir, 'data', 'budget-usage.json');
+      const first = new BudgetTracker({ limits: { daily: { tokens: 1000 } }, file, now: () => clock });
+      first.record('mcp:desktop', call(300));
+      await first.save();
+
+      const restarted = new BudgetTracker({ limits: { daily: { tokens: 1000 } }, file, now: () => clock }).load();
+
+      assert.strictEqual(restarted.remaining('mcp:desktop').tokens, 700);
+    });
+
+    it('should read the limits from the environment', () => {
+      const file = path.join(tempDir, 'budget-usage.json');
+      const configured = createBudgetTracker({ BUDGET_DAILY_TOKENS: '200000', BUDGET_MONTHLY_COST: '50', BUDGET_USAGE_FILE: file });
+
+      assert.deepStrictEqual(configured.limits, { daily: { tokens: 200000, cost: 0 }, monthly: { tokens: 0, cost: 50 } });
+      assert.strictEqual(configured.file, file);
+      assert.strictEqual(createBudgetTracker({}).isEnabled(), false);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for wall bounce personas
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { builtInPersonas, resolvePersona } from '../../src/services/personas.js';
+
+describe('resolvePersona', () => {
+  it('should return undefined when no persona is given', () => {
+    assert.strictEqual(resolvePersona(undefined), undefined);
+    assert.strictEqual(resolvePersona(null), undefined);
+    assert.strictEqual(resolvePersona(''), undefined);
+  });
+
+  it('should resolve built-in personas by id', () => {
+    const persona = resolvePersona('security_reviewer');
+
+    assert.strictEqual(persona.id, 'security_reviewer');
+    assert.strictEqual(persona.name, builtInPersonas.security_reviewer.name);
+    assert.strictEqual(persona.prompt, builtInPersonas.security_reviewer.prompts.ja);
+  });
+
+  it('should resolve built-in personas by display name', () => {
+    assert.strictEqual(resolvePersona('SRE on call').id, 'sre_on_call');
+    assert.strictEqual(resolvePersona("Devil's advocate").id, 'devils_advocate');
+    assert.strictEqual(resolvePersona('customer-advocate').id, 'customer_advocate');
+  });
+
+  it('should localize built-in and free-text persona prompts', () => {
+    assert.strictEqual(resolvePersona('devils_advocate', 'en').prompt, builtInPersonas.devils_advocate.prompts.en);
+    assert.ok(resolvePersona('database expert', 'de').prompt.includes('„database expert“'));
+  });
+
+  it('should turn free-text roles into a custom persona', () => {
+    const persona = resolvePersona('database expert');
+
+    assert.strictEqual(persona.id, 'custom');
+    assert.strictEqual(persona.name, 'database expert');
+    assert.ok(persona.prompt.includes('database expert'));
+  });
+
+  it('should accept a user-supplied system prompt', () => {
+    const persona = resolvePersona({ name: 'DBA', system_prompt: 'You are a database administrator.' });
+
+    assert.deepStrictEqual(persona, {
+      id: 'custom',
+      name: 'DBA',
+      prompt: 'You are a database administrator.'
+    });
+  });
+
+  it('should default the name of a custom system prompt', () => {
+    assert.strictEqual(resolvePersona({ system_prompt: 'Be terse.' }).name, 'Custom');
+  });
+
+  it('should reject malformed personas', () => {
+    assert.throws(() => resolvePersona({ name: 'No prompt' }), /Persona must be/);
+    assert.throws(() => resolvePersona(42), /Persona must be/);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for the localized prompt catalogue
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  promptCatalog,
+  supportedLanguages,
+  detectLanguage,
+  resolveLanguage,
+  getPromptCatalog
+} from '../../src/services/prompt-catalog.js';
+
+describe('Prompt Catalogue', () => {
+  describe('promptCatalog', () => {
+    it('should define the same entries for every language', () => {
+      const keys = Object.keys(promptCatalog.ja).sort();
+
+      for (const language of supportedLanguages) {
+        assert.deepStrictEqual(Object.keys(promptCatalog[language]).sort(), keys, language);
+      }
+    });
+
+    it('should include the topic in every initial prompt', () => {
+      for (const language of supportedLanguages) {
+        const catalog = promptCatalog[language];
+        const prompt = catalog.initialPrompt({ role: catalog.expertRole, topic: 'Redis eviction' });
+
+        assert.ok(prompt.startsWith(catalog.expertRole), language);
+        assert.ok(prompt.includes('Redis eviction'), language);
+      }
+    });
+
+    it('should format usage with localized number formats', () => {
+      const totals = { calls: 1, promptTokens: 12000, completionTokens: 345, totalTokens: 12345, cost: 0.05, unpriced: 0 };
+
+      assert.strictEqual(promptCatalog.en.usageAmount(totals), '12,345 tokens (12,000 prompt + 345 completion), est. $0.0500');
+      assert.strictEqual(promptCatalog.de.usageAmount(totals), '12.345 Tokens (12.000 Prompt + 345 Antwort), geschätzt $0.0500');
+      assert.strictEqual(promptCatalog.ja.usageAmount({ ...totals, unpriced: 1 }), '12,345 トークン（プロンプト 12,000 + 応答 345）、費用不明');
+    });
+  });
+
+  describe('detectLanguage', () => {
+    it('should detect Japanese text', () => {
+      assert.strictEqual(detectLanguage('ログインできない問題の調査'), 'ja');
+      assert.strictEqual(detectLanguage('Kubernetes のメモリ不足'), 'ja');
+    });
+
+    it('should detect German text', () => {
+      assert.strictEqual(detectLanguage('Warum ist die Datenbank so langsam?'), 'de');
+      assert.strictEqual(detectLanguage('Speicherüberlauf im Cluster'), 'de');
+    });
+
+    it('should fall back to English for other Latin text', () => {
+      assert.strictEqual(detectLanguage('Why does the process die after deploy?'), 'en');
+    });
+
+    it('should default to Japanese without text', () => {
+      assert.strictEqual(detectLanguage(''), 'ja');
+      assert.strictEqual(detectLanguage(undefined), 'ja');
+    });
+  });
+
+  describe('resolveLanguage', () => {
+    it('should detect the language when omitted or auto', () => {
+      assert.strictEqual(resolveLanguage(undefined, 'Slow queries'), 'en');
+      assert.strictEqual(resolveLanguage('auto', '遅いクエリ'), 'ja');
+    });
+
+    it('should normalize language tags', () => {
+      assert.strictEqual(resolveLanguage('DE'), 'de');
+      assert.strictEqual(resolveLanguage('en-US'), 'en');
+      assert.strictEqual(resolveLanguage('ja_JP'), 'ja');
+    });
+
+    it('should reject unsupported languages', () => {
+      assert.throws(() => resolveLanguage('fr'), /Unsupported language: fr. Supported languages: ja, en, de/);
+      assert.throws(() => resolveLanguage('constructor'), /Unsupported language/);
+      assert.throws(() => resolveLanguage(42), /Unsupported language/);
+    });
+  });
+
+  describe('getPromptCatalog', () => {
+    it('should fall back to the default language', () => {
+      assert.strictEqual(getPromptCatalog(), promptCatalog.ja);
+      assert.strictEqual(getPromptCatalog('xx'), promptCatalog.ja);
+      assert.strictEqual(getPromptCatalog('de'), promptCatalog.de);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for the wall bounce session store
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SessionStore } from '../../src/services/session-store.js';
+
+describe('SessionStore', () => {
+  let tempDir;
+  let store;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wall-bounce-sessions-'));
+    store = new SessionStore(path.join(tempDir, 'sessions'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should create unique UUID session ids', () => {
+    const first = store.createId();
+    const second = store.createId();
+
+    assert.match(first, /^[0-9a-f-]{36}$/);
+    assert.notStrictEqual(first, second);
+  });
+
+  it('should save and load a session, creating the directory on demand', async () => {
+    const session = { id: store.createId(), topic: 'Slow queries', turns: [{ round: 1, participant: 0, content: 'Add an index' }] };
+
+    await store.save(session);
+
+    assert.deepStrictEqual(await store.load(session.id), session);
+    assert.deepStrictEqual(fs.readdirSync(path.join(tempDir, 'sessions')), [`${session.id}.json`]);
+  });
+
+  it('should replace an earlier version of a session', async () => {
+    const id = store.createId();
+
+    await store.save({ id, rounds: 1 });
+    await store.save({ id, rounds: 2 });
+
+    assert.strictEqual((await store.load(id)).rounds, 2);
+  });
+
+  it('should keep concurrent saves of one session from sharing a temporary file', async () => {
+    const id = store.createId();
+    const turns = Array.from({ length: 200 }, (_, index) => ({ round: index, content: 'x'.repeat(500) }));
+
+    await Promise.all([store.save({ id, rounds: 1, turns }), store.save({ id, rounds: 2, turns })]);
+
+    assert.ok([1, 2].includes((await store.load(id)).rounds));
+    assert.deepStrictEqual(fs.readdirSync(path.join(tempDir, 'sessions')), [`${id}.json`]);
+  });
+
+  it('should report unknown sessions', async () => {
+    const id = store.createId();
+
+    await assert.rejects(store.load(id), new RegExp(`Wall bounce session not found: ${id}`));
+  });
+
+  it('should reject ids that are not session ids', async () => {
+    await assert.rejects(store.load('../../etc/passwd'), /Invalid session id/);
+    await assert.rejects(store.load(undefined), /Invalid session id/);
+    await assert.rejects(store.save({ id: 'not-a-uuid' }), /Invalid session id/);
+  });
+});
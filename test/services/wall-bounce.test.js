@@ -2,36 +2,56 @@
  * Tests for Wall Bounce service
  */
 
-import { describe, it, mock, beforeEach } from 'node:test';
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
-import { WallBounceService } from '../../src/services/wall-bounce.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { WallBounceService, createWallBounceService } from '../../src/services/wall-bounce.js';
+import { ProviderRegistry } from '../../src/providers/provider-registry.js';
+import { SessionStore } from '../../src/services/session-store.js';
+import { RetryPolicy } from '../../src/utils/retry.js';
+import { ModelCapabilities } from '../../src/utils/model-capabilities.js';
 
 describe('WallBounceService', () => {
   let service;
   let mockOpenAIProvider;
   let mockGeminiProvider;
+  let registry;
 
   beforeEach(() => {
     // Mock OpenAI provider
     mockOpenAIProvider = {
+      id: 'openai',
+      displayName: 'OpenAI',
+      configHint: 'OPENAI_API_KEY',
+      capabilities: ['chat', 'list-models'],
+      modelPatterns: [/^gpt-/],
       isAvailable: mock.fn(() => true),
       chatCompletion: mock.fn()
     };
 
     // Mock Gemini provider
     mockGeminiProvider = {
+      id: 'gemini',
+      displayName: 'Gemini',
+      configHint: 'GOOGLE_API_KEY',
+      capabilities: ['chat', 'list-models'],
+      modelPatterns: [/^gemini-/],
       isAvailable: mock.fn(() => true),
-      generateContent: mock.fn()
+      chatCompletion: mock.fn()
     };
 
-    service = new WallBounceService(mockOpenAIProvider, mockGeminiProvider);
+    registry = new ProviderRegistry()
+      .register(mockOpenAIProvider)
+      .register(mockGeminiProvider);
+    service = new WallBounceService(registry);
   });
 
   describe('constructor', () => {
-    it('should initialize with providers', () => {
+    it('should initialize with provider registry', () => {
       assert.ok(service);
-      assert.strictEqual(service.openaiProvider, mockOpenAIProvider);
-      assert.strictEqual(service.geminiProvider, mockGeminiProvider);
+      assert.strictEqual(service.providerRegistry, registry);
     });
   });
 
@@ -51,6 +71,15 @@ describe('WallBounceService', () => {
       
       assert.ok(prompt.includes(topic));
     });
+
+    it('should replace the generic expert framing with the persona prompt', () => {
+      const persona = { id: 'custom', name: 'DBA', prompt: 'You are a database administrator.' };
+      const prompt = service.createInitialPrompt('Slow queries', { persona });
+
+      assert.ok(prompt.startsWith('You are a database administrator.'));
+      assert.ok(!prompt.includes('専門家です'));
+      assert.ok(prompt.includes('Slow queries'));
+    });
   });
 
   describe('createGeminiPrompt', () => {
@@ -69,6 +98,15 @@ describe('WallBounceService', () => {
       
       assert.ok(prompt.includes(previousResponse));
     });
+
+    it('should replace the generic expert framing with the persona prompt', () => {
+      const persona = { id: 'custom', name: 'DBA', prompt: 'You are a database administrator.' };
+      const prompt = service.createGeminiPrompt('Add an index', { topic: 'Slow queries', persona });
+
+      assert.ok(prompt.startsWith('You are a database administrator.'));
+      assert.ok(!prompt.includes('別の専門家'));
+      assert.ok(prompt.includes('Add an index'));
+    });
   });
 
   describe('createSummary', () => {
@@ -78,29 +116,167 @@ describe('WallBounceService', () => {
       const rounds = 3;
       const topic = 'Machine Learning';
       
-      const summary = service.createSummary(model1, model2, rounds, topic);
+      const summary = service.createSummary([model1, model2], rounds, topic);
       
       assert.ok(summary.includes(model1));
       assert.ok(summary.includes(model2));
       assert.ok(summary.includes(rounds.toString()));
       assert.ok(summary.includes(topic));
-      assert.ok(summary.includes('Summary'));
+      assert.ok(summary.includes('## まとめ'));
+    });
+
+    it('should localize the summary', () => {
+      const english = service.createSummary(['gpt-4', 'gemini-1.5-pro'], 2, 'Caching', 'en');
+      const german = service.createSummary(['gpt-4', 'gemini-1.5-pro'], 2, 'Caching', 'de');
+
+      assert.ok(english.startsWith('## Summary'));
+      assert.ok(english.includes('gpt-4, gemini-1.5-pro'));
+      assert.ok(german.startsWith('## Zusammenfassung'));
+    });
+  });
+
+  describe('normalizeParticipants', () => {
+    it('should build two participants from model1 and model2', () => {
+      const participants = service.normalizeParticipants({ model1: 'gpt-4', model2: 'gemini-1.5-pro' });
+
+      assert.deepStrictEqual(participants.map(p => p.label), ['gpt-4', 'gemini-1.5-pro']);
+    });
+
+    it('should include personas in labels', () => {
+      const participants = service.normalizeParticipants({
+        participants: [
+          { model: 'gpt-4', persona: 'SRE on call' },
+          { model: 'gemini-1.5-pro' }
+        ]
+      });
+
+      assert.strictEqual(participants[0].persona.id, 'sre_on_call');
+      assert.strictEqual(participants[1].persona, undefined);
+      assert.deepStrictEqual(participants.map(p => p.label), ['gpt-4 (SRE on call)', 'gemini-1.5-pro']);
+    });
+
+    it('should attach persona1 and persona2 to the model pair', () => {
+      const participants = service.normalizeParticipants({
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        persona1: 'devils_advocate',
+        persona2: { name: 'DBA', system_prompt: 'You are a database administrator.' }
+      });
+
+      assert.deepStrictEqual(participants.map(p => p.label), ["gpt-4 (Devil's advocate)", 'gemini-1.5-pro (DBA)']);
+      assert.strictEqual(participants[1].persona.prompt, 'You are a database administrator.');
+    });
+
+    it('should number identical participants', () => {
+      const participants = service.normalizeParticipants({
+        participants: [{ model: 'gpt-4' }, { model: 'gemini-1.5-pro' }, { model: 'gpt-4' }]
+      });
+
+      assert.deepStrictEqual(participants.map(p => p.label), ['gpt-4 (#1)', 'gemini-1.5-pro', 'gpt-4 (#3)']);
+    });
+
+    it('should reject too few or too many participants', () => {
+      assert.throws(() => service.normalizeParticipants({ participants: [{ model: 'gpt-4' }] }, 'en'), /between 2 and 6 participants/);
+      assert.throws(() => service.normalizeParticipants({
+        participants: Array.from({ length: 7 }, () => ({ model: 'gpt-4' }))
+      }, 'en'), /between 2 and 6 participants/);
+    });
+
+    it('should reject participants without a model', () => {
+      assert.throws(() => service.normalizeParticipants({
+        participants: [{ model: 'gpt-4' }, { persona: 'security reviewer' }]
+      }, 'en'), /Each participant must specify a model/);
+    });
+
+    it('should report invalid participants in the session language', () => {
+      assert.throws(() => service.normalizeParticipants({ participants: [{ model: 'gpt-4' }] }), /2〜6 人の参加者が必要です/);
+      assert.throws(() => service.normalizeParticipants({
+        participants: [{ model: 'gpt-4' }, { persona: 'security reviewer' }]
+      }, 'de'), /Jeder Teilnehmer muss ein Modell angeben/);
+    });
+  });
+
+  describe('normalizeTurnOrder', () => {
+    it('should default to round-robin order', () => {
+      assert.deepStrictEqual(service.normalizeTurnOrder(undefined, 3), [0, 1, 2]);
+    });
+
+    it('should convert 1-based participant numbers', () => {
+      assert.deepStrictEqual(service.normalizeTurnOrder([3, 1, 2], 3), [2, 0, 1]);
+    });
+
+    it('should reject incomplete or duplicate orders', () => {
+      assert.throws(() => service.normalizeTurnOrder([1, 2], 3, 'en'), /every participant number exactly once/);
+      assert.throws(() => service.normalizeTurnOrder([1, 1, 2], 3, 'en'), /every participant number exactly once/);
+      assert.throws(() => service.normalizeTurnOrder([0, 1, 2], 3, 'en'), /every participant number exactly once/);
+      assert.throws(() => service.normalizeTurnOrder([1, 2], 3), /すべての参加者番号を1回ずつ/);
+    });
+  });
+
+  describe('buildTranscript', () => {
+    let participants;
+
+    beforeEach(() => {
+      participants = service.normalizeParticipants({ model1: 'gpt-4', model2: 'gemini-1.5-pro' });
+    });
+
+    it('should start the opening speaker with the initial prompt', () => {
+      const messages = service.buildTranscript(participants[0], [], 'AI safety');
+
+      assert.strictEqual(messages.length, 1);
+      assert.strictEqual(messages[0].role, 'user');
+      assert.ok(messages[0].content.includes('トピック: AI safety'));
+    });
+
+    it('should give later speakers the topic and earlier statements', () => {
+      const turns = [{ round: 1, participant: participants[0], content: 'Opening statement' }];
+
+      const messages = service.buildTranscript(participants[1], turns, 'AI safety');
+
+      assert.strictEqual(messages.length, 1);
+      assert.strictEqual(messages[0].role, 'user');
+      assert.ok(messages[0].content.includes('トピック: AI safety'));
+      assert.ok(messages[0].content.includes('gpt-4:\nOpening statement'));
+    });
+
+    it('should map own turns to assistant and others to user', () => {
+      const [first, second] = participants;
+      const turns = [
+        { round: 1, participant: first, content: 'First R1' },
+        { round: 1, participant: second, content: 'Second R1' },
+        { round: 2, participant: first, content: 'First R2' }
+      ];
+
+      const firstView = service.buildTranscript(first, turns, 'AI safety');
+      const secondView = service.buildTranscript(second, turns, 'AI safety');
+
+      assert.deepStrictEqual(firstView.map(m => m.role), ['user', 'assistant', 'user', 'assistant']);
+      assert.strictEqual(firstView[1].content, 'First R1');
+      assert.ok(firstView[2].content.includes('Second R1'));
+
+      assert.deepStrictEqual(secondView.map(m => m.role), ['user', 'assistant', 'user']);
+      assert.ok(secondView[0].content.includes('First R1'));
+      assert.strictEqual(secondView[1].content, 'Second R1');
+      assert.ok(secondView[2].content.includes('First R2'));
     });
   });
 
-  describe('getOpenAIResponse', () => {
+  describe('getModelResponse', () => {
     beforeEach(() => {
       mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => 
         'OpenAI response'
       );
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => 
+        'Gemini response'
+      );
     });
 
-    it('should call OpenAI provider with correct parameters', async () => {
+    it('should call the resolved provider with correct parameters', async () => {
       const model = 'gpt-4';
       const conversation = [{ role: 'user', content: 'Hello' }];
       const temperature = 0.8;
 
-      const result = await service.getOpenAIResponse(model, conversation, temperature);
+      const result = await service.getModelResponse(model, conversation, temperature);
 
       assert.strictEqual(result, 'OpenAI response');
       assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.callCount(), 1);
@@ -112,49 +288,22 @@ describe('WallBounceService', () => {
       assert.strictEqual(callArgs.maxTokens, 1500);
     });
 
-    it('should handle API errors', async () => {
-      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => {
-        throw new Error('OpenAI API Error');
-      });
-
-      await assert.rejects(async () => {
-        await service.getOpenAIResponse('gpt-4', [], 0.8);
-      }, /OpenAI API Error/);
-    });
-  });
-
-  describe('getGeminiResponse', () => {
-    beforeEach(() => {
-      mockGeminiProvider.generateContent.mock.mockImplementation(async () => 
-        'Gemini response'
-      );
-    });
-
-    it('should call Gemini provider with correct parameters', async () => {
-      const model = 'gemini-1.5-pro';
-      const prompt = 'Test prompt';
-      const temperature = 0.8;
-
-      const result = await service.getGeminiResponse(model, prompt, temperature);
+    it('should route Gemini models to the Gemini provider', async () => {
+      const result = await service.getModelResponse('gemini-1.5-pro', [{ role: 'user', content: 'Hi' }], 0.8);
 
       assert.strictEqual(result, 'Gemini response');
-      assert.strictEqual(mockGeminiProvider.generateContent.mock.callCount(), 1);
-      
-      const callArgs = mockGeminiProvider.generateContent.mock.calls[0].arguments[0];
-      assert.strictEqual(callArgs.model, model);
-      assert.strictEqual(callArgs.prompt, prompt);
-      assert.strictEqual(callArgs.temperature, temperature);
-      assert.strictEqual(callArgs.maxOutputTokens, 1500);
+      assert.strictEqual(mockGeminiProvider.chatCompletion.mock.callCount(), 1);
+      assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.callCount(), 0);
     });
 
     it('should handle API errors', async () => {
-      mockGeminiProvider.generateContent.mock.mockImplementation(async () => {
-        throw new Error('Gemini API Error');
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => {
+        throw new Error('OpenAI API Error');
       });
 
       await assert.rejects(async () => {
-        await service.getGeminiResponse('gemini-1.5-pro', 'test', 0.8);
-      }, /Gemini API Error/);
+        await service.getModelResponse('gpt-4', [], 0.8);
+      }, /OpenAI API Error/);
     });
   });
 
@@ -163,7 +312,7 @@ describe('WallBounceService', () => {
       mockOpenAIProvider.chatCompletion.mock.mockImplementation(async (params) => 
         `OpenAI response from ${params.model}`
       );
-      mockGeminiProvider.generateContent.mock.mockImplementation(async (params) => 
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async (params) => 
         `Gemini response from ${params.model}`
       );
     });
@@ -189,7 +338,171 @@ describe('WallBounceService', () => {
 
       // Check that both providers were called
       assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.callCount(), 2);
-      assert.strictEqual(mockGeminiProvider.generateContent.mock.callCount(), 2);
+      assert.strictEqual(mockGeminiProvider.chatCompletion.mock.callCount(), 2);
+    });
+
+    it('should give the second model the full conversation history', async () => {
+      await service.conductWallBounce({
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        rounds: 2,
+        temperature: 0.8
+      });
+
+      const secondRound = mockGeminiProvider.chatCompletion.mock.calls[1].arguments[0].messages;
+      assert.deepStrictEqual(secondRound.map(m => m.role), ['user', 'assistant', 'user']);
+      assert.ok(secondRound[0].content.includes('AI Ethics'));
+      assert.strictEqual(secondRound[1].content, 'Gemini response from gemini-1.5-pro');
+      assert.ok(secondRound[2].content.includes('OpenAI response from gpt-4'));
+    });
+
+    it('should support two models of the same provider', async () => {
+      mockGeminiProvider.isAvailable.mock.mockImplementation(() => false);
+
+      const result = await service.conductWallBounce({
+        topic: 'AI Ethics',
+        model1: 'gpt-4o',
+        model2: 'gpt-4o-mini',
+        rounds: 1,
+        temperature: 0.8
+      });
+
+      assert.ok(result.includes('### gpt-4o:'));
+      assert.ok(result.includes('### gpt-4o-mini:'));
+      const models = mockOpenAIProvider.chatCompletion.mock.calls.map(c => c.arguments[0].model);
+      assert.deepStrictEqual(models, ['gpt-4o', 'gpt-4o-mini']);
+      assert.strictEqual(mockGeminiProvider.chatCompletion.mock.callCount(), 0);
+    });
+
+    it('should label identical models by position', async () => {
+      const result = await service.conductWallBounce({
+        topic: 'AI Ethics',
+        model1: 'gemini-2.5-pro',
+        model2: 'gemini-2.5-pro',
+        rounds: 1,
+        temperature: 0.8
+      });
+
+      assert.ok(result.includes('### gemini-2.5-pro (#1):'));
+      assert.ok(result.includes('### gemini-2.5-pro (#2):'));
+      assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.callCount(), 0);
+    });
+
+    it('should support reversed provider order', async () => {
+      await service.conductWallBounce({
+        topic: 'AI Ethics',
+        model1: 'gemini-1.5-pro',
+        model2: 'gpt-4',
+        rounds: 1,
+        temperature: 0.8
+      });
+
+      const geminiCall = mockGeminiProvider.chatCompletion.mock.calls[0].arguments[0];
+      const openaiCall = mockOpenAIProvider.chatCompletion.mock.calls[0].arguments[0];
+      assert.strictEqual(geminiCall.messages[0].role, 'user');
+      assert.ok(geminiCall.messages[0].content.includes('AI Ethics'));
+      assert.ok(openaiCall.messages[0].content.includes('Gemini response from gemini-1.5-pro'));
+    });
+
+    it('should conduct a multi-party discussion', async () => {
+      const mockLocalProvider = {
+        id: 'local',
+        displayName: 'Local',
+        configHint: 'LOCAL_LLM_BASE_URL',
+        capabilities: ['chat'],
+        models: ['llama3'],
+        modelPatterns: [],
+        isAvailable: mock.fn(() => true),
+        chatCompletion: mock.fn(async (params) => `Local response from ${params.model}`)
+      };
+      registry.register(mockLocalProvider);
+
+      const result = await service.conductWallBounce({
+        topic: 'Incident review',
+        participants: [
+          { model: 'gpt-4', persona: 'SRE on call' },
+          { model: 'gemini-1.5-pro' },
+          { model: 'llama3', persona: 'security reviewer' }
+        ],
+        rounds: 2,
+        temperature: 0.8
+      });
+
+      assert.ok(result.includes('### gpt-4 (SRE on call):'));
+      assert.ok(result.includes('### gemini-1.5-pro:'));
+      assert.ok(result.includes('### llama3 (Security reviewer):'));
+      assert.strictEqual((result.match(/### /g) || []).length, 6);
+      assert.ok(result.includes('gpt-4 (SRE on call), gemini-1.5-pro, llama3 (Security reviewer)'));
+
+      // The third participant sees what both others said
+      const localPrompt = mockLocalProvider.chatCompletion.mock.calls[0].arguments[0].messages[0].content;
+      assert.ok(localPrompt.includes('OpenAI response from gpt-4'));
+      assert.ok(localPrompt.includes('Gemini response from gemini-1.5-pro'));
+      assert.ok(localPrompt.startsWith('You are a security reviewer.'));
+
+      // The opener sees both replies in the next round
+      const openerMessages = mockOpenAIProvider.chatCompletion.mock.calls[1].arguments[0].messages;
+      const followUp = openerMessages[2].content;
+      assert.strictEqual(openerMessages[2].role, 'user');
+      assert.ok(followUp.includes('Gemini response from gemini-1.5-pro'));
+      assert.ok(followUp.includes('Local response from llama3'));
+    });
+
+    it('should follow a configured turn order', async () => {
+      const result = await service.conductWallBounce({
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        turnOrder: [2, 1],
+        rounds: 1,
+        temperature: 0.8
+      });
+
+      assert.ok(result.indexOf('### gemini-1.5-pro:') < result.indexOf('### gpt-4:'));
+      const geminiCall = mockGeminiProvider.chatCompletion.mock.calls[0].arguments[0];
+      assert.ok(geminiCall.messages[0].content.includes('Topic: AI Ethics'));
+    });
+
+    it('should detect the output language from the topic', async () => {
+      const result = await service.conductWallBounce({
+        topic: 'データベースの性能改善',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        rounds: 1
+      });
+
+      assert.ok(result.startsWith('# 壁打ちディスカッション: データベースの性能改善'));
+      assert.ok(result.includes('## ラウンド 1'));
+      assert.ok(result.includes('## まとめ'));
+      const openaiCall = mockOpenAIProvider.chatCompletion.mock.calls[0].arguments[0];
+      assert.ok(openaiCall.messages[0].content.includes('トピック: データベースの性能改善'));
+    });
+
+    it('should use the requested language for prompts, headers and personas', async () => {
+      const result = await service.conductWallBounce({
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        persona1: 'sre_on_call',
+        language: 'de',
+        rounds: 1
+      });
+
+      assert.ok(result.startsWith('# Wall-Bounce-Diskussion: AI Ethics'));
+      assert.ok(result.includes('## Runde 1'));
+      assert.ok(result.includes('## Zusammenfassung'));
+      const openaiCall = mockOpenAIProvider.chatCompletion.mock.calls[0].arguments[0];
+      assert.ok(openaiCall.messages[0].content.startsWith('Sie sind der SRE in Rufbereitschaft.'));
+      const geminiCall = mockGeminiProvider.chatCompletion.mock.calls[0].arguments[0];
+      assert.ok(geminiCall.messages[0].content.includes('Thema: AI Ethics'));
+    });
+
+    it('should reject unsupported languages', async () => {
+      await assert.rejects(
+        service.conductWallBounce({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', language: 'fr' }),
+        /Unsupported language: fr/
+      );
     });
 
     it('should validate and sanitize input topic', async () => {
@@ -272,11 +585,25 @@ describe('WallBounceService', () => {
       }, /Gemini provider is not available/);
     });
 
+    it('should throw error when no provider serves a model', async () => {
+      const params = {
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'unknown-model',
+        rounds: 1,
+        temperature: 0.8
+      };
+
+      await assert.rejects(async () => {
+        await service.conductWallBounce(params);
+      }, /No provider registered for model: unknown-model/);
+    });
+
     it('should handle errors during conversation and return partial result', async () => {
       mockOpenAIProvider.chatCompletion.mock.mockImplementationOnce(async () => 
         'First OpenAI response'
       );
-      mockGeminiProvider.generateContent.mock.mockImplementationOnce(async () => {
+      mockGeminiProvider.chatCompletion.mock.mockImplementationOnce(async () => {
         throw new Error('Gemini API Error');
       });
 
@@ -290,11 +617,215 @@ describe('WallBounceService', () => {
 
       const result = await service.conductWallBounce(params);
 
-      assert.ok(result.includes('エラーが発生しました'));
+      assert.ok(result.includes('An error occurred during the wall bounce session'));
       assert.ok(result.includes('Gemini API Error'));
       assert.ok(result.includes('First OpenAI response')); // Partial result included
     });
 
+    it('should report progress with the text of every turn', async () => {
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => 'OpenAI turn');
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => 'Gemini turn');
+      const updates = [];
+
+      await service.conductWallBounce({
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        rounds: 2,
+        onProgress: async (update) => { updates.push(update); }
+      });
+
+      assert.deepStrictEqual(updates.map(update => [update.progress, update.total]), [[1, 4], [2, 4], [3, 4], [4, 4]]);
+      assert.strictEqual(updates[0].message, '## Round 1\n\n### gpt-4:\nOpenAI turn');
+      assert.strictEqual(updates[3].message, '## Round 2\n\n### gemini-1.5-pro:\nGemini turn');
+    });
+
+    it('should stream turns of streaming providers into progress updates', async () => {
+      mockOpenAIProvider.capabilities.push('stream');
+      mockOpenAIProvider.streamChatCompletion = mock.fn(async function* () {
+        yield 'Open';
+        yield 'AI turn';
+      });
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => 'Gemini turn');
+      const updates = [];
+
+      const result = await service.conductWallBounce({
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        rounds: 1,
+        onProgress: async (update) => { updates.push(update); }
+      });
+
+      assert.ok(result.includes('### gpt-4:\nOpenAI turn'));
+      assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.callCount(), 0);
+      // The first delta is reported right away; the next one falls within the throttle interval
+      assert.deepStrictEqual(updates.map(update => update.message), [
+        '## Round 1\n\n### gpt-4:\nOpen',
+        '## Round 1\n\n### gpt-4:\nOpenAI turn',
+        '## Round 1\n\n### gemini-1.5-pro:\nGemini turn'
+      ]);
+      assert.ok(updates[0].progress > 0 && updates[0].progress < 1);
+      assert.deepStrictEqual(updates.slice(1).map(update => update.progress), [1, 2]);
+    });
+
+    it('should not stream without a progress listener', async () => {
+      mockOpenAIProvider.capabilities.push('stream');
+      mockOpenAIProvider.streamChatCompletion = mock.fn(async function* () {
+        yield 'Streamed';
+      });
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => 'OpenAI turn');
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => 'Gemini turn');
+
+      await service.conductWallBounce({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', rounds: 1 });
+
+      assert.strictEqual(mockOpenAIProvider.streamChatCompletion.mock.callCount(), 0);
+    });
+
+    it('should keep going when the progress listener fails', async () => {
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => 'OpenAI turn');
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => 'Gemini turn');
+
+      const result = await service.conductWallBounce({
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        rounds: 1,
+        onProgress: async () => { throw new Error('Connection closed'); }
+      });
+
+      assert.ok(result.includes('## Summary'));
+      assert.ok(!result.includes('Connection closed'));
+    });
+
+    it('should return the partial transcript marked as cancelled', async () => {
+      const controller = new AbortController();
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => 'OpenAI turn');
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => {
+        controller.abort();
+        throw new Error('Request was aborted.');
+      });
+
+      const result = await service.startSession({
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        rounds: 2,
+        signal: controller.signal
+      });
+
+      assert.strictEqual(result.cancelled, true);
+      assert.ok(result.log.includes('### gpt-4:\nOpenAI turn'));
+      assert.ok(result.log.endsWith('> Cancelled. The discussion above is incomplete.'));
+      assert.ok(!result.log.includes('Request was aborted'));
+      assert.ok(!result.log.includes('## Summary'));
+      assert.strictEqual(mockGeminiProvider.chatCompletion.mock.calls[0].arguments[0].signal, controller.signal);
+    });
+
+    it('should not start another turn once cancelled', async () => {
+      const controller = new AbortController();
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => {
+        controller.abort();
+        return 'OpenAI turn';
+      });
+
+      const result = await service.startSession({
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        rounds: 1,
+        signal: controller.signal
+      });
+
+      assert.strictEqual(result.cancelled, true);
+      assert.strictEqual(mockGeminiProvider.chatCompletion.mock.callCount(), 0);
+    });
+
+    it('should not be cancelled when the signal is never aborted', async () => {
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => 'OpenAI turn');
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => 'Gemini turn');
+
+      const result = await service.startSession({
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        rounds: 1,
+        signal: new AbortController().signal
+      });
+
+      assert.strictEqual(result.cancelled, false);
+      assert.ok(result.log.includes('## Summary'));
+    });
+
+    it('should retry transient provider errors and list them in the transcript', async () => {
+      registry.retryPolicy = new RetryPolicy({ baseDelayMs: 0 });
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => 'OpenAI turn');
+      let geminiCalls = 0;
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => {
+        if (++geminiCalls === 1) {
+          throw Object.assign(new Error('Rate limited'), { status: 429 });
+        }
+        return 'Gemini turn';
+      });
+
+      const result = await service.startSession({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', rounds: 1 });
+
+      assert.ok(result.log.includes('### gemini-1.5-pro:\nGemini turn'));
+      assert.ok(result.log.includes('## Summary'));
+      assert.ok(result.log.endsWith('---\nProvider calls retried after transient errors: gemini-1.5-pro ×1 (HTTP 429)'));
+      assert.deepStrictEqual(result.retries.map(retry => [retry.model, retry.attempt, retry.reason]), [['gemini-1.5-pro', 1, 'HTTP 429']]);
+    });
+
+    it('should name the fallback model that answered a turn', async () => {
+      registry.setFallbacks({ 'gpt-4': ['gemini-2.0-flash-001'] });
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => {
+        throw Object.assign(new Error('The model `gpt-4` has been deprecated'), { status: 404 });
+      });
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async (params) => `Answer from ${params.model}`);
+
+      const result = await service.startSession({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', rounds: 1 });
+
+      assert.ok(result.log.includes('### gpt-4 → gemini-2.0-flash-001 (fallback):\nAnswer from gemini-2.0-flash-001'));
+      assert.ok(result.log.includes('### gemini-1.5-pro:\nAnswer from gemini-1.5-pro'));
+      assert.strictEqual(result.session.turns[0].answeredBy, 'gemini-2.0-flash-001');
+      assert.strictEqual(result.session.turns[1].answeredBy, undefined);
+      // The other participants still hear the turn under the participant's name
+      const messages = mockGeminiProvider.chatCompletion.mock.calls[1].arguments[0].messages;
+      assert.ok(messages.at(-1).content.includes('Answer from gemini-2.0-flash-001'));
+    });
+
+    it('should add up token usage per round and per model', async () => {
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async (params) => {
+        params.onUsage({ promptTokens: 100, completionTokens: 50 });
+        return 'OpenAI turn';
+      });
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async (params) => {
+        params.onUsage({ promptTokens: 400, completionTokens: 100 });
+        return 'Gemini turn';
+      });
+
+      const result = await service.startSession({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', rounds: 2 });
+
+      assert.ok(result.log.endsWith([
+        '---',
+        'Token usage for this session: 1,300 tokens (1,000 prompt + 300 completion), est. $0.0140',
+        '- Round 1: 650 tokens (500 prompt + 150 completion), est. $0.0070',
+        '- Round 2: 650 tokens (500 prompt + 150 completion), est. $0.0070',
+        '- gpt-4: 300 tokens (200 prompt + 100 completion), est. $0.0120',
+        '- gemini-1.5-pro: 1,000 tokens (800 prompt + 200 completion), est. $0.0020'
+      ].join('\n')));
+      assert.strictEqual(result.usage.total.calls, 4);
+      assert.strictEqual(result.usage.byModel['gpt-4'].promptTokens, 200);
+      assert.deepStrictEqual(result.session.usage[1], {
+        round: 1,
+        model: 'gemini-1.5-pro',
+        provider: 'gemini',
+        promptTokens: 400,
+        completionTokens: 100,
+        cost: 0.001
+      });
+    });
+
     it('should handle empty topic after sanitization', async () => {
       const params = {
         topic: '\x00\x08', // Will be empty after sanitization
@@ -309,4 +840,816 @@ describe('WallBounceService', () => {
       }, /Input cannot be empty after sanitization/);
     });
   });
-});
\ No newline at end of file
+  describe('synthesis', () => {
+    let mockModeratorProvider;
+
+    beforeEach(() => {
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async (params) =>
+        params.messages[0].role === 'system' ? 'Synthesis from OpenAI' : `OpenAI response from ${params.model}`
+      );
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async (params) =>
+        `Gemini response from ${params.model}`
+      );
+      mockModeratorProvider = {
+        id: 'local',
+        displayName: 'Local',
+        configHint: 'LOCAL_LLM_BASE_URL',
+        capabilities: ['chat'],
+        models: ['moderator'],
+        modelPatterns: [],
+        isAvailable: mock.fn(() => true),
+        chatCompletion: mock.fn(async () => '### Key conclusions\nRoll back first.')
+      };
+      registry.register(mockModeratorProvider);
+    });
+
+    it('should keep the canned summary unless a synthesis is requested', async () => {
+      const result = await service.conductWallBounce({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', rounds: 1 });
+
+      assert.ok(result.includes('## Summary'));
+      assert.ok(!result.includes('## Synthesis'));
+      assert.strictEqual(mockModeratorProvider.chatCompletion.mock.callCount(), 0);
+    });
+
+    it('should let the first participant synthesize by default', async () => {
+      const result = await service.conductWallBounce({
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        rounds: 1,
+        synthesize: true
+      });
+
+      assert.ok(result.includes('## Synthesis (gpt-4)\n\nSynthesis from OpenAI'));
+      assert.ok(!result.includes('## Summary'));
+      assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.callCount(), 2);
+    });
+
+    it('should have a moderator model read the full transcript', async () => {
+      const result = await service.conductWallBounce({
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        rounds: 2,
+        synthesisModel: 'moderator'
+      });
+
+      assert.ok(result.endsWith('## Synthesis (moderator)\n\n### Key conclusions\nRoll back first.'));
+      assert.strictEqual(mockModeratorProvider.chatCompletion.mock.callCount(), 1);
+
+      const { messages, maxTokens } = mockModeratorProvider.chatCompletion.mock.calls[0].arguments[0];
+      assert.strictEqual(messages[0].role, 'system');
+      assert.ok(messages[0].content.includes('moderator'));
+      assert.strictEqual(messages[1].role, 'user');
+      assert.ok(messages[1].content.includes('## Round 2'));
+      assert.ok(messages[1].content.includes('gpt-4:\nOpenAI response from gpt-4'));
+      assert.ok(messages[1].content.includes('gemini-1.5-pro:\nGemini response from gemini-1.5-pro'));
+      for (const heading of ['Key conclusions', 'Points of disagreement', 'Recommended next actions', 'Open questions']) {
+        assert.ok(messages[1].content.includes(`### ${heading}`));
+      }
+      assert.strictEqual(maxTokens, 2000);
+    });
+
+    it('should localize the synthesis', async () => {
+      const result = await service.conductWallBounce({
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        rounds: 1,
+        synthesisModel: 'moderator',
+        language: 'de'
+      });
+
+      assert.ok(result.includes('## Synthese (moderator)'));
+      const { messages } = mockModeratorProvider.chatCompletion.mock.calls[0].arguments[0];
+      assert.ok(messages[1].content.includes('### Offene Fragen'));
+    });
+
+    it('should validate the synthesis model before the discussion starts', async () => {
+      mockModeratorProvider.isAvailable.mock.mockImplementation(() => false);
+
+      await assert.rejects(
+        service.conductWallBounce({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', synthesisModel: 'moderator' }),
+        /Local provider is not available/
+      );
+      await assert.rejects(
+        service.conductWallBounce({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', synthesisModel: '  ' }),
+        /Synthesis model must be a non-empty string/
+      );
+      await assert.rejects(
+        service.conductWallBounce({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', synthesisModel: '  ', language: 'de' }),
+        /Das Synthesemodell muss eine nicht leere Zeichenkette sein/
+      );
+      assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.callCount(), 0);
+    });
+
+    it('should keep the discussion when the synthesis fails', async () => {
+      mockModeratorProvider.chatCompletion.mock.mockImplementation(async () => {
+        throw new Error('Moderator unavailable');
+      });
+
+      const result = await service.conductWallBounce({
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        rounds: 1,
+        synthesisModel: 'moderator'
+      });
+
+      assert.ok(result.includes('Moderator unavailable'));
+      assert.ok(result.includes('Gemini response from gemini-1.5-pro'));
+    });
+  });
+  describe('convergence', () => {
+    const params = { topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', rounds: 4 };
+
+    it('should run every round when convergence is off', async () => {
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => 'Roll back the release now.');
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => 'Roll back the release now.');
+
+      const result = await service.conductWallBounce(params);
+
+      assert.ok(result.includes('## Round 4'));
+      assert.ok(!result.includes('stopped early'));
+    });
+
+    it('should stop when participants agree', async () => {
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => 'Roll back the release now.');
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => 'Agreed: roll back the release now.');
+
+      const result = await service.conductWallBounce({ ...params, convergence: 'similarity' });
+
+      assert.ok(!result.includes('## Round 2'));
+      assert.ok(result.includes('> Discussion stopped early after round 1: Participants are saying nearly the same thing (similarity 0.83)'));
+      assert.ok(result.includes('over 1 round(s)'));
+      assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.callCount(), 1);
+    });
+
+    it('should stop when participants repeat their previous round', async () => {
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => 'Check the connection pool settings first.');
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => 'I would look at slow query logs and indexes.');
+
+      const result = await service.conductWallBounce({ ...params, convergence: 'similarity' });
+
+      assert.ok(result.includes('## Round 2'));
+      assert.ok(!result.includes('## Round 3'));
+      assert.ok(result.includes('after round 2: Participants are repeating their previous round (similarity 1.00)'));
+    });
+
+    it('should respect the similarity threshold', async () => {
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => 'Roll back the release now.');
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => 'Agreed: roll back the release now.');
+
+      const result = await service.conductWallBounce({ ...params, rounds: 1, convergence: 'similarity', convergenceThreshold: 0.9 });
+
+      assert.ok(!result.includes('stopped early'));
+    });
+
+    it('should stop when the judge reports convergence', async () => {
+      const verdicts = ['CONTINUE', 'CONVERGED: both recommend a rollback\nDetails follow'];
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async (call) =>
+        call.maxTokens === 200 ? verdicts.shift() : 'OpenAI turn'
+      );
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => 'Gemini turn');
+
+      const result = await service.conductWallBounce({ ...params, convergence: 'judge' });
+
+      assert.ok(result.includes('## Round 2'));
+      assert.ok(!result.includes('## Round 3'));
+      assert.ok(result.includes('after round 2: gpt-4 judged: both recommend a rollback\n'));
+
+      const judgeCall = mockOpenAIProvider.chatCompletion.mock.calls[1].arguments[0];
+      assert.strictEqual(judgeCall.temperature, 0);
+      assert.ok(judgeCall.messages[0].content.includes('gemini-1.5-pro:\nGemini turn'));
+    });
+
+    it('should use a separate judge model and continue when it fails', async () => {
+      const mockJudgeProvider = {
+        id: 'local',
+        displayName: 'Local',
+        configHint: 'LOCAL_LLM_BASE_URL',
+        capabilities: ['chat'],
+        models: ['judge'],
+        modelPatterns: [],
+        isAvailable: mock.fn(() => true),
+        chatCompletion: mock.fn(async () => {
+          throw new Error('Judge offline');
+        })
+      };
+      registry.register(mockJudgeProvider);
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => 'OpenAI turn');
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => 'Gemini turn');
+
+      const result = await service.conductWallBounce({ ...params, convergence: 'judge', judgeModel: 'judge' });
+
+      assert.ok(result.includes('## Round 4'));
+      assert.ok(!result.includes('Judge offline'));
+      // Judged after every round but the last
+      assert.strictEqual(mockJudgeProvider.chatCompletion.mock.callCount(), 3);
+    });
+
+    it('should reject unknown convergence methods', async () => {
+      await assert.rejects(
+        service.conductWallBounce({ ...params, convergence: 'magic' }),
+        /Convergence must be one of: off, similarity, judge/
+      );
+      await assert.rejects(
+        service.conductWallBounce({ ...params, convergence: 'magic', language: 'ja' }),
+        /収束判定には次のいずれかを指定してください: off, similarity, judge/
+      );
+    });
+  });
+  describe('budgets', () => {
+    const params = { topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', rounds: 3 };
+
+    beforeEach(() => {
+      // Every call uses 300 tokens
+      for (const provider of [mockOpenAIProvider, mockGeminiProvider]) {
+        provider.chatCompletion.mock.mockImplementation(async (call) => {
+          call.onUsage({ promptTokens: 200, completionTokens: 100 });
+          return `${call.model} turn`;
+        });
+      }
+    });
+
+    it('should stop before a turn that would exceed the token budget', async () => {
+      const result = await service.startSession({ ...params, maxTotalTokens: 1000 });
+
+      assert.ok(result.log.includes('> Discussion stopped early after round 2: The token budget of 1,000 would be exceeded (900 used)'));
+      assert.ok(!result.log.includes('## Round 3'));
+      assert.ok(result.log.includes('over 2 round(s)'));
+      assert.strictEqual(result.session.rounds, 2);
+      assert.strictEqual(result.session.maxRounds, 2);
+      assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.callCount() + mockGeminiProvider.chatCompletion.mock.callCount(), 3);
+    });
+
+    it('should stop before the caller\'s remaining budget runs out', async () => {
+      let spent = 0;
+      const result = await service.startSession({
+        ...params,
+        onUsage: (usage) => { spent += usage.promptTokens + usage.completionTokens; },
+        remainingBudget: () => ({ tokens: 700 - spent, cost: Infinity })
+      });
+
+      assert.strictEqual(spent, 600);
+      assert.ok(result.log.includes('> Discussion stopped early after round 1: The server-wide budget for this client would be exceeded'));
+    });
+
+    it('should skip the synthesis when it would exceed the budget', async () => {
+      const result = await service.startSession({ ...params, rounds: 1, synthesize: true, maxTotalTokens: 700 });
+
+      assert.ok(result.log.includes('> Synthesis skipped to stay within the budget: The token budget of 700 would be exceeded (600 used)'));
+      assert.ok(result.log.includes('## Summary'));
+      assert.ok(!result.log.includes('## Synthesis'));
+    });
+
+    it('should stop on the cost budget', async () => {
+      // gpt-4 costs $0.012 per call at these token counts
+      const result = await service.startSession({ ...params, model2: 'gpt-4', maxCost: 0.03 });
+
+      assert.ok(result.log.includes('> Discussion stopped early after round 1: The cost budget of $0.0300 would be exceeded ($0.0240 used)'));
+    });
+
+    it('should validate budgets and keep the limits a resumed session does not change', () => {
+      assert.deepStrictEqual(service.normalizeBudget({}), { maxTotalTokens: null, maxCost: null });
+      assert.deepStrictEqual(
+        service.normalizeBudget({ maxCost: 2 }, { maxTotalTokens: 5000, maxCost: 1 }),
+        { maxTotalTokens: 5000, maxCost: 2 }
+      );
+      assert.throws(() => service.normalizeBudget({ maxTotalTokens: 0 }, undefined, 'en'), /Token budget must be a positive number/);
+      assert.throws(() => service.normalizeBudget({ maxCost: '5' }, undefined, 'en'), /Cost budget must be a positive number/);
+      assert.throws(() => service.normalizeBudget({ maxCost: -1 }), /費用予算は正の数で指定してください/);
+      assert.throws(() => service.normalizeBudget({ maxTotalTokens: 0 }, undefined, 'de'), /Das Token-Budget muss eine positive Zahl sein/);
+    });
+  });
+
+  describe('context compaction', () => {
+    // gemini-small leaves 2000 tokens for the transcript (4000 - 1500 response - 500 prompt)
+    const params = { topic: 'AI Ethics', model1: 'gpt-4o', model2: 'gemini-small', rounds: 5 };
+    // Every turn is about 300 tokens long
+    const padding = ' ' + 'x'.repeat(1200);
+    let compactingRegistry;
+    let summaryCalls;
+
+    beforeEach(() => {
+      compactingRegistry = new ProviderRegistry({
+        modelCapabilities: new ModelCapabilities({ 'gpt-4o': { contextWindow: 128000 }, 'gemini-small': { contextWindow: 4000 } })
+      })
+        .register(mockOpenAIProvider)
+        .register(mockGeminiProvider);
+
+      let openaiTurn = 0;
+      let geminiTurn = 0;
+      summaryCalls = [];
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async (call) => {
+        if (call.model === 'gpt-4o-mini') {
+          summaryCalls.push(call.messages[0].content);
+          return `Summary ${summaryCalls.length}`;
+        }
+        return `OpenAI turn ${++openaiTurn}${padding}`;
+      });
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => `Gemini turn ${++geminiTurn}${padding}`);
+    });
+
+    const geminiPrompts = () => mockGeminiProvider.chatCompletion.mock.calls
+      .map(call => call.arguments[0].messages.map(message => message.content).join('\n'));
+
+    it('should summarize the middle rounds once the transcript outgrows a small context window', async () => {
+      const result = await new WallBounceService(compactingRegistry).startSession(params);
+
+      const prompts = geminiPrompts();
+      assert.ok(prompts[2].includes('Gemini turn 2'));
+      // Round 4: rounds 2-3 are summarized; the summary is reused in round 5
+      assert.strictEqual(summaryCalls.length, 1);
+      assert.ok(summaryCalls[0].includes('OpenAI turn 2') && summaryCalls[0].includes('Gemini turn 3'));
+      assert.ok(!summaryCalls[0].includes('OpenAI turn 1'));
+      for (const prompt of prompts.slice(3)) {
+        assert.ok(prompt.includes('Summary of rounds 2–3:\nSummary 1'));
+        // The opening round frames the debate and is kept word for word
+        assert.ok(prompt.includes('OpenAI turn 1') && prompt.includes('Gemini turn 1'));
+        assert.ok(!prompt.includes('OpenAI turn 2'));
+        assert.ok(prompt.indexOf('Gemini turn 1') < prompt.indexOf('Summary of rounds'));
+      }
+      assert.deepStrictEqual(result.session.summaries, [{ throughRound: 3, model: 'gpt-4o-mini', content: 'Summary 1' }]);
+      assert.ok(result.log.includes('Earlier rounds condensed to fit context windows: gemini-small (rounds 2–3 summarized)'));
+
+      // Models with a large context window still see everything
+      const lastOpenAIPrompt = mockOpenAIProvider.chatCompletion.mock.calls.at(-1).arguments[0].messages;
+      assert.strictEqual(lastOpenAIPrompt[0].content.includes('Summary'), false);
+      assert.strictEqual(lastOpenAIPrompt.length, 9);
+    });
+
+    it('should leave out the middle rounds with the drop strategy', async () => {
+      const result = await new WallBounceService(compactingRegistry, undefined, { compaction: 'drop' }).startSession(params);
+
+      const prompts = geminiPrompts();
+      assert.ok(prompts[3].includes('Earlier round 2:\nLeft out to fit the context window'));
+      assert.ok(prompts[3].includes('OpenAI turn 1'));
+      assert.ok(!prompts[3].includes('OpenAI turn 2'));
+      assert.ok(prompts[4].includes('Earlier rounds 2–3:'));
+      assert.strictEqual(summaryCalls.length, 0);
+      assert.ok(result.log.includes('gemini-small (rounds 2–3 left out)'));
+    });
+
+    it('should leave out the middle rounds when the summary cannot be written', async () => {
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async (call) => {
+        if (call.model === 'gpt-4o-mini') {
+          throw Object.assign(new Error('Invalid request'), { status: 400 });
+        }
+        return `OpenAI turn${padding}`;
+      });
+
+      const result = await new WallBounceService(compactingRegistry).startSession(params);
+
+      assert.strictEqual(result.session.rounds, 5);
+      assert.deepStrictEqual(result.session.summaries, []);
+      assert.ok(result.log.includes('gemini-small (rounds 2–3 left out)'));
+    });
+
+    it('should send the whole transcript when compaction is off', async () => {
+      const result = await new WallBounceService(compactingRegistry, undefined, { compaction: 'off' }).startSession(params);
+
+      assert.ok(geminiPrompts()[4].includes('OpenAI turn 2'));
+      assert.ok(!result.log.includes('condensed'));
+    });
+
+    it('should reject unknown compaction strategies', () => {
+      assert.throws(() => new WallBounceService(registry, undefined, { compaction: 'truncate' }), /Compaction must be one of: summarize, drop, off/);
+    });
+
+    it('should keep condensed rounds in place in a formatted transcript', () => {
+      const transcript = service.formatTranscript([
+        { round: 1, label: 'gpt-4o', content: 'Opening.' },
+        { round: 2, compacted: true, label: 'Summary of round 2', content: 'Both agreed.' },
+        { round: 3, label: 'gpt-4o', content: 'Next step.' }
+      ], 'en');
+
+      assert.strictEqual(transcript, '## Round 1\n\ngpt-4o:\nOpening.\n\nSummary of round 2:\nBoth agreed.\n\n## Round 3\n\ngpt-4o:\nNext step.');
+    });
+  });
+
+  describe('sessions', () => {
+    let tempDir;
+    let store;
+    let persistentService;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wall-bounce-test-'));
+      store = new SessionStore(tempDir);
+      persistentService = new WallBounceService(registry, store);
+
+      let openaiTurn = 0;
+      let geminiTurn = 0;
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => `OpenAI turn ${++openaiTurn}`);
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => `Gemini turn ${++geminiTurn}`);
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const sessionIdOf = (result) => result.match(/Session ID: `([0-9a-f-]{36})`/)[1];
+
+    it('should not mention a session without a store', async () => {
+      const result = await service.conductWallBounce({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', rounds: 1 });
+
+      assert.ok(!result.includes('Session ID'));
+    });
+
+    it('should persist the session and return its id', async () => {
+      const result = await persistentService.conductWallBounce({
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        persona1: 'sre_on_call',
+        rounds: 2,
+        temperature: 0.5
+      });
+
+      const record = await store.load(sessionIdOf(result));
+      assert.strictEqual(record.topic, 'AI Ethics');
+      assert.strictEqual(record.language, 'en');
+      assert.strictEqual(record.rounds, 2);
+      assert.strictEqual(record.temperature, 0.5);
+      assert.strictEqual(record.participants[0].persona.id, 'sre_on_call');
+      assert.deepStrictEqual(record.turns.map(turn => [turn.round, turn.participant, turn.content]), [
+        [1, 0, 'OpenAI turn 1'],
+        [1, 1, 'Gemini turn 1'],
+        [2, 0, 'OpenAI turn 2'],
+        [2, 1, 'Gemini turn 2']
+      ]);
+    });
+
+    it('should keep adding up token usage when a session is resumed', async () => {
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async (params) => {
+        params.onUsage({ promptTokens: 100, completionTokens: 50 });
+        return 'OpenAI turn';
+      });
+      const first = await persistentService.startSession({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', rounds: 1 });
+
+      const record = await store.load(first.session.id);
+      assert.deepStrictEqual(record.usage.map(usage => [usage.round, usage.model, usage.promptTokens]), [[1, 'gpt-4', 100]]);
+
+      const resumed = await persistentService.resumeSession({ sessionId: first.session.id, rounds: 1 });
+
+      assert.deepStrictEqual(Object.keys(resumed.usage.byRound), ['1', '2']);
+      assert.strictEqual(resumed.usage.total.promptTokens, 200);
+      assert.ok(resumed.log.includes('Token usage for this session: 300 tokens (200 prompt + 100 completion), est. $0.0120'));
+    });
+
+    it('should resume a session with the full history', async () => {
+      const first = await persistentService.conductWallBounce({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', rounds: 1 });
+      const sessionId = sessionIdOf(first);
+
+      // A fresh service, e.g. after a server restart
+      const resumed = await new WallBounceService(registry, store).continueWallBounce({ sessionId, rounds: 2 });
+
+      assert.ok(resumed.includes('## Round 2'));
+      assert.ok(resumed.includes('## Round 3'));
+      assert.ok(!resumed.includes('## Round 1'));
+      assert.ok(resumed.includes('over 3 round(s)'));
+      assert.strictEqual(sessionIdOf(resumed), sessionId);
+
+      // The opener sees its own earlier turn and Gemini's reply
+      const messages = mockOpenAIProvider.chatCompletion.mock.calls[1].arguments[0].messages;
+      assert.deepStrictEqual(messages.map(message => message.role), ['user', 'assistant', 'user']);
+      assert.strictEqual(messages[1].content, 'OpenAI turn 1');
+      assert.ok(messages[2].content.includes('gemini-1.5-pro:\nGemini turn 1'));
+
+      const record = await store.load(sessionId);
+      assert.strictEqual(record.rounds, 3);
+      assert.strictEqual(record.turns.length, 6);
+    });
+
+    it('should show a new instruction to every participant', async () => {
+      const first = await persistentService.conductWallBounce({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', rounds: 1 });
+
+      const resumed = await persistentService.continueWallBounce({
+        sessionId: sessionIdOf(first),
+        instruction: 'Focus on data retention'
+      });
+
+      assert.ok(resumed.includes('> User instruction: Focus on data retention'));
+      for (const provider of [mockOpenAIProvider, mockGeminiProvider]) {
+        const messages = provider.chatCompletion.mock.calls[1].arguments[0].messages;
+        assert.ok(messages.at(-1).content.includes('Additional instruction from the user: Focus on data retention'));
+      }
+    });
+
+    it('should pass an instruction on as such to a participant that has not spoken yet', async () => {
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async (params) => {
+        params.onUsage({ promptTokens: 100, completionTokens: 50 });
+        return 'OpenAI turn';
+      });
+      // The budget cuts round 1 short before Gemini's first turn
+      const first = await persistentService.startSession({
+        topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', rounds: 1, maxTotalTokens: 200
+      });
+      assert.strictEqual(mockGeminiProvider.chatCompletion.mock.callCount(), 0);
+
+      await persistentService.resumeSession({
+        sessionId: first.session.id,
+        instruction: 'Focus on data retention',
+        maxTotalTokens: 10000
+      });
+
+      const [prompt] = mockGeminiProvider.chatCompletion.mock.calls[0].arguments[0].messages;
+      assert.ok(prompt.content.startsWith('You are another expert'));
+      assert.ok(prompt.content.includes('gpt-4:\nOpenAI turn'));
+      assert.ok(prompt.content.includes('Additional instruction from the user: Focus on data retention'));
+      assert.ok(!prompt.content.includes('ユーザーからの指示'));
+      assert.ok(!prompt.content.includes('User instruction:'));
+    });
+
+    it('should keep completed rounds when a round fails', async () => {
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => {
+        throw new Error('Gemini API Error');
+      });
+
+      const result = await persistentService.conductWallBounce({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', rounds: 2 });
+      const record = await store.load(sessionIdOf(result));
+
+      assert.ok(result.includes('Gemini API Error'));
+      assert.strictEqual(record.rounds, 0);
+      assert.deepStrictEqual(record.turns, []);
+    });
+
+    it('should save the completed rounds of a cancelled session so it can be continued', async () => {
+      const controller = new AbortController();
+      let geminiTurn = 0;
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => {
+        if (++geminiTurn === 2) {
+          controller.abort();
+          throw new Error('Request was aborted.');
+        }
+        return `Gemini turn ${geminiTurn}`;
+      });
+
+      const result = await persistentService.startSession({
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        rounds: 3,
+        signal: controller.signal
+      });
+      const record = await store.load(result.session.id);
+
+      assert.strictEqual(result.cancelled, true);
+      assert.ok(result.log.includes('Session ID'));
+      assert.strictEqual(record.rounds, 1);
+      assert.strictEqual(record.maxRounds, 3);
+      assert.strictEqual(record.paused, false);
+      assert.deepStrictEqual(record.turns.map(turn => turn.content), ['OpenAI turn 1', 'Gemini turn 1']);
+
+      const resumed = await persistentService.continueWallBounce({ sessionId: result.session.id });
+      assert.ok(resumed.includes('## Round 2'));
+    });
+
+    it('should time out each turn on its own and keep the completed rounds', async () => {
+      let geminiTurn = 0;
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async (params) => {
+        // Every turn gets the full timeout; only the third one hangs
+        if (++geminiTurn === 3) {
+          return await new Promise(() => {});
+        }
+        await new Promise(resolve => setTimeout(resolve, 15));
+        assert.strictEqual(params.signal.aborted, false);
+        return `Gemini turn ${geminiTurn}`;
+      });
+
+      const result = await persistentService.startSession({
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        rounds: 3,
+        timeoutMs: 25
+      });
+      const record = await store.load(result.session.id);
+
+      assert.strictEqual(result.cancelled, false);
+      assert.ok(result.log.includes('Gemini gemini-1.5-pro did not respond within 0.025s'));
+      assert.strictEqual(record.rounds, 2);
+      assert.deepStrictEqual(mockOpenAIProvider.chatCompletion.mock.calls.map(call => call.arguments[0].timeoutMs), [25, 25, 25]);
+
+      const resumed = await persistentService.continueWallBounce({ sessionId: result.session.id });
+      assert.ok(resumed.includes('## Round 3'));
+    });
+
+    it('should not wait for the judge of a cancelled session', async () => {
+      const controller = new AbortController();
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async (params) => {
+        if (params.model === 'gpt-4o-mini') {
+          controller.abort();
+          throw new Error('Request was aborted.');
+        }
+        return 'OpenAI turn';
+      });
+
+      const result = await persistentService.startSession({
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        rounds: 3,
+        convergence: 'judge',
+        judgeModel: 'gpt-4o-mini',
+        signal: controller.signal
+      });
+
+      assert.strictEqual(result.cancelled, true);
+      assert.strictEqual(result.session.rounds, 1);
+      assert.ok(!result.log.includes('## Round 2'));
+    });
+
+    it('should pause after each round until the planned rounds are done', async () => {
+      const first = await persistentService.startSession({
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        rounds: 2,
+        pauseAfterEachRound: true
+      });
+
+      assert.strictEqual(first.session.paused, true);
+      assert.ok(first.log.includes('> Paused after round 1 of 2.'));
+      // The notice is a section of its own, like every other part of the log
+      assert.match(first.log, /\n\n> Paused after round 1 of 2\..*continue as is\.\n\n/);
+      assert.ok(!first.log.includes('## Round 2'));
+      assert.ok(!first.log.includes('## Summary'));
+      assert.strictEqual((await store.load(first.session.id)).paused, true);
+
+      const second = await persistentService.resumeSession({ sessionId: first.session.id, instruction: 'We are on Ubuntu 22.04' });
+
+      assert.strictEqual(second.session.paused, false);
+      assert.ok(second.log.includes('## Round 2'));
+      assert.ok(second.log.includes('## Summary'));
+      const messages = mockOpenAIProvider.chatCompletion.mock.calls[1].arguments[0].messages;
+      assert.ok(messages.at(-1).content.includes('Additional instruction from the user: We are on Ubuntu 22.04'));
+    });
+
+    it('should finish a paused session on request without more rounds', async () => {
+      const first = await persistentService.startSession({
+        topic: 'AI Ethics',
+        model1: 'gpt-4',
+        model2: 'gemini-1.5-pro',
+        rounds: 3,
+        pauseAfterEachRound: true
+      });
+
+      const finished = await persistentService.resumeSession({ sessionId: first.session.id, finish: true });
+
+      assert.strictEqual(finished.session.paused, false);
+      assert.ok(!finished.log.includes('## Round'));
+      assert.ok(finished.log.includes('over 1 round(s)'));
+      assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.callCount(), 1);
+    });
+
+    it('should resume the planned rounds of a session cut short by an error', async () => {
+      mockGeminiProvider.chatCompletion.mock.mockImplementationOnce(async () => {
+        throw new Error('Gemini API Error');
+      });
+
+      const first = await persistentService.startSession({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', rounds: 2 });
+      const resumed = await persistentService.resumeSession({ sessionId: first.session.id });
+
+      assert.ok(resumed.log.includes('## Round 1'));
+      assert.ok(resumed.log.includes('## Round 2'));
+      assert.strictEqual(resumed.session.rounds, 2);
+    });
+
+    it('should require a store to pause between rounds', async () => {
+      await assert.rejects(
+        service.conductWallBounce({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', pauseAfterEachRound: true }),
+        /Pausing between rounds requires session persistence/
+      );
+      await assert.rejects(
+        service.conductWallBounce({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', pauseAfterEachRound: true, language: 'ja' }),
+        /ラウンドごとの一時停止にはセッションの保存が必要です/
+      );
+    });
+
+    it('should fork a session with a different model, persona, temperature and instruction', async () => {
+      const original = await persistentService.startSession({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', rounds: 3 });
+      const sourceId = original.session.id;
+
+      const fork = await persistentService.forkSession({
+        sessionId: sourceId,
+        round: 1,
+        participantChanges: [{ participant: 2, model: 'gpt-4o', persona: 'devils_advocate' }],
+        temperature: 0.2,
+        instruction: 'Focus on the networking angle'
+      });
+
+      assert.notStrictEqual(fork.session.id, sourceId);
+      assert.ok(fork.log.includes(`> Forked from session \`${sourceId}\` after round 1.`));
+      assert.ok(fork.log.includes('> User instruction: Focus on the networking angle'));
+      assert.ok(!fork.log.includes('## Round 1'));
+      assert.ok(fork.log.includes('## Round 2'));
+      assert.ok(fork.log.includes('## Round 3'));
+      assert.ok(fork.log.includes("### gpt-4o (Devil's advocate):"));
+      assert.strictEqual(sessionIdOf(fork.log), fork.session.id);
+
+      // Round 1 is reused, not run again; the new rounds go to gpt-4 and gpt-4o
+      assert.strictEqual(mockGeminiProvider.chatCompletion.mock.callCount(), 3);
+      const calls = mockOpenAIProvider.chatCompletion.mock.calls.slice(3).map(call => call.arguments[0]);
+      assert.deepStrictEqual(calls.map(call => call.model), ['gpt-4', 'gpt-4o', 'gpt-4', 'gpt-4o']);
+      assert.ok(calls.every(call => call.temperature === 0.2));
+
+      // Earlier statements keep the label they were made under
+      assert.ok(calls[0].messages.at(-1).content.includes('gemini-1.5-pro:\nGemini turn 1'));
+      assert.ok(calls[0].messages.at(-1).content.includes('Additional instruction from the user: Focus on the networking angle'));
+      assert.deepStrictEqual(calls[1].messages.map(message => message.role), ['user', 'assistant', 'user']);
+      assert.strictEqual(calls[1].messages[1].content, 'Gemini turn 1');
+
+      const record = await store.load(fork.session.id);
+      assert.deepStrictEqual(record.forkedFrom, { sessionId: sourceId, round: 1 });
+      assert.strictEqual(record.rounds, 3);
+      assert.deepStrictEqual(record.turns.filter(turn => !turn.instruction).map(turn => turn.label), [
+        'gpt-4', 'gemini-1.5-pro', 'gpt-4', "gpt-4o (Devil's advocate)", 'gpt-4', "gpt-4o (Devil's advocate)"
+      ]);
+
+      // The original session is left untouched
+      const source = await store.load(sourceId);
+      assert.strictEqual(source.rounds, 3);
+      assert.strictEqual(source.turns.length, 6);
+      assert.strictEqual(source.participants[1].model, 'gemini-1.5-pro');
+    });
+
+    it('should leave out instructions given after the fork round', async () => {
+      const first = await persistentService.startSession({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', rounds: 1 });
+      await persistentService.resumeSession({ sessionId: first.session.id, instruction: 'Focus on data retention' });
+
+      const fork = await persistentService.forkSession({ sessionId: first.session.id, round: 1 });
+
+      assert.strictEqual(fork.session.maxRounds, 2);
+      assert.ok(!fork.session.turns.some(turn => turn.instruction));
+      const messages = mockOpenAIProvider.chatCompletion.mock.calls.at(-1).arguments[0].messages;
+      assert.ok(!messages.at(-1).content.includes('Focus on data retention'));
+    });
+
+    it('should reject invalid fork points and participant changes', async () => {
+      const first = await persistentService.startSession({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', rounds: 2 });
+      const sessionId = first.session.id;
+
+      await assert.rejects(
+        persistentService.forkSession({ sessionId, round: 3 }),
+        /Round must be a number between 1 and 2/
+      );
+      await assert.rejects(
+        persistentService.forkSession({ sessionId, round: 1, participantChanges: [{ participant: 3, model: 'gpt-4o' }] }),
+        /Participant must be a number between 1 and 2/
+      );
+      await assert.rejects(
+        persistentService.forkSession({ sessionId, round: 1, participantChanges: [{ participant: 1, model: 'unknown-model' }] }),
+        /unknown-model/
+      );
+      await assert.rejects(
+        service.forkSession({ sessionId, round: 1 }),
+        /Wall bounce sessions are not persisted on this server/
+      );
+    });
+
+    it('should reject an invalid fork point in the session language', async () => {
+      const first = await persistentService.startSession({ topic: 'AI Ethics', model1: 'gpt-4', model2: 'gemini-1.5-pro', rounds: 2, language: 'de' });
+
+      await assert.rejects(
+        persistentService.forkSession({ sessionId: first.session.id, round: 0 }),
+        /Die Runde muss eine Zahl zwischen 1 und 2 sein/
+      );
+    });
+
+    it('should reject continuing without a store or with an unknown session', async () => {
+      await assert.rejects(
+        service.continueWallBounce({ sessionId: store.createId() }),
+        /Wall bounce sessions are not persisted on this server/
+      );
+      await assert.rejects(
+        persistentService.continueWallBounce({ sessionId: store.createId() }),
+        /Wall bounce session not found/
+      );
+    });
+  });
+});
+describe('createWallBounceService', () => {
+  it('should configure the session directory and compaction from the environment', () => {
+    const registry = new ProviderRegistry();
+    const service = createWallBounceService(registry, {
+      WALL_BOUNCE_SESSION_DIR: '/tmp/wall-bounce-sessions',
+      CONTEXT_COMPACTION: 'drop',
+      COMPACTION_MODEL: 'gpt-4.1-mini'
+    });
+
+    assert.strictEqual(service.providerRegistry, registry);
+    assert.strictEqual(service.sessionStore.directory, path.resolve('/tmp/wall-bounce-sessions'));
+    assert.strictEqual(service.compaction, 'drop');
+    assert.strictEqual(service.compactionModel, 'gpt-4.1-mini');
+  });
+
+  it('should default to summarizing with gpt-4o-mini and reject unknown strategies', () => {
+    const service = createWallBounceService(new ProviderRegistry(), {});
+
+    assert.strictEqual(service.sessionStore.directory, path.resolve('data/sessions'));
+    assert.strictEqual(service.compaction, 'summarize');
+    assert.strictEqual(service.compactionModel, 'gpt-4o-mini');
+    assert.throws(() => createWallBounceService(new ProviderRegistry(), { CONTEXT_COMPACTION: 'truncate' }), /Compaction must be one of/);
+  });
+});
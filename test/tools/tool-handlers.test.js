@@ -5,16 +5,24 @@
 import { describe, it, mock, beforeEach } from 'node:test';
 import assert from 'node:assert';
 import { ToolHandlers } from '../../src/tools/tool-handlers.js';
+import { ProviderRegistry } from '../../src/providers/provider-registry.js';
+import { BudgetTracker } from '../../src/services/budget-tracker.js';
 
 describe('ToolHandlers', () => {
   let handlers;
   let mockOpenAIProvider;
   let mockGeminiProvider;
   let mockWallBounceService;
+  let registry;
 
   beforeEach(() => {
     // Mock OpenAI provider
     mockOpenAIProvider = {
+      id: 'openai',
+      displayName: 'OpenAI',
+      configHint: 'OPENAI_API_KEY',
+      capabilities: ['chat', 'list-models'],
+      modelPatterns: [/^gpt-/],
       isAvailable: mock.fn(() => true),
       chatCompletion: mock.fn(),
       listModels: mock.fn()
@@ -22,6 +30,11 @@ describe('ToolHandlers', () => {
 
     // Mock Gemini provider
     mockGeminiProvider = {
+      id: 'gemini',
+      displayName: 'Gemini',
+      configHint: 'GOOGLE_API_KEY',
+      capabilities: ['chat', 'list-models'],
+      modelPatterns: [/^gemini-/],
       isAvailable: mock.fn(() => true),
       chatCompletion: mock.fn(),
       listModels: mock.fn()
@@ -32,18 +45,17 @@ describe('ToolHandlers', () => {
       conductWallBounce: mock.fn()
     };
 
-    handlers = new ToolHandlers(
-      mockOpenAIProvider,
-      mockGeminiProvider,
-      mockWallBounceService
-    );
+    registry = new ProviderRegistry()
+      .register(mockOpenAIProvider)
+      .register(mockGeminiProvider);
+
+    handlers = new ToolHandlers(registry, mockWallBounceService);
   });
 
   describe('constructor', () => {
     it('should initialize with all dependencies', () => {
       assert.ok(handlers);
-      assert.strictEqual(handlers.openaiProvider, mockOpenAIProvider);
-      assert.strictEqual(handlers.geminiProvider, mockGeminiProvider);
+      assert.strictEqual(handlers.providerRegistry, registry);
       assert.strictEqual(handlers.wallBounceService, mockWallBounceService);
     });
   });
@@ -116,6 +128,84 @@ describe('ToolHandlers', () => {
         await handlers.handleChatWithGPT(args);
       }, /OpenAI API Error/);
     });
+    it('should resolve the provider from the requested model name', async () => {
+      const localProvider = {
+        id: 'local',
+        displayName: 'Local',
+        configHint: 'LOCAL_LLM_BASE_URL',
+        capabilities: ['chat'],
+        models: ['llama3'],
+        modelPatterns: [],
+        isAvailable: mock.fn(() => true),
+        chatCompletion: mock.fn(async () => 'Local response')
+      };
+      registry.register(localProvider);
+
+      const result = await handlers.handleChatWithGPT({
+        model: 'llama3',
+        messages: [{ role: 'user', content: 'Hello' }]
+      });
+
+      assert.ok(result.content[0].text.includes('Local response'));
+      assert.strictEqual(localProvider.chatCompletion.mock.callCount(), 1);
+      assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.callCount(), 0);
+    });
+
+    it('should state which model answered when a fallback took over', async () => {
+      registry.setFallbacks({ 'gpt-5': ['gemini-2.0-flash-001'] });
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => {
+        throw Object.assign(new Error('Model not found'), { status: 404 });
+      });
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => 'Gemini response');
+
+      const result = await handlers.handleChatWithGPT({ model: 'gpt-5', messages: [{ role: 'user', content: 'Hello' }] });
+
+      assert.strictEqual(result.content[0].text, '**Model:** gemini-2.0-flash-001 (fallback for gpt-5)\n**Response:** Gemini response');
+    });
+
+    it('should report the tokens used and their estimated cost', async () => {
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async (params) => {
+        params.onUsage({ promptTokens: 1000, completionTokens: 234 });
+        return 'GPT response';
+      });
+
+      const result = await handlers.handleChatWithGPT({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Hello' }] });
+
+      assert.strictEqual(result.content[0].text, [
+        '**Model:** gpt-4o',
+        '**Response:** GPT response',
+        '',
+        '**Usage:** 1,234 tokens (1,000 prompt + 234 completion), est. $0.0048'
+      ].join('\n'));
+    });
+
+    it('should refuse once the client\'s budget is used up', async () => {
+      const budgetTracker = new BudgetTracker({ limits: { daily: { tokens: 1000 } } });
+      handlers = new ToolHandlers(registry, mockWallBounceService, { budgetTracker });
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async (params) => {
+        params.onUsage({ promptTokens: 900, completionTokens: 100 });
+        return 'GPT response';
+      });
+      const args = { model: 'gpt-4o', messages: [{ role: 'user', content: 'Hello' }] };
+
+      await handlers.handleToolCall('chat_with_gpt', args, { clientId: 'mcp:desktop' });
+      await assert.rejects(handlers.handleToolCall('chat_with_gpt', args, { clientId: 'mcp:desktop' }), {
+        name: 'BudgetExceededError',
+        message: /The daily budget of 1,000 tokens for mcp:desktop is used up/
+      });
+      await handlers.handleToolCall('chat_with_gpt', args, { clientId: 'mcp:other' });
+
+      assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.callCount(), 2);
+    });
+
+    it('should reject models without a registered provider', async () => {
+      await assert.rejects(async () => {
+        await handlers.handleChatWithGPT({
+          model: 'unknown-model',
+          messages: [{ role: 'user', content: 'Hello' }]
+        });
+      }, /No provider registered for model: unknown-model/);
+    });
   });
 
   describe('handleChatWithGemini', () => {
@@ -158,6 +248,23 @@ describe('ToolHandlers', () => {
       assert.strictEqual(callArgs.model, 'gemini-2.0-flash-001');
     });
 
+    it('should keep the response length when a fallback of another provider takes over', async () => {
+      registry.setFallbacks({ 'gemini-2.5-pro': ['gpt-4o'] });
+      mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => {
+        throw Object.assign(new Error('Model not found'), { status: 404 });
+      });
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => 'GPT response');
+
+      const result = await handlers.handleChatWithGemini({
+        model: 'gemini-2.5-pro',
+        messages: [{ role: 'user', content: 'Hello' }],
+        max_output_tokens: 600
+      });
+
+      assert.ok(result.content[0].text.includes('gpt-4o (fallback for gemini-2.5-pro)'));
+      assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.calls[0].arguments[0].maxTokens, 600);
+    });
+
     it('should handle provider errors', async () => {
       mockGeminiProvider.chatCompletion.mock.mockImplementation(async () => {
         throw new Error('Gemini API Error');
@@ -173,6 +280,64 @@ describe('ToolHandlers', () => {
     });
   });
 
+  describe('handleChatWithClaude', () => {
+    let mockAnthropicProvider;
+
+    beforeEach(() => {
+      mockAnthropicProvider = {
+        id: 'anthropic',
+        displayName: 'Anthropic',
+        configHint: 'ANTHROPIC_API_KEY',
+        capabilities: ['chat', 'list-models'],
+        modelPatterns: [/^claude-/],
+        isAvailable: mock.fn(() => true),
+        chatCompletion: mock.fn(async () => 'Claude response')
+      };
+      registry.register(mockAnthropicProvider);
+    });
+
+    it('should handle chat with Claude request', async () => {
+      const args = {
+        model: 'claude-opus-4-1',
+        messages: [
+          { role: 'system', content: 'You are a support engineer' },
+          { role: 'user', content: 'Hello' }
+        ],
+        temperature: 0.5,
+        max_tokens: 800
+      };
+
+      const result = await handlers.handleChatWithClaude(args);
+
+      assert.strictEqual(result.content[0].type, 'text');
+      assert.ok(result.content[0].text.includes('Claude response'));
+      assert.ok(result.content[0].text.includes('claude-opus-4-1'));
+
+      const callArgs = mockAnthropicProvider.chatCompletion.mock.calls[0].arguments[0];
+      assert.strictEqual(callArgs.model, 'claude-opus-4-1');
+      assert.strictEqual(callArgs.messages, args.messages);
+      assert.strictEqual(callArgs.temperature, 0.5);
+      assert.strictEqual(callArgs.maxTokens, 800);
+    });
+
+    it('should use default Claude model', async () => {
+      delete process.env.CLAUDE_MODEL;
+
+      await handlers.handleChatWithClaude({ messages: [{ role: 'user', content: 'Hello' }] });
+
+      const callArgs = mockAnthropicProvider.chatCompletion.mock.calls[0].arguments[0];
+      assert.strictEqual(callArgs.model, 'claude-sonnet-4-5');
+    });
+
+    it('should be routed from handleToolCall', async () => {
+      const result = await handlers.handleToolCall('chat_with_claude', {
+        messages: [{ role: 'user', content: 'Hello' }]
+      });
+
+      assert.ok(result.content[0].text.includes('Claude response'));
+    });
+  });
+
   describe('handleWallBounceChat', () => {
     beforeEach(() => {
       mockWallBounceService.conductWallBounce.mock.mockImplementation(async () => 
@@ -219,6 +384,170 @@ describe('ToolHandlers', () => {
       assert.strictEqual(callArgs.temperature, 0.8);
     });
 
+    it('should pass participants and turn order through', async () => {
+      const participants = [
+        { model: 'gpt-4', persona: 'SRE on call' },
+        { model: 'gemini-1.5-pro' },
+        { model: 'gpt-4o-mini' }
+      ];
+
+      await handlers.handleWallBounceChat({ topic: 'Incident', participants, turn_order: [3, 2, 1] });
+
+      const callArgs = mockWallBounceService.conductWallBounce.mock.calls[0].arguments[0];
+      assert.strictEqual(callArgs.participants, participants);
+      assert.deepStrictEqual(callArgs.turnOrder, [3, 2, 1]);
+      assert.strictEqual(callArgs.model1, undefined);
+      assert.strictEqual(callArgs.model2, undefined);
+    });
+
+    it('should pass personas and language through for the model pair', async () => {
+      await handlers.handleWallBounceChat({
+        topic: 'Incident',
+        persona1: 'sre_on_call',
+        persona2: { name: 'DBA', system_prompt: 'You are a DBA.' },
+        language: 'en'
+      });
+
+      const callArgs = mockWallBounceService.conductWallBounce.mock.calls[0].arguments[0];
+      assert.strictEqual(callArgs.persona1, 'sre_on_call');
+      assert.deepStrictEqual(callArgs.persona2, { name: 'DBA', system_prompt: 'You are a DBA.' });
+      assert.strictEqual(callArgs.language, 'en');
+    });
+
+    it('should pass synthesis options through', async () => {
+      await handlers.handleWallBounceChat({ topic: 'Incident', synthesize: true, synthesis_model: 'gpt-4o-mini' });
+
+      const callArgs = mockWallBounceService.conductWallBounce.mock.calls[0].arguments[0];
+      assert.strictEqual(callArgs.synthesize, true);
+      assert.strictEqual(callArgs.synthesisModel, 'gpt-4o-mini');
+    });
+
+    it('should pass convergence options through', async () => {
+      await handlers.handleWallBounceChat({
+        topic: 'Incident',
+        convergence: 'judge',
+        convergence_threshold: 0.8,
+        judge_model: 'gpt-4o-mini'
+      });
+
+      const callArgs = mockWallBounceService.conductWallBounce.mock.calls[0].arguments[0];
+      assert.strictEqual(callArgs.convergence, 'judge');
+      assert.strictEqual(callArgs.convergenceThreshold, 0.8);
+      assert.strictEqual(callArgs.judgeModel, 'gpt-4o-mini');
+    });
+
+    it('should pass the pause option through', async () => {
+      await handlers.handleWallBounceChat({ topic: 'Incident', pause_after_each_round: true });
+
+      const callArgs = mockWallBounceService.conductWallBounce.mock.calls[0].arguments[0];
+      assert.strictEqual(callArgs.pauseAfterEachRound, true);
+    });
+
+    it('should pass the progress listener through', async () => {
+      const onProgress = async () => {};
+      mockWallBounceService.continueWallBounce = mock.fn(async () => 'Resumed');
+
+      await handlers.handleToolCall('wall_bounce_chat', { topic: 'Incident' }, { onProgress });
+      await handlers.handleToolCall('continue_wall_bounce', { session_id: '0b7e8a52-3c1d-4a8e-9a6e-2f4d5c6b7a81' }, { onProgress });
+
+      assert.strictEqual(mockWallBounceService.conductWallBounce.mock.calls[0].arguments[0].onProgress, onProgress);
+      assert.strictEqual(mockWallBounceService.continueWallBounce.mock.calls[0].arguments[0].onProgress, onProgress);
+    });
+
+    it('should pass the cancellation signal through', async () => {
+      const { signal } = new AbortController();
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(async () => 'GPT response');
+
+      await handlers.handleToolCall('wall_bounce_chat', { topic: 'Incident' }, { signal });
+      await handlers.handleToolCall('chat_with_gpt', { messages: [{ role: 'user', content: 'Hello' }] }, { signal });
+
+      assert.strictEqual(mockWallBounceService.conductWallBounce.mock.calls[0].arguments[0].signal, signal);
+      assert.strictEqual(mockOpenAIProvider.chatCompletion.mock.calls[0].arguments[0].signal, signal);
+    });
+
+    it('should apply the configured tool timeouts', async () => {
+      handlers = new ToolHandlers(registry, mockWallBounceService, {
+        toolTimeouts: { chat_with_gpt: 20, wall_bounce_chat: 600000 }
+      });
+      mockOpenAIProvider.chatCompletion.mock.mockImplementation(() => new Promise(() => {}));
+
+      await handlers.handleToolCall('wall_bounce_chat', { topic: 'Incident' });
+      await assert.rejects(
+        handlers.handleToolCall('chat_with_gpt', { messages: [{ role: 'user', content: 'Hello' }] }),
+        { name: 'TimeoutError', message: 'OpenAI gpt-4 did not respond within 0.02s' }
+      );
+
+      assert.strictEqual(mockWallBounceService.conductWallBounce.mock.calls[0].arguments[0].timeoutMs, 600000);
+    });
+
+    it('should pass session budgets and the client\'s budget through', async () => {
+      const budgetTracker = new BudgetTracker({ limits: { daily: { tokens: 1000 } } });
+      handlers = new ToolHandlers(registry, mockWallBounceService, { budgetTracker });
+
+      await handlers.handleToolCall('wall_bounce_chat', { topic: 'Incident', max_total_tokens: 50000, max_cost: 2 }, { clientId: 'mcp:desktop' });
+
+      const callArgs = mockWallBounceService.conductWallBounce.mock.calls[0].arguments[0];
+      assert.strictEqual(callArgs.maxTotalTokens, 50000);
+      assert.strictEqual(callArgs.maxCost, 2);
+      callArgs.onUsage({ promptTokens: 300, completionTokens: 100, cost: 0.01 });
+      assert.deepStrictEqual(callArgs.remainingBudget(), { tokens: 600, cost: Infinity });
+    });
+
+    it('should continue a session with continue_wall_bounce', async () => {
+      mockWallBounceService.continueWallBounce = mock.fn(async () => '## Round 4\n\nResumed');
+
+      const result = await handlers.handleToolCall('continue_wall_bounce', {
+        session_id: '0b7e8a52-3c1d-4a8e-9a6e-2f4d5c6b7a81',
+        instruction: 'Focus on the database'
+      });
+
+      const callArgs = mockWallBounceService.continueWallBounce.mock.calls[0].arguments[0];
+      assert.strictEqual(callArgs.sessionId, '0b7e8a52-3c1d-4a8e-9a6e-2f4d5c6b7a81');
+      assert.strictEqual(callArgs.rounds, undefined);
+      assert.strictEqual(callArgs.instruction, 'Focus on the database');
+      assert.strictEqual(result.content[0].text, '## Round 4\n\nResumed');
+    });
+
+    it('should fork a session with fork_wall_bounce', async () => {
+      mockWallBounceService.forkWallBounce = mock.fn(async () => '## Round 2\n\nForked');
+
+      const result = await handlers.handleToolCall('fork_wall_bounce', {
+        session_id: '0b7e8a52-3c1d-4a8e-9a6e-2f4d5c6b7a81',
+        round: 1,
+        participant_changes: [{ participant: 2, model: 'claude-sonnet-4-5' }],
+        temperature: 0.3,
+        instruction: 'Focus on the networking angle'
+      });
+
+      const callArgs = mockWallBounceService.forkWallBounce.mock.calls[0].arguments[0];
+      assert.strictEqual(callArgs.sessionId, '0b7e8a52-3c1d-4a8e-9a6e-2f4d5c6b7a81');
+      assert.strictEqual(callArgs.round, 1);
+      assert.deepStrictEqual(callArgs.participantChanges, [{ participant: 2, model: 'claude-sonnet-4-5' }]);
+      assert.strictEqual(callArgs.temperature, 0.3);
+      assert.strictEqual(callArgs.instruction, 'Focus on the networking angle');
+      assert.strictEqual(result.content[0].text, '## Round 2\n\nForked');
+    });
+
+    it('should bounce OpenAI against itself when Gemini is not configured', async () => {
+      mockGeminiProvider.isAvailable.mock.mockImplementation(() => false);
+
+      await handlers.handleWallBounceChat({ topic: 'Test Topic' });
+
+      const callArgs = mockWallBounceService.conductWallBounce.mock.calls[0].arguments[0];
+      assert.strictEqual(callArgs.model1, 'gpt-4');
+      assert.strictEqual(callArgs.model2, 'gpt-4');
+    });
+
+    it('should default to Gemini models when only Gemini is configured', async () => {
+      mockOpenAIProvider.isAvailable.mock.mockImplementation(() => false);
+
+      await handlers.handleWallBounceChat({ topic: 'Test Topic' });
+
+      const callArgs = mockWallBounceService.conductWallBounce.mock.calls[0].arguments[0];
+      assert.strictEqual(callArgs.model1, 'gemini-2.0-flash-001');
+      assert.strictEqual(callArgs.model2, 'gemini-2.0-flash-001');
+    });
+
     it('should handle service errors', async () => {
       mockWallBounceService.conductWallBounce.mock.mockImplementation(async () => {
         throw new Error('Wall Bounce Service Error');
@@ -251,8 +580,8 @@ describe('ToolHandlers', () => {
       assert.strictEqual(result.content[0].type, 'text');
       
       const text = result.content[0].text;
-      assert.ok(text.includes('Available OpenAI GPT models'));
-      assert.ok(text.includes('Available Google Gemini models'));
+      assert.ok(text.includes('Available OpenAI models'));
+      assert.ok(text.includes('Available Gemini models'));
       assert.ok(text.includes('gpt-4'));
       assert.ok(text.includes('gemini-2.0-flash-001'));
 
@@ -266,8 +595,8 @@ describe('ToolHandlers', () => {
       const result = await handlers.handleListModels();
 
       const text = result.content[0].text;
-      assert.ok(text.includes('Available OpenAI GPT models'));
-      assert.ok(text.includes('Available Google Gemini models'));
+      assert.ok(text.includes('Available OpenAI models'));
+      assert.ok(text.includes('Available Gemini models'));
       assert.ok(text.includes('gemini-2.0-flash-001'));
 
       assert.strictEqual(mockOpenAIProvider.listModels.mock.callCount(), 0);
@@ -280,22 +609,91 @@ describe('ToolHandlers', () => {
       const result = await handlers.handleListModels();
 
       const text = result.content[0].text;
-      assert.ok(text.includes('Available OpenAI GPT models'));
-      assert.ok(text.includes('Available Google Gemini models'));
+      assert.ok(text.includes('Available OpenAI models'));
+      assert.ok(text.includes('Available Gemini models'));
       assert.ok(text.includes('gpt-4'));
 
       assert.strictEqual(mockOpenAIProvider.listModels.mock.callCount(), 1);
       assert.strictEqual(mockGeminiProvider.listModels.mock.callCount(), 1);
     });
 
-    it('should handle OpenAI API errors', async () => {
+    it('should list models of every registered provider', async () => {
+      registry.register({
+        id: 'local',
+        displayName: 'Local',
+        configHint: 'LOCAL_LLM_BASE_URL',
+        capabilities: ['chat', 'list-models'],
+        modelPatterns: [],
+        isAvailable: mock.fn(() => true),
+        listModels: mock.fn(async () => ['llama3'])
+      });
+
+      const result = await handlers.handleListModels();
+
+      const text = result.content[0].text;
+      assert.ok(text.includes('Available Local models'));
+      assert.ok(text.includes('llama3'));
+    });
+
+    it('should describe catalogued models with their capabilities', async () => {
+      mockOpenAIProvider.listModels.mock.mockImplementation(async () => ['gpt-5', 'gpt-4']);
+
+      const text = (await handlers.handleListModels()).content[0].text;
+
+      assert.ok(text.includes('- gpt-5 (context 400,000, output 128,000, temperature fixed at 1, reasoning, vision)'));
+      assert.ok(text.includes('- gpt-4 (context 8,192, output 8,192)'));
+    });
+
+    it('should note deprecated models and their replacement', async () => {
+      const text = (await handlers.handleListModels()).content[0].text;
+
+      assert.ok(text.includes('- gemini-2.0-flash-001 (context 1,048,576, output 8,192, vision; deprecated; use gemini-2.5-flash instead)'));
+    });
+
+    it('should show uncatalogued models by name only', async () => {
+      mockOpenAIProvider.listModels.mock.mockImplementation(async () => ['ft:gpt-custom']);
+
+      const text = (await handlers.handleListModels()).content[0].text;
+
+      assert.match(text, /^- ft:gpt-custom$/m);
+    });
+
+    it('should report which providers are reachable', async () => {
+      mockOpenAIProvider.isAvailable.mock.mockImplementation(() => false);
+
+      const text = (await handlers.handleListModels()).content[0].text;
+
+      assert.ok(text.includes('**Available OpenAI models** (not configured, set OPENAI_API_KEY):'));
+      assert.ok(text.includes('**Available Gemini models** (reachable):'));
+    });
+
+    it('should report providers whose API fails as unreachable', async () => {
       mockOpenAIProvider.listModels.mock.mockImplementation(async () => {
         throw new Error('OpenAI List Models Error');
       });
 
-      await assert.rejects(async () => {
-        await handlers.handleListModels();
-      }, /OpenAI List Models Error/);
+      const text = (await handlers.handleListModels()).content[0].text;
+
+      assert.ok(text.includes('**Available OpenAI models** (unreachable (OpenAI List Models Error)):'));
+      assert.ok(text.includes('gemini-2.0-flash-001'));
+    });
+
+    it('should report providers listing catalogued models instead of their API', async () => {
+      mockGeminiProvider.modelListError = Object.assign(new Error('503 status code'), { status: 503 });
+
+      const text = (await handlers.handleListModels()).content[0].text;
+
+      assert.ok(text.includes('**Available Gemini models** (unreachable (HTTP 503), showing catalogued models):'));
+      assert.ok(text.includes('gemini-2.0-flash-001'));
+    });
+
+    it('should describe uncatalogued models with the limits their provider reported', async () => {
+      mockGeminiProvider.listModels.mock.mockImplementation(async () => ['gemini-exp-1206']);
+      mockGeminiProvider.getDiscoveredModel = mock.fn(() => ({ contextWindow: 2097152, maxOutputTokens: 8192, reasoning: false }));
+
+      const text = (await handlers.handleListModels()).content[0].text;
+
+      assert.ok(text.includes('- gemini-exp-1206 (context 2,097,152, output 8,192)'));
     });
   });
 
@@ -0,0 +1,121 @@
+/**
+ * Tests for cancellation utilities
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  CancelledError,
+  TimeoutError,
+  Deadline,
+  throwIfCancelled,
+  raceCancellation
+} from '../../src/utils/cancellation.js';
+
+describe('Cancellation Utils', () => {
+  describe('throwIfCancelled', () => {
+    it('should only throw once the signal is aborted', () => {
+      const controller = new AbortController();
+
+      throwIfCancelled(undefined);
+      throwIfCancelled(controller.signal);
+      controller.abort();
+
+      assert.throws(() => throwIfCancelled(controller.signal), CancelledError);
+    });
+  });
+
+  describe('raceCancellation', () => {
+    it('should settle with the operation when not aborted', async () => {
+      const controller = new AbortController();
+
+      assert.strictEqual(await raceCancellation(Promise.resolve('done'), controller.signal), 'done');
+      assert.strictEqual(await raceCancellation(Promise.resolve('done')), 'done');
+      await assert.rejects(raceCancellation(Promise.reject(new Error('API Error')), controller.signal), /API Error/);
+    });
+
+    it('should reject as soon as the signal is aborted', async () => {
+      const controller = new AbortController();
+      const pending = raceCancellation(new Promise(() => {}), controller.signal);
+
+      controller.abort();
+
+      await assert.rejects(pending, { name: 'CancelledError', message: 'Operation cancelled' });
+    });
+
+    it('should reject right away when the signal is already aborted', async () => {
+      await assert.rejects(raceCancellation(Promise.resolve('done'), AbortSignal.abort()), CancelledError);
+    });
+  });
+
+  describe('Deadline', () => {
+    it('should settle with the operation within the timeout', async () => {
+      const deadline = new Deadline('OpenAI gpt-4o', 1000);
+
+      assert.strictEqual(await deadline.guard(Promise.resolve('done')), 'done');
+      await assert.rejects(deadline.guard(Promise.reject(new Error('API Error'))), /API Error/);
+      deadline.clear();
+    });
+
+    it('should abort its signal and reject once the timeout elapses', async () => {
+      const deadline = new Deadline('OpenAI gpt-4o', 20);
+
+      await assert.rejects(deadline.guard(new Promise(() => {})), (error) => {
+        assert.ok(error instanceof TimeoutError);
+        assert.strictEqual(error.message, 'OpenAI gpt-4o did not respond within 0.02s');
+        assert.strictEqual(error.timeoutMs, 20);
+        return true;
+      });
+      assert.strictEqual(deadline.signal.aborted, true);
+      deadline.clear();
+    });
+
+    it('should report what a call threw on abort as a timeout', async () => {
+      const deadline = new Deadline('Gemini gemini-2.5-pro', 20);
+      const call = new Promise((resolve, reject) => {
+        deadline.signal.addEventListener('abort', () => reject(new Error('Request was aborted.')));
+      });
+
+      await assert.rejects(deadline.guard(call), TimeoutError);
+      assert.strictEqual(deadline.wrap(new CancelledError()).name, 'TimeoutError');
+      deadline.clear();
+    });
+
+    it('should follow the caller\'s signal without turning cancellation into a timeout', async () => {
+      const controller = new AbortController();
+      const deadline = new Deadline('OpenAI gpt-4o', 1000, controller.signal);
+
+      controller.abort();
+
+      assert.strictEqual(deadline.signal.aborted, true);
+      const error = new Error('Request was aborted.');
+      assert.strictEqual(deadline.wrap(error), error);
+      deadline.clear();
+    });
+
+    it('should use the caller\'s signal when there is no limit', () => {
+      const { signal } = new AbortController();
+      const deadline = new Deadline('OpenAI gpt-4o', 0, signal);
+
+      assert.strictEqual(deadline.signal, signal);
+      deadline.clear();
+    });
+
+    it('should time out a stream that stops sending', async () => {
+      const deadline = new Deadline('Anthropic claude-sonnet-4-5', 20);
+      const stalled = async function* () {
+        yield 'Hel';
+        await new Promise(() => {});
+      };
+      const deltas = [];
+
+      await assert.rejects(async () => {
+        for await (const delta of deadline.guardStream(stalled())) {
+          deltas.push(delta);
+        }
+      }, TimeoutError);
+      assert.deepStrictEqual(deltas, ['Hel']);
+      deadline.clear();
+    });
+  });
+});
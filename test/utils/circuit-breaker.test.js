@@ -0,0 +1,149 @@
+/**
+ * Tests for the circuit breaker
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import {
+  CircuitBreaker,
+  CircuitOpenError,
+  readCircuitBreakerOptions
+} from '../../src/utils/circuit-breaker.js';
+
+const apiError = (status) => Object.assign(new Error(`${status} status code`), { status });
+
+describe('Circuit Breaker', () => {
+  let clock;
+  let breaker;
+
+  const fail = (error) => breaker.run(async () => {
+    throw error;
+  });
+
+  beforeEach(() => {
+    clock = 0;
+    breaker = new CircuitBreaker('OpenAI gpt-4o', { failureThreshold: 3, resetTimeoutMs: 1000, now: () => clock });
+  });
+
+  describe('run', () => {
+    it('should pass results through and stay closed', async () => {
+      assert.strictEqual(await breaker.run(async () => 'ok'), 'ok');
+      assert.strictEqual(breaker.getState(), 'closed');
+    });
+
+    it('should open after a run of failures and fail fast', async () => {
+      for (let i = 0; i < 3; i++) {
+        await assert.rejects(fail(apiError(503)), /503 status code/);
+      }
+
+      let called = false;
+      await assert.rejects(breaker.run(async () => {
+        called = true;
+      }), (error) => {
+        assert.ok(error instanceof CircuitOpenError);
+        assert.strictEqual(error.retryAt, 1000);
+        assert.match(error.message, /OpenAI gpt-4o is failing repeatedly/);
+        return true;
+      });
+      assert.strictEqual(called, false);
+    });
+
+    it('should reset the failure count after a success', async () => {
+      await assert.rejects(fail(apiError(503)));
+      await assert.rejects(fail(apiError(503)));
+      await breaker.run(async () => 'ok');
+      await assert.rejects(fail(apiError(503)));
+
+      assert.strictEqual(breaker.getState(), 'closed');
+      assert.strictEqual(breaker.consecutiveFailures, 1);
+    });
+
+    it('should not count invalid requests or cancelled calls', async () => {
+      const cancelled = Object.assign(new Error('Request was cancelled'), { name: 'CancelledError' });
+      for (const error of [apiError(400), apiError(422), cancelled, new Error('Unexpected token')]) {
+        await assert.rejects(fail(error));
+      }
+
+      assert.strictEqual(breaker.consecutiveFailures, 0);
+    });
+
+    it('should count dropped connections and authentication failures', async () => {
+      await assert.rejects(fail(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })));
+      await assert.rejects(fail(apiError(401)));
+
+      assert.strictEqual(breaker.consecutiveFailures, 2);
+    });
+
+    it('should never open with a threshold of 0', async () => {
+      breaker = new CircuitBreaker('OpenAI gpt-4o', { failureThreshold: 0 });
+      for (let i = 0; i < 10; i++) {
+        await assert.rejects(fail(apiError(503)));
+      }
+
+      assert.strictEqual(breaker.getState(), 'closed');
+    });
+  });
+
+  describe('half-open', () => {
+    beforeEach(async () => {
+      for (let i = 0; i < 3; i++) {
+        await assert.rejects(fail(apiError(503)));
+      }
+      clock = 1000;
+    });
+
+    it('should let a single probe through once the reset timeout has passed', async () => {
+      assert.strictEqual(breaker.getState(), 'half-open');
+
+      breaker.acquire();
+      assert.throws(() => breaker.acquire(), CircuitOpenError);
+
+      breaker.recordSuccess();
+      assert.strictEqual(breaker.getState(), 'closed');
+      assert.strictEqual(breaker.consecutiveFailures, 0);
+    });
+
+    it('should open again when the probe fails', async () => {
+      await assert.rejects(fail(apiError(503)), /503 status code/);
+
+      assert.strictEqual(breaker.getState(), 'open');
+      await assert.rejects(breaker.run(async () => 'ok'), CircuitOpenError);
+    });
+
+    it('should allow another probe after a probe ended without a verdict', () => {
+      breaker.acquire();
+      breaker.release();
+
+      assert.doesNotThrow(() => breaker.acquire());
+    });
+  });
+
+  describe('getStatus', () => {
+    it('should report state, last error and timestamps', async () => {
+      clock = 500;
+      await breaker.run(async () => 'ok');
+      for (let i = 0; i < 3; i++) {
+        await assert.rejects(fail(apiError(429)));
+      }
+
+      assert.deepStrictEqual(breaker.getStatus(), {
+        state: 'open',
+        consecutiveFailures: 3,
+        lastError: 'HTTP 429',
+        lastFailureAt: '1970-01-01T00:00:00.500Z',
+        lastSuccessAt: '1970-01-01T00:00:00.500Z',
+        retryAt: '1970-01-01T00:00:01.500Z'
+      });
+    });
+  });
+
+  describe('readCircuitBreakerOptions', () => {
+    it('should read and clamp CIRCUIT_* variables', () => {
+      assert.deepStrictEqual(readCircuitBreakerOptions({}), { failureThreshold: 5, resetTimeoutMs: 30000 });
+      assert.deepStrictEqual(
+        readCircuitBreakerOptions({ CIRCUIT_FAILURE_THRESHOLD: '0', CIRCUIT_RESET_TIMEOUT_MS: '10' }),
+        { failureThreshold: 0, resetTimeoutMs: 1000 }
+      );
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for configuration utilities
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadJsonConfig, parseList, parseNumber, validateTimeouts } from '../../src/utils/config.js';
+
+describe('Config Utils', () => {
+  describe('loadJsonConfig', () => {
+    it('should return default for missing values', () => {
+      assert.deepStrictEqual(loadJsonConfig(undefined, { a: 1 }), { a: 1 });
+      assert.deepStrictEqual(loadJsonConfig('   ', []), []);
+    });
+
+    it('should parse inline JSON', () => {
+      assert.deepStrictEqual(loadJsonConfig('{"a": 1}', null), { a: 1 });
+      assert.deepStrictEqual(loadJsonConfig(' [1, 2] ', null), [1, 2]);
+    });
+
+    it('should read JSON files', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wall-bounce-config-'));
+      const file = path.join(dir, 'config.json');
+      fs.writeFileSync(file, '{"providers": []}');
+
+      try {
+        assert.deepStrictEqual(loadJsonConfig(file, null), { providers: [] });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should throw on invalid JSON', () => {
+      assert.throws(() => loadJsonConfig('{invalid', null), /Invalid configuration in inline JSON/);
+    });
+
+    it('should throw on unreadable files', () => {
+      assert.throws(() => loadJsonConfig('/nonexistent/config.json', null), /Invalid configuration in \/nonexistent\/config.json/);
+    });
+  });
+
+  describe('parseList', () => {
+    it('should split and trim comma-separated values', () => {
+      assert.deepStrictEqual(parseList(' a, b ,,c '), ['a', 'b', 'c']);
+    });
+
+    it('should return empty array for missing values', () => {
+      assert.deepStrictEqual(parseList(undefined), []);
+      assert.deepStrictEqual(parseList(''), []);
+    });
+  });
+
+  describe('parseNumber', () => {
+    it('should parse and clamp numbers', () => {
+      assert.strictEqual(parseNumber('250', 0, 1000, 5), 250);
+      assert.strictEqual(parseNumber('-1', 0, 1000, 5), 0);
+      assert.strictEqual(parseNumber('5000', 0, 1000, 5), 1000);
+    });
+
+    it('should return default for missing or non-numeric values', () => {
+      assert.strictEqual(parseNumber(undefined, 0, 1000, 5), 5);
+      assert.strictEqual(parseNumber(' ', 0, 1000, 5), 5);
+      assert.strictEqual(parseNumber('soon', 0, 1000, 5), 5);
+    });
+  });
+
+  describe('validateTimeouts', () => {
+    it('should accept positive timeouts', () => {
+      const timeouts = { 'gpt-5': 600000, 'gemini-2.5-pro': 120000 };
+
+      assert.strictEqual(validateTimeouts(timeouts, 'model'), timeouts);
+    });
+
+    it('should reject malformed tables and timeouts', () => {
+      assert.throws(() => validateTimeouts([], 'tool'), /Timeouts must be an object mapping tool names to milliseconds/);
+      assert.throws(() => validateTimeouts({ 'gpt-5': '600000' }, 'model'), /Invalid timeout for gpt-5/);
+      assert.throws(() => validateTimeouts({ 'gpt-5': 0 }, 'model'), /Invalid timeout for gpt-5/);
+    });
+  });
+});
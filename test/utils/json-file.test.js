@@ -0,0 +1,43 @@
+/**
+ * Tests for JSON file utilities
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { writeJsonFile } from '../../src/utils/json-file.js';
+
+describe('JSON File Utils', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wall-bounce-json-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('writeJsonFile', () => {
+    it('should write JSON, creating the directory on demand', async () => {
+      const file = path.join(tempDir, 'nested', 'data.json');
+
+      await writeJsonFile(file, { a: 1 });
+
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { a: 1 });
+      assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['data.json']);
+    });
+
+    it('should keep concurrent writes of one file from sharing a temporary file', async () => {
+      const file = path.join(tempDir, 'data.json');
+      const padding = 'x'.repeat(100000);
+
+      await Promise.all([writeJsonFile(file, { version: 1, padding }), writeJsonFile(file, { version: 2, padding })]);
+
+      assert.ok([1, 2].includes(JSON.parse(fs.readFileSync(file, 'utf8')).version));
+      assert.deepStrictEqual(fs.readdirSync(tempDir), ['data.json']);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Tests for the model capability catalogue and token estimation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  ModelCapabilities,
+  DEFAULT_CONTEXT_WINDOW,
+  createModelCapabilities,
+  estimateTokens,
+  findModelEntry
+} from '../../src/utils/model-capabilities.js';
+
+describe('Model Capabilities', () => {
+  describe('ModelCapabilities', () => {
+    const capabilities = new ModelCapabilities({
+      'gpt-4': { contextWindow: 8192 },
+      'gpt-4o': { contextWindow: 128000 }
+    });
+
+    it('should match models exactly or by their longest prefix', () => {
+      assert.strictEqual(capabilities.getContextWindow('gpt-4'), 8192);
+      assert.strictEqual(capabilities.getContextWindow('gpt-4-0613'), 8192);
+      assert.strictEqual(capabilities.getContextWindow('gpt-4o-2024-08-06'), 128000);
+      assert.strictEqual(capabilities.get('llama3'), null);
+    });
+
+    it('should assume the default context window for unlisted models', () => {
+      assert.strictEqual(capabilities.getContextWindow('llama3'), DEFAULT_CONTEXT_WINDOW);
+      assert.strictEqual(new ModelCapabilities({}, { defaultContextWindow: 32768 }).getContextWindow('llama3'), 32768);
+    });
+
+    it('should list the default model families', () => {
+      const defaults = new ModelCapabilities();
+
+      for (const model of ['gpt-5', 'gemini-2.5-flash', 'claude-sonnet-4-5', 'o3-mini']) {
+        assert.ok(defaults.get(model), model);
+      }
+    });
+
+    it('should not take point releases for their base model', () => {
+      const defaults = new ModelCapabilities();
+
+      assert.strictEqual(defaults.get('gpt-5.1').maxTokensParam, 'max_completion_tokens');
+      assert.strictEqual(defaults.getContextWindow('gpt-4.5-preview'), 128000);
+    });
+  });
+
+  describe('parameter adaptation', () => {
+    const catalogue = new ModelCapabilities();
+    const range = { min: 0, max: 2 };
+
+    it('should send the fixed temperature of reasoning models', (t) => {
+      t.mock.method(console, 'error', () => {});
+
+      assert.strictEqual(catalogue.adaptTemperature('gpt-5', 0.2, range, 1.0), 1);
+      assert.strictEqual(catalogue.adaptTemperature('o3-mini', undefined, range, 0.7), 1);
+      assert.strictEqual(console.error.mock.callCount(), 1);
+    });
+
+    it('should clamp the temperature to the model range', () => {
+      assert.strictEqual(catalogue.adaptTemperature('claude-sonnet-4-5', 1.5, range, 1.0), 1);
+      assert.strictEqual(catalogue.adaptTemperature('gpt-4o', 3, range, 1.0), 2);
+      assert.strictEqual(catalogue.adaptTemperature('llama3', 5, { min: 0, max: 1.5 }, 1.0), 1.5);
+      assert.strictEqual(catalogue.adaptTemperature('gpt-4o', undefined, range, 0.8), 0.8);
+    });
+
+    it('should clamp the response length to the output limit', () => {
+      assert.strictEqual(catalogue.adaptMaxTokens('gpt-4o-2024-08-06', 100000, 4000, 2500), 16384);
+      assert.strictEqual(catalogue.adaptMaxTokens('gpt-5', 100000, 4000, 2500), 100000);
+      assert.strictEqual(catalogue.adaptMaxTokens('llama3', 100000, 4000, 2500), 4000);
+      assert.strictEqual(catalogue.adaptMaxTokens('gpt-4o', undefined, 4000, 2500), 2500);
+    });
+  });
+
+  describe('deprecation', () => {
+    const at = (date) => new ModelCapabilities(undefined, { now: () => Date.parse(date) });
+
+    it('should describe deprecated models and their replacement', () => {
+      const catalogue = at('2025-06-01');
+
+      assert.strictEqual(catalogue.describeDeprecation('gemini-2.0-flash'), 'deprecated; use gemini-2.5-flash instead');
+      assert.strictEqual(catalogue.describeDeprecation('gemini-1.5-pro-002'),
+        'deprecated, shutting down on 2025-09-24; use gemini-2.5-pro instead');
+      assert.strictEqual(catalogue.describeDeprecation('gemini-2.5-pro'), null);
+      assert.strictEqual(catalogue.describeDeprecation('llama3'), null);
+    });
+
+    it('should treat models past their shutdown date as retired', () => {
+      assert.strictEqual(at('2025-06-01').isRetired('gemini-1.5-pro'), false);
+      assert.strictEqual(at('2025-10-01').isRetired('gemini-1.5-pro'), true);
+      assert.strictEqual(at('2025-10-01').describeDeprecation('gemini-1.5-pro'),
+        'retired on 2025-09-24; use gemini-2.5-pro instead');
+    });
+
+    it('should list the models of a provider that are still served', () => {
+      assert.ok(at('2025-06-01').list('gemini').includes('gemini-1.5-pro'));
+      assert.ok(!at('2025-10-01').list('gemini').includes('gemini-1.5-pro'));
+      assert.ok(at('2025-10-01').list('anthropic').includes('claude-sonnet-4'));
+      assert.deepStrictEqual(at('2025-10-01').list('ollama'), []);
+    });
+  });
+
+  describe('findModelEntry', () => {
+    it('should match point releases by their family prefix', () => {
+      const table = { 'gpt-5': 'gpt-5', 'gpt-4': 'gpt-4', 'gpt-4.1': 'gpt-4.1' };
+
+      assert.strictEqual(findModelEntry(table, 'gpt-5.1'), 'gpt-5');
+      assert.strictEqual(findModelEntry(table, 'gpt-5.1-mini'), 'gpt-5');
+      assert.strictEqual(findModelEntry(table, 'gpt-4.1-nano'), 'gpt-4.1');
+      assert.strictEqual(findModelEntry(table, 'gpt-50'), null);
+    });
+
+    it('should not match inherited object properties', () => {
+      assert.strictEqual(findModelEntry({}, 'constructor'), null);
+    });
+  });
+
+  describe('estimateTokens', () => {
+    it('should count about four Latin characters per token', () => {
+      assert.strictEqual(estimateTokens('x'.repeat(400)), 100);
+      assert.strictEqual(estimateTokens('Hello'), 2);
+    });
+
+    it('should count one token per Japanese character', () => {
+      assert.strictEqual(estimateTokens('メモリ不足'), 5);
+      assert.strictEqual(estimateTokens('Redis のメモリ'), 6);
+    });
+
+    it('should count nothing for missing text', () => {
+      assert.strictEqual(estimateTokens(''), 0);
+      assert.strictEqual(estimateTokens(undefined), 0);
+    });
+  });
+
+  describe('createModelCapabilities', () => {
+    it('should read context windows from MODEL_CAPABILITIES and DEFAULT_CONTEXT_WINDOW', () => {
+      const capabilities = createModelCapabilities({
+        MODEL_CAPABILITIES: '{"llama3": {"contextWindow": 8192}, "gpt-4o": {"contextWindow": 64000}}',
+        DEFAULT_CONTEXT_WINDOW: '4096'
+      });
+
+      assert.strictEqual(capabilities.getContextWindow('llama3'), 8192);
+      assert.strictEqual(capabilities.getContextWindow('gpt-4o'), 64000);
+      assert.strictEqual(capabilities.getContextWindow('gemini-1.5-pro'), 2097152);
+      assert.strictEqual(capabilities.getContextWindow('mistral'), 4096);
+    });
+
+    it('should merge MODEL_CAPABILITIES into the defaults', () => {
+      const capabilities = createModelCapabilities({
+        MODEL_CAPABILITIES: JSON.stringify({
+          'gpt-4o': { maxOutputTokens: 4096 },
+          'gemini-2.0-flash': { deprecated: null },
+          'llama3': { provider: 'ollama', contextWindow: 8192, temperature: { min: 0, max: 1 } }
+        })
+      });
+
+      assert.strictEqual(capabilities.get('gpt-4o').maxOutputTokens, 4096);
+      assert.strictEqual(capabilities.get('gpt-4o').contextWindow, 128000);
+      assert.strictEqual(capabilities.describeDeprecation('gemini-2.0-flash'), null);
+      assert.deepStrictEqual(capabilities.list('ollama'), ['llama3']);
+    });
+
+    it('should reject invalid capabilities', () => {
+      assert.throws(() => createModelCapabilities({ MODEL_CAPABILITIES: '[]' }), /must be an object mapping model names/);
+      assert.throws(() => createModelCapabilities({ MODEL_CAPABILITIES: '{"llama3": {"maxOutputTokens": -1}}' }),
+        /Invalid maxOutputTokens for llama3/);
+      assert.throws(() => createModelCapabilities({ MODEL_CAPABILITIES: '{"llama3": {"temperature": {"min": 2, "max": 1}}}' }),
+        /Invalid temperature for llama3/);
+      assert.throws(() => createModelCapabilities({ MODEL_CAPABILITIES: '{"llama3": {"maxTokensParam": "max_output"}}' }),
+        /Invalid maxTokensParam for llama3/);
+      assert.throws(() => createModelCapabilities({ MODEL_CAPABILITIES: '{"llama3": {"deprecated": {"shutdown": "soon"}}}' }),
+        /Invalid deprecated for llama3/);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Tests for the retry policy
+ */
+
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import {
+  RetryPolicy,
+  createRetryPolicy,
+  getErrorStatus,
+  isRetryableError,
+  getRetryAfterMs,
+  describeError
+} from '../../src/utils/retry.js';
+
+const apiError = (status, fields = {}) => Object.assign(new Error(`${status} status code`), { status, ...fields });
+const geminiError = (status, body = {}) => new Error(`got status: ${status} Too Many Requests. ${JSON.stringify(body)}`);
+
+describe('Retry Utils', () => {
+  describe('RetryPolicy.run', () => {
+    it('should retry transient errors until the operation succeeds', async () => {
+      const policy = new RetryPolicy({ maxAttempts: 3, baseDelayMs: 0 });
+      const onRetry = mock.fn();
+      const operation = mock.fn(async (attempt) => {
+        if (attempt < 3) {
+          throw apiError(503);
+        }
+        return 'done';
+      });
+
+      assert.strictEqual(await policy.run(operation, { onRetry }), 'done');
+      assert.strictEqual(operation.mock.callCount(), 3);
+      assert.deepStrictEqual(onRetry.mock.calls.map(call => call.arguments[0].attempt), [1, 2]);
+    });
+
+    it('should rethrow the last error once the attempts are used up', async () => {
+      const policy = new RetryPolicy({ maxAttempts: 2, baseDelayMs: 0 });
+      const operation = mock.fn(async (attempt) => {
+        throw apiError(500 + attempt);
+      });
+
+      await assert.rejects(policy.run(operation), /502 status code/);
+      assert.strictEqual(operation.mock.callCount(), 2);
+    });
+
+    it('should not retry permanent errors', async () => {
+      const policy = new RetryPolicy({ baseDelayMs: 0 });
+      const operation = mock.fn(async () => {
+        throw apiError(400);
+      });
+
+      await assert.rejects(policy.run(operation), /400 status code/);
+      assert.strictEqual(operation.mock.callCount(), 1);
+    });
+
+    it('should stop waiting when cancelled', async () => {
+      const policy = new RetryPolicy({ baseDelayMs: 60000, random: () => 1 });
+      const controller = new AbortController();
+      const operation = mock.fn(async () => {
+        throw apiError(429);
+      });
+
+      const pending = policy.run(operation, { signal: controller.signal, onRetry: () => controller.abort() });
+
+      await assert.rejects(pending, { name: 'CancelledError' });
+      assert.strictEqual(operation.mock.callCount(), 1);
+    });
+  });
+
+  describe('RetryPolicy.getRetryDelay', () => {
+    it('should back off exponentially with full jitter up to the maximum delay', () => {
+      const policy = new RetryPolicy({ maxAttempts: 10, baseDelayMs: 1000, maxDelayMs: 5000, random: () => 0.5 });
+
+      assert.deepStrictEqual([1, 2, 3, 4].map(attempt => policy.getRetryDelay(apiError(503), attempt)), [500, 1000, 2000, 2500]);
+    });
+
+    it('should honor the wait requested by the server', () => {
+      const policy = new RetryPolicy({ maxDelayMs: 30000 });
+
+      assert.strictEqual(policy.getRetryDelay(apiError(429, { headers: { 'retry-after': '7' } }), 1), 7000);
+    });
+
+    it('should give up when the server asks to wait longer than the maximum delay', () => {
+      const policy = new RetryPolicy({ maxDelayMs: 30000 });
+
+      assert.strictEqual(policy.getRetryDelay(apiError(429, { headers: { 'retry-after': '120' } }), 1), null);
+    });
+
+    it('should give up after the last attempt', () => {
+      assert.strictEqual(new RetryPolicy({ maxAttempts: 1 }).getRetryDelay(apiError(503), 1), null);
+    });
+  });
+
+  describe('createRetryPolicy', () => {
+    it('should read and clamp RETRY_* variables', () => {
+      const policy = createRetryPolicy({ RETRY_MAX_ATTEMPTS: '50', RETRY_BASE_DELAY_MS: '200', RETRY_MAX_DELAY_MS: '' });
+
+      assert.strictEqual(policy.maxAttempts, 10);
+      assert.strictEqual(policy.baseDelayMs, 200);
+      assert.strictEqual(policy.maxDelayMs, 30000);
+    });
+  });
+
+  describe('isRetryableError', () => {
+    it('should retry rate limits, timeouts and server errors', () => {
+      for (const status of [408, 429, 500, 503, 529]) {
+        assert.strictEqual(isRetryableError(apiError(status)), true, `HTTP ${status}`);
+      }
+      assert.strictEqual(isRetryableError(geminiError(503)), true);
+    });
+
+    it('should not retry client errors, exhausted quotas or cancellations', () => {
+      assert.strictEqual(isRetryableError(apiError(401)), false);
+      assert.strictEqual(isRetryableError(apiError(429, { code: 'insufficient_quota' })), false);
+      assert.strictEqual(isRetryableError(Object.assign(new Error('Operation cancelled'), { name: 'CancelledError' })), false);
+      assert.strictEqual(isRetryableError(new Error('Messages must be an array')), false);
+    });
+
+    it('should retry dropped connections', () => {
+      class APIConnectionError extends Error {}
+
+      assert.strictEqual(isRetryableError(new APIConnectionError('Connection error.')), true);
+      assert.strictEqual(isRetryableError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), true);
+      assert.strictEqual(isRetryableError(new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } })), true);
+    });
+  });
+
+  describe('getRetryAfterMs', () => {
+    it('should read Retry-After headers from plain objects and Headers', () => {
+      assert.strictEqual(getRetryAfterMs(apiError(429, { headers: { 'retry-after': '2' } })), 2000);
+      assert.strictEqual(getRetryAfterMs(apiError(429, { headers: new Headers({ 'retry-after-ms': '1500' }) })), 1500);
+    });
+
+    it('should read Retry-After given as an HTTP date', () => {
+      const retryAfter = new Date(Date.now() + 60000).toUTCString();
+      const waitMs = getRetryAfterMs(apiError(503, { headers: { 'retry-after': retryAfter } }));
+
+      assert.ok(waitMs > 55000 && waitMs <= 60000);
+    });
+
+    it('should read the retry delay of Gemini errors', () => {
+      const error = geminiError(429, { error: { details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '12s' }] } });
+
+      assert.strictEqual(getRetryAfterMs(error), 12000);
+    });
+
+    it('should return null when no wait was requested', () => {
+      assert.strictEqual(getRetryAfterMs(apiError(503)), null);
+    });
+  });
+
+  describe('getErrorStatus and describeError', () => {
+    it('should find the status of SDK and Gemini errors', () => {
+      assert.strictEqual(getErrorStatus(apiError(429)), 429);
+      assert.strictEqual(getErrorStatus(geminiError(503)), 503);
+      assert.strictEqual(getErrorStatus(new Error('Connection error.')), null);
+      assert.strictEqual(describeError(geminiError(429)), 'HTTP 429');
+      assert.strictEqual(describeError(new Error('Connection error.')), 'Connection error.');
+    });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Tests for text similarity utilities
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { tokenize, textSimilarity } from '../../src/utils/text-similarity.js';
+
+describe('Text Similarity Utils', () => {
+  describe('tokenize', () => {
+    it('should split space-separated text into lowercase words', () => {
+      assert.deepStrictEqual([...tokenize('Roll back, then ROLL forward!')], ['roll', 'back', 'then', 'forward']);
+    });
+
+    it('should split Japanese runs into character bigrams', () => {
+      assert.deepStrictEqual([...tokenize('障害対応')], ['障害', '害対', '対応']);
+    });
+
+    it('should return an empty set for empty input', () => {
+      assert.strictEqual(tokenize('').size, 0);
+      assert.strictEqual(tokenize(null).size, 0);
+    });
+  });
+
+  describe('textSimilarity', () => {
+    it('should return 1 for identical texts', () => {
+      assert.strictEqual(textSimilarity('Restart the pod', 'restart the pod.'), 1);
+    });
+
+    it('should score paraphrases higher than unrelated texts', () => {
+      const base = 'We should roll back the deployment first and then check the logs for errors.';
+      const paraphrase = 'I agree, we should roll back the deployment first and then check the logs.';
+      const unrelated = 'Consider the database connection pool configuration and index usage.';
+
+      assert.ok(textSimilarity(base, paraphrase) > 0.7);
+      assert.ok(textSimilarity(base, unrelated) < 0.2);
+    });
+
+    it('should compare Japanese text', () => {
+      const base = 'まずデプロイをロールバックしてからログを確認すべきです。';
+
+      assert.ok(textSimilarity(base, 'まずデプロイをロールバックして、その後ログを確認すべきです。') > 0.7);
+      assert.ok(textSimilarity(base, 'データベースの接続プール設定を見直しましょう。') < 0.2);
+    });
+
+    it('should return 0 when nothing is shared', () => {
+      assert.strictEqual(textSimilarity('alpha beta', 'gamma delta'), 0);
+      assert.strictEqual(textSimilarity('alpha', ''), 0);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for token usage and cost accounting
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  PriceTable,
+  createPriceTable,
+  sumUsage,
+  summarizeUsage,
+  formatUsage,
+  formatCost
+} from '../../src/utils/usage.js';
+
+describe('Usage', () => {
+  describe('PriceTable', () => {
+    const table = new PriceTable({
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gpt-4o-mini': { input: 0.15, output: 0.6 }
+    });
+
+    it('should match models exactly or by their longest prefix', () => {
+      assert.deepStrictEqual(table.getPrice('gpt-4o'), { input: 2.5, output: 10 });
+      assert.deepStrictEqual(table.getPrice('gpt-4o-2024-08-06'), { input: 2.5, output: 10 });
+      assert.deepStrictEqual(table.getPrice('gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.6 });
+      assert.strictEqual(table.getPrice('gpt-4omni'), null);
+      assert.strictEqual(table.getPrice('llama3'), null);
+    });
+
+    it('should estimate the cost of a call', () => {
+      assert.strictEqual(table.estimateCost('gpt-4o', { promptTokens: 1000, completionTokens: 500 }), 0.0075);
+      assert.strictEqual(table.estimateCost('llama3', { promptTokens: 1000, completionTokens: 500 }), null);
+    });
+
+    it('should price the default model families', () => {
+      const defaults = new PriceTable();
+
+      for (const model of ['gpt-5', 'gemini-2.5-flash', 'claude-sonnet-4-5', 'o3-mini']) {
+        assert.ok(defaults.getPrice(model), model);
+      }
+    });
+  });
+
+  describe('createPriceTable', () => {
+    it('should add MODEL_PRICES to the defaults', () => {
+      const table = createPriceTable({ MODEL_PRICES: '{"llama3": {"input": 0, "output": 0}, "gpt-4o": {"input": 1, "output": 2}}' });
+
+      assert.deepStrictEqual(table.getPrice('llama3'), { input: 0, output: 0 });
+      assert.deepStrictEqual(table.getPrice('gpt-4o'), { input: 1, output: 2 });
+      assert.ok(table.getPrice('gemini-2.5-pro'));
+    });
+
+    it('should reject malformed prices', () => {
+      assert.throws(() => createPriceTable({ MODEL_PRICES: '[]' }), /Model prices must be an object/);
+      assert.throws(() => createPriceTable({ MODEL_PRICES: '{"llama3": {"input": -1, "output": 0}}' }), /Invalid price for llama3/);
+      assert.throws(() => createPriceTable({ MODEL_PRICES: '{"llama3": 5}' }), /Invalid price for llama3/);
+    });
+  });
+
+  describe('sumUsage', () => {
+    it('should add up tokens and the cost of priced calls', () => {
+      const totals = sumUsage([
+        { promptTokens: 100, completionTokens: 20, cost: 0.001 },
+        { promptTokens: 50, completionTokens: 10, cost: null },
+        { promptTokens: 30, completionTokens: 5, cost: 0.0005 }
+      ]);
+
+      assert.deepStrictEqual(totals, {
+        calls: 3,
+        promptTokens: 180,
+        completionTokens: 35,
+        totalTokens: 215,
+        cost: 0.0015,
+        unpriced: 1
+      });
+    });
+  });
+
+  describe('summarizeUsage', () => {
+    it('should add up usage per round and per model', () => {
+      const summary = summarizeUsage([
+        { round: 1, model: 'gpt-4o', promptTokens: 100, completionTokens: 20, cost: 0.001 },
+        { round: 1, model: 'gemini-2.5-flash', promptTokens: 120, completionTokens: 30, cost: 0.002 },
+        { round: 2, model: 'gpt-4o', promptTokens: 200, completionTokens: 40, cost: 0.003 }
+      ]);
+
+      assert.strictEqual(summary.total.totalTokens, 510);
+      assert.deepStrictEqual(Object.keys(summary.byRound), ['1', '2']);
+      assert.strictEqual(summary.byRound[1].calls, 2);
+      assert.strictEqual(summary.byModel['gpt-4o'].promptTokens, 300);
+      assert.strictEqual(summary.byModel['gemini-2.5-flash'].calls, 1);
+    });
+  });
+
+  describe('formatUsage', () => {
+    const totals = { calls: 2, promptTokens: 1000, completionTokens: 234, totalTokens: 1234, cost: 0.0049, unpriced: 0 };
+
+    it('should describe tokens and the estimated cost', () => {
+      assert.strictEqual(formatUsage(totals), '1,234 tokens (1,000 prompt + 234 completion), est. $0.0049');
+    });
+
+    it('should point out unpriced models', () => {
+      assert.strictEqual(formatUsage({ ...totals, unpriced: 1 }), '1,234 tokens (1,000 prompt + 234 completion), est. $0.0049 (excluding unpriced models)');
+      assert.strictEqual(formatUsage({ ...totals, cost: 0, unpriced: 2 }), '1,234 tokens (1,000 prompt + 234 completion), cost unknown');
+    });
+
+    it('should format costs with four decimals', () => {
+      assert.strictEqual(formatCost(1.5), '$1.5000');
+    });
+  });
+});